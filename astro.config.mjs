@@ -1,13 +1,83 @@
 import { defineConfig } from 'astro/config';
 import mdx from '@astrojs/mdx';
 import sitemap from '@astrojs/sitemap';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { normalizeBasePath, withBase, rehypeBasePath } from './scripts/lib/basePath.js';
+import { findBrokenLinks } from './scripts/lib/linkChecker.js';
+import { rehypeResponsiveImages } from './scripts/lib/responsiveImages.js';
+import { rehypeImageCaptions } from './scripts/lib/imageMeta.js';
 
 // Site URL is required for sitemap & RSS absolute URLs
 const SITE_URL = process.env.SITE_URL || 'http://localhost:4321';
+// Path prefix the site is served under, '/' at the domain root (see scripts/lib/basePath.js)
+const BASE_PATH = normalizeBasePath(process.env.BASE_PATH);
+const PUBLIC_DIR = fileURLToPath(new URL('./public', import.meta.url));
+
+// Posts whose slug changed keep their old URL working (see scripts/lib/slugRegistry.js)
+function slugRedirects() {
+  try {
+    const registry = JSON.parse(fs.readFileSync(new URL('./content/.slugs.json', import.meta.url), 'utf8'));
+    const redirects = {};
+    // Astro puts the base in front of the old URL but not of the target, so the target gets it here
+    for (const [from, to] of Object.entries(registry.redirects || {})) {
+      if (!registry.slugs?.[from]) redirects[`/${from}/`] = withBase(`/${to}/`, BASE_PATH);
+    }
+    return redirects;
+  } catch {
+    return {};
+  }
+}
+
+// Posts with `noindex: true` in their frontmatter stay out of the sitemap
+function noindexPages() {
+  const pages = new Set();
+  for (const file of fg.sync('content/**/*.mdx', { cwd: fileURLToPath(new URL('.', import.meta.url)), absolute: true })) {
+    const { data } = matter(fs.readFileSync(file, 'utf8'));
+    if (data.noindex === true && data.slug) pages.add(new URL(withBase(`/${data.slug}/`, BASE_PATH), SITE_URL).href);
+  }
+  return pages;
+}
+
+const noindex = noindexPages();
+
+// Fails the build when a built page links to a page or file of this site that does not exist.
+// CHECK_LINKS=false turns it off.
+function linkChecker() {
+  return {
+    name: 'link-checker',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        if (String(process.env.CHECK_LINKS || '').toLowerCase() === 'false') return;
+        const broken = await findBrokenLinks({ distDir: fileURLToPath(dir), base: BASE_PATH, site: SITE_URL });
+        if (broken.length === 0) {
+          logger.info('No broken internal links');
+          return;
+        }
+        for (const { page, url, reason } of broken.slice(0, 50)) logger.error(`${page}: ${url} (${reason})`);
+        if (broken.length > 50) logger.error(`... and ${broken.length - 50} more`);
+        throw new Error(`${broken.length} broken internal link(s)`);
+      }
+    }
+  };
+}
 
 export default defineConfig({
   site: SITE_URL,
-  integrations: [mdx(), sitemap()],
+  base: BASE_PATH,
+  redirects: slugRedirects(),
+  markdown: {
+    // Captions wrap images in <figure> before they become <picture>; the base path plugin comes last
+    // so it also prefixes the srcset URLs the responsive images plugin adds
+    rehypePlugins: [
+      [rehypeImageCaptions, { publicDir: PUBLIC_DIR }],
+      [rehypeResponsiveImages, { publicDir: PUBLIC_DIR }],
+      [rehypeBasePath, { base: BASE_PATH }]
+    ]
+  },
+  integrations: [mdx(), sitemap({ filter: (page) => !noindex.has(page) }), linkChecker()],
   output: 'static',
   server: {
     host: true
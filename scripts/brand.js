@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readJsonIfExists, writeFileSafe } from './lib/fileUtils.js';
+import { generateBrandAssets, BRAND_FILES } from './lib/brandAssets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+
+// Redraws the logo, icons, manifest and social card from public/brand.json, e.g. after editing
+// the name or palette there, or for a site made before these assets existed
+async function main() {
+  const publicDir = path.join(root, 'public');
+  const brandPath = path.join(publicDir, 'brand.json');
+  const brand = await readJsonIfExists(brandPath);
+  if (!brand?.name) throw new Error('public/brand.json with a "name" is needed. Run create-site first.');
+  const palette = await generateBrandAssets({ brand, publicDir });
+  await writeFileSafe(brandPath, JSON.stringify({ ...brand, palette }, null, 2));
+  console.log(`Brand assets for ${brand.name}: ${Object.values(BRAND_FILES).join(', ')}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
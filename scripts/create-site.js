@@ -6,64 +6,89 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execFile } from 'node:child_process';
 import sharp from 'sharp';
-import { OpenAIClient } from './lib/openaiClient.js';
-import { ReplicateClient } from './lib/replicateClient.js';
-import { MockOpenAIClient, MockReplicateClient } from './lib/mockClients.js';
+import { MockOpenAIClient } from './lib/mockClients.js';
+import { loadLlmConfig, createLlmFromConfig } from './lib/llmProviders.js';
 import { ensureDir, writeFileSafe, readJsonIfExists, sleep, emptyDir } from './lib/fileUtils.js';
 import { slugifyString } from './lib/slugify.js';
+import { parseArgs, getEnvNumber } from './lib/cli.js';
 import { initAndPushGit, ensureGitHubRepo } from './lib/githubClient.js';
 import { ensureVercelProject } from './lib/vercelClient.js';
-import { applyInternalLinks } from './lib/internalLinker.js';
+import { applyInternalLinks, INLINE_LINK_DEFAULTS, markedBlock, replaceBlock, beforeBlocks, stripLegacyRelated } from './lib/internalLinker.js';
+import { RunManifest, isTaskComplete, isRunActive } from './lib/runManifest.js';
+import { Semaphore } from './lib/semaphore.js';
+import { JsonParseError, QuotaError, BudgetExceededError } from './lib/errors.js';
+import { UsageTracker, loadPrices } from './lib/usageTracker.js';
+import { ResponseCache } from './lib/responseCache.js';
+import { seededRandom } from './lib/random.js';
+import { SlugRegistry } from './lib/slugRegistry.js';
+import { loadSitePlan, saveSitePlan, recoverSitePlan, scanPublished, mergeClusters } from './lib/sitePlan.js';
+import { QualityGate, QUALITY_DEFAULTS } from './lib/quality.js';
+import { generateBrandAssets, writePostCard, POST_CARD_FILE } from './lib/brandAssets.js';
+import { buildResponsiveImages, parseWidths } from './lib/responsiveImages.js';
+import { createImagesFromConfig, loadImageConfig, describeImageSourcing } from './lib/imageProviders.js';
+import { describeImages } from './lib/imageMeta.js';
+import { titleCase, stringifyFrontmatter, composeMdxBody, composeSectionBody, stripLeadingHeading, buildHeroSection } from './lib/mdx.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const root = path.resolve(__dirname, '..');
-
-function parseArgs(argv) {
-  const args = { _: [] };
-  for (let i = 2; i < argv.length; i++) {
-    const token = argv[i];
-    if (token.startsWith('--')) {
-      const [key, val] = token.replace(/^--/, '').split('=');
-      const next = val !== undefined ? val : (argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true');
-      args[key] = next;
-    } else {
-      args._.push(token);
-    }
-  }
-  return args;
-}
-
-function getEnvNumber(name, fallback) {
-  const raw = process.env[name];
-  const parsed = raw ? parseInt(raw, 10) : NaN;
-  return Number.isFinite(parsed) ? parsed : fallback;
-}
+const runsDir = path.join(root, '.runs');
+const reportsDir = path.join(root, 'reports');
 
 async function main() {
   const args = parseArgs(process.argv);
-  const niche = args._[0];
+  const resumeId = args['resume'] && args['resume'] !== 'true' ? args['resume'] : null;
+  const previous = resumeId ? await RunManifest.load({ runsDir, runId: resumeId }) : null;
+  // Two processes writing one manifest would overwrite each other's progress. --force resumes anyway,
+  // for a run known to be dead that still looks alive
+  const force = String(args['force'] || '').toLowerCase() === 'true';
+  if (previous && !force && isRunActive(previous.data)) {
+    throw new Error(`Run ${resumeId} is still running (pid ${previous.data.pid} on ${previous.data.host || 'this host'}). If that process is gone, resume with --force.`);
+  }
+  // A resumed run keeps the options it was started with unless overridden on the command line
+  const prevOptions = previous?.data.options || {};
+  const contentDir = path.join(root, 'content');
+  const imagesDir = path.join(root, 'public', 'images');
+
+  // Extend mode adds posts to the site already in content/: same brand, pages and plan
+  const extend = String(args['extend'] || '').toLowerCase() === 'true' || !!prevOptions.extend;
+  const sitePlan = extend ? (await loadSitePlan(contentDir)) || (await recoverSitePlan({ contentDir, runsDir })) : null;
+  const niche = previous ? previous.data.niche : args._[0] || sitePlan?.niche;
   if (!niche) {
-    console.error('Usage: node scripts/create-site.js "<Niche Keyword>" [--max-posts N] [--batch N] [--concurrency N] [--no-images] [--no-deploy]');
+    console.error('Usage: node scripts/create-site.js "<Niche Keyword>" [--max-posts N] [--batch N] [--concurrency N] [--post-concurrency N] [--image-concurrency N] [--image-config file.json] [--no-images | --images] [--no-deploy] [--budget USD] [--prices file.json] [--no-cache] [--min-score N] [--layout sections|legacy] [--resume <runId> [--force]]');
+    console.error('       node scripts/create-site.js ["<Niche Keyword>"] --extend [--new-keywords N] [--cluster "<Cluster>[,<Cluster>]"] [same options]');
     process.exit(1);
   }
-
-  const maxPosts = parseInt(args['max-posts'] || process.env.MAX_POSTS_PER_RUN || '100', 10);
-  const batchSize = parseInt(args['batch'] || process.env.POSTS_PER_BATCH || '50', 10);
-  const concurrency = parseInt(args['concurrency'] || process.env.CONCURRENT_REQUESTS || '3', 10);
-  const doImages = String(args['no-images'] || '').toLowerCase() === 'true' ? false : true;
+  const maxPosts = parseInt(args['max-posts'] || prevOptions.maxPosts || process.env.MAX_POSTS_PER_RUN || '100', 10);
+  const batchSize = parseInt(args['batch'] || prevOptions.batchSize || process.env.POSTS_PER_BATCH || '50', 10);
+  const concurrency = parseInt(args['concurrency'] || prevOptions.concurrency || process.env.CONCURRENT_REQUESTS || '3', 10);
+  const postConcurrency = parseInt(args['post-concurrency'] || prevOptions.postConcurrency || process.env.CONCURRENT_POSTS || String(concurrency), 10);
+  const imageConcurrency = parseInt(args['image-concurrency'] || prevOptions.imageConcurrency || process.env.CONCURRENT_IMAGES || '2', 10);
+  // --images turns images back on for a run started with --no-images
+  const doImages = String(args['no-images'] || '').toLowerCase() === 'true' ? false : String(args['images'] || '').toLowerCase() === 'true' || (prevOptions.doImages ?? true);
   const doDeploy = String(args['no-deploy'] || '').toLowerCase() === 'true' ? false : true;
   const OPENAI_KEY = process.env.OPENAI_API_KEY || process.env.GPT_KEY;
-  const REPLICATE_TOKEN = process.env.REPLICATE_API_TOKEN || process.env.REPLICATE_API_KEY;
-  const mock = String(args['mock'] || '').toLowerCase() === 'true' || (!OPENAI_KEY);
-  const clean = String(args['clean'] || '').toLowerCase() === 'true';
+  const llmConfigPath = args['llm-config'] || process.env.LLM_CONFIG || prevOptions.llmConfig;
+  const imageConfigPath = args['image-config'] || process.env.IMAGE_CONFIG || prevOptions.imageConfig;
+  const hasLlm = !!(llmConfigPath || process.env.LLM_PROVIDER || process.env.LLM_BASE_URL || OPENAI_KEY);
+  const mock = String(args['mock'] || '').toLowerCase() === 'true' || !!prevOptions.mock || !hasLlm;
+  const clean = !previous && !extend && String(args['clean'] || '').toLowerCase() === 'true';
+  const newKeywords = parseInt(args['new-keywords'] || prevOptions.newKeywords || '0', 10);
+  const clusterFilter = args['cluster'] && args['cluster'] !== 'true' ? String(args['cluster']) : prevOptions.clusters || '';
+  const budgetUsd = parseFloat(args['budget'] || prevOptions.budgetUsd || process.env.RUN_BUDGET_USD || '');
+  const pricesPath = args['prices'] || prevOptions.prices || process.env.PRICES_FILE;
+  const useCache = String(args['no-cache'] || '').toLowerCase() !== 'true';
+  const layout = args['layout'] || prevOptions.layout || process.env.POST_LAYOUT || 'sections';
+  if (!['sections', 'legacy'].includes(layout)) {
+    console.error(`Unknown --layout "${layout}" (expected sections or legacy)`);
+    process.exit(1);
+  }
+  const minScore = parseInt(args['min-score'] || prevOptions.minScore || process.env.QUALITY_MIN_SCORE || String(QUALITY_DEFAULTS.minScore), 10);
 
   const siteSlug = slugifyString(niche).slice(0, 60);
   const siteTitle = process.env.DEFAULT_SITE_TITLE || `${niche} Hub`;
   const siteTagline = process.env.DEFAULT_SITE_TAGLINE || `Expert insights, guides, and tips on ${niche}.`;
 
-  const contentDir = path.join(root, 'content');
-  const imagesDir = path.join(root, 'public', 'images');
   await ensureDir(contentDir);
   await ensureDir(imagesDir);
 
@@ -73,58 +98,222 @@ async function main() {
     await emptyDir(imagesDir, { preserve: ['.gitkeep'] });
   }
 
-  const openai = mock
-    ? new MockOpenAIClient()
-    : new OpenAIClient({
-        apiKey: OPENAI_KEY,
-        model: process.env.OPENAI_MODEL || 'gpt-4.1-nano',
-        concurrency
-      });
-  const replicate = mock
-    ? new MockReplicateClient()
-    : new ReplicateClient({
-        apiToken: REPLICATE_TOKEN,
-        model: process.env.REPLICATE_MODEL || 'black-forest-labs/flux-dev'
-      });
-
-  // Brand + static pages
-  console.log(`Generating brand and static pages for: ${niche}`);
-  const brand = await openai.generateBrand(niche);
-  const staticPages = await openai.generateStaticPages({ niche, brand });
-  await writeBrandConfig({ brand });
-  await generateBrandAssets({ brand });
-  await writeStaticPages({ brand, staticPages });
-
-  console.log(`Generating site plan for niche: ${niche}${mock ? ' (mock)' : ''}`);
-  let plan = await openai.generateSitePlan(niche, { clustersTarget: 450, subtopicsPerCluster: [8, 12], siteTitle, siteTagline });
-  if (!Array.isArray(plan) || plan.length === 0) {
-    console.warn('Received empty site plan. Falling back to mock plan with 10 clusters.');
-    const fallback = new MockOpenAIClient();
-    plan = await fallback.generateSitePlan(niche, { clustersTarget: 10, subtopicsPerCluster: [8, 12], siteTitle, siteTagline });
+  const manifest = previous || (await RunManifest.create({
+    runsDir,
+    niche,
+    siteSlug,
+    options: { maxPosts, batchSize, concurrency, postConcurrency, imageConcurrency, doImages, mock, llmConfig: llmConfigPath, imageConfig: imageConfigPath, budgetUsd: Number.isFinite(budgetUsd) ? budgetUsd : null, prices: pricesPath, extend, newKeywords, clusters: clusterFilter, minScore, layout }
+  }));
+  if (previous) {
+    console.log(`Resuming run ${manifest.runId} (${manifest.summary().done}/${manifest.tasks.length} posts done)`);
+    // Later resumes keep images on or off as this one has them
+    manifest.data.options.doImages = doImages;
+    await manifest.finish('running');
+  } else {
+    console.log(`Run id: ${manifest.runId}`);
+  }
+
+  // Token and prediction accounting. Each record goes to the run's usage log as it happens, and a
+  // resumed run continues it, so earlier spend counts toward --budget even after a crash.
+  const costReportName = `cost-${manifest.runId}`;
+  const usage = await UsageTracker.fromReport(path.join(reportsDir, `${costReportName}.json`), {
+    prices: await loadPrices(pricesPath),
+    budgetUsd,
+    logPath: path.join(runsDir, `${manifest.runId}.usage.jsonl`)
+  });
+
+  // Identical prompts (same provider, model and params) are answered from disk; mock output is never cached
+  const cache = useCache && !mock
+    ? new ResponseCache({
+        dir: process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : path.join(root, '.cache', 'responses'),
+        ttlMs: getEnvNumber('CACHE_TTL_HOURS', 24 * 7) * 3600 * 1000,
+        maxBytes: getEnvNumber('CACHE_MAX_MB', 500) * 1024 * 1024
+      })
+    : null;
+
+  // LLM provider(s) from --llm-config / LLM_* env; methods can be routed to different providers
+  const llmConfig = mock ? { providers: { mock: { provider: 'mock' } } } : await loadLlmConfig({ configPath: llmConfigPath });
+  const llm = createLlmFromConfig(llmConfig, {
+    concurrency,
+    timeoutMs: getEnvNumber('LLM_TIMEOUT_MS', getEnvNumber('OPENAI_TIMEOUT_MS', 120000)),
+    retry: { retries: getEnvNumber('API_MAX_RETRIES', 4) },
+    usage,
+    cache
+  });
+  // Image provider(s) from --image-config / IMAGE_* env; cover and inline images can use different ones.
+  // Mock runs draw gradients unless an image config is given, e.g. for a local generator or stock library.
+  const mockImages = !doImages || (mock && !imageConfigPath);
+  const imageConfig = mockImages ? { providers: { mock: { provider: 'mock' } } } : await loadImageConfig({ configPath: imageConfigPath });
+  const images = createImagesFromConfig(imageConfig, {
+    concurrency: imageConcurrency,
+    retry: { retries: getEnvNumber('API_MAX_RETRIES', 4) },
+    usage,
+    cache
+  });
+
+  const writeCostReport = async () => {
+    manifest.data.costUsd = usage.totalCostUsd;
+    const report = await usage.writeReport(reportsDir, costReportName);
+    console.log(`Cost so far: $${usage.totalCostUsd.toFixed(4)} (report: ${path.relative(root, report.jsonPath)}, ${path.relative(root, report.csvPath)})`);
+    if (cache) {
+      const { removed } = await cache.prune();
+      console.log(`Response cache: ${cache.stats.hits} hit(s), ${cache.stats.misses} miss(es)${removed ? `, pruned ${removed} entr${removed === 1 ? 'y' : 'ies'}` : ''}`);
+    }
+    if (usage.unpriced.size > 0) console.warn(`No price for: ${[...usage.unpriced].join(', ')} (counted as $0; add them with --prices)`);
+  };
+  const stopRun = async ({ reason, exitCode }) => {
+    await manifest.finish('stopped');
+    console.error(`Run stopped. ${reason}`);
+    console.error(`Resume with: node scripts/create-site.js --resume ${manifest.runId}`);
+    process.exitCode = exitCode;
+  };
+
+  // Brand + static pages (extend mode keeps the existing ones), then the site plan. A quota or
+  // budget stop here is handled like one during the posts.
+  let brand = manifest.data.brand;
+  let plan = manifest.data.plan;
+  try {
+    if (extend && !manifest.isStepDone('brand')) {
+      brand = await readJsonIfExists(path.join(root, 'public', 'brand.json'));
+      if (!brand) throw new Error('--extend needs an existing site, but public/brand.json was not found. Run without --extend first.');
+      console.log(`Extending ${brand.name} (${niche})`);
+      await manifest.markStep('brand', 'done', { brand });
+    }
+    if (!manifest.isStepDone('brand')) {
+      console.log(`Generating brand and static pages for: ${niche}`);
+      brand = await llm.generateBrand(niche);
+      await manifest.markStep('brand', 'done', { brand });
+    }
+    if (!extend && !manifest.isStepDone('staticPages')) {
+      const staticPages = await llm.generateStaticPages({ niche, brand, imageSourcing: doImages ? describeImageSourcing(imageConfig) : null });
+      // The palette the assets were drawn with goes into brand.json for the site's colors
+      const palette = await generateBrandAssets({ brand, publicDir: path.join(root, 'public') });
+      await writeBrandConfig({ brand: { ...brand, palette } });
+      await writeStaticPages({ brand, staticPages });
+      await manifest.markStep('staticPages', 'done');
+    }
+
+    if (extend && !manifest.isStepDone('plan')) {
+      plan = sitePlan.clusters;
+      let added = [];
+      if (newKeywords > 0) ({ plan, added } = await addClusterKeywords({ llm, niche, plan, count: newKeywords, only: clusterFilter }));
+      await saveSitePlan(contentDir, { niche, clusters: plan });
+      await manifest.markStep('plan', 'done', { plan, newKeywords: added.flatMap((c) => c.keywords) });
+    }
+    if (!manifest.isStepDone('plan')) {
+      console.log(`Generating site plan for niche: ${niche}${mock ? ' (mock)' : ''}`);
+      try {
+        plan = await llm.generateSitePlan(niche, { clustersTarget: 450, subtopicsPerCluster: [8, 12], siteTitle, siteTagline });
+      } catch (e) {
+        if (!(e instanceof JsonParseError)) throw e;
+        console.warn(`Site plan was not valid JSON: ${e.message}`);
+        plan = [];
+      }
+      if (!Array.isArray(plan) || plan.length === 0) {
+        console.warn('Received empty site plan. Falling back to mock plan with 10 clusters.');
+        const fallback = new MockOpenAIClient({ failures: [] });
+        plan = await fallback.generateSitePlan(niche, { clustersTarget: 10, subtopicsPerCluster: [8, 12], siteTitle, siteTagline });
+      }
+      await saveSitePlan(contentDir, { niche, clusters: plan });
+      await manifest.markStep('plan', 'done', { plan });
+    }
+  } catch (e) {
+    const stopped = stopFor(e);
+    await writeCostReport();
+    await stopRun(stopped);
+    return;
   }
 
   let totalKeywords = 0;
   for (const c of plan) totalKeywords += (c.keywords?.length || 0);
   console.log(`Plan ready: ${plan.length} clusters, ~${totalKeywords} keywords.`);
 
-  // Flatten to target maxPosts
-  const allTasks = [];
-  for (const cluster of plan) {
-    for (const keyword of cluster.keywords || []) {
-      allTasks.push({ cluster: cluster.cluster, keyword });
+  // One slug per post across all content, including earlier runs
+  const slugs = await SlugRegistry.load({ contentDir });
+  for (const { file, from, to } of await slugs.resolveCollisions({ imagesDir })) {
+    console.warn(`Slug collision: ${file} used /${from}/ too; moved it to /${to}/`);
+  }
+
+  if (!manifest.isStepDone('tasks')) {
+    // Flatten to target maxPosts; extend mode skips keywords that already have a post
+    const published = extend ? new Set((await scanPublished(contentDir)).map((p) => slugifyString(p.keyword))) : new Set();
+    let allTasks = [];
+    const seen = new Set();
+    for (const cluster of plan) {
+      for (const keyword of cluster.keywords || []) {
+        const id = `${slugifyString(cluster.cluster || 'misc')}/${slugifyString(keyword)}`;
+        if (seen.has(id) || published.has(slugifyString(keyword))) continue;
+        seen.add(id);
+        allTasks.push({ id, cluster: cluster.cluster, keyword });
+      }
+    }
+    if (extend) {
+      // Keywords suggested for this run go first, so --new-keywords is honored within --max-posts
+      const fresh = new Set((manifest.data.newKeywords || []).map(slugifyString));
+      allTasks = [...allTasks.filter((t) => fresh.has(slugifyString(t.keyword))), ...allTasks.filter((t) => !fresh.has(slugifyString(t.keyword)))];
+      console.log(`${published.size} keyword(s) already published; ${allTasks.length} left in the plan.`);
     }
+    const tasks = allTasks.slice(0, maxPosts).map((t) => ({ ...t, slug: slugs.claim(t) }));
+    for (const t of tasks) {
+      if (t.slug !== slugifyString(t.keyword)) console.log(`Slug for "${t.keyword}" is taken; using /${t.slug}/`);
+    }
+    await manifest.setTasks(tasks);
+    await manifest.markStep('tasks', 'done');
+  }
+  await slugs.save();
+
+  const targetTasks = manifest.tasks.filter((t) => !isTaskComplete(t, { doImages }) || !fs.existsSync(path.join(root, t.mdxFilePath)));
+  if (targetTasks.length < manifest.tasks.length) {
+    console.log(`Skipping ${manifest.tasks.length - targetTasks.length} finished post(s).`);
   }
-  const targetTasks = allTasks.slice(0, maxPosts);
+
+  // Every new post is scored against the quality thresholds and the posts already on disk
+  const quality = await QualityGate.fromContent(contentDir, {
+    minScore,
+    minWords: getEnvNumber('QUALITY_MIN_WORDS', QUALITY_DEFAULTS.minWords),
+    maxSimilarity: parseFloat(process.env.QUALITY_MAX_SIMILARITY || '') || QUALITY_DEFAULTS.maxSimilarity,
+    // Every post is written at least once
+    attempts: Math.max(1, getEnvNumber('QUALITY_ATTEMPTS', QUALITY_DEFAULTS.attempts))
+  });
+  const quarantineDir = path.join(root, 'quarantine');
+  // Share cards use the palette in brand.json, which may have been edited since it was generated
+  const siteBrand = (await readJsonIfExists(path.join(root, 'public', 'brand.json'))) || brand;
+  const imageWidths = parseWidths(process.env.IMAGE_WIDTHS);
 
   // Process in batches
-  for (let i = 0; i < targetTasks.length; i += batchSize) {
-    const batch = targetTasks.slice(i, i + batchSize);
-    console.log(`Processing batch ${i / batchSize + 1} / ${Math.ceil(targetTasks.length / batchSize)} (${batch.length} posts)`);
-    await processBatch({ batch, niche, contentDir, imagesDir, openai, replicate, doImages });
+  let stopped = null;
+  try {
+    for (let i = 0; i < targetTasks.length; i += batchSize) {
+      const batch = targetTasks.slice(i, i + batchSize);
+      console.log(`Processing batch ${i / batchSize + 1} / ${Math.ceil(targetTasks.length / batchSize)} (${batch.length} posts)`);
+      await processBatch({ batch, niche, brand: siteBrand, contentDir, imagesDir, imageWidths, quarantineDir, llm, quality, layout, images, doImages, manifest, postConcurrency });
+    }
+  } catch (e) {
+    stopped = stopFor(e);
   }
 
   console.log('Applying internal links...');
-  await applyInternalLinks({ contentDir });
+  await applyInternalLinks({
+    contentDir,
+    inline: {
+      maxPerPost: getEnvNumber('INLINE_LINKS_MAX', INLINE_LINK_DEFAULTS.maxPerPost),
+      crossClusterMinScore: parseFloat(process.env.INLINE_LINKS_CROSS_CLUSTER_MIN || '') || INLINE_LINK_DEFAULTS.crossClusterMinScore
+    }
+  });
+
+  await writeCostReport();
+  if (stopped) {
+    await stopRun(stopped);
+    return;
+  }
+
+  const summary = manifest.summary();
+  const incomplete = manifest.tasks.filter((t) => !isTaskComplete(t, { doImages })).length;
+  await manifest.finish(incomplete > 0 ? 'incomplete' : 'completed');
+  if (incomplete > 0) {
+    console.warn(`${incomplete} post(s) failed, were quarantined or have missing images. Resume with: node scripts/create-site.js --resume ${manifest.runId}`);
+  }
+  console.log(`Run ${manifest.runId}: ${summary.done}/${summary.total} posts done${summary.quarantined ? `, ${summary.quarantined} quarantined in quarantine/` : ''}.`);
 
   if (doDeploy) {
     const repoName = `site-${siteSlug}`;
@@ -136,143 +325,284 @@ async function main() {
   console.log('Done.');
 }
 
-async function processBatch({ batch, niche, contentDir, imagesDir, openai, replicate, doImages }) {
-  // Outline -> Content parts -> Write MDX -> Images -> Related links
-  const postMetas = [];
+// Retrying cannot fix an exhausted quota or budget: the run stops, resumable. Anything else is rethrown.
+function stopFor(e) {
+  if (e instanceof QuotaError) return { reason: `API quota exhausted: ${e.message}`, exitCode: 1 };
+  if (e instanceof BudgetExceededError) return { reason: e.message, exitCode: 0 };
+  throw e;
+}
 
-  for (const task of batch) {
-    const title = titleCase(task.keyword);
-    const slug = slugifyString(task.keyword);
-    const date = new Date().toISOString().slice(0, 10);
-    const clusterSlug = slugifyString(task.cluster || 'misc');
-    const postDir = path.join(contentDir, clusterSlug);
-    await ensureDir(postDir);
-
-    // SEO + Outline
-    const seo = await openai.generateSeoData({ niche, keyword: task.keyword });
-    const outline = await openai.generateOutline({ niche, keyword: task.keyword });
-
-    // Content parts with continuity (3 parts ~700+ words each)
-    const part1 = await openai.generateContentPart({ niche, keyword: task.keyword, outline, partIndex: 1, totalParts: 3 });
-    const part2 = await openai.generateContentPart({ niche, keyword: task.keyword, outline, partIndex: 2, totalParts: 3, previousContent: part1 });
-    const prev = `${part1}\n\n${part2}`.slice(0, 6000);
-    const part3 = await openai.generateContentPart({ niche, keyword: task.keyword, outline, partIndex: 3, totalParts: 3, previousContent: prev });
-
-    // Meta description (prefer SEO description)
-    const metaDescription = seo.description || (await openai.generateMetaDescription({ title: seo.title || title, niche, keyword: task.keyword }));
-
-    // Build MDX body and collect image prompts
-    const hero = buildHeroSection({ title: seo.title || title, slug, image: `/images/${slug}/cover.webp`, description: metaDescription });
-    const { mdxBody, imagePrompts } = composeMdxBody({ outline, parts: [part1, part2, part3], keyword: task.keyword, slug });
-
-    const coverImagePath = `/images/${slug}/cover.webp`;
-    const frontmatter = {
-      title: seo.title || title,
-      slug,
-      date,
-      description: metaDescription,
-      keywords: [task.keyword, niche, ...(seo.lsi || [])],
-      image: coverImagePath,
-      cluster: task.cluster
-    };
-
-    const mdxContent = stringifyFrontmatter(frontmatter) + '\n' + hero + '\n' + mdxBody + '\n';
-    const mdxFilePath = path.join(postDir, `${slug}.mdx`);
-    await writeFileSafe(mdxFilePath, mdxContent);
-
-    postMetas.push({ slug, title, cluster: task.cluster, mdxFilePath });
-
-    if (doImages) {
-      const postImagesDir = path.join(imagesDir, slug);
-      await ensureDir(postImagesDir);
-      // Generate cover first
-      try {
-        await replicate.generateAndSaveWebp({
-          prompt: `${title} — ${niche}. Realistic editorial photo, clean composition, natural lighting, high detail.`,
-          outputPath: path.join(postImagesDir, `cover.webp`)
-        });
-      } catch (e) {
-        console.warn(`Cover image failed for ${slug}:`, e.message);
-        await createPlaceholder(path.join(postImagesDir, `cover.webp`));
-      }
-      // Inline images
-      for (let idx = 0; idx < imagePrompts.length; idx++) {
-        const prompt = imagePrompts[idx];
+// Asks for `count` more keywords per cluster (or per cluster named in `only`) and merges them into the plan
+async function addClusterKeywords({ llm, niche, plan, count, only }) {
+  const wanted = String(only || '').split(',').map((c) => slugifyString(c)).filter(Boolean);
+  for (const name of wanted) {
+    if (!plan.some((c) => slugifyString(c.cluster) === name)) console.warn(`Cluster "${name}" is not in the plan; known: ${plan.map((c) => c.cluster).join(', ')}`);
+  }
+  const targets = wanted.length ? plan.filter((c) => wanted.includes(slugifyString(c.cluster))) : plan;
+  const added = [];
+  for (const cluster of targets) {
+    const keywords = await llm.generateClusterKeywords({ niche, cluster: cluster.cluster, existing: cluster.keywords, count });
+    added.push({ cluster: cluster.cluster, keywords });
+    console.log(`New keywords for ${cluster.cluster}: ${keywords.join('; ')}`);
+  }
+  return { plan: mergeClusters(plan, added), added };
+}
+
+async function processBatch({ batch, niche, brand, contentDir, imagesDir, imageWidths, quarantineDir, llm, quality, layout, images, doImages, manifest, postConcurrency = 1 }) {
+  // Posts run in parallel up to `postConcurrency`; LLM and image calls are further
+  // limited by the semaphores inside each client.
+  const postMetas = [];
+  const limit = new Semaphore(postConcurrency);
+  // A quota or budget stop lets in-flight posts finish and leaves queued ones pending
+  let stopError = null;
+  await Promise.all(
+    batch.map((task) =>
+      limit.run(async () => {
+        if (stopError) return;
         try {
-          await replicate.generateAndSaveWebp({ prompt, outputPath: path.join(postImagesDir, `img${idx + 1}.webp`) });
+          const meta = await processPost({ task, niche, brand, contentDir, imagesDir, imageWidths, quarantineDir, llm, quality, layout, images, doImages, manifest });
+          if (meta) postMetas.push(meta);
         } catch (e) {
-          console.warn(`Inline image ${idx + 1} failed for ${slug}:`, e.message);
-          await createPlaceholder(path.join(postImagesDir, `img${idx + 1}.webp`));
+          stopError = stopError || e;
         }
-      }
-    }
-  }
+      })
+    )
+  );
 
   // Add related links within same cluster (simple pass)
   await addRelatedLinks(postMetas);
+  if (stopError) throw stopError;
 }
 
-function titleCase(s) {
-  return s
-    .split(/\s+/)
-    .map((w) => w[0] ? w[0].toUpperCase() + w.slice(1) : w)
-    .join(' ')
-    .replace(/\b([aAiIoOfOfToAndThe])\b/g, (m) => m.toLowerCase());
+async function processPost({ task, niche, brand, contentDir, imagesDir, imageWidths, quarantineDir, llm, quality, layout, images, doImages, manifest }) {
+  // (cover starts) -> Outline -> Content parts -> Write MDX -> (inline images start once the post is accepted) -> wait for images
+  const title = titleCase(task.keyword);
+  const slug = task.slug || slugifyString(task.keyword);
+  const clusterSlug = slugifyString(task.cluster || 'misc');
+  const mdxFilePath = path.join(contentDir, clusterSlug, `${slug}.mdx`);
+  const postImagesDir = path.join(imagesDir, slug);
+  if (doImages) await ensureDir(postImagesDir);
+
+  const imageJobs = [];
+  // Prompts and provenance of the images made in this run, for the post's image sidecar
+  const prompts = {};
+  const sources = {};
+  // A quota or budget stop from an image job, rethrown once the jobs are in
+  let imageStop = null;
+  const waitForImages = async () => {
+    await Promise.all(imageJobs);
+    if (imageStop) throw imageStop;
+  };
+  const queueImage = (file, prompt, label) => {
+    prompts[file] = prompt;
+    if (!doImages) {
+      imageJobs.push(manifest.setImageStatus(task.id, file, 'skipped'));
+      return;
+    }
+    const job = saveImage({ images, manifest, taskId: task.id, slug, file, prompt, label, tags: [task.keyword, task.cluster], outputPath: path.join(postImagesDir, file) });
+    imageJobs.push(
+      job.then(
+        (source) => {
+          if (source) sources[file] = source;
+        },
+        (e) => {
+          imageStop = imageStop || e;
+        }
+      )
+    );
+  };
+  const queueInlineImages = (prompts) => prompts.forEach((prompt, idx) => queueImage(`img${idx + 1}.webp`, prompt, `Inline image ${idx + 1}`));
+  // A stop while the images are described leaves the post incomplete, so a resume describes them
+  const finishPostImages = async () => {
+    try {
+      await finishImages({ mdxFilePath, imagesDir, imageWidths, brand, slug, llm, niche, prompts, sources });
+    } catch (e) {
+      await manifest.updateTask(task.id, { imageMeta: 'pending' });
+      throw e;
+    }
+    if (manifest.getTask(task.id)?.imageMeta === 'pending') await manifest.updateTask(task.id, { imageMeta: 'done' });
+  };
+
+  // The cover only depends on the title, so it renders while the text is being written
+  queueImage('cover.webp', `${title} — ${niche}. Realistic editorial photo, clean composition, natural lighting, high detail.`, 'Cover image');
+
+  // Resumed posts whose MDX is already on disk only need their missing images
+  if (task.status === 'done' && fs.existsSync(mdxFilePath)) {
+    queueInlineImages(task.imagePrompts || []);
+    await waitForImages();
+    await finishPostImages();
+    return null;
+  }
+
+  // Inline image prompts from an earlier attempt belong to a different outline
+  const cover = task.images?.['cover.webp'];
+  await manifest.updateTask(task.id, { images: cover ? { 'cover.webp': cover } : {} });
+
+  const quarantinePath = path.join(quarantineDir, clusterSlug, `${slug}.mdx`);
+  let written;
+  try {
+    written = await writePost({ task, niche, title, slug, mdxFilePath, quarantinePath, llm, quality, layout });
+  } catch (e) {
+    console.warn(`Post failed for ${slug}:`, e.message);
+    await Promise.all(imageJobs);
+    await manifest.updateTask(task.id, { status: 'failed', error: e.message });
+    if (e instanceof QuotaError || e instanceof BudgetExceededError) throw e;
+    await waitForImages();
+    return null;
+  }
+  const { imagePrompts, quality: report } = written;
+  const score = { score: report.score, problems: report.problems };
+  if (!report.passed) {
+    console.warn(`Quarantined ${slug}: quality ${report.score}/100 (${path.relative(root, quarantinePath)})`);
+    await manifest.updateTask(task.id, { status: 'quarantined', error: null, slug, mdxFilePath: null, quarantinePath: path.relative(root, quarantinePath), imagePrompts, quality: score });
+    await waitForImages();
+    return null;
+  }
+  await manifest.updateTask(task.id, {
+    status: 'done',
+    error: null,
+    slug,
+    mdxFilePath: path.relative(root, mdxFilePath),
+    imagePrompts,
+    quality: score
+  });
+  // Inline images only for accepted posts, so failed and quarantined drafts cost none
+  queueInlineImages(imagePrompts);
+  await waitForImages();
+  await finishPostImages();
+  return { slug, title, cluster: task.cluster, mdxFilePath };
 }
 
-function stringifyFrontmatter(obj) {
-  const yaml = Object.entries(obj)
-    .map(([k, v]) => {
-      if (Array.isArray(v)) return `${k}: [${v.map((x) => JSON.stringify(x)).join(', ')}]`;
-      return `${k}: ${JSON.stringify(v)}`;
-    })
-    .join('\n');
-  return `---\n${yaml}\n---`;
+// Once a post's images are in: their alt text, captions and sidecar, their responsive copies
+// and manifest, then the share card, which sits the title on the cover (without a cover the
+// card is plain)
+async function finishImages({ mdxFilePath, imagesDir, imageWidths, brand, slug, llm, niche, prompts, sources }) {
+  // A quota or budget stop skips only the alt text; the other steps cost nothing, so they still
+  // run before the stop is rethrown
+  let stop = null;
+  try {
+    await describeImages({ llm, mdxFilePath, imagesDir, niche, prompts, sources });
+  } catch (e) {
+    if (e instanceof QuotaError || e instanceof BudgetExceededError) stop = e;
+    else console.warn(`Image metadata failed for ${slug}:`, e.message);
+  }
+  try {
+    await buildResponsiveImages({ dir: path.join(imagesDir, slug), widths: imageWidths });
+  } catch (e) {
+    console.warn(`Responsive images failed for ${slug}:`, e.message);
+  }
+  try {
+    await writePostCard({ mdxFilePath, imagesDir, brand });
+  } catch (e) {
+    console.warn(`Share card failed for ${slug}:`, e.message);
+  }
+  if (stop) throw stop;
 }
 
-function composeMdxBody({ outline, parts, keyword, slug }) {
-  // The outline contains headings and suggested image placements e.g. { h2: [...], h3: {...}, imagesAfterH2: [2,4] }
-  const imagePrompts = [];
-  let md = '';
-  if (Array.isArray(outline?.sections)) {
-    outline.sections.forEach((sec, idx) => {
-      md += `\n\n## ${sec.title}\n\n`;
-      if (Array.isArray(sec.points)) {
-        md += sec.points.map((p) => `- ${p}`).join('\n') + '\n\n';
-      }
-      // Suggested image after some sections
-      if (sec.suggestImage === true) {
-        const p = sec.imagePrompt || `${sec.title} — detailed, editorial style illustrative image, coherent with article tone.`;
-        const alt = sec.alt || sec.title;
-        imagePrompts.push(p);
-        const imgIndex = imagePrompts.length;
-        md += `\n![${alt}](/images/${slug}/img${imgIndex}.webp)\n\n`;
-      }
-    });
+// One call per outline section, each seeing the sections written before it
+async function writeSections({ niche, keyword, outline, slug, llm, feedback }) {
+  const sections = [];
+  for (let sectionIndex = 0; sectionIndex < outline.sections.length; sectionIndex++) {
+    const previousContent = sections.map((text, idx) => `## ${outline.sections[idx].title}\n\n${text}`).join('\n\n');
+    const text = await llm.generateSection({ niche, keyword, outline, sectionIndex, previousContent, slug, feedback });
+    sections.push(stripLeadingHeading(text, outline.sections[sectionIndex].title));
   }
+  return sections;
+}
 
-  // Append parts (generated prose) and interleave images using last section context
-  for (let i = 0; i < parts.length; i++) {
-    md += `\n\n${parts[i]}\n\n`;
-    if (i < parts.length - 1) {
-      // Use the last section title as context for the inter-part image if available
-      let lastTitle = '';
-      if (Array.isArray(outline?.sections) && outline.sections.length > 0) {
-        lastTitle = outline.sections[Math.min(i, outline.sections.length - 1)]?.title || '';
-      }
-      const prompt = lastTitle
-        ? `${lastTitle} — contextual editorial illustration, consistent style`
-        : `Illustration related to ${keyword} — contextual editorial style`;
-      imagePrompts.push(prompt);
-      const imgIndex = imagePrompts.length;
-      md += `\n![${lastTitle || `Illustration for ${keyword}`}](/images/${slug}/img${imgIndex}.webp)\n\n`;
-    }
+// Legacy layout: three parts ~700+ words each, each continuing from the previous ones
+async function writeParts({ niche, keyword, outline, slug, llm, feedback }) {
+  const part1 = await llm.generateContentPart({ niche, keyword, outline, partIndex: 1, totalParts: 3, slug, feedback });
+  const part2 = await llm.generateContentPart({ niche, keyword, outline, partIndex: 2, totalParts: 3, previousContent: part1, slug, feedback });
+  const prev = `${part1}\n\n${part2}`.slice(0, 6000);
+  const part3 = await llm.generateContentPart({ niche, keyword, outline, partIndex: 3, totalParts: 3, previousContent: prev, slug, feedback });
+  return [part1, part2, part3];
+}
+
+// Resolves to where the image came from, or null when an earlier attempt already made it. Other
+// failures get a placeholder; a quota or budget stop is rethrown so the run stops.
+async function saveImage({ images, manifest, taskId, slug, file, prompt, label, tags, outputPath }) {
+  const current = manifest.getTask(taskId)?.images?.[file];
+  if (current === 'done' && fs.existsSync(outputPath)) return null;
+  try {
+    const source = await images.generateAndSaveWebp({ prompt, outputPath, slug, role: file === 'cover.webp' ? 'cover' : 'inline', tags });
+    await manifest.setImageStatus(taskId, file, 'done');
+    return source;
+  } catch (e) {
+    if (e instanceof QuotaError || e instanceof BudgetExceededError) throw e;
+    console.warn(`${label} failed for ${slug}:`, e.message);
+    await createPlaceholder(outputPath);
+    await manifest.setImageStatus(taskId, file, 'failed');
+    return { provider: null, model: null, seed: null, license: null, credit: null, placeholder: true };
   }
-  return { mdxBody: md.trim(), imagePrompts };
 }
 
-function buildHeroSection({ title, slug, image, description }) {
-  return `\n<section style=\"margin:1rem 0 2rem; padding:1rem; border-radius:12px; background:#0b1020; border:1px solid #1f2937; display:flex; gap:16px; align-items:center;\">\n  <img src=\"${image}\" alt=\"${title}\" style=\"width:160px; height:160px; object-fit:cover; border-radius:12px; border:1px solid #374151;\"/>\n  <div>\n    <h1 style=\"margin:0 0 .5rem\">${title}</h1>\n    <p style=\"margin:0; color:#9ca3af\">${description || ''}</p>\n  </div>\n</section>\n`;
+async function writePost({ task, niche, title, slug, mdxFilePath, quarantinePath, llm, quality, layout }) {
+  const date = new Date().toISOString().slice(0, 10);
+  await ensureDir(path.dirname(mdxFilePath));
+
+  // SEO + Outline + FAQ
+  const [seo, outline, faq] = await Promise.all([
+    llm.generateSeoData({ niche, keyword: task.keyword, slug }),
+    llm.generateOutline({ niche, keyword: task.keyword, slug }),
+    llm.generateFaq({ niche, keyword: task.keyword, slug })
+  ]);
+
+  // Content (per outline section, or three parts in the legacy layout), regenerated with the gate's findings until they pass or attempts run out;
+  // SEO data and outline are kept
+  let parts;
+  let composed;
+  let report;
+  let feedback = [];
+  for (let attempt = 1; attempt <= quality.options.attempts; attempt++) {
+    if (layout === 'legacy') {
+      parts = await writeParts({ niche, keyword: task.keyword, outline, slug, llm, feedback });
+      composed = composeMdxBody({ outline, parts, keyword: task.keyword, slug });
+    } else {
+      const sections = await writeSections({ niche, keyword: task.keyword, outline, slug, llm, feedback });
+      composed = composeSectionBody({ outline, sections, keyword: task.keyword, slug });
+      parts = sections.map((text, idx) => `## ${outline.sections[idx].title}\n\n${text}`);
+    }
+    report = quality.check({ parts, body: composed.mdxBody, keyword: task.keyword, slug });
+    if (report.passed) break;
+    feedback = report.problems;
+    console.warn(`Quality ${report.score}/100 for ${slug} (attempt ${attempt}): ${feedback.join('; ')}`);
+  }
+  const { mdxBody, imagePrompts } = composed;
+
+  // Meta description (prefer SEO description)
+  const metaDescription = seo.description || (await llm.generateMetaDescription({ title: seo.title || title, niche, keyword: task.keyword, slug }));
+
+  const hero = buildHeroSection({ title: seo.title || title, slug, image: `/images/${slug}/cover.webp`, description: metaDescription });
+
+  const coverImagePath = `/images/${slug}/cover.webp`;
+  const frontmatter = {
+    title: seo.title || title,
+    slug,
+    date,
+    description: metaDescription,
+    keywords: [task.keyword, niche, ...(seo.lsi || [])],
+    image: coverImagePath,
+    ogImage: `/images/${slug}/${POST_CARD_FILE}`,
+    cluster: task.cluster
+  };
+  if (faq.length) frontmatter.faq = faq;
+
+  const mdxContent = stringifyFrontmatter(frontmatter) + '\n' + hero + '\n' + mdxBody + '\n';
+  if (!report.passed) {
+    // Otherwise a resume would replay the same drafts and quarantine the post again
+    await llm.forgetDrafts(slug);
+    // Kept out of content/ so it is never built; moving the file there publishes it as is
+    await writeFileSafe(quarantinePath, mdxContent);
+    await writeFileSafe(quarantinePath.replace(/\.mdx$/, '.quality.json'), JSON.stringify({ keyword: task.keyword, ...report }, null, 2));
+    return { imagePrompts, quality: report };
+  }
+  await writeFileSafe(mdxFilePath, mdxContent);
+  // A quarantined draft from an earlier attempt of this run is superseded
+  await fsp.rm(quarantinePath, { force: true });
+  await fsp.rm(quarantinePath.replace(/\.mdx$/, '.quality.json'), { force: true });
+  quality.accept(slug, mdxBody);
+  return { imagePrompts, quality: report };
 }
 
 async function createPlaceholder(outputPath) {
@@ -299,21 +629,24 @@ async function addRelatedLinks(postMetas) {
   }
   for (const [cluster, list] of byCluster) {
     for (const meta of list) {
-      const others = list.filter((m) => m.slug !== meta.slug);
-      const picks = shuffle(others).slice(0, 3);
+      const others = list.filter((m) => m.slug !== meta.slug).sort((a, b) => a.slug.localeCompare(b.slug));
+      const picks = shuffle(others, meta.slug).slice(0, 3);
       if (picks.length === 0) continue;
       const links = picks.map((p) => `- [${p.title}](/${p.slug}/)`).join('\n');
-      const block = `\n\n---\n\n### Related in ${cluster}\n\n${links}\n`;
-      const original = await fsp.readFile(meta.mdxFilePath, 'utf8');
-      await fsp.writeFile(meta.mdxFilePath, original + block, 'utf8');
+      const block = markedBlock('RELATED', `---\n\n### Related in ${cluster}\n\n${links}`);
+      // A rerun replaces the block in place, also upgrading one written without markers
+      const original = stripLegacyRelated(await fsp.readFile(meta.mdxFilePath, 'utf8'));
+      await fsp.writeFile(meta.mdxFilePath, replaceBlock(original, 'RELATED', block, beforeBlocks('END', 'NAV')), 'utf8');
     }
   }
 }
 
-function shuffle(arr) {
+// Seeded by the post, so reruns (and mock runs) pick the same related posts
+function shuffle(arr, seed) {
+  const random = seededRandom(seed);
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -323,7 +656,7 @@ async function writeStaticPages({ brand, staticPages }) {
   const pagesDir = path.join(root, 'src', 'pages');
   await ensureDir(pagesDir);
 
-  const heroBlock = `<section style=\"margin:1rem 0 1.5rem;padding:1.25rem;border:1px solid #1f2937;border-radius:12px;background:#0b1020\">\n  <h1 style=\"margin:0 0 .5rem\">${staticPages.hero.title}</h1>\n  <p style=\"margin:0 0 .75rem;color:#9ca3af\">${staticPages.hero.subtitle}</p>\n  <a href=\"/site/\" style=\"display:inline-block;background:linear-gradient(90deg,#6366f1,#06b6d4);padding:.6rem 1rem;border-radius:10px;color:#fff;text-decoration:none;font-weight:700;\">${staticPages.hero.ctaText}</a>\n</section>`;
+  const heroBlock = `<section style=\"margin:1rem 0 1.5rem;padding:1.25rem;border:1px solid #1f2937;border-radius:12px;background:#0b1020\">\n  <h1 style=\"margin:0 0 .5rem\">${staticPages.hero.title}</h1>\n  <p style=\"margin:0 0 .75rem;color:#9ca3af\">${staticPages.hero.subtitle}</p>\n  <a href={withBase('/')} style=\"display:inline-block;background:linear-gradient(90deg,#6366f1,#06b6d4);padding:.6rem 1rem;border-radius:10px;color:#fff;text-decoration:none;font-weight:700;\">${staticPages.hero.ctaText}</a>\n</section>`;
 
   // Overwrite About/Contact/Privacy/Terms using generated copy
   await writeFileSafe(path.join(pagesDir, 'about.astro'), `---\nimport Base from '../layouts/Base.astro';\nimport Header from '../components/Header.astro';\nimport Footer from '../components/Footer.astro';\n---\n<Base title="About">\n  <Fragment slot=\"header\"><Header /></Fragment>\n  ${staticPages.about}\n  <Fragment slot=\"footer\"><Footer /></Fragment>\n</Base>\n`);
@@ -349,21 +682,6 @@ async function writeBrandConfig({ brand }) {
   await writeFileSafe(path.join(dataDir, 'brand.json'), JSON.stringify(brand, null, 2));
 }
 
-async function generateBrandAssets({ brand }) {
-  const publicDir = path.join(root, 'public');
-  await ensureDir(publicDir);
-  const logoPath = path.join(publicDir, 'logo.png');
-  const favPath = path.join(publicDir, 'favicon.ico');
-  try {
-    await sharp({ create: { width: 512, height: 512, channels: 3, background: { r: 30, g: 41, b: 59 } } })
-      .png()
-      .toFile(logoPath);
-    await sharp({ create: { width: 64, height: 64, channels: 3, background: { r: 30, g: 41, b: 59 } } })
-      .png()
-      .toFile(favPath);
-  } catch {}
-}
-
 main().catch((err) => {
   console.error(err);
   process.exit(1);
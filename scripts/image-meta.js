@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { parseArgs, getEnvNumber } from './lib/cli.js';
+import { loadLlmConfig, createLlmFromConfig } from './lib/llmProviders.js';
+import { UsageTracker, loadPrices } from './lib/usageTracker.js';
+import { ResponseCache } from './lib/responseCache.js';
+import { QuotaError, BudgetExceededError } from './lib/errors.js';
+import { loadSitePlan } from './lib/sitePlan.js';
+import { describeImages } from './lib/imageMeta.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+const contentDir = path.join(root, 'content');
+const imagesDir = path.join(root, 'public', 'images');
+const reportsDir = path.join(root, 'reports');
+
+// Writes alt text, captions and public/images/<slug>/meta.json for posts whose images have none,
+// e.g. posts made before image metadata existed. --force describes every image again.
+// Usage: node scripts/image-meta.js [--slugs a,b] [--niche "<Niche>"] [--force] [--mock] [--llm-config file] [--budget USD] [--no-cache]
+async function main() {
+  const args = parseArgs(process.argv);
+  const slugs = args['slugs'] && args['slugs'] !== 'true' ? String(args['slugs']).split(',').map((s) => s.trim()).filter(Boolean) : [];
+  const force = String(args['force'] || '').toLowerCase() === 'true';
+  const llmConfigPath = args['llm-config'] || process.env.LLM_CONFIG;
+  const hasLlm = !!(llmConfigPath || process.env.LLM_PROVIDER || process.env.LLM_BASE_URL || process.env.OPENAI_API_KEY || process.env.GPT_KEY);
+  const mock = String(args['mock'] || '').toLowerCase() === 'true' || !hasLlm;
+  const useCache = String(args['no-cache'] || '').toLowerCase() !== 'true';
+  // An explicit --niche wins over the one stored with the site plan
+  const niche = (args['niche'] && args['niche'] !== 'true' ? String(args['niche']) : '') || (await loadSitePlan(contentDir))?.niche || '';
+
+  const usage = new UsageTracker({ prices: await loadPrices(args['prices'] || process.env.PRICES_FILE), budgetUsd: parseFloat(args['budget'] || process.env.RUN_BUDGET_USD || '') });
+  const cache = useCache && !mock
+    ? new ResponseCache({
+        dir: process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : path.join(root, '.cache', 'responses'),
+        ttlMs: getEnvNumber('CACHE_TTL_HOURS', 24 * 7) * 3600 * 1000,
+        maxBytes: getEnvNumber('CACHE_MAX_MB', 500) * 1024 * 1024
+      })
+    : null;
+  const llmConfig = mock ? { providers: { mock: { provider: 'mock' } } } : await loadLlmConfig({ configPath: llmConfigPath });
+  const llm = createLlmFromConfig(llmConfig, {
+    timeoutMs: getEnvNumber('LLM_TIMEOUT_MS', getEnvNumber('OPENAI_TIMEOUT_MS', 120000)),
+    retry: { retries: getEnvNumber('API_MAX_RETRIES', 4) },
+    usage,
+    cache
+  });
+
+  const files = (await fg(['**/*.mdx'], { cwd: contentDir })).sort();
+  let described = 0;
+  let failed = 0;
+  for (const file of files) {
+    // By the frontmatter slug, which a post's file name need not match
+    if (slugs.length && !slugs.includes(String(matter(await fsp.readFile(path.join(contentDir, file), 'utf8')).data.slug))) continue;
+    try {
+      const meta = await describeImages({ llm, mdxFilePath: path.join(contentDir, file), imagesDir, niche, force });
+      if (!meta) continue;
+      described++;
+      console.log(`${file}: ${Object.keys(meta.images).length} image(s)`);
+    } catch (e) {
+      if (e instanceof QuotaError || e instanceof BudgetExceededError) {
+        console.error(`Stopped: ${e.message}`);
+        process.exitCode = 1;
+        break;
+      }
+      failed++;
+      console.warn(`${file}: ${e.message}`);
+    }
+  }
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  await usage.writeReport(reportsDir, `cost-image-meta-${stamp}`);
+  if (cache) await cache.prune();
+  console.log(`Image metadata for ${described} post(s)${mock ? ' (mock)' : ''} for $${usage.totalCostUsd.toFixed(4)}.`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
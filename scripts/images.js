@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { buildResponsiveImages, parseWidths } from './lib/responsiveImages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+
+// Builds the responsive copies and images.json of every post in public/images/, e.g. for posts
+// made before they existed, after replacing an image by hand or changing IMAGE_WIDTHS. Copies
+// newer than their source are kept unless --force is given.
+async function main() {
+  const force = process.argv.includes('--force');
+  const widths = parseWidths(process.env.IMAGE_WIDTHS);
+  const imagesDir = path.join(root, 'public', 'images');
+  const dirs = (await fg(['*'], { cwd: imagesDir, onlyDirectories: true })).sort();
+  let images = 0;
+  for (const dir of dirs) {
+    const manifest = await buildResponsiveImages({ dir: path.join(imagesDir, dir), widths, force });
+    const count = Object.keys(manifest || {}).length;
+    images += count;
+    console.log(`${dir}: ${count} image(s)`);
+  }
+  console.log(`Responsive images for ${images} image(s) in ${dirs.length} post(s), widths ${widths.join(', ')}.`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+import { LlmClient } from './llmClient.js';
+import { fetchWithTimeout, responseError } from './retry.js';
+
+// Anthropic Messages API (or any server that speaks it)
+export class AnthropicClient extends LlmClient {
+  constructor({ apiKey, baseUrl = 'https://api.anthropic.com', model, apiVersion = '2023-06-01', provider = 'anthropic', ...options }) {
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY is required');
+    super({ provider, model, ...options });
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiVersion = apiVersion;
+  }
+
+  async _request({ prompt, maxTokens, json }) {
+    const messages = [{ role: 'user', content: prompt }];
+    // No JSON mode here: prefilling the answer with "{" keeps the model from adding prose
+    if (json) messages.push({ role: 'assistant', content: '{' });
+    const res = await fetchWithTimeout(
+      `${this.baseUrl}/v1/messages`,
+      {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': this.apiVersion
+        },
+        body: JSON.stringify({
+          model: this.model,
+          max_tokens: Math.min(maxTokens, 4096),
+          temperature: 0.7,
+          messages
+        })
+      },
+      { timeoutMs: this.timeoutMs, provider: this.provider }
+    );
+    if (!res.ok) throw await responseError(res, this.provider);
+    const data = await res.json();
+    const text = (data.content || [])
+      .filter((c) => c.type === 'text')
+      .map((c) => c.text)
+      .join('');
+    return {
+      text: json ? `{${text}` : text,
+      usage: { promptTokens: data.usage?.input_tokens || 0, completionTokens: data.usage?.output_tokens || 0 }
+    };
+  }
+}
@@ -0,0 +1,60 @@
+// The site can be served below a path prefix (Astro `base`, from env BASE_PATH), e.g. behind
+// the preview mount of scripts/ui.js. Generated content keeps root-relative URLs (`/slug/`,
+// `/images/slug/img1.webp`); pages and the build prefix them with the base path.
+
+// '/', or the prefix with one leading and one trailing slash: 'site' -> '/site/'
+export function normalizeBasePath(base) {
+  const trimmed = String(base || '').trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}/` : '/';
+}
+
+// Root-relative paths get the base path; URLs with a scheme, protocol-relative URLs, anchors
+// and relative paths are returned as is
+export function withBase(url, base = '/') {
+  const prefix = normalizeBasePath(base);
+  const s = String(url ?? '');
+  if (!s.startsWith('/') || s.startsWith('//') || prefix === '/') return s;
+  return prefix + s.slice(1);
+}
+
+// The path of a URL below the base path, or null when it lies outside it
+export function stripBase(pathname, base = '/') {
+  const prefix = normalizeBasePath(base);
+  if (prefix === '/') return pathname;
+  if (pathname === prefix.slice(0, -1)) return '/';
+  return pathname.startsWith(prefix) ? pathname.slice(prefix.length - 1) : null;
+}
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+// Rehype plugin for MDX: prefixes root-relative links and image sources in post bodies, in
+// markdown and in inline JSX/HTML alike
+export function rehypeBasePath({ base = '/' } = {}) {
+  const rewriteSrcset = (value) =>
+    String(value)
+      .split(',')
+      .map((candidate) => candidate.trim().replace(/^\S+/, (url) => withBase(url, base)))
+      .join(', ');
+  const visit = (node) => {
+    if (node.type === 'element' && node.properties) {
+      for (const name of URL_ATTRIBUTES) {
+        if (typeof node.properties[name] === 'string') node.properties[name] = withBase(node.properties[name], base);
+      }
+      if (node.properties.srcSet) {
+        const srcSet = Array.isArray(node.properties.srcSet) ? node.properties.srcSet.join(', ') : node.properties.srcSet;
+        node.properties.srcSet = rewriteSrcset(srcSet);
+      }
+    }
+    if ((node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') && Array.isArray(node.attributes)) {
+      for (const attr of node.attributes) {
+        if (attr.type !== 'mdxJsxAttribute' || typeof attr.value !== 'string') continue;
+        if (URL_ATTRIBUTES.includes(attr.name)) attr.value = withBase(attr.value, base);
+        else if (attr.name === 'srcset' || attr.name === 'srcSet') attr.value = rewriteSrcset(attr.value);
+      }
+    }
+    for (const child of node.children || []) visit(child);
+  };
+  return (tree) => {
+    if (normalizeBasePath(base) !== '/') visit(tree);
+  };
+}
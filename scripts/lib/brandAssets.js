@@ -0,0 +1,254 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import matter from 'gray-matter';
+import { seededRandom } from './random.js';
+import { ensureDir, writeFileSafe } from './fileUtils.js';
+
+// Logo, favicon set, PWA icons, web manifest, default social card and per-post share cards for a
+// brand from generateBrand. Everything is drawn as SVG and rasterized with sharp, so no image API
+// or rendering service is used.
+
+const FONT = 'Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+const FAVICON_SIZES = [16, 32, 48];
+
+// Files written to public/, relative to it
+export const BRAND_FILES = {
+  logoSvg: 'logo.svg',
+  logoPng: 'logo.png',
+  faviconSvg: 'favicon.svg',
+  faviconIco: 'favicon.ico',
+  appleTouchIcon: 'apple-touch-icon.png',
+  icon192: 'icon-192.png',
+  icon512: 'icon-512.png',
+  maskableIcon: 'icon-maskable-512.png',
+  manifest: 'site.webmanifest',
+  socialCard: 'og-default.png'
+};
+
+// Colors seeded by the brand name, so a brand keeps its palette across runs. `primary` fills the
+// mark, `accent` is for links and highlights on the dark site background.
+export function brandPalette(brand) {
+  const random = seededRandom('palette', brand.name);
+  const hue = Math.floor(random() * 360);
+  const accentHue = (hue + 30 + Math.floor(random() * 150)) % 360;
+  return {
+    primary: hslToHex(hue, 65, 45),
+    accent: hslToHex(accentHue, 75, 62),
+    background: hslToHex(hue, 45, 9),
+    surface: hslToHex(hue, 40, 14),
+    text: '#f8fafc',
+    muted: '#94a3b8'
+  };
+}
+
+// Up to two initials: "Green Thumb Hub" -> "GT", "Gardenly" -> "G"
+export function monogram(name) {
+  const words = String(name).match(/[\p{L}\p{N}]+/gu) || ['?'];
+  return words
+    .slice(0, 2)
+    .map((w) => w[0].toUpperCase())
+    .join('');
+}
+
+function hslToHex(h, s, l) {
+  const a = (s / 100) * Math.min(l / 100, 1 - l / 100);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const c = l / 100 - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+const escapeXml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+
+// Square monogram mark. `bleed` fills the whole square (apple-touch and maskable icons, which
+// platforms crop themselves) and keeps the letters inside the central safe zone.
+export function markSvg(brand, palette, { size = 512, bleed = false } = {}) {
+  const letters = monogram(brand.name);
+  const radius = bleed ? 0 : Math.round(size * 0.22);
+  const fontSize = Math.round(size * (bleed ? 0.36 : 0.46) * (letters.length > 1 ? 0.85 : 1));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${palette.primary}"/><stop offset="1" stop-color="${palette.accent}"/></linearGradient></defs>
+  <rect width="${size}" height="${size}" rx="${radius}" fill="url(#g)"/>
+  <text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="${FONT}" font-size="${fontSize}" font-weight="700" fill="${palette.text}">${escapeXml(letters)}</text>
+</svg>
+`;
+}
+
+// The mark placed inside a larger SVG; as a nested <svg> its percentages stay its own
+const nested = (svg, x, y) => svg.trim().replace('<svg xmlns="http://www.w3.org/2000/svg" ', `<svg x="${x}" y="${y}" `);
+
+// Wordmark: the mark followed by the brand name, for the site header
+export function logoSvg(brand, palette, { height = 64 } = {}) {
+  const fontSize = Math.round(height * 0.45);
+  const textX = height + Math.round(height * 0.25);
+  // Rough advance width of a bold sans-serif letter; the SVG only needs to be wide enough
+  const width = textX + Math.ceil(String(brand.name).length * fontSize * 0.62) + 4;
+  const mark = nested(markSvg(brand, palette, { size: height }), 0, 0);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${mark}
+  <text x="${textX}" y="50%" dy=".35em" font-family="${FONT}" font-size="${fontSize}" font-weight="700" fill="${palette.text}">${escapeXml(brand.name)}</text>
+</svg>
+`;
+}
+
+// 1200x630 card shown when a page without its own image is shared
+export function socialCardSvg(brand, palette) {
+  const lines = wrap(brand.tagline || '', 38).slice(0, 2);
+  const tagline = lines.map((line, i) => `<text x="96" y="${400 + i * 56}" font-family="${FONT}" font-size="40" fill="${palette.muted}">${escapeXml(line)}</text>`).join('\n  ');
+  const mark = nested(markSvg(brand, palette, { size: 120 }), 96, 120);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <rect width="1200" height="630" fill="${palette.background}"/>
+  <rect y="600" width="1200" height="30" fill="${palette.accent}"/>
+  ${mark}
+  <text x="96" y="330" font-family="${FONT}" font-size="${brand.name.length > 22 ? 60 : 76}" font-weight="700" fill="${palette.text}">${escapeXml(brand.name)}</text>
+  ${tagline}
+</svg>
+`;
+}
+
+// Share card of one post, next to its other images
+export const POST_CARD_FILE = 'og.jpg';
+
+// Text layer of a post's 1200x630 card: cluster, title (up to three lines) and the brand over a
+// shade that keeps the left of the cover readable. The cover itself is composited underneath.
+export function postCardSvg({ title, cluster, brand, palette }) {
+  let lines = wrap(title, 24);
+  if (lines.length > 3) lines = [...lines.slice(0, 2), `${lines[2].replace(/[\s,.:;-]+$/, '')}…`];
+  const titleSize = lines.some((l) => l.length > 20) ? 60 : 68;
+  const titleText = lines
+    .map((line, i) => `<text x="72" y="${230 + i * Math.round(titleSize * 1.15)}" font-family="${FONT}" font-size="${titleSize}" font-weight="700" fill="${palette.text}">${escapeXml(line)}</text>`)
+    .join('\n  ');
+  const label = String(cluster || '').toUpperCase();
+  const pill = label
+    ? `<rect x="72" y="96" width="${Math.ceil(label.length * 18) + 40}" height="48" rx="24" fill="${palette.accent}"/>
+  <text x="92" y="128" font-family="${FONT}" font-size="24" font-weight="700" letter-spacing="1" fill="${palette.background}">${escapeXml(label)}</text>`
+    : '';
+  const mark = nested(markSvg(brand, palette, { size: 56 }), 72, 506);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <defs><linearGradient id="shade" x1="0" y1="0" x2="1" y2="0"><stop offset="0" stop-color="${palette.background}" stop-opacity=".94"/><stop offset=".55" stop-color="${palette.background}" stop-opacity=".8"/><stop offset="1" stop-color="${palette.background}" stop-opacity=".15"/></linearGradient></defs>
+  <rect width="1200" height="630" fill="url(#shade)"/>
+  <rect y="618" width="1200" height="12" fill="${palette.accent}"/>
+  ${pill}
+  ${titleText}
+  ${mark}
+  <text x="144" y="544" font-family="${FONT}" font-size="30" font-weight="700" fill="${palette.text}">${escapeXml(brand.name)}</text>
+</svg>
+`;
+}
+
+// Renders a post's card to `outputPath` (JPEG). A missing cover leaves the brand background.
+export async function renderPostCard({ coverPath, outputPath, title, cluster, brand }) {
+  const palette = { ...brandPalette(brand), ...(brand.palette || {}) };
+  const base = coverPath && fs.existsSync(coverPath)
+    ? sharp(coverPath).resize(1200, 630, { fit: 'cover' })
+    : sharp({ create: { width: 1200, height: 630, channels: 3, background: palette.surface } });
+  const overlay = Buffer.from(postCardSvg({ title, cluster, brand, palette }));
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+  await base.composite([{ input: overlay }]).jpeg({ quality: 82, mozjpeg: true }).toFile(outputPath);
+}
+
+// Card of the post in `mdxFilePath`, drawn from its frontmatter and `<imagesDir>/<slug>/cover.webp`.
+// Posts written before cards existed get `ogImage` added to their frontmatter.
+export async function writePostCard({ mdxFilePath, imagesDir, brand }) {
+  const raw = await fsp.readFile(mdxFilePath, 'utf8');
+  const { data, content } = matter(raw);
+  if (!data.slug) throw new Error('no slug in frontmatter');
+  const slug = String(data.slug);
+  const postDir = path.join(imagesDir, slug);
+  await renderPostCard({
+    coverPath: path.join(postDir, 'cover.webp'),
+    outputPath: path.join(postDir, POST_CARD_FILE),
+    title: String(data.title || slug),
+    cluster: data.cluster ? String(data.cluster) : '',
+    brand
+  });
+  const url = `/images/${slug}/${POST_CARD_FILE}`;
+  if (!data.ogImage) await fsp.writeFile(mdxFilePath, matter.stringify(content, { ...data, ogImage: url }), 'utf8');
+  return url;
+}
+
+function wrap(text, width) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else line = line ? `${line} ${word}` : word;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// ICO container holding PNG images (supported by every current browser), largest last
+export function buildIco(images) {
+  const header = Buffer.alloc(6 + images.length * 16);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+  let offset = header.length;
+  images.forEach(({ size, data }, i) => {
+    const entry = 6 + i * 16;
+    // 0 stands for 256
+    header.writeUInt8(size >= 256 ? 0 : size, entry);
+    header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+    header.writeUInt8(0, entry + 2);
+    header.writeUInt8(0, entry + 3);
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...images.map((img) => img.data)]);
+}
+
+// Icon paths are relative to the manifest, so it works under any base path
+export function webManifest(brand, palette) {
+  return {
+    name: brand.name,
+    short_name: brand.name.length > 12 ? monogram(brand.name) : brand.name,
+    description: brand.tagline || '',
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: palette.background,
+    theme_color: palette.primary,
+    icons: [
+      { src: BRAND_FILES.icon192, sizes: '192x192', type: 'image/png' },
+      { src: BRAND_FILES.icon512, sizes: '512x512', type: 'image/png' },
+      { src: BRAND_FILES.maskableIcon, sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+    ]
+  };
+}
+
+// Rendered at twice the SVG's density and scaled down, for smooth edges
+const png = (svg, width, height = width) => sharp(Buffer.from(svg), { density: 144 }).resize(width, height).png().toBuffer();
+
+// Writes every file of BRAND_FILES to `publicDir` and returns the palette used. A palette
+// already on the brand (e.g. edited in public/brand.json) wins over the derived one.
+export async function generateBrandAssets({ brand, publicDir }) {
+  await ensureDir(publicDir);
+  const palette = { ...brandPalette(brand), ...(brand.palette || {}) };
+  const mark = markSvg(brand, palette);
+  const bleed = markSvg(brand, palette, { bleed: true });
+  const logo = logoSvg(brand, palette);
+  const out = (name) => path.join(publicDir, BRAND_FILES[name]);
+
+  await writeFileSafe(out('logoSvg'), logo);
+  await writeFileSafe(out('faviconSvg'), mark);
+  await sharp(Buffer.from(logo), { density: 288 }).png().toFile(out('logoPng'));
+  const icons = await Promise.all(FAVICON_SIZES.map(async (size) => ({ size, data: await png(mark, size) })));
+  await writeFileSafe(out('faviconIco'), buildIco(icons));
+  await writeFileSafe(out('appleTouchIcon'), await png(bleed, 180));
+  await writeFileSafe(out('icon192'), await png(mark, 192));
+  await writeFileSafe(out('icon512'), await png(mark, 512));
+  await writeFileSafe(out('maskableIcon'), await png(bleed, 512));
+  await writeFileSafe(out('socialCard'), await png(socialCardSvg(brand, palette), 1200, 630));
+  await writeFileSafe(out('manifest'), JSON.stringify(webManifest(brand, palette), null, 2));
+  return palette;
+}
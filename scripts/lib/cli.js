@@ -0,0 +1,23 @@
+// Shared command-line helpers for the scripts in scripts/
+
+// `--key value`, `--key=value` and bare `--flag` (= 'true'); everything else goes to `_`
+export function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const token = argv[i];
+    if (token.startsWith('--')) {
+      const [key, val] = token.replace(/^--/, '').split('=');
+      const next = val !== undefined ? val : (argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true');
+      args[key] = next;
+    } else {
+      args._.push(token);
+    }
+  }
+  return args;
+}
+
+export function getEnvNumber(name, fallback) {
+  const raw = process.env[name];
+  const parsed = raw ? parseInt(raw, 10) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
@@ -0,0 +1,56 @@
+// Line-based unified diff for review reports. Posts are a few hundred lines, so a plain
+// LCS table is fast enough and keeps this dependency-free.
+
+export function diffLines(a, b) {
+  const A = String(a).split('\n');
+  const B = String(b).split('\n');
+  const lcs = Array.from({ length: A.length + 1 }, () => new Uint32Array(B.length + 1));
+  for (let i = A.length - 1; i >= 0; i--) {
+    for (let j = B.length - 1; j >= 0; j--) {
+      lcs[i][j] = A[i] === B[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < A.length && j < B.length) {
+    if (A[i] === B[j]) ops.push({ op: ' ', line: A[i++], a: i, b: ++j });
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ op: '-', line: A[i++], a: i, b: j });
+    else ops.push({ op: '+', line: B[j++], a: i, b: j });
+  }
+  while (i < A.length) ops.push({ op: '-', line: A[i++], a: i, b: j });
+  while (j < B.length) ops.push({ op: '+', line: B[j++], a: i, b: j });
+  return ops;
+}
+
+// `--- from` / `+++ to` followed by @@ hunks with `context` unchanged lines around each change
+export function unifiedDiff(a, b, { from = 'a', to = 'b', context = 3 } = {}) {
+  const ops = diffLines(a, b);
+  const changed = ops.map((o, idx) => (o.op === ' ' ? -1 : idx)).filter((idx) => idx !== -1);
+  if (changed.length === 0) return '';
+  const hunks = [];
+  for (const idx of changed) {
+    const start = Math.max(0, idx - context);
+    const end = Math.min(ops.length, idx + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  }
+  const out = [`--- ${from}`, `+++ ${to}`];
+  for (const { start, end } of hunks) {
+    const lines = ops.slice(start, end);
+    const aCount = lines.filter((o) => o.op !== '+').length;
+    const bCount = lines.filter((o) => o.op !== '-').length;
+    // 1-based first line of the hunk on each side
+    const aStart = lines[0].op === '+' ? lines[0].a + 1 : lines[0].a;
+    const bStart = lines[0].op === '-' ? lines[0].b + 1 : lines[0].b;
+    out.push(`@@ -${aCount ? aStart : aStart - 1},${aCount} +${bCount ? bStart : bStart - 1},${bCount} @@`);
+    for (const o of lines) out.push(`${o.op}${o.line}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+export function diffStats(a, b) {
+  const ops = diffLines(a, b);
+  return { added: ops.filter((o) => o.op === '+').length, removed: ops.filter((o) => o.op === '-').length };
+}
@@ -0,0 +1,66 @@
+// Typed errors shared by the API clients. `retryable` tells `withRetry` whether
+// another attempt can help; callers use the classes to tell failures apart.
+
+export class ApiError extends Error {
+  constructor(message, { status, provider, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.status = status;
+    this.provider = provider;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 429 or similar throttling: retried after `Retry-After` when the server sends one
+export class RateLimitError extends ApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, retryable: true });
+    this.name = 'RateLimitError';
+  }
+}
+
+// Out of credits or billing disabled: retrying will not help, the run should stop
+export class QuotaError extends ApiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, retryable: false });
+    this.name = 'QuotaError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message, opts = {}) {
+    super(message, { retryable: true, ...opts });
+    this.name = 'TimeoutError';
+  }
+}
+
+// The model answered, but not with parseable JSON
+export class JsonParseError extends Error {
+  constructor(message, { text = '' } = {}) {
+    super(message);
+    this.name = 'JsonParseError';
+    this.text = text;
+  }
+}
+
+// Parseable JSON that doesn't match the expected schema, even after repair and re-asking
+export class SchemaError extends JsonParseError {
+  constructor(message, { text = '', errors = [] } = {}) {
+    super(message, { text });
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+// The run's --budget cap was reached; the run stops and can be resumed with a higher cap
+export class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+export function isRetryable(err) {
+  return !!err?.retryable;
+}
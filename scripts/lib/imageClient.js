@@ -0,0 +1,89 @@
+import sharp from 'sharp';
+import { Semaphore } from './semaphore.js';
+import { withRetry, fetchWithTimeout, responseError } from './retry.js';
+import { ResponseCache } from './responseCache.js';
+
+// Where an image goes in a post; providers can be chosen per role (see imageProviders.js)
+export const IMAGE_ROLES = ['cover', 'inline'];
+
+const WEBP_QUALITY = 82;
+
+// Every image provider saves a WebP for a prompt. Providers implement `_generate`, which resolves
+// to `{ buffer, seconds }` in any format sharp reads, plus `seed`, `license` and `credit` when it
+// knows them; caching, concurrency, budget checks, usage records and the WebP encoding live here.
+// A provider whose image is billed before it is downloaded calls `recordCost({ seconds })` once
+// that point is reached, so a failed download or poll still counts; it records at most once.
+export class ImageClient {
+  constructor({ provider = 'image', model, concurrency = 2, timeoutMs = 60000, retry = {}, usage = null, cache = null, paid = true, license = null } = {}) {
+    this.provider = provider;
+    this.model = model;
+    // Terms the provider's images are published under, e.g. the model's license; recorded per image
+    this.license = license;
+    this.timeoutMs = timeoutMs;
+    this.retry = retry;
+    // Image calls get their own limit so they can run alongside text generation
+    this.semaphore = new Semaphore(concurrency);
+    this.usage = usage;
+    this.cache = cache;
+    // Local providers cost nothing, so they are neither budgeted nor recorded
+    this.paid = paid;
+  }
+
+  // `role` and `tags` (keyword, cluster) are hints; only some providers use them. Resolves to where
+  // the image came from: { provider, model, seed, license, credit }, null where unknown.
+  async generateAndSaveWebp({ prompt, outputPath, slug, role = 'inline', tags = [] }) {
+    const cacheKey = this.cache && this._cacheKey({ prompt, role });
+    if (cacheKey && (await this.cache.copyFileTo(cacheKey, '.webp', outputPath))) {
+      return (await this.cache.getJson(cacheKey)) || this._source({});
+    }
+    return this.semaphore.run(async () => {
+      if (this.paid) this.usage?.checkBudget();
+      let recorded = false;
+      const recordCost = ({ seconds = 0 } = {}) => {
+        if (recorded || !this.paid) return;
+        recorded = true;
+        this.usage?.recordImage({ provider: this.provider, model: this.model, method: 'generateAndSaveWebp', slug, seconds });
+      };
+      const { buffer, seconds = 0, ...details } = await this._generate({ prompt, slug, role, tags, recordCost });
+      recordCost({ seconds });
+      await sharp(buffer).webp({ quality: WEBP_QUALITY }).toFile(outputPath);
+      const source = this._source(details);
+      if (cacheKey) {
+        await this.cache.storeFile(cacheKey, '.webp', outputPath);
+        await this.cache.setJson(cacheKey, source);
+      }
+      return source;
+    });
+  }
+
+  // Anything else `_generate` reports (e.g. the stock library's `file`) is kept too
+  _source({ seed = null, license = null, credit = null, ...extra }) {
+    return { provider: this.provider, model: this.model, seed, license: license || this.license, credit, ...extra };
+  }
+
+  // Null when the output is not a pure function of the request
+  _cacheKey({ prompt }) {
+    return ResponseCache.key({ provider: this.provider, model: this.model, prompt, format: 'webp', quality: WEBP_QUALITY });
+  }
+
+  async _generate() {
+    throw new Error(`${this.constructor.name} does not implement _generate`);
+  }
+
+  // HTTP call with the shared retry policy (429 / 5xx / timeouts); JSON unless `as` says otherwise.
+  // `retryIf` narrows the policy (see `onlyRateLimits`).
+  async _fetch(url, init = {}, { as = 'json', retryIf } = {}) {
+    return withRetry(
+      async () => {
+        const res = await fetchWithTimeout(url, init, { timeoutMs: this.timeoutMs, provider: this.provider });
+        if (!res.ok) throw await responseError(res, this.provider);
+        return as === 'buffer' ? Buffer.from(await res.arrayBuffer()) : res.json();
+      },
+      {
+        ...this.retry,
+        ...(retryIf ? { retryIf } : {}),
+        onRetry: (err, { attempt, delay }) => console.warn(`${this.provider} ${err.name} (${err.message}); retry ${attempt} in ${delay}ms`)
+      }
+    );
+  }
+}
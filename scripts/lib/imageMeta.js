@@ -0,0 +1,208 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { readJsonIfExists, writeFileSafe } from './fileUtils.js';
+
+// Alt text, captions and provenance of a post's images. public/images/<slug>/meta.json keeps,
+// per image file, what it was made from (prompt, provider, model, seed, license, credit) and the
+// alt text and caption the LLM wrote for it. The alt text also goes into the MDX; captions and
+// credits are rendered from the sidecar as <figure>/<figcaption> (see rehypeImageCaptions).
+
+export const IMAGE_META_FILE = 'meta.json';
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export async function readImageMeta(dir) {
+  const meta = await readJsonIfExists(path.join(dir, IMAGE_META_FILE));
+  return { images: {}, ...meta };
+}
+
+// Alt text and captions are written into markdown and JSX attributes, where brackets, braces,
+// angle brackets and double quotes would end them early
+export function cleanImageText(text) {
+  return String(text || '')
+    .replace(/[[\]{}<>]/g, '')
+    .replace(/"/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Readable text of a markdown block: links, emphasis and tags dropped
+function plainText(block) {
+  return block
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`>#]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The paragraphs just before and after `index`, without headings, images and generated blocks
+function surroundingText(body, index, { before = 2, after = 1 } = {}) {
+  const blocks = (text) => text.split(/\n\s*\n/).map((b) => b.trim()).filter((b) => b && !/^(#|!\[|<|\{\/\*|import )/.test(b));
+  const prev = blocks(body.slice(0, index)).slice(-before);
+  const next = blocks(body.slice(index).replace(/^[^\n]*\n/, '')).slice(0, after);
+  return [...prev, ...next].map(plainText).join(' ');
+}
+
+// Images of `slug` in a post body, in order: markdown images and <img> tags (the hero), each with
+// its alt text, the H2 it sits under and the text around it
+export function findPostImages(body, slug) {
+  const prefix = `/images/${slug}/`;
+  const found = [];
+  const markdown = new RegExp(`!\\[([^\\]]*)\\]\\(${escapeRe(prefix)}([^)\\s]+)\\)`, 'g');
+  for (const m of body.matchAll(markdown)) found.push({ file: m[2], alt: m[1], index: m.index, tag: 'markdown' });
+  for (const m of body.matchAll(/<img\b[^>]*>/g)) {
+    const src = m[0].match(/\bsrc="([^"]*)"/)?.[1] || '';
+    if (!src.startsWith(prefix)) continue;
+    found.push({ file: src.slice(prefix.length), alt: m[0].match(/\balt="([^"]*)"/)?.[1] || '', index: m.index, tag: 'html' });
+  }
+  found.sort((a, b) => a.index - b.index);
+  return found.map((img) => {
+    const headings = [...body.slice(0, img.index).matchAll(/^##\s+(.+)$/gm)];
+    return { ...img, heading: headings.at(-1)?.[1].trim() || '', context: surroundingText(body, img.index) };
+  });
+}
+
+// `raw` with the alt text of each image in `alts` (file -> alt) replaced
+export function setImageAlts(raw, slug, alts) {
+  const prefix = escapeRe(`/images/${slug}/`);
+  let out = raw;
+  for (const [file, alt] of Object.entries(alts)) {
+    const src = `${prefix}${escapeRe(file)}`;
+    out = out.replace(new RegExp(`!\\[[^\\]]*\\]\\((${src})\\)`, 'g'), (_, url) => `![${alt}](${url})`);
+    out = out.replace(new RegExp(`<img\\b[^>]*\\bsrc="${src}"[^>]*>`, 'g'), (tag) => tag.replace(/\balt="[^"]*"/, () => `alt="${alt}"`));
+  }
+  return out;
+}
+
+// What the LLM is told about where the image came from; posts from before the sidecar only have
+// their alt text
+function sourceLine(entry, img) {
+  if (entry.provider === 'stock') return `is a licensed stock photo filed as "${entry.file || 'unknown'}", picked for: "${entry.prompt || img.alt}"`;
+  if (!entry.prompt) return `has the placeholder alt text "${img.alt}"`;
+  return `was generated from the prompt: "${entry.prompt}"`;
+}
+
+// The image-metadata step of one post. Each image gets its prompt and `sources` entry (what
+// generateAndSaveWebp resolved to, or { placeholder: true }) recorded in the sidecar, and alt text
+// and a caption from the LLM. Images already described keep their entry unless they were made
+// again in this run (they have a `sources` entry) or `force` is set. Placeholders get an empty
+// alt, so screen readers skip them. Resolves to the sidecar, or null without an image directory.
+export async function describeImages({ llm, mdxFilePath, imagesDir, niche, prompts = {}, sources = {}, force = false }) {
+  const raw = await fsp.readFile(mdxFilePath, 'utf8');
+  const { data, content } = matter(raw);
+  if (!data.slug) throw new Error('no slug in frontmatter');
+  const slug = String(data.slug);
+  const dir = path.join(imagesDir, slug);
+  if (!fs.existsSync(dir)) return null;
+  const previous = (await readImageMeta(dir)).images;
+  const keyword = Array.isArray(data.keywords) ? data.keywords[0] : data.title;
+  const images = {};
+  const alts = {};
+  // After a failed call the rest are not asked for, but every entry and its source is still
+  // written; the missing alt text is asked for on the next run
+  let failure = null;
+  for (const img of findPostImages(content, slug)) {
+    if (images[img.file]) continue;
+    const before = previous[img.file] || {};
+    // A new image starts a new entry; otherwise the recorded one is kept and completed
+    const made = sources[img.file];
+    const entry = { ...(made ? {} : before), role: img.file === 'cover.webp' ? 'cover' : 'inline', prompt: prompts[img.file] ?? before.prompt ?? null, ...made };
+    if (entry.placeholder) {
+      Object.assign(entry, { alt: '', caption: '' });
+    } else if (!failure && (force || entry.alt === undefined)) {
+      try {
+        const text = await llm.generateImageMeta({
+          niche,
+          keyword,
+          title: data.title,
+          role: entry.role,
+          heading: img.heading,
+          context: entry.role === 'cover' ? data.description || '' : img.context,
+          source: sourceLine(entry, img),
+          slug
+        });
+        entry.alt = cleanImageText(text.alt) || cleanImageText(img.alt);
+        entry.caption = cleanImageText(text.caption);
+      } catch (e) {
+        failure = e;
+      }
+    }
+    images[img.file] = entry;
+    if (entry.alt !== undefined && entry.alt !== img.alt) alts[img.file] = entry.alt;
+  }
+  const meta = { slug, images };
+  await writeFileSafe(path.join(dir, IMAGE_META_FILE), JSON.stringify(meta, null, 2));
+  if (Object.keys(alts).length) await fsp.writeFile(mdxFilePath, setImageAlts(raw, slug, alts), 'utf8');
+  if (failure) throw failure;
+  return meta;
+}
+
+// Sidecar entry of a root-relative URL like /images/<slug>/img1.webp, or null
+export function imageMeta(src, { publicDir = path.resolve('public') } = {}) {
+  const m = String(src || '').match(/^\/images\/([^/]+)\/([^/?#]+)$/);
+  if (!m) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(publicDir, 'images', m[1], IMAGE_META_FILE), 'utf8')).images?.[m[2]] || null;
+  } catch {
+    return null;
+  }
+}
+
+// "Photo: Jane Doe (CC BY 4.0)" for images that need attribution
+export function creditLine(entry) {
+  if (!entry?.credit) return '';
+  return `Photo: ${entry.credit}${entry.license ? ` (${entry.license})` : ''}`;
+}
+
+const FIGURE_STYLE = 'margin:1.5rem 0;';
+const CAPTION_STYLE = 'margin-top:.5rem;color:#9ca3af;font-size:.9rem;';
+
+// Rehype plugin for MDX: a markdown image alone in its paragraph whose sidecar entry has a caption
+// or a credit becomes a <figure> with a <figcaption>. The hero's cover only gets its credit, since
+// the title and description sit next to it. Runs before rehypeResponsiveImages, which turns the
+// <img> inside the figure into a <picture>.
+export function rehypeImageCaptions({ publicDir } = {}) {
+  return (tree) => {
+    const visit = (node) => {
+      const children = node.children || [];
+      for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        if (child.type === 'element' && child.tagName === 'p') {
+          const content = child.children.filter((c) => !(c.type === 'text' && !c.value.trim()));
+          const img = content.length === 1 && content[0].type === 'element' && content[0].tagName === 'img' ? content[0] : null;
+          const entry = img && imageMeta(img.properties?.src, { publicDir });
+          const text = [entry?.caption, creditLine(entry)].filter(Boolean).join(' ');
+          if (text) children[i] = hastFigure(img, text);
+        } else if ((child.type === 'mdxJsxFlowElement' || child.type === 'mdxJsxTextElement') && child.name === 'img') {
+          const src = child.attributes.find((a) => a.type === 'mdxJsxAttribute' && a.name === 'src')?.value;
+          const credit = typeof src === 'string' ? creditLine(imageMeta(src, { publicDir })) : '';
+          if (credit) children[i] = jsxFigure(child, credit);
+        } else visit(child);
+      }
+    };
+    visit(tree);
+  };
+}
+
+function hastFigure(img, text) {
+  return {
+    type: 'element',
+    tagName: 'figure',
+    properties: { style: FIGURE_STYLE },
+    children: [img, { type: 'element', tagName: 'figcaption', properties: { style: CAPTION_STYLE }, children: [{ type: 'text', value: text }] }]
+  };
+}
+
+function jsxFigure(img, text) {
+  const style = (value) => [{ type: 'mdxJsxAttribute', name: 'style', value }];
+  return {
+    type: img.type,
+    name: 'figure',
+    attributes: style('margin:0;flex:none;'),
+    children: [img, { type: img.type, name: 'figcaption', attributes: style('margin-top:.25rem;color:#9ca3af;font-size:.75rem;max-width:160px;'), children: [{ type: 'text', value: text }] }]
+  };
+}
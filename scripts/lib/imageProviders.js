@@ -0,0 +1,131 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { IMAGE_ROLES } from './imageClient.js';
+import { ReplicateClient } from './replicateClient.js';
+import { OpenAIImagesClient } from './openaiImagesClient.js';
+import { SdWebUiClient, ComfyUiClient } from './localImageClients.js';
+import { StockLibraryClient } from './stockLibrary.js';
+import { MockImageClient } from './mockClients.js';
+import { QuotaError, BudgetExceededError } from './errors.js';
+
+export const IMAGE_PROVIDERS = {
+  replicate: (cfg) => new ReplicateClient({ ...cfg, apiToken: cfg.apiKey }),
+  openai: (cfg) => new OpenAIImagesClient(cfg),
+  'sd-webui': (cfg) => new SdWebUiClient(cfg),
+  comfyui: (cfg) => new ComfyUiClient(cfg),
+  stock: (cfg) => new StockLibraryClient(cfg),
+  mock: (cfg) => new MockImageClient(cfg)
+};
+
+export function createImageClient({ provider = 'replicate', apiKeyEnv, ...cfg }, shared = {}) {
+  const factory = IMAGE_PROVIDERS[provider];
+  if (!factory) throw new Error(`Unknown image provider "${provider}" (expected one of: ${Object.keys(IMAGE_PROVIDERS).join(', ')})`);
+  const apiKey = cfg.apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : undefined) || defaultApiKey(provider);
+  // Unset values keep the shared and provider defaults
+  const set = Object.fromEntries(Object.entries(cfg).filter(([, value]) => value !== undefined));
+  return factory({ ...shared, ...set, apiKey });
+}
+
+// Sends each image to the provider named for its role in `routes`, else to the default one. When
+// that fails and a `fallback` provider is named, it gets a second try before the caller gives up.
+export class RoutedImageClient {
+  constructor({ clients, defaultName, routes = {}, fallbackName = null }) {
+    this.clients = clients;
+    this.defaultName = defaultName;
+    this.routes = routes;
+    this.fallbackName = fallbackName;
+  }
+
+  clientFor(role) {
+    return this.clients[this.routes[role] || this.defaultName];
+  }
+
+  async generateAndSaveWebp(request) {
+    const name = this.routes[request.role] || this.defaultName;
+    try {
+      return await this.clients[name].generateAndSaveWebp(request);
+    } catch (e) {
+      // An exhausted quota or budget stops the run rather than moving to another provider
+      if (!this.fallbackName || this.fallbackName === name || e instanceof QuotaError || e instanceof BudgetExceededError) throw e;
+      console.warn(`Image provider "${name}" failed for ${request.slug} (${e.message}); trying "${this.fallbackName}"`);
+      return this.clients[this.fallbackName].generateAndSaveWebp(request);
+    }
+  }
+}
+
+// { default, providers: { name: { provider, model, baseUrl, apiKey|apiKeyEnv, ... } }, routes: { cover|inline: name }, fallback: name }
+export function createImagesFromConfig(config, shared = {}) {
+  const names = Object.keys(config.providers || {});
+  if (names.length === 0) throw new Error('Image config defines no providers');
+  const defaultName = config.default || names[0];
+  if (!config.providers[defaultName]) throw new Error(`Image config default "${defaultName}" is not a defined provider`);
+  const routes = config.routes || {};
+  for (const [role, name] of Object.entries(routes)) {
+    if (!IMAGE_ROLES.includes(role)) throw new Error(`Image config routes unknown role "${role}" (expected one of: ${IMAGE_ROLES.join(', ')})`);
+    if (!config.providers[name]) throw new Error(`Image config routes ${role} to undefined provider "${name}"`);
+  }
+  if (config.fallback && !config.providers[config.fallback]) throw new Error(`Image config fallback "${config.fallback}" is not a defined provider`);
+  const clients = {};
+  for (const name of names) clients[name] = createImageClient(config.providers[name], shared);
+  if (names.length === 1) return clients[defaultName];
+  return new RoutedImageClient({ clients, defaultName, routes, fallbackName: config.fallback || null });
+}
+
+// From a JSON file when given, otherwise from IMAGE_* env values (Replicate by default, as before).
+// IMAGE_COVER_PROVIDER / IMAGE_INLINE_PROVIDER (with their own _MODEL, _BASE_URL, _API_KEY) send
+// that role to another provider, and IMAGE_FALLBACK_PROVIDER names the one tried when a call fails.
+export async function loadImageConfig({ configPath, env = process.env } = {}) {
+  if (configPath) {
+    const raw = await fsp.readFile(path.resolve(configPath), 'utf8');
+    return JSON.parse(raw);
+  }
+  const fromEnv = (provider, prefix) => {
+    const cfg = { provider, model: env[`${prefix}_MODEL`], baseUrl: env[`${prefix}_BASE_URL`], apiKey: env[`${prefix}_API_KEY`] };
+    if (provider === 'replicate') {
+      cfg.model = cfg.model || env.REPLICATE_MODEL;
+      cfg.timeoutMs = Number(env.REPLICATE_TIMEOUT_MS) || undefined;
+      cfg.maxPollMs = Number(env.REPLICATE_MAX_POLL_MS) || undefined;
+    }
+    if (provider === 'stock') cfg.dir = env.STOCK_IMAGES_DIR;
+    return cfg;
+  };
+  const config = { default: 'main', providers: { main: fromEnv(env.IMAGE_PROVIDER || 'replicate', 'IMAGE') }, routes: {} };
+  for (const role of IMAGE_ROLES) {
+    const prefix = `IMAGE_${role.toUpperCase()}`;
+    if (!env[`${prefix}_PROVIDER`]) continue;
+    config.providers[role] = fromEnv(env[`${prefix}_PROVIDER`], prefix);
+    config.routes[role] = role;
+  }
+  if (env.IMAGE_FALLBACK_PROVIDER) {
+    config.providers.fallback = fromEnv(env.IMAGE_FALLBACK_PROVIDER, 'IMAGE_FALLBACK');
+    config.fallback = 'fallback';
+  }
+  return config;
+}
+
+const PROVIDER_NAMES = { replicate: 'Replicate', openai: 'OpenAI', 'sd-webui': 'Stable Diffusion', comfyui: 'ComfyUI' };
+
+// A plain account of where a config's images come from, for the About page's "how we source images"
+export function describeImageSourcing(config) {
+  const origin = ({ provider = 'replicate', model }) => {
+    if (provider === 'stock') return 'licensed stock photos from our own library';
+    if (provider === 'mock') return 'illustrations generated for each article';
+    return `AI images generated with ${model || PROVIDER_NAMES[provider] || provider}${model && PROVIDER_NAMES[provider] ? ` (${PROVIDER_NAMES[provider]})` : ''}`;
+  };
+  const providers = config.providers || {};
+  const defaultName = config.default || Object.keys(providers)[0];
+  const routes = config.routes || {};
+  const originOf = (role) => origin(providers[routes[role] || defaultName]);
+  const sentences = [
+    originOf('cover') === originOf('inline') ? `We use ${originOf('cover')} for all images.` : `We use ${originOf('cover')} for cover images and ${originOf('inline')} for in-article images.`
+  ];
+  if (config.fallback && providers[config.fallback]) sentences.push(`When an image cannot be made that way, we use ${origin(providers[config.fallback])}.`);
+  sentences.push('For every image we keep the prompt, model, seed and license, and write alt text that describes what it shows.');
+  return sentences.join(' ');
+}
+
+function defaultApiKey(provider) {
+  if (provider === 'replicate') return process.env.REPLICATE_API_TOKEN || process.env.REPLICATE_API_KEY;
+  if (provider === 'openai') return process.env.OPENAI_API_KEY || process.env.GPT_KEY;
+  return undefined;
+}
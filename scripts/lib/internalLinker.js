@@ -3,8 +3,24 @@ import path from 'node:path';
 import fg from 'fast-glob';
 import matter from 'gray-matter';
 
-export async function applyInternalLinks({ contentDir }) {
-  const mdxPaths = await fg(['**/*.mdx'], { cwd: contentDir, dot: false, absolute: true });
+// In-text links are marked so a rerun can take them out again and recompute them
+const INLINE_MARK = '{/* AUTOLINK-INLINE */}';
+const INLINE_RE = /\[([^\]]+)\]\(\/[^)\s]*\)\{\/\* AUTOLINK-INLINE \*\/\}/g;
+// Spans of a line no link goes into: links, images, inline code, tags, JSX expressions, bare URLs
+const PROTECTED_INLINE_RE = /!?\[[^\]]*\]\([^)]*\)|`[^`]*`|<[^>]*>|\{[^}]*\}|https?:\/\/\S+/g;
+
+export const INLINE_LINK_DEFAULTS = {
+  // In-text links added to one post, at most one per paragraph
+  maxPerPost: 3,
+  // Relevance (see similarity) a post of another cluster needs before it is linked from the text
+  crossClusterMinScore: 0.2
+};
+
+// Rewrites the link blocks and in-text links of every post; resolves to the files it changed as
+// { path, before, after }
+export async function applyInternalLinks({ contentDir, inline = {} }) {
+  const inlineOptions = { ...INLINE_LINK_DEFAULTS, ...inline };
+  const mdxPaths = (await fg(['**/*.mdx'], { cwd: contentDir, dot: false, absolute: true })).sort();
   const posts = [];
   for (const p of mdxPaths) {
     const raw = await fsp.readFile(p, 'utf8');
@@ -17,7 +33,8 @@ export async function applyInternalLinks({ contentDir }) {
       cluster: String(data.cluster || 'Uncategorized'),
       keywords: Array.isArray(data.keywords) ? data.keywords.map(String) : [],
       content,
-      data
+      data,
+      raw
     });
   }
 
@@ -27,35 +44,56 @@ export async function applyInternalLinks({ contentDir }) {
     list.push(post);
     byCluster.set(post.cluster, list);
   }
+  const phrases = anchorPhrases(posts);
+  // How often each anchor text already links to each post, so repeats of one phrase are avoided
+  const anchorUse = new Map();
+  const changed = [];
 
   for (const post of posts) {
-    const clusterPosts = (byCluster.get(post.cluster) || []).filter((p) => p.slug !== post.slug);
-    if (clusterPosts.length === 0) continue;
+    // In-text links from earlier runs are removed first, so old posts also link to posts added since
+    let updated = stripInlineLinks(stripLegacyMarked(post.content));
 
-    // Compute similarity based on keyword overlap then title token overlap
-    const ranked = clusterPosts
-      .map((p) => ({ p, score: similarity(post, p) }))
-      .sort((a, b) => b.score - a.score)
-      .map((x) => x.p);
+    const targets = posts
+      .filter((p) => p.slug !== post.slug)
+      .map((p) => ({ post: p, score: similarity(post, p) }))
+      .filter(({ post: p, score }) => p.cluster === post.cluster || score >= inlineOptions.crossClusterMinScore)
+      .sort((a, b) => b.score - a.score || a.post.slug.localeCompare(b.post.slug))
+      .map(({ post: p }) => ({ slug: p.slug, phrases: phrases.get(p.slug) || [] }));
+    updated = insertInlineLinks(updated, targets, { maxLinks: inlineOptions.maxPerPost, ownPhrases: post.keywords, anchorUse });
 
-    const early = ranked.slice(0, 2);
-    const end = ranked.slice(2, 5);
+    // Blocks are rebuilt in place; a post left alone in its cluster loses them
+    const clusterPosts = (byCluster.get(post.cluster) || []).filter((p) => p.slug !== post.slug);
+    let earlyBlock = '';
+    let endBlock = '';
+    let navBlock = '';
+    if (clusterPosts.length > 0) {
+      // Compute similarity based on keyword overlap then title token overlap
+      const ranked = clusterPosts
+        .map((p) => ({ p, score: similarity(post, p) }))
+        .sort((a, b) => b.score - a.score)
+        .map((x) => x.p);
+
+      const early = ranked.slice(0, 2);
+      const end = ranked.slice(2, 5);
 
-    // Previous/Next by slug alphabetically (stable)
-    const sorted = [...clusterPosts, post].sort((a, b) => a.slug.localeCompare(b.slug));
-    const idx = sorted.findIndex((x) => x.slug === post.slug);
-    const prev = idx > 0 ? sorted[idx - 1] : null;
-    const next = idx < sorted.length - 1 ? sorted[idx + 1] : null;
+      // Previous/Next by slug alphabetically (stable)
+      const sorted = [...clusterPosts, post].sort((a, b) => a.slug.localeCompare(b.slug));
+      const idx = sorted.findIndex((x) => x.slug === post.slug);
+      const prev = idx > 0 ? sorted[idx - 1] : null;
+      const next = idx < sorted.length - 1 ? sorted[idx + 1] : null;
 
-    // Prepare blocks
-    const earlyBlock = blockWithLinks('You might also like', early);
-    const endBlock = blockWithLinks(`More in ${post.cluster}`, end.length ? end : ranked.slice(0, 3));
-    const navBlock = prevNextBlock(prev, next);
+      earlyBlock = blockWithLinks('EARLY', 'You might also like', early);
+      endBlock = blockWithLinks('END', `More in ${post.cluster}`, end.length ? end : ranked.slice(0, 3));
+      navBlock = prevNextBlock(prev, next);
+    }
+    updated = insertBlocks(updated, earlyBlock, endBlock, navBlock);
 
-    const updated = insertBlocks(post.content, earlyBlock, endBlock, navBlock);
+    if (updated === post.content) continue;
     const fileText = matter.stringify(updated, post.data);
     await fsp.writeFile(post.path, fileText, 'utf8');
+    changed.push({ path: post.path, before: post.raw, after: fileText });
   }
+  return changed;
 }
 
 function similarity(a, b) {
@@ -80,10 +118,10 @@ function tokenize(s) {
     .filter(Boolean);
 }
 
-function blockWithLinks(title, items) {
+function blockWithLinks(name, title, items) {
   if (!items || items.length === 0) return '';
   const links = items.map((p) => `- [${p.title}](/${p.slug}/)`).join('\n');
-  return `\n\n<!-- AUTOLINK-EARLY START -->\n\n### ${title}\n\n${links}\n\n<!-- AUTOLINK-EARLY END -->\n`;
+  return markedBlock(name, `### ${title}\n\n${links}`);
 }
 
 function prevNextBlock(prev, next) {
@@ -91,30 +129,209 @@ function prevNextBlock(prev, next) {
   if (prev) parts.push(`[← ${prev.title}](/${prev.slug}/)`);
   if (next) parts.push(`[${next.title} →](/${next.slug}/)`);
   if (parts.length === 0) return '';
-  return `\n\n<!-- AUTOLINK-NAV START -->\n\n---\n\n${parts.join(' | ')}\n\n<!-- AUTOLINK-NAV END -->\n`;
+  return markedBlock('NAV', `---\n\n${parts.join(' | ')}`);
 }
 
-function insertBlocks(content, earlyBlock, endBlock, navBlock) {
-  let out = content;
-  // Early block after 2nd H2
-  if (earlyBlock) {
-    const idx = nthIndexOf(out, '\n## ', 2);
-    if (idx !== -1 && !out.includes('<!-- AUTOLINK-EARLY START -->')) {
-      const insertAt = out.indexOf('\n', idx + 1);
-      out = out.slice(0, insertAt) + earlyBlock + out.slice(insertAt);
-    }
+// A generated block between `{/* AUTOLINK-<NAME> START */}` and `... END */}` comments, so later
+// runs can find it again. Blocks: EARLY (after the 2nd H2), END and RELATED (end of the post), NAV (last).
+export function markedBlock(name, inner) {
+  return `\n\n{/* AUTOLINK-${name} START */}\n\n${inner}\n\n{/* AUTOLINK-${name} END */}\n`;
+}
+
+const blockRe = (name) => new RegExp(`\\n\\n\\{/\\* AUTOLINK-${name} START \\*/\\}[\\s\\S]*?\\{/\\* AUTOLINK-${name} END \\*/\\}\\n`, 'g');
+// "Related in" blocks of older runs, appended without markers
+const LEGACY_RELATED_RE = /\n\n---\n\n### Related in [^\n]*\n\n(?:- \[[^\]\n]*\]\(\/[^)\n]*\)\n)+/g;
+// Blocks of older runs marked with HTML comments, `<!-- AUTOLINK-<NAME> START -->`
+const LEGACY_MARKED_RE = /\n\n<!-- AUTOLINK-([A-Z]+) START -->[\s\S]*?<!-- AUTOLINK-\1 END -->\n/g;
+
+// Removes every marked block, old HTML-comment markers included, restoring the text they were inserted into
+export function stripAutolinks(content) {
+  return stripLegacyMarked(content).replace(/\n\n\{\/\* AUTOLINK-([A-Z]+) START \*\/\}[\s\S]*?\{\/\* AUTOLINK-\1 END \*\/\}\n/g, '');
+}
+
+// Blocks with the old markers are dropped rather than replaced in place: the END block was also
+// marked EARLY then, so their names cannot be trusted
+export function stripLegacyMarked(content) {
+  return content.replace(LEGACY_MARKED_RE, '');
+}
+
+export function stripLegacyRelated(content) {
+  return stripLegacyMarked(content).replace(LEGACY_RELATED_RE, '');
+}
+
+// Removes all generated links: marked blocks, unmarked "Related in" blocks and in-text links
+export function stripGeneratedLinks(content) {
+  return stripInlineLinks(stripLegacyRelated(stripAutolinks(content)));
+}
+
+// Puts `block` where the block called `name` already is, or else where `insert` puts it.
+// An empty `block` removes the old one; copies beyond the first are dropped.
+export function replaceBlock(content, name, block, insert = (text, b) => text + b) {
+  let found = false;
+  const out = content.replace(blockRe(name), () => {
+    if (found) return '';
+    found = true;
+    return '\u0000';
+  });
+  if (found) return out.replace('\u0000', () => block);
+  return block ? insert(out, block) : out;
+}
+
+// Early block after the 2nd H2, then the end block and the prev/next nav. Blocks that are
+// already there are replaced in place; the nav is appended last so it stays at the very end.
+export function insertBlocks(content, earlyBlock, endBlock, navBlock) {
+  let out = replaceBlock(content, 'EARLY', earlyBlock, (text, block) => {
+    const idx = nthIndexOf(text, '\n## ', 2);
+    if (idx === -1) return text;
+    const insertAt = text.indexOf('\n', idx + 1);
+    return text.slice(0, insertAt) + block + text.slice(insertAt);
+  });
+  out = replaceBlock(out, 'END', endBlock, beforeBlocks('NAV'));
+  return replaceBlock(out, 'NAV', navBlock);
+}
+
+// Insert function for replaceBlock: before the first of the named blocks, else at the end
+export function beforeBlocks(...names) {
+  return (text, block) => {
+    const found = names.map((name) => text.search(blockRe(name))).filter((i) => i !== -1);
+    if (found.length === 0) return text + block;
+    const at = Math.min(...found);
+    return text.slice(0, at) + block + text.slice(at);
+  };
+}
+
+// Anchor texts per post: its keywords (target keyword first, then LSI terms) of two words or
+// more that no other post also has, so every phrase points at exactly one post
+function anchorPhrases(posts) {
+  const owners = new Map();
+  for (const post of posts) {
+    for (const phrase of new Set(post.keywords.map(normalizeToken))) owners.set(phrase, (owners.get(phrase) || 0) + 1);
   }
-  // End related block (before any existing nav block)
-  if (endBlock && !out.includes('<!-- AUTOLINK-EARLY START -->')) {
-    out += endBlock;
+  const out = new Map();
+  for (const post of posts) {
+    const seen = new Set();
+    const list = [];
+    for (const keyword of post.keywords) {
+      const phrase = normalizeToken(keyword);
+      if (seen.has(phrase) || phrase.split(' ').length < 2 || owners.get(phrase) > 1) continue;
+      seen.add(phrase);
+      list.push(phrase);
+    }
+    out.set(post.slug, list);
   }
-  // Prev/Next nav at very end
-  if (navBlock && !out.includes('<!-- AUTOLINK-NAV START -->')) {
-    out += navBlock;
+  return out;
+}
+
+// Removes the links added by insertInlineLinks, keeping their anchor text
+export function stripInlineLinks(content) {
+  return content.replace(INLINE_RE, '$1');
+}
+
+// Turns the first mention of each target's phrases in paragraph text into a link, most relevant
+// target first, up to `maxLinks` and one per paragraph. Headings, code, HTML/JSX blocks and
+// existing links are left alone, as are mentions of the post's own keywords (`ownPhrases`).
+// Targets already linked from the text are skipped. Among the phrases a target is mentioned by,
+// the one used least often as its anchor so far (counted in `anchorUse`) wins.
+export function insertInlineLinks(content, targets, { maxLinks = INLINE_LINK_DEFAULTS.maxPerPost, ownPhrases = [], anchorUse = new Map() } = {}) {
+  const lines = content.split('\n');
+  const eligible = paragraphLines(lines);
+  // Links in generated blocks do not count: the text itself may still link there
+  const linked = new Set([...stripAutolinks(content).matchAll(/\]\(\/([^/)#?\s]+)\/?[^)]*\)/g)].map((m) => m[1]));
+  const own = ownPhrases.map(normalizeToken).filter(Boolean).map(phraseRegex);
+  let added = 0;
+
+  for (const target of targets) {
+    if (added >= maxLinks) break;
+    if (linked.has(target.slug)) continue;
+    const uses = anchorUse.get(target.slug) || new Map();
+    let best = null;
+    for (const phrase of target.phrases) {
+      const match = firstMention(lines, eligible, phrase, own);
+      if (!match) continue;
+      const count = uses.get(phrase) || 0;
+      if (!best || count < best.count || (count === best.count && match.line * 1e6 + match.index < best.line * 1e6 + best.index)) {
+        best = { ...match, phrase, count };
+      }
+    }
+    if (!best) continue;
+    const line = lines[best.line];
+    const text = line.slice(best.index, best.index + best.length);
+    lines[best.line] = `${line.slice(0, best.index)}[${text}](/${target.slug}/)${INLINE_MARK}${line.slice(best.index + best.length)}`;
+    eligible.delete(best.line);
+    linked.add(target.slug);
+    uses.set(best.phrase, best.count + 1);
+    anchorUse.set(target.slug, uses);
+    added++;
   }
+  return lines.join('\n');
+}
+
+// Indexes of lines holding paragraph or list text: not headings, tables, quotes, images,
+// fenced or indented code, generated link blocks, or lines of a multi-line HTML/JSX element
+function paragraphLines(lines) {
+  const out = new Set();
+  let fence = null;
+  let openTag = null;
+  let block = null;
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (block) {
+      if (trimmed === `{/* AUTOLINK-${block} END */}`) block = null;
+      return;
+    }
+    const blockStart = trimmed.match(/^\{\/\* AUTOLINK-([A-Z]+) START \*\/\}$/);
+    if (blockStart) {
+      block = blockStart[1];
+      return;
+    }
+    if (fence) {
+      if (trimmed.startsWith(fence)) fence = null;
+      return;
+    }
+    const fenceMatch = trimmed.match(/^(```|~~~)/);
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+    if (openTag) {
+      if (trimmed.includes(`</${openTag}>`)) openTag = null;
+      return;
+    }
+    const tag = trimmed.match(/^<([a-zA-Z][\w.-]*)/);
+    if (tag) {
+      if (!trimmed.includes(`</${tag[1]}>`) && !trimmed.endsWith('/>')) openTag = tag[1];
+      return;
+    }
+    if (!trimmed || /^( {4}|\t)/.test(line) || /^(#|\||>|!\[|\{|---|\*\*\*)/.test(trimmed)) return;
+    out.add(i);
+  });
   return out;
 }
 
+// Whole-phrase match, ignoring case and whether words are split by spaces or hyphens
+function phraseRegex(phrase) {
+  // Phrases are normalized to letters, digits and single spaces, so nothing needs escaping
+  const body = phrase.split(' ').join('[\\s-]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function firstMention(lines, eligible, phrase, own) {
+  const re = phraseRegex(phrase);
+  for (const i of [...eligible].sort((a, b) => a - b)) {
+    const line = lines[i];
+    const blocked = [...line.matchAll(PROTECTED_INLINE_RE)].map((m) => [m.index, m.index + m[0].length]);
+    const ownMentions = own.flatMap((ownRe) => [...line.matchAll(ownRe)].map((m) => [m.index, m.index + m[0].length]));
+    for (const m of line.matchAll(re)) {
+      const end = m.index + m[0].length;
+      if (blocked.some(([a, b]) => m.index < b && end > a)) continue;
+      // A longer phrase may contain the post's own keyword, but not cut into it
+      if (ownMentions.some(([a, b]) => m.index < b && end > a && !(m.index <= a && end >= b))) continue;
+      return { line: i, index: m.index, length: m[0].length };
+    }
+  }
+  return null;
+}
+
 function nthIndexOf(hay, needle, n) {
   let idx = -1;
   while (n-- > 0) {
@@ -0,0 +1,76 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { stripBase } from './basePath.js';
+
+// Dead internal links in a built site: every href, src and srcset in dist/**/*.html that points
+// at this site must resolve to a file in dist/. External URLs are not fetched.
+
+const ATTRIBUTE_RE = /\s(href|src|srcset)\s*=\s*"([^"]*)"/gi;
+
+const decodeEntities = (s) => s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+
+// URL of a built page, e.g. about/index.html -> /about/ (below the base path)
+function pageUrl(file, base, site) {
+  const route = `/${file}`.replace(/index\.html$/, '').replace(/\.html$/, '/');
+  return new URL(route === '/' ? base : `${base.replace(/\/$/, '')}${route}`, site);
+}
+
+function urlsOf(html) {
+  const urls = [];
+  for (const [, name, raw] of html.matchAll(ATTRIBUTE_RE)) {
+    const value = decodeEntities(raw).trim();
+    if (name.toLowerCase() === 'srcset') urls.push(...value.split(',').map((c) => c.trim().split(/\s+/)[0]).filter(Boolean));
+    else urls.push(value);
+  }
+  return urls;
+}
+
+export async function findBrokenLinks({ distDir, base = '/', site = 'http://localhost:4321' }) {
+  const origin = new URL(site).origin;
+  const files = await fg(['**/*.html'], { cwd: distDir });
+  const exists = new Map();
+  const resolves = async (pathname) => {
+    if (!exists.has(pathname)) {
+      const rel = pathname.replace(/^\/+/, '');
+      const candidates = pathname.endsWith('/') ? [path.join(rel, 'index.html')] : [rel, path.join(rel, 'index.html'), `${rel}.html`];
+      let found = false;
+      for (const candidate of candidates) {
+        const stat = await fsp.stat(path.join(distDir, candidate)).catch(() => null);
+        if (stat?.isFile()) {
+          found = true;
+          break;
+        }
+      }
+      exists.set(pathname, found);
+    }
+    return exists.get(pathname);
+  };
+
+  const broken = [];
+  for (const file of files.sort()) {
+    const html = await fsp.readFile(path.join(distDir, file), 'utf8');
+    const from = pageUrl(file, base, origin);
+    for (const value of new Set(urlsOf(html))) {
+      if (!value || value.startsWith('#') || /^(mailto|tel|data|javascript|sms):/i.test(value)) continue;
+      let url;
+      try {
+        url = new URL(value, from);
+      } catch {
+        broken.push({ page: file, url: value, reason: 'invalid URL' });
+        continue;
+      }
+      if (url.origin !== origin) continue;
+      let pathname;
+      try {
+        pathname = decodeURIComponent(url.pathname);
+      } catch {
+        pathname = url.pathname;
+      }
+      const local = stripBase(pathname, base);
+      if (local === null) broken.push({ page: file, url: value, reason: `outside the base path ${base}` });
+      else if (!(await resolves(local))) broken.push({ page: file, url: value, reason: 'no such page or file' });
+    }
+  }
+  return broken;
+}
@@ -0,0 +1,192 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { readJsonIfExists } from './fileUtils.js';
+import { REGISTRY_FILE } from './slugRegistry.js';
+
+// Post-to-post link graph of content/: which posts link where, which links are dead, which
+// posts nothing links to, and how well each cluster hangs together. Category pages and the
+// homepage link to every post too, but only links inside posts count here.
+
+// Root-relative links in markdown (`](/x/)`) and in JSX/HTML (`href="/x/"`)
+const LINK_RE = /\]\((\/[^)\s]*)(?:\s+"[^"]*")?\)|\shref=["'](\/[^"']*)["']/g;
+const BLOCK_RE = /\{\/\* AUTOLINK-([A-Z]+) START \*\/\}[\s\S]*?\{\/\* AUTOLINK-\1 END \*\/\}/g;
+
+export const LINK_THRESHOLDS = { maxBroken: 0, maxOrphans: Infinity, maxDisconnected: Infinity };
+
+export async function loadPosts(contentDir) {
+  const files = await fg(['**/*.mdx'], { cwd: contentDir });
+  const posts = [];
+  for (const file of files.sort()) {
+    const raw = await fsp.readFile(path.join(contentDir, file), 'utf8');
+    const { data, content } = matter(raw);
+    if (!data?.slug) continue;
+    // Lines taken by the frontmatter, so reported lines match the file
+    const lineOffset = raw.endsWith(content) ? raw.slice(0, raw.length - content.length).split('\n').length - 1 : 0;
+    posts.push({ file, slug: String(data.slug), title: String(data.title || data.slug), cluster: String(data.cluster || 'Uncategorized'), content, lineOffset });
+  }
+  return posts;
+}
+
+// Redirects of content/.slugs.json, { oldSlug: newSlug }
+export async function loadRedirects(contentDir) {
+  return (await readJsonIfExists(path.join(contentDir, REGISTRY_FILE)))?.redirects || {};
+}
+
+// Internal links of one post body with their line and where they sit: `related`/`nav` for the
+// marked link blocks, `body` for everything else. Images and code fences are skipped.
+export function extractLinks(content) {
+  const blocks = [...content.matchAll(BLOCK_RE)].map((m) => ({ start: m.index, end: m.index + m[0].length, via: m[1] === 'NAV' ? 'nav' : 'related' }));
+  const fences = [];
+  let open = -1;
+  for (const m of content.matchAll(/^\s*(```|~~~).*$/gm)) {
+    if (open === -1) open = m.index;
+    else {
+      fences.push({ start: open, end: m.index + m[0].length });
+      open = -1;
+    }
+  }
+  const links = [];
+  for (const m of content.matchAll(LINK_RE)) {
+    const url = m[1] || m[2];
+    if (fences.some((f) => m.index >= f.start && m.index < f.end)) continue;
+    // `![alt](/images/...)`: the `]` is preceded by an image's `![`
+    if (m[1] && isImage(content, m.index)) continue;
+    const block = blocks.find((b) => m.index >= b.start && m.index < b.end);
+    links.push({ url, line: content.slice(0, m.index).split('\n').length, via: block ? block.via : 'body' });
+  }
+  return links;
+}
+
+function isImage(content, closeBracket) {
+  const open = content.lastIndexOf('[', closeBracket);
+  return open > 0 && content[open - 1] === '!';
+}
+
+// What a root-relative URL points at: a post slug, a category, a site page, an asset
+export function classifyUrl(url, { pages = [] } = {}) {
+  const [pathname] = url.split(/[?#]/);
+  let decoded = pathname;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {}
+  const segments = decoded.split('/').filter(Boolean);
+  if (segments.length === 0) return { kind: 'page', target: '/' };
+  if (segments[0] === 'images' || /\.[a-z0-9]+$/i.test(decoded)) return { kind: 'asset', target: decoded };
+  if (segments[0] === 'category') return segments.length === 1 ? { kind: 'page', target: 'category' } : { kind: 'category', target: segments[1] };
+  if (segments.length === 1 && pages.includes(segments[0])) return { kind: 'page', target: segments[0] };
+  return segments.length === 1 ? { kind: 'post', target: segments[0] } : { kind: 'unknown', target: decoded };
+}
+
+export function buildLinkGraph(posts, { redirects = {}, pages = [] } = {}) {
+  const bySlug = new Map(posts.map((p) => [p.slug, p]));
+  const clusters = new Set(posts.map((p) => p.cluster));
+  const stats = new Map(posts.map((p) => [p.slug, { slug: p.slug, title: p.title, cluster: p.cluster, file: p.file, outbound: new Set(), inbound: new Set(), broken: 0 }]));
+  const broken = [];
+  const redirected = [];
+  const edges = [];
+
+  // Follows redirect chains; null when they end at a slug no post has
+  const resolve = (slug) => {
+    const seen = new Set();
+    let current = slug;
+    while (!bySlug.has(current) && redirects[current] && !seen.has(current)) {
+      seen.add(current);
+      current = redirects[current];
+    }
+    return bySlug.has(current) ? current : null;
+  };
+
+  for (const post of posts) {
+    const own = stats.get(post.slug);
+    for (const link of extractLinks(post.content)) {
+      const { kind, target } = classifyUrl(link.url, { pages });
+      const where = { from: post.slug, file: post.file, line: link.line + (post.lineOffset || 0), url: link.url, via: link.via };
+      if (kind === 'post') {
+        const to = resolve(target);
+        if (!to) {
+          broken.push({ ...where, reason: 'no post has this slug' });
+          own.broken++;
+          continue;
+        }
+        if (to !== target) redirected.push({ ...where, to });
+        if (to === post.slug) continue;
+        edges.push({ from: post.slug, to, via: link.via });
+        own.outbound.add(to);
+        stats.get(to).inbound.add(post.slug);
+      } else if (kind === 'category' && !clusters.has(target)) {
+        broken.push({ ...where, reason: 'no posts in this category' });
+        own.broken++;
+      } else if (kind === 'unknown') {
+        broken.push({ ...where, reason: 'not a page of this site' });
+        own.broken++;
+      }
+    }
+  }
+
+  const postStats = [...stats.values()]
+    .map((s) => {
+      const inboundSameCluster = [...s.inbound].filter((from) => bySlug.get(from).cluster === s.cluster).length;
+      return { slug: s.slug, title: s.title, cluster: s.cluster, file: s.file, inbound: s.inbound.size, inboundSameCluster, outbound: s.outbound.size, broken: s.broken };
+    })
+    .sort((a, b) => a.inbound - b.inbound || a.slug.localeCompare(b.slug));
+  const orphans = postStats.filter((s) => s.inbound === 0).map((s) => s.slug);
+
+  return {
+    totals: { posts: posts.length, links: edges.length, broken: broken.length, redirected: redirected.length, orphans: orphans.length },
+    posts: postStats,
+    orphans,
+    broken,
+    redirected,
+    clusters: clusterConnectivity(posts, edges)
+  };
+}
+
+// Per cluster: links inside it and across it, and its connected components when links inside
+// the cluster are taken as undirected. One component means every post is reachable.
+function clusterConnectivity(posts, edges) {
+  const clusterOf = new Map(posts.map((p) => [p.slug, p.cluster]));
+  const out = [];
+  for (const cluster of [...new Set(posts.map((p) => p.cluster))].sort()) {
+    const members = posts.filter((p) => p.cluster === cluster).map((p) => p.slug);
+    const parent = new Map(members.map((s) => [s, s]));
+    const find = (s) => (parent.get(s) === s ? s : find(parent.get(s)));
+    let internal = 0;
+    let outgoing = 0;
+    let incoming = 0;
+    for (const { from, to } of edges) {
+      const a = clusterOf.get(from);
+      const b = clusterOf.get(to);
+      if (a === cluster && b === cluster) {
+        internal++;
+        parent.set(find(from), find(to));
+      } else if (a === cluster) outgoing++;
+      else if (b === cluster) incoming++;
+    }
+    const sizes = new Map();
+    for (const s of members) sizes.set(find(s), (sizes.get(find(s)) || 0) + 1);
+    out.push({
+      cluster,
+      posts: members.length,
+      internalLinks: internal,
+      linksOut: outgoing,
+      linksIn: incoming,
+      components: sizes.size,
+      largestComponent: Math.max(...sizes.values()),
+      connected: sizes.size === 1
+    });
+  }
+  return out;
+}
+
+// Thresholds the graph breaches, as messages; empty when it passes
+export function checkThresholds(graph, thresholds = {}) {
+  const t = { ...LINK_THRESHOLDS, ...thresholds };
+  const breaches = [];
+  if (graph.totals.broken > t.maxBroken) breaches.push(`${graph.totals.broken} broken link(s) (maximum ${t.maxBroken})`);
+  if (graph.totals.orphans > t.maxOrphans) breaches.push(`${graph.totals.orphans} orphan post(s) (maximum ${t.maxOrphans})`);
+  const disconnected = graph.clusters.filter((c) => !c.connected).length;
+  if (disconnected > t.maxDisconnected) breaches.push(`${disconnected} cluster(s) split into unlinked groups (maximum ${t.maxDisconnected})`);
+  return breaches;
+}
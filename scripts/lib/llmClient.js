@@ -0,0 +1,345 @@
+import { Semaphore } from './semaphore.js';
+import { withRetry } from './retry.js';
+import { JsonParseError, SchemaError } from './errors.js';
+import { validate, extractJson } from './schema.js';
+import { ResponseCache } from './responseCache.js';
+import { brandSchema, heroSchema, sitePlanSchema, clusterKeywordsSchema, seoSchema, outlineSchema, faqSchema, imageMetaSchema } from './schemas.js';
+
+// Every generation method the pipeline calls. Providers implement `_request`;
+// prompts, JSON validation, retries and concurrency live here.
+export const LLM_METHODS = [
+  'generateBrand',
+  'generateStaticPages',
+  'generateSitePlan',
+  'generateClusterKeywords',
+  'generateSeoData',
+  'generateOutline',
+  'generateFaq',
+  'generateContentPart',
+  'generateSection',
+  'generateMetaDescription',
+  'generateSectionRewrite',
+  'generateImageMeta'
+];
+
+// Post text the quality gate judges; see `forgetDrafts`
+const DRAFT_METHODS = ['generateContentPart', 'generateSection'];
+
+export class LlmClient {
+  constructor({ provider = 'llm', model, concurrency = 3, timeoutMs = 120000, retry = {}, jsonMode = true, jsonAttempts = 3, usage = null, cache = null } = {}) {
+    this.provider = provider;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.retry = retry;
+    // Ask for the provider's JSON mode where it has one; re-ask up to `jsonAttempts` times on invalid output
+    this.jsonMode = jsonMode;
+    this.jsonAttempts = jsonAttempts;
+    this.semaphore = new Semaphore(concurrency);
+    // Optional UsageTracker: token counts per call, budget check before each request
+    this.usage = usage;
+    // Optional ResponseCache: identical requests are answered from disk without a paid call
+    this.cache = cache;
+    // Cache keys of each post's drafts, so drafts the quality gate rejects can be forgotten
+    this._draftKeys = new Map();
+  }
+
+  async generateBrand(niche) {
+    const prompt = [
+      `You are a brand strategist. Create a trustworthy blog brand for the niche: "${niche}".`,
+      `Return ONLY JSON: { name: string, tagline: string, tone: string, valueProps: string[] }`,
+      `- name: short and memorable`,
+      `- tagline: 6-10 words, benefit-oriented`,
+      `- tone: 2-4 words (e.g., Practical, Friendly, Expert)`,
+      `- valueProps: 4 concise bullets (phrases)`
+    ].join('\n');
+    const json = await this._completeJson(prompt, 1024, brandSchema, { method: 'generateBrand' }).catch(fallbackOnJsonError('generateBrand'));
+    return {
+      name: String(json?.name || `${niche} Hub`).trim(),
+      tagline: String(json?.tagline || `Expert insights on ${niche}`).trim(),
+      tone: String(json?.tone || 'Helpful, Expert').trim(),
+      valueProps: Array.isArray(json?.valueProps) ? json.valueProps.slice(0, 4) : []
+    };
+  }
+
+  // `imageSourcing` states where the site's images come from, so the About page describes it truthfully
+  async generateStaticPages({ niche, brand, imageSourcing }) {
+    const base = (instruction) => [
+      `${instruction}\nNiche: ${niche}\nBrand: ${brand.name} — ${brand.tagline}\nTone: ${brand.tone}.`,
+      `Use markdown. Headings (H1 once, then H2/H3). Keep it concise and trustworthy.`
+    ].join('\n');
+
+    const heroPrompt = `Write homepage hero copy: H1 (<=70 chars, keyword-friendly), subtitle (<=140 chars), ctaText (<=18 chars). Return ONLY JSON { title, subtitle, ctaText }.`;
+    const tags = { method: 'generateStaticPages' };
+    const hero = await this._completeJson([base('Homepage hero copy.'), heroPrompt].join('\n'), 1024, heroSchema, tags).catch(fallbackOnJsonError('generateStaticPages'));
+
+    const sourcing = imageSourcing ? ` State exactly this about images, in your own words: ${imageSourcing}` : '';
+    const about = await this._completeText(base(`Write About page that builds trust: who we are, editorial process, expert review, contact and how we source images.${sourcing} 400-600 words.`), 4096, tags);
+    const contact = await this._completeText(base('Write Contact page: short intro, email placeholder, typical response time, partnership note. 150-250 words.'), 2048, tags);
+    const privacy = await this._completeText(base('Write Privacy Policy: data we collect, cookies, analytics, ads, contact for removal. 600-900 words. Non-legalese, clear.'), 8192, tags);
+    const terms = await this._completeText(base('Write Terms of Service: acceptable use, IP, disclaimers, limitation of liability, changes. 600-900 words.'), 8192, tags);
+
+    return {
+      hero: {
+        title: toTitleCase(String(hero?.title || `${brand.name}: ${brand.tagline}`)),
+        subtitle: String(hero?.subtitle || `Guides and insights on ${niche}`).trim(),
+        ctaText: String(hero?.ctaText || 'Explore Guides').trim()
+      },
+      about,
+      contact,
+      privacy,
+      terms
+    };
+  }
+
+  async generateSitePlan(niche, { clustersTarget = 450, subtopicsPerCluster = [8, 12], siteTitle, siteTagline } = {}) {
+    const min = subtopicsPerCluster[0];
+    const max = subtopicsPerCluster[1];
+    const prompt = [
+      `You are an SEO strategist. Create ${clustersTarget} keyword clusters for niche: "${niche}".`,
+      `Each cluster must have ${min}-${max} highly specific, non-overlapping blog post keywords (long-tail).`,
+      `Return ONLY valid JSON: { "clusters": Array<{ "cluster": string, "keywords": string[] }> }.`
+    ].join(' ');
+
+    const json = await this._completeJson(prompt, 32768, sitePlanSchema, { method: 'generateSitePlan' });
+    return json.clusters;
+  }
+
+  // More long-tail keywords for one existing cluster, avoiding the ones it already has
+  async generateClusterKeywords({ niche, cluster, existing = [], count = 5 }) {
+    const prompt = [
+      `You are an SEO strategist for the niche: "${niche}".`,
+      `Suggest ${count} new, highly specific long-tail blog post keywords for the existing cluster: "${cluster}".`,
+      existing.length ? `The cluster already covers (do not repeat or closely paraphrase these): ${JSON.stringify(existing.slice(0, 200))}.` : '',
+      `Return ONLY valid JSON: { "keywords": string[] }.`
+    ].join(' ');
+    const json = await this._completeJson(prompt, 2048, clusterKeywordsSchema, { method: 'generateClusterKeywords' });
+    return json.keywords.slice(0, count);
+  }
+
+  async generateSeoData({ niche, keyword, slug }) {
+    const prompt = [
+      `Generate SEO data for a blog post targeting the exact keyword: "${keyword}" in the niche "${niche}".`,
+      `Constraints:`,
+      `- title: 60-70 chars, must contain the target keyword naturally, compelling and specific`,
+      `- description: 150-160 chars, persuasive and informative`,
+      `- lsi: 6-12 closely related LSI keywords/phrases (array of strings)`,
+      `Return ONLY JSON: { title: string, description: string, lsi: string[] }`
+    ].join('\n');
+    const json = await this._completeJson(prompt, 1024, seoSchema, { method: 'generateSeoData', slug }).catch(fallbackOnJsonError('generateSeoData'));
+    const title = toTitleCase(String(json?.title || keyword).trim());
+    const description = String(json?.description || '').trim().slice(0, 160);
+    const lsi = Array.isArray(json?.lsi) ? json.lsi.slice(0, 12) : [];
+    return { title, description, lsi };
+  }
+
+  async generateOutline({ niche, keyword, slug }) {
+    const prompt = [
+      `Create a detailed H2/H3 outline for a ~2000-word blog post on: "${keyword}" within the niche "${niche}".`,
+      `Include 6-8 H2 sections with 2-5 bullet points each.`,
+      `Suggest placing images after 2-3 of the H2 sections and for each suggested image include a short imagePrompt and alt text.`,
+      `Return ONLY JSON: { sections: Array<{ title: string, points: string[], suggestImage?: boolean, imagePrompt?: string, alt?: string }> }.`
+    ].join(' ');
+    // No fallback: a post without headings is worse than a failed post that can be resumed
+    return this._completeJson(prompt, 8192, outlineSchema, { method: 'generateOutline', slug });
+  }
+
+  // Question-and-answer pairs for the post's FAQ block and FAQPage structured data; a post
+  // without them is still published
+  async generateFaq({ niche, keyword, slug }) {
+    const prompt = [
+      `Write 4-6 frequently asked questions, with answers, for a blog post targeting: "${keyword}" in the niche "${niche}".`,
+      `Pick questions real readers search for. Each answer is 40-80 words of plain text: no markdown, links or HTML.`,
+      `Return ONLY JSON: { faq: Array<{ question: string, answer: string }> }`
+    ].join(' ');
+    const json = await this._completeJson(prompt, 2048, faqSchema, { method: 'generateFaq', slug }).catch(fallbackOnJsonError('generateFaq'));
+    return json?.faq || [];
+  }
+
+  // `feedback` lists problems the quality gate found in an earlier draft of the same post
+  async generateContentPart({ niche, keyword, outline, partIndex, totalParts, previousContent = '', feedback = [], slug }) {
+    const prompt = [
+      `You are writing a multi-part long-form article (part ${partIndex} of ${totalParts}) targeting: "${keyword}" in the ${niche} niche.`,
+      `Use markdown, include LSI keywords naturally, avoid repetition, keep a helpful tone.`,
+      `Incorporate details from this outline: ${JSON.stringify(outline).slice(0, 6000)}.`,
+      previousContent ? `Previously written content (for context, do not repeat): ${previousContent.slice(0, 4000)}` : '',
+      `Rules:`,
+      `- Do NOT include an H1 title (that is rendered separately)`,
+      `- Keep section structure consistent with the outline (H2/H3)`,
+      `- Continue exactly where the previous part stopped. Do NOT restart earlier sections or repeat any H2/H3 already covered.`,
+      `- If a section heading was already started in the previous part, continue within that section without reprinting the same heading.`,
+      `- If this is not the final part, do NOT write a conclusion or closing summary`,
+      `- If this is the final part, add a concise conclusion at the end`,
+      `- Avoid duplicating content already written in previous parts`,
+      feedback.length ? `An earlier draft of this article was rejected. Fix these problems: ${feedback.join('; ')}.` : ''
+    ].join(' ');
+    // request larger output per part (~700-900 words)
+    return await this._completeText(prompt, 12000, { method: 'generateContentPart', slug });
+  }
+
+  // Prose for one outline section (section layout); the caller adds the H2 and the image
+  async generateSection({ niche, keyword, outline, sectionIndex, previousContent = '', feedback = [], slug }) {
+    const sections = Array.isArray(outline?.sections) ? outline.sections : [];
+    const section = sections[sectionIndex];
+    const prompt = [
+      `You are writing one section of a long-form article targeting: "${keyword}" in the ${niche} niche.`,
+      `Article outline (H2 titles in order): ${JSON.stringify(sections.map((s) => s.title))}.`,
+      `Write the section "${section.title}" (section ${sectionIndex + 1} of ${sections.length}), covering: ${JSON.stringify(section.points || [])}.`,
+      `Aim for 300-400 words. Use markdown, include LSI keywords naturally, keep a helpful tone.`,
+      previousContent ? `Earlier sections (for context, do not repeat): ${previousContent.slice(-4000)}` : '',
+      `Rules:`,
+      `- Do NOT include the section heading, an H1 or any H2; H3 subheadings and lists are allowed`,
+      `- Stay on this section's topic; the other sections of the outline are written separately`,
+      sectionIndex === sections.length - 1
+        ? `- This is the final section: end with a short concluding paragraph for the whole article`
+        : `- Do NOT write a conclusion or closing summary`,
+      feedback.length ? `An earlier draft of this article was rejected. Fix these problems: ${feedback.join('; ')}.` : ''
+    ].join(' ');
+    return await this._completeText(prompt, 4096, { method: 'generateSection', slug });
+  }
+
+  async generateMetaDescription({ title, niche, keyword, slug }) {
+    const prompt = `Write a 150-160 character meta description for an article titled "${title}" about ${keyword} in the ${niche} niche. Be compelling and natural.`;
+    const text = await this._completeText(prompt, 512, { method: 'generateMetaDescription', slug });
+    return text.trim().slice(0, 160);
+  }
+
+  // One H2 section of a published post. `improve` edits the current text, `regenerate` writes it anew.
+  async generateSectionRewrite({ niche, keyword, title, heading, current = '', outline = [], mode = 'improve', slug }) {
+    const prompt = [
+      `You are updating a published article titled "${title}" targeting: "${keyword}" in the ${niche} niche.`,
+      `Article sections: ${JSON.stringify(outline).slice(0, 2000)}.`,
+      `Section heading: "${heading}".`,
+      mode === 'regenerate'
+        ? `Write this section from scratch with current, accurate and specific information.`
+        : `Improve this section: correct outdated or vague statements, add concrete details and examples, tighten the wording. Keep what is still accurate.\nCurrent section text:\n${current.slice(0, 6000)}`,
+      `Rules:`,
+      `- Use markdown; H3 subheadings and lists are allowed`,
+      `- Do NOT repeat the section heading and do NOT include an H1 or H2`,
+      `- Do NOT include images, links or HTML`,
+      `- Cover only this section; do not write an introduction or conclusion for the article`,
+      `- Return only the section text`
+    ].join('\n');
+    return await this._completeText(prompt, 4096, { method: 'generateSectionRewrite', slug });
+  }
+
+  // Alt text and an optional caption for one image of a post, from what it was made or picked for
+  // and the text around it. Empty strings when the JSON is unusable; the caller keeps its own alt.
+  async generateImageMeta({ niche, keyword, title, role = 'inline', heading = '', context = '', source, slug }) {
+    const prompt = [
+      `Write alt text and a caption for an image in an article titled "${title}" targeting: "${keyword}" in the ${niche} niche.`,
+      role === 'cover' ? `It is the article's cover image.` : `It appears in the section "${heading}".`,
+      `The image ${source}.`,
+      context ? `Text around the image: ${context.slice(0, 1500)}` : '',
+      `Rules:`,
+      `- alt: what the image shows, for readers who cannot see it, 80-125 characters; do not start with "Image of" or "Photo of" and do not stuff keywords`,
+      `- caption: one short sentence that ties the image to the text around it, or "" when a caption would add nothing`,
+      `Return ONLY JSON: { alt: string, caption: string }`
+    ].join('\n');
+    const json = await this._completeJson(prompt, 512, imageMetaSchema, { method: 'generateImageMeta', slug }).catch(fallbackOnJsonError('generateImageMeta'));
+    return { alt: String(json?.alt || '').trim(), caption: String(json?.caption || '').trim() };
+  }
+
+  // Provider hook: send one prompt and resolve to { text, usage: { promptTokens, completionTokens } };
+  // throw typed errors from ./errors.js. `method` names the calling generate* method.
+  async _request({ prompt, maxTokens, json, method }) {
+    throw new Error(`${this.constructor.name} does not implement _request`);
+  }
+
+  // `method` and `slug` tag the call in the usage report
+  async _completeText(prompt, maxTokens = 2048, tags = {}) {
+    const { text, cacheKey, cached, usage } = await this._complete(prompt, maxTokens, tags);
+    if (cacheKey && !cached) await this.cache.setJson(cacheKey, { text, usage });
+    if (cacheKey && tags.slug && DRAFT_METHODS.includes(tags.method)) {
+      this._draftKeys.set(tags.slug, [...(this._draftKeys.get(tags.slug) || []), cacheKey]);
+    }
+    return text;
+  }
+
+  // One completion, from the cache or the provider; the caller decides whether it is worth caching
+  async _complete(prompt, maxTokens, { json = false, method = 'unknown', slug } = {}) {
+    const cacheKey = this.cache && ResponseCache.key({ provider: this.provider, model: this.model, prompt, maxTokens, json: json && this.jsonMode });
+    if (cacheKey) {
+      const hit = await this.cache.getJson(cacheKey);
+      if (typeof hit?.text === 'string') return { text: hit.text, cacheKey, cached: true };
+    }
+    this.usage?.checkBudget();
+    // Each attempt takes its own semaphore slot so backoff sleeps don't block other calls
+    const { text, usage } = await withRetry(
+      () => this.semaphore.run(() => this._request({ prompt, maxTokens, json: json && this.jsonMode, method })),
+      {
+        ...this.retry,
+        onRetry: (err, { attempt, delay }) => console.warn(`${this.provider} ${err.name} (${err.message}); retry ${attempt} in ${delay}ms`)
+      }
+    );
+    this.usage?.recordLlm({ provider: this.provider, model: this.model, method, slug, ...usage });
+    return { text, usage, cacheKey, cached: false };
+  }
+
+  // Drops the cached drafts of a post the quality gate rejected, so a resume writes new ones
+  async forgetDrafts(slug) {
+    const keys = this._draftKeys.get(slug) || [];
+    this._draftKeys.delete(slug);
+    await Promise.all(keys.map((key) => this.cache.delete(key)));
+  }
+
+  // Parse, repair and validate against `schema`; on failure re-ask with the errors. Only a
+  // response that validates is cached, so a rerun asks again instead of replaying a bad one.
+  async _completeJson(prompt, maxTokens = 4096, schema = null, tags = {}) {
+    let request = prompt + '\nReturn ONLY valid JSON.';
+    let lastError;
+    for (let attempt = 1; attempt <= this.jsonAttempts; attempt++) {
+      const { text, usage, cacheKey, cached } = await this._complete(request, maxTokens, { ...tags, json: true });
+      const accept = async (value) => {
+        if (cacheKey && !cached) await this.cache.setJson(cacheKey, { text, usage });
+        return value;
+      };
+      let parsed;
+      try {
+        parsed = extractJson(text);
+      } catch (e) {
+        // An entry cached before responses were validated first is dropped too
+        if (cached) await this.cache.delete(cacheKey);
+        lastError = new JsonParseError(`Model returned invalid JSON: ${e.message}`, { text });
+        request = reaskPrompt(prompt, text, [`response is not valid JSON (${e.message})`]);
+        continue;
+      }
+      if (!schema) return accept(parsed);
+      const { value, errors } = validate(schema, parsed);
+      if (errors.length === 0) return accept(value);
+      if (cached) await this.cache.delete(cacheKey);
+      lastError = new SchemaError(`Model JSON failed validation: ${errors.slice(0, 5).join('; ')}`, { text, errors });
+      request = reaskPrompt(prompt, text, errors);
+    }
+    throw lastError;
+  }
+}
+
+function reaskPrompt(prompt, previous, errors) {
+  return [
+    prompt,
+    `Your previous answer was rejected:`,
+    String(previous).slice(0, 4000),
+    `Problems:`,
+    ...errors.slice(0, 20).map((e) => `- ${e}`),
+    `Return ONLY the corrected, complete JSON.`
+  ].join('\n');
+}
+
+// Methods with sensible defaults fall back on them when the JSON is unusable;
+// transport and quota errors still propagate.
+function fallbackOnJsonError(method) {
+  return (err) => {
+    if (!(err instanceof JsonParseError)) throw err;
+    console.warn(`${method}: using defaults after invalid JSON (${err.message})`);
+    return null;
+  };
+}
+
+function toTitleCase(s) {
+  return s
+    .toLowerCase()
+    .split(/\s+/)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(' ')
+    .replace(/\b(And|Or|Of|The|To|In|On|For|A|An)\b/g, (m) => m.toLowerCase());
+}
@@ -0,0 +1,106 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { LLM_METHODS } from './llmClient.js';
+import { OpenAIClient } from './openaiClient.js';
+import { AnthropicClient } from './anthropicClient.js';
+import { MockOpenAIClient } from './mockClients.js';
+
+export const PROVIDERS = {
+  openai: (cfg) => new OpenAIClient(cfg),
+  'openai-compatible': (cfg) => {
+    if (!cfg.baseUrl) throw new Error('openai-compatible provider needs a baseUrl (e.g. http://localhost:11434/v1)');
+    if (!cfg.model) throw new Error('openai-compatible provider needs a model (the name the server knows it by)');
+    return new OpenAIClient(cfg);
+  },
+  anthropic: (cfg) => new AnthropicClient(cfg),
+  mock: (cfg) => new MockOpenAIClient(cfg)
+};
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4.1-nano',
+  anthropic: 'claude-3-5-haiku-latest'
+};
+
+export function createLlmClient({ provider = 'openai', apiKeyEnv, ...cfg }, shared = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  const apiKey = cfg.apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : undefined) || defaultApiKey(provider);
+  return factory({ ...shared, ...cfg, model: cfg.model || DEFAULT_MODELS[provider], apiKey });
+}
+
+// Sends each generation method to the provider named in `routes`, else to the default one
+export class RoutedLlmClient {
+  constructor({ clients, defaultName, routes = {} }) {
+    this.clients = clients;
+    this.defaultName = defaultName;
+    this.routes = routes;
+    for (const method of LLM_METHODS) {
+      this[method] = (...args) => this.clientFor(method)[method](...args);
+    }
+  }
+
+  clientFor(method) {
+    return this.clients[this.routes[method] || this.defaultName];
+  }
+
+  async forgetDrafts(slug) {
+    await Promise.all(Object.values(this.clients).map((client) => client.forgetDrafts(slug)));
+  }
+}
+
+// { default, providers: { name: { provider, model, baseUrl, apiKey|apiKeyEnv, ... } }, routes: { method: name } }
+export function createLlmFromConfig(config, shared = {}) {
+  const names = Object.keys(config.providers || {});
+  if (names.length === 0) throw new Error('LLM config defines no providers');
+  const defaultName = config.default || names[0];
+  if (!config.providers[defaultName]) throw new Error(`LLM config default "${defaultName}" is not a defined provider`);
+  const routes = config.routes || {};
+  for (const [method, name] of Object.entries(routes)) {
+    if (!LLM_METHODS.includes(method)) throw new Error(`LLM config routes unknown method "${method}"`);
+    if (!config.providers[name]) throw new Error(`LLM config routes ${method} to undefined provider "${name}"`);
+  }
+  const clients = {};
+  for (const name of names) clients[name] = createLlmClient(config.providers[name], shared);
+  if (names.length === 1) return clients[defaultName];
+  return new RoutedLlmClient({ clients, defaultName, routes });
+}
+
+// From a JSON file when given, otherwise from LLM_* env values. LLM_DRAFT_* adds a
+// second provider that LLM_DRAFT_METHODS (default: generateContentPart,generateSection) are routed to.
+export async function loadLlmConfig({ configPath, env = process.env } = {}) {
+  if (configPath) {
+    const raw = await fsp.readFile(path.resolve(configPath), 'utf8');
+    return JSON.parse(raw);
+  }
+  const main = {
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.LLM_MODEL || env.OPENAI_MODEL,
+    baseUrl: env.LLM_BASE_URL || env.OPENAI_BASE_URL,
+    apiKey: env.LLM_API_KEY
+  };
+  if (main.provider === 'openai' && main.baseUrl) main.provider = 'openai-compatible';
+  // Such a server has no default model to fall back on
+  if (main.provider === 'openai-compatible' && !main.model) throw new Error('LLM_MODEL is required for openai-compatible');
+  const config = { default: 'main', providers: { main }, routes: {} };
+  if (env.LLM_DRAFT_PROVIDER || env.LLM_DRAFT_BASE_URL) {
+    config.providers.draft = {
+      provider: env.LLM_DRAFT_PROVIDER || 'openai-compatible',
+      model: env.LLM_DRAFT_MODEL,
+      baseUrl: env.LLM_DRAFT_BASE_URL,
+      apiKey: env.LLM_DRAFT_API_KEY
+    };
+    if (config.providers.draft.provider === 'openai-compatible' && !config.providers.draft.model) {
+      throw new Error('LLM_DRAFT_MODEL is required for openai-compatible');
+    }
+    for (const method of String(env.LLM_DRAFT_METHODS || 'generateContentPart,generateSection').split(',')) {
+      if (method.trim()) config.routes[method.trim()] = 'draft';
+    }
+  }
+  return config;
+}
+
+function defaultApiKey(provider) {
+  if (provider === 'openai') return process.env.OPENAI_API_KEY || process.env.GPT_KEY;
+  if (provider === 'anthropic') return process.env.ANTHROPIC_API_KEY;
+  return undefined;
+}
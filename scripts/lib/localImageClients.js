@@ -0,0 +1,133 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { ImageClient } from './imageClient.js';
+import { ApiError, TimeoutError } from './errors.js';
+
+// Stable Diffusion servers on your own machine or network. They need no key and cost nothing, so
+// they are not budgeted; `baseUrl` is the server root, e.g. http://127.0.0.1:7860.
+
+const NEGATIVE_PROMPT = 'text, watermark, logo, signature, blurry, lowres, deformed';
+
+// AUTOMATIC1111 / Forge / SD.Next WebUI, started with --api: POST /sdapi/v1/txt2img
+export class SdWebUiClient extends ImageClient {
+  constructor({ baseUrl, model, width = 1216, height = 832, steps = 28, cfgScale = 6, sampler, negativePrompt = NEGATIVE_PROMPT, ...options }) {
+    if (!baseUrl) throw new Error('sd-webui provider needs a baseUrl (e.g. http://127.0.0.1:7860)');
+    super({ provider: 'sd-webui', model: model || 'sd-webui', paid: false, timeoutMs: 300000, ...options });
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.params = { width, height, steps, cfg_scale: cfgScale, negative_prompt: negativePrompt, ...(sampler ? { sampler_name: sampler } : {}) };
+    // A checkpoint name switches the server's model for this request only
+    this.checkpoint = model;
+  }
+
+  async _generate({ prompt }) {
+    const started = Date.now();
+    const data = await this._fetch(`${this.baseUrl}/sdapi/v1/txt2img`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        prompt,
+        ...this.params,
+        n_iter: 1,
+        batch_size: 1,
+        ...(this.checkpoint ? { override_settings: { sd_model_checkpoint: this.checkpoint }, override_settings_restore_afterwards: true } : {})
+      })
+    });
+    const first = data?.images?.[0];
+    if (!first) throw new ApiError('sd-webui returned no image', { provider: this.provider });
+    return { buffer: Buffer.from(first.replace(/^data:image\/\w+;base64,/, ''), 'base64'), seconds: (Date.now() - started) / 1000, seed: infoSeed(data.info) };
+  }
+
+  _cacheKey({ prompt }) {
+    return super._cacheKey({ prompt: `${JSON.stringify(this.params)}|${prompt}` });
+  }
+}
+
+// The WebUI reports generation parameters as a JSON string in `info`
+function infoSeed(info) {
+  try {
+    const seed = JSON.parse(info || '{}').seed;
+    return Number.isFinite(seed) ? seed : null;
+  } catch {
+    return null;
+  }
+}
+
+// ComfyUI: queues a workflow in API format (Save (API Format) in the UI) with the prompt put into
+// it, polls its history and downloads the first image it saved. Without a `workflow` file a
+// plain text-to-image graph for `model` (a checkpoint file name) is used.
+export class ComfyUiClient extends ImageClient {
+  constructor({ baseUrl, model, workflow, width = 1216, height = 832, steps = 28, cfgScale = 6, negativePrompt = NEGATIVE_PROMPT, pollIntervalMs = 1000, maxPollMs = 600000, ...options }) {
+    if (!baseUrl) throw new Error('comfyui provider needs a baseUrl (e.g. http://127.0.0.1:8188)');
+    if (!workflow && !model) throw new Error('comfyui provider needs a checkpoint `model` or a `workflow` file');
+    super({ provider: 'comfyui', model: model || path.basename(workflow), paid: false, timeoutMs: 60000, ...options });
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.workflowPath = workflow;
+    this.graph = { width, height, steps, cfgScale, negativePrompt };
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxPollMs = maxPollMs;
+  }
+
+  async _generate({ prompt }) {
+    const started = Date.now();
+    const workflow = await this._workflow(prompt);
+    // A workflow file picks its own seed
+    const seed = this.workflowPath ? null : this._seed(prompt);
+    const { prompt_id: id } = await this._fetch(`${this.baseUrl}/prompt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: workflow })
+    });
+    if (!id) throw new ApiError('comfyui did not queue the workflow', { provider: this.provider });
+    const deadline = Date.now() + this.maxPollMs;
+    for (;;) {
+      const history = (await this._fetch(`${this.baseUrl}/history/${id}`))?.[id];
+      if (history?.status?.status_str === 'error') throw new ApiError(`comfyui workflow ${id} failed`, { provider: this.provider });
+      const image = Object.values(history?.outputs || {}).flatMap((o) => o.images || [])[0];
+      if (image) {
+        const query = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+        const buffer = await this._fetch(`${this.baseUrl}/view?${query}`, {}, { as: 'buffer' });
+        return { buffer, seconds: (Date.now() - started) / 1000, seed };
+      }
+      if (Date.now() + this.pollIntervalMs > deadline) {
+        throw new TimeoutError(`comfyui workflow ${id} did not finish within ${this.maxPollMs}ms`, { provider: this.provider, retryable: false });
+      }
+      await new Promise((r) => setTimeout(r, this.pollIntervalMs));
+    }
+  }
+
+  // The workflow file with every "%prompt%" replaced, or the built-in graph
+  async _workflow(prompt) {
+    if (this.workflowPath) {
+      if (!this._template) this._template = await fsp.readFile(path.resolve(this.workflowPath), 'utf8');
+      return JSON.parse(this._template.replaceAll('%prompt%', JSON.stringify(prompt).slice(1, -1)));
+    }
+    return comfyTextToImage({ prompt, checkpoint: this.model, seed: this._seed(prompt), ...this.graph });
+  }
+
+  // Same prompt, same image, which keeps the response cache honest
+  _seed(prompt) {
+    let h = 0;
+    for (const ch of prompt) h = (Math.imul(h, 31) + ch.codePointAt(0)) >>> 0;
+    return h;
+  }
+
+  _cacheKey({ prompt }) {
+    return super._cacheKey({ prompt: `${this.workflowPath || JSON.stringify(this.graph)}|${prompt}` });
+  }
+}
+
+// ComfyUI's default text-to-image graph in API format
+export function comfyTextToImage({ prompt, checkpoint, seed, width, height, steps, cfgScale, negativePrompt }) {
+  return {
+    4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: checkpoint } },
+    5: { class_type: 'EmptyLatentImage', inputs: { width, height, batch_size: 1 } },
+    6: { class_type: 'CLIPTextEncode', inputs: { text: prompt, clip: ['4', 1] } },
+    7: { class_type: 'CLIPTextEncode', inputs: { text: negativePrompt, clip: ['4', 1] } },
+    3: {
+      class_type: 'KSampler',
+      inputs: { seed, steps, cfg: cfgScale, sampler_name: 'euler', scheduler: 'normal', denoise: 1, model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0] }
+    },
+    8: { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+    9: { class_type: 'SaveImage', inputs: { filename_prefix: 'autoblogger', images: ['8', 0] } }
+  };
+}
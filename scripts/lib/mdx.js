@@ -0,0 +1,144 @@
+// Building blocks of a post's MDX file: frontmatter, hero, body with image placements
+
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'or', 'of', 'the', 'to', 'in', 'on', 'for']);
+
+// Capitalizes each word except short connectives (never the first word); the rest of a word is kept as is
+export function titleCase(s) {
+  return String(s)
+    .trim()
+    .split(/\s+/)
+    .map((w, i) => (i > 0 && SMALL_WORDS.has(w.toLowerCase()) ? w.toLowerCase() : w[0] ? w[0].toUpperCase() + w.slice(1) : w))
+    .join(' ');
+}
+
+export function stringifyFrontmatter(obj) {
+  const yaml = Object.entries(obj)
+    .map(([k, v]) => {
+      if (Array.isArray(v)) return `${k}: [${v.map((x) => JSON.stringify(x)).join(', ')}]`;
+      return `${k}: ${JSON.stringify(v)}`;
+    })
+    .join('\n');
+  return `---\n${yaml}\n---`;
+}
+
+// Image prompts only depend on the outline, so inline images can start before the prose exists
+export function planImages({ outline, keyword, totalParts }) {
+  const sections = Array.isArray(outline?.sections) ? outline.sections : [];
+  const images = [];
+  sections.forEach((sec, idx) => {
+    // Suggested image after some sections
+    if (sec.suggestImage === true) {
+      images.push({
+        afterSection: idx,
+        // Titles like "Introduction" recur across posts; the keyword keeps their prompts (and cached images) apart
+        prompt: sec.imagePrompt || `${sec.title} (${keyword}) — detailed, editorial style illustrative image, coherent with article tone.`,
+        alt: sec.alt || sec.title
+      });
+    }
+  });
+  for (let i = 0; i < totalParts - 1; i++) {
+    // Use the last section title as context for the inter-part image if available
+    const lastTitle = sections.length > 0 ? sections[Math.min(i, sections.length - 1)]?.title || '' : '';
+    images.push({
+      afterPart: i,
+      prompt: lastTitle
+        ? `${lastTitle} (${keyword}) — contextual editorial illustration, consistent style`
+        : `Illustration related to ${keyword} — contextual editorial style`,
+      alt: lastTitle || `Illustration for ${keyword}`
+    });
+  }
+  return images;
+}
+
+export function composeMdxBody({ outline, parts, keyword, slug }) {
+  // The outline contains headings and suggested image placements e.g. { h2: [...], h3: {...}, imagesAfterH2: [2,4] }
+  const images = planImages({ outline, keyword, totalParts: parts.length });
+  const imageTag = (img) => `\n![${img.alt}](/images/${slug}/img${images.indexOf(img) + 1}.webp)\n\n`;
+  let md = '';
+  if (Array.isArray(outline?.sections)) {
+    outline.sections.forEach((sec, idx) => {
+      md += `\n\n## ${sec.title}\n\n`;
+      if (Array.isArray(sec.points)) {
+        md += sec.points.map((p) => `- ${p}`).join('\n') + '\n\n';
+      }
+      const img = images.find((x) => x.afterSection === idx);
+      if (img) md += imageTag(img);
+    });
+  }
+
+  // Append parts (generated prose) and interleave images between them
+  for (let i = 0; i < parts.length; i++) {
+    md += `\n\n${parts[i]}\n\n`;
+    const img = images.find((x) => x.afterPart === i);
+    if (img) md += imageTag(img);
+  }
+  return { mdxBody: md.trim(), imagePrompts: images.map((img) => img.prompt) };
+}
+
+// Section-by-section layout: each outline section is one H2 with its own prose, followed by its
+// image if the outline suggested one, and a table of contents up front
+export function composeSectionBody({ outline, sections, keyword, slug }) {
+  const titles = (outline?.sections || []).map((sec) => sec.title);
+  const images = planImages({ outline, keyword, totalParts: 1 });
+  let md = '';
+  titles.forEach((title, idx) => {
+    md += `\n\n## ${title}\n\n${sections[idx] || ''}\n\n`;
+    const img = images.find((x) => x.afterSection === idx);
+    if (img) md += `\n![${img.alt}](/images/${slug}/img${images.indexOf(img) + 1}.webp)\n\n`;
+  });
+  const body = md.trim();
+  return { mdxBody: `${buildToc(body)}\n\n${body}`, imagePrompts: images.map((img) => img.prompt) };
+}
+
+// Same ids as Astro's heading ids (github-slugger): lowercase, punctuation dropped, each space a
+// hyphen, and -1, -2, ... for repeats within the page
+export function headingSlug(text, occurrences = new Map()) {
+  const base = String(text)
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*`]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+  let slug = base;
+  while (occurrences.has(slug)) {
+    occurrences.set(base, occurrences.get(base) + 1);
+    slug = `${base}-${occurrences.get(base)}`;
+  }
+  occurrences.set(slug, 0);
+  return slug;
+}
+
+// Links to every H2 of `body`; H3s only count toward the ids
+export function buildToc(body) {
+  const occurrences = new Map();
+  const items = [];
+  let fenced = false;
+  for (const line of body.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const m = !fenced && line.match(/^(#{1,6}) (.+)$/);
+    if (!m) continue;
+    const id = headingSlug(m[2], occurrences);
+    if (m[1].length === 2) items.push(`- [${m[2].trim()}](#${id})`);
+  }
+  if (items.length === 0) return '';
+  return `<nav aria-label="Contents">\n\n**Contents**\n\n${items.join('\n')}\n\n</nav>`;
+}
+
+// Models sometimes repeat the heading they were given or add an H1; the caller adds its own,
+// and stray H2s are demoted so the text can't split the section
+export function stripLeadingHeading(text, heading) {
+  return String(text || '')
+    .replace(/^\s*#\s+.*\n/, '')
+    .replace(new RegExp(`^\\s*##\\s+${escapeRegExp(heading)}\\s*\\n`, 'i'), '')
+    .replace(/^## /gm, '### ')
+    .trim();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function buildHeroSection({ title, slug, image, description }) {
+  return `\n<section style=\"margin:1rem 0 2rem; padding:1rem; border-radius:12px; background:#0b1020; border:1px solid #1f2937; display:flex; gap:16px; align-items:center;\">\n  <img src=\"${image}\" alt=\"${title}\" style=\"width:160px; height:160px; object-fit:cover; border-radius:12px; border:1px solid #374151;\"/>\n  <div>\n    <h1 style=\"margin:0 0 .5rem\">${title}</h1>\n    <p style=\"margin:0; color:#9ca3af\">${description || ''}</p>\n  </div>\n</section>\n`;
+}
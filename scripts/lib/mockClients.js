@@ -1,46 +1,398 @@
 import sharp from 'sharp';
+import { LlmClient } from './llmClient.js';
+import { seededRandom } from './random.js';
+import { ApiError, RateLimitError, QuotaError, TimeoutError } from './errors.js';
 
-export class MockOpenAIClient {
-  constructor() {}
-  async generateSitePlan(niche, { clustersTarget = 5 } = {}) {
-    const clusters = [];
-    for (let i = 0; i < clustersTarget; i++) {
-      clusters.push({
-        cluster: `${niche} Cluster ${i + 1}`,
-        keywords: Array.from({ length: 5 }, (_, k) => `${niche} topic ${i + 1}.${k + 1}`)
-      });
-    }
-    return clusters;
+// Offline stand-ins for the LLM and image clients. Output is a pure function of
+// (seed, prompt), so runs are reproducible regardless of concurrency. The mock LLM
+// answers through `_request`, so JSON parsing, validation, re-asks, retries and
+// fallbacks in LlmClient run exactly as they do against a real provider.
+//
+// Failures are injected with `failures` (or MOCK_FAILURES), a comma-separated list of
+// `method:kind[@rate]`, e.g. "generateSeoData:bad-json@0.5,generateSitePlan:empty,image:timeout".
+// LLM kinds: bad-json, schema, empty, timeout, rate-limit, quota, error. Image kinds
+// (method "image"): timeout, rate-limit, quota, error.
+
+const FAILURE_KINDS = ['bad-json', 'schema', 'empty', 'timeout', 'rate-limit', 'quota', 'error'];
+
+export function parseFailures(spec) {
+  if (Array.isArray(spec)) return spec;
+  return String(spec || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [target, rest = ''] = entry.split(':');
+      const [kind, rate] = rest.split('@');
+      if (!target || !FAILURE_KINDS.includes(kind)) {
+        throw new Error(`Invalid mock failure "${entry}" (expected method:kind[@rate], kind one of: ${FAILURE_KINDS.join(', ')})`);
+      }
+      return { method: target, kind, rate: rate === undefined ? 1 : Number(rate) };
+    });
+}
+
+export class MockOpenAIClient extends LlmClient {
+  constructor({ seed = process.env.MOCK_SEED || 1, failures = process.env.MOCK_FAILURES, retry = {}, ...options } = {}) {
+    // Injected timeouts and 429s still go through withRetry; keep the backoff short offline
+    super({ ...options, provider: 'mock', model: 'mock', retry: { baseDelayMs: 5, maxDelayMs: 50, ...retry } });
+    this.seed = String(seed);
+    this.failures = parseFailures(failures);
+    this._attempts = new Map();
   }
-  async generateOutline({ keyword }) {
-    return {
-      sections: Array.from({ length: 6 }, (_, i) => ({
-        title: `${keyword} Section ${i + 1}`,
-        points: [
-          'Key point A with actionable detail.',
-          'Key point B with nuance.',
-          'Key point C with example.'
-        ],
-        suggestImage: i % 2 === 1
-      }))
-    };
+
+  async _request({ prompt, maxTokens, json, method }) {
+    const failure = injectedFailure(this, method, prompt);
+    if (failure) {
+      throwTransportFailure(failure.kind, method);
+      if (failure.kind === 'bad-json') return reply(prompt, `Sure! Here is the JSON you asked for: {"${method}": [unfinished`);
+      if (failure.kind === 'schema') return reply(prompt, JSON.stringify({ unexpected: true }));
+      if (failure.kind === 'empty') return reply(prompt, json ? JSON.stringify(method === 'generateSitePlan' ? { clusters: [] } : {}) : '');
+    }
+    const rand = seededRandom(this.seed, prompt);
+    const handler = HANDLERS[method];
+    const out = handler ? handler({ prompt, rand, json }) : fakeParagraph(rand, 'this topic');
+    return reply(prompt, typeof out === 'string' ? out : JSON.stringify(out), maxTokens);
   }
-  async generateContentPart({ keyword, partIndex }) {
-    return `This is mock content part ${partIndex} for ${keyword}.\n\n` +
-      Array.from({ length: 8 }, (_, i) => `Paragraph ${i + 1}: Insightful guidance for ${keyword}.`).join('\n\n');
+}
+
+export class MockImageClient {
+  constructor({ seed = process.env.MOCK_SEED || 1, failures = process.env.MOCK_FAILURES, width = 320, height = 180 } = {}) {
+    this.provider = 'mock';
+    this.seed = String(seed);
+    this.failures = parseFailures(failures);
+    this.width = width;
+    this.height = height;
+    this._attempts = new Map();
   }
-  async generateMetaDescription({ title }) {
-    return `${title} — a concise, helpful guide with practical tips.`.slice(0, 158);
+
+  // A two-colour gradient derived from the prompt, so different images look different
+  async generateAndSaveWebp({ prompt, outputPath }) {
+    const failure = injectedFailure(this, 'image', prompt);
+    if (failure) throwTransportFailure(failure.kind, 'image');
+    const rand = seededRandom(this.seed, prompt);
+    const color = () => `hsl(${Math.floor(rand() * 360)}, ${40 + Math.floor(rand() * 40)}%, ${35 + Math.floor(rand() * 30)}%)`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${color()}"/><stop offset="1" stop-color="${color()}"/></linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>`;
+    await sharp(Buffer.from(svg)).webp({ quality: 70 }).toFile(outputPath);
+    return { provider: 'mock', model: 'gradient', seed: this.seed, license: null, credit: null };
   }
 }
 
-export class MockReplicateClient {
-  constructor() {}
-  async generateAndSaveWebp({ outputPath }) {
-    const image = sharp({ create: { width: 64, height: 64, channels: 3, background: { r: 220, g: 220, b: 220 } } });
-    await image.webp({ quality: 70 }).toFile(outputPath);
-    return outputPath;
+// --- Seeded randomness ---
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+const between = (rand, min, max) => min + Math.floor(rand() * (max - min + 1));
+
+function shuffled(rand, list) {
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
   }
+  return a;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function titleWords(s) {
+  return s.split(/\s+/).map(capitalize).join(' ');
+}
+
+// The n-th call for the same prompt gets its own roll, so a retry can succeed when rate < 1
+function injectedFailure(client, method, prompt) {
+  const rules = client.failures.filter((f) => f.method === method || f.method === '*');
+  if (rules.length === 0) return null;
+  const key = `${method}\u0000${prompt}`;
+  const attempt = (client._attempts.get(key) || 0) + 1;
+  client._attempts.set(key, attempt);
+  const rand = seededRandom(client.seed, 'failure', key, attempt);
+  return rules.find((f) => rand() < f.rate) || null;
+}
+
+function throwTransportFailure(kind, method) {
+  const opts = { provider: 'mock' };
+  if (kind === 'timeout') throw new TimeoutError(`mock ${method} timed out`, opts);
+  if (kind === 'rate-limit') throw new RateLimitError(`mock ${method} rate limited`, { ...opts, status: 429, retryAfterMs: 10 });
+  if (kind === 'quota') throw new QuotaError(`mock ${method} quota exhausted`, { ...opts, status: 429 });
+  if (kind === 'error') throw new ApiError(`mock ${method} server error`, { ...opts, status: 500, retryable: true });
+}
+
+function reply(prompt, text, maxTokens = Infinity) {
+  // Roughly 4 characters per token, like English text
+  const completionTokens = Math.min(Math.ceil(text.length / 4), maxTokens);
+  return { text, usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens } };
+}
+
+// --- Prompt parsing (mirrors the prompts in llmClient.js) ---
+
+function match(prompt, re, fallback = '') {
+  return prompt.match(re)?.[1]?.trim() || fallback;
+}
+
+const nicheOf = (prompt) =>
+  match(prompt, /niche: "([^"]+)"/i) || match(prompt, /within the niche "([^"]+)"/i) || match(prompt, /in the niche "([^"]+)"/i) || match(prompt, /in the (.+?) niche/i) || match(prompt, /Niche: (.+)/, 'this topic');
+const keywordOf = (prompt) => match(prompt, /(?:keyword|targeting|post on): "([^"]+)"/i) || match(prompt, /about (.+?) in the /i, 'this topic');
+
+// --- Vocabulary ---
+
+const FACETS = ['basics', 'gear', 'techniques', 'routines', 'budget', 'safety', 'myths', 'planning', 'progress tracking', 'troubleshooting', 'habits', 'resources'];
+const AUDIENCES = ['beginners', 'busy parents', 'seniors', 'students', 'small spaces', 'weekends', 'remote workers', 'couples'];
+const QUALIFIERS = ['simple', 'affordable', 'proven', 'quick', 'realistic', 'low-stress', 'practical', 'sustainable'];
+const KEYWORD_TEMPLATES = [
+  (n, f, a) => `how to choose ${n} ${f} for ${a}`,
+  (n, f, a, q) => `best ${q} ${n} ${f}`,
+  (n, f, a) => `${n} ${f} guide for ${a}`,
+  (n, f, a, q) => `${q} ${n} ${f} ideas`,
+  (n, f) => `common ${n} ${f} questions answered`,
+  (n, f, a) => `${n} ${f} checklist for ${a}`,
+  (n, f, a) => `why ${n} ${f} matters for ${a}`,
+  (n, f) => `${n} ${f} tips that actually work`,
+  (n, f) => `${n} ${f} mistakes to avoid`,
+  (n, f) => `step by step ${n} ${f} plan`,
+  (n, f, a, q) => `${q} ${n} ${f} for ${a}`,
+  (n, f) => `what to know about ${n} ${f}`
+];
+const SECTION_TEMPLATES = [
+  (k) => `Why ${titleWords(k)} Matters`,
+  () => 'Getting Started the Right Way',
+  () => 'Key Benefits to Expect',
+  () => 'A Step-by-Step Approach',
+  () => 'Common Mistakes to Avoid',
+  () => 'Tools and Resources Worth Having',
+  () => 'Tips From Experienced Practitioners',
+  () => 'Measuring Your Progress',
+  () => 'Budget Considerations',
+  () => 'Adapting the Plan Over Time',
+  () => 'Real-World Examples'
+];
+const POINTS = [
+  'Set a clear, measurable goal before you begin',
+  'Start smaller than you think you need to',
+  'Build consistency before adding intensity',
+  'Track results weekly, not daily',
+  'Compare two or three options before buying',
+  'Learn the fundamentals before the shortcuts',
+  'Plan for setbacks and keep a fallback routine',
+  'Ask for feedback from people further along',
+  'Review what worked at the end of each month',
+  'Keep notes so you can repeat what succeeds',
+  'Watch for early warning signs of burnout',
+  'Spend on quality where it affects safety'
+];
+// H3s are tied to their section, so the parts of one post never repeat a subheading
+const SUBHEADINGS = [(t) => `Where to Begin With ${t}`, (t) => `What Changes Over Time in ${t}`, (t) => `A Quick Checklist for ${t}`, (t) => `Questions People Ask About ${t}`];
+const FAQ_QUESTIONS = [
+  (k) => `What is the best way to start with ${k}?`,
+  (k) => `How long does ${k} take to show results?`,
+  (k) => `Is ${k} suitable for beginners?`,
+  (k) => `How much does ${k} cost?`,
+  (k) => `What are the most common mistakes with ${k}?`,
+  (k) => `How often should I review my approach to ${k}?`,
+  (k) => `Do I need special equipment for ${k}?`
+];
+const OPENERS = ['In practice,', 'For most readers,', 'A useful rule of thumb is that', 'Experience shows that', 'Put simply,', 'Over time,', 'It helps to remember that'];
+const CLAIMS = [
+  'small, repeatable steps beat occasional big efforts',
+  'the details you set up early save hours later',
+  'a written plan makes it easier to stay on track',
+  'the right setup removes most of the friction',
+  'progress is rarely linear, and that is normal',
+  'good habits compound faster than expected',
+  'simple tools used well outperform complex ones used rarely'
+];
+const CLOSERS = ['Keep that in mind as you read on.', 'That principle shapes everything below.', 'Use it as a quick check when in doubt.', 'It is worth revisiting regularly.', ''];
+
+function fakeSentence(rand, keyword) {
+  const opener = pick(rand, OPENERS);
+  const claim = pick(rand, CLAIMS);
+  // About 1.5% keyword density, inside the quality gate's range
+  return rand() < 0.3 ? `${opener} ${claim} when it comes to ${keyword}.` : `${opener} ${claim}.`;
+}
+
+function fakeParagraph(rand, keyword) {
+  const sentences = Array.from({ length: between(rand, 3, 5) }, () => fakeSentence(rand, keyword));
+  const closer = pick(rand, CLOSERS);
+  return capitalize([...sentences, closer].filter(Boolean).join(' '));
 }
 
+// --- Method handlers: return an object (sent as JSON) or markdown text ---
+
+const HANDLERS = {
+  generateBrand({ prompt, rand }) {
+    const niche = nicheOf(prompt);
+    const words = niche.split(/\s+/).map(capitalize);
+    const suffix = pick(rand, ['Hub', 'Lab', 'Journal', 'Guide', 'Collective', 'Notes', 'Academy']);
+    return {
+      name: `${words.slice(0, 2).join(' ')} ${suffix}`,
+      tagline: `${pick(rand, ['Practical', 'Honest', 'Clear', 'Trusted'])} ${niche} advice for ${pick(rand, AUDIENCES)} every week`,
+      tone: pick(rand, ['Practical, Friendly', 'Expert, Calm', 'Helpful, Direct', 'Warm, Knowledgeable']),
+      valueProps: shuffled(rand, ['Tested recommendations', 'Step-by-step guides', 'No fluff, no hype', 'Reviewed by practitioners', 'Updated regularly', 'Beginner friendly']).slice(0, 4)
+    };
+  },
+
+  generateStaticPages({ prompt, rand, json }) {
+    const niche = nicheOf(prompt);
+    if (json) {
+      return {
+        title: `Smarter ${titleWords(niche)} Starts Here`,
+        subtitle: `${capitalize(pick(rand, QUALIFIERS))} guides, honest reviews and checklists for ${niche}.`,
+        ctaText: pick(rand, ['Explore Guides', 'Start Reading', 'Browse Topics'])
+      };
+    }
+    const page = match(prompt, /Write (About|Contact|Privacy Policy|Terms of Service)/, 'About');
+    const headings = {
+      About: ['Who We Are', 'Our Editorial Process', 'Expert Review', 'How We Source Images', 'Get in Touch'],
+      Contact: ['How to Reach Us', 'Response Times', 'Partnerships'],
+      'Privacy Policy': ['Data We Collect', 'Cookies and Analytics', 'Advertising', 'Removing Your Data'],
+      'Terms of Service': ['Acceptable Use', 'Intellectual Property', 'Disclaimers', 'Limitation of Liability', 'Changes to These Terms']
+    }[page];
+    return [`# ${page}`, ...headings.map((h) => `## ${h}\n\n${fakeParagraph(rand, niche)}`)].join('\n\n');
+  },
+
+  generateSitePlan({ prompt, rand }) {
+    const niche = nicheOf(prompt).toLowerCase();
+    const target = Number(match(prompt, /Create (\d+) keyword clusters/, '10'));
+    const [min, max] = (match(prompt, /have (\d+-\d+) highly/, '8-12')).split('-').map(Number);
+    const seen = new Set();
+    const clusters = [];
+    for (let i = 0; i < target; i++) {
+      const facet = FACETS[i % FACETS.length];
+      const round = Math.floor(i / FACETS.length);
+      const audience = round > 0 ? AUDIENCES[(round - 1) % AUDIENCES.length] : null;
+      const cluster = `${titleWords(niche)} ${titleWords(facet)}${audience ? ` for ${titleWords(audience)}` : ''}${round > AUDIENCES.length ? ` ${round}` : ''}`;
+      const keywords = [];
+      for (const template of shuffled(rand, KEYWORD_TEMPLATES)) {
+        if (keywords.length >= between(rand, min, max)) break;
+        let keyword = template(niche, facet, audience || pick(rand, AUDIENCES), pick(rand, QUALIFIERS));
+        for (let n = 2; seen.has(keyword); n++) keyword = `${keyword.replace(/ \d+$/, '')} ${n}`;
+        seen.add(keyword);
+        keywords.push(keyword);
+      }
+      clusters.push({ cluster, keywords });
+    }
+    return { clusters };
+  },
+
+  generateClusterKeywords({ prompt, rand }) {
+    const niche = nicheOf(prompt).toLowerCase();
+    const cluster = match(prompt, /existing cluster: "([^"]+)"/, niche).toLowerCase();
+    const count = Number(match(prompt, /Suggest (\d+) new/, '5'));
+    const facet = cluster.replace(niche, '').replace(/\s+for\s+.*$/, '').trim() || 'basics';
+    const taken = new Set(JSON.parse(match(prompt, /already covers[^:]*: (\[.*?\])\./, '[]')).map((k) => k.toLowerCase()));
+    const keywords = [];
+    for (const audience of shuffled(rand, AUDIENCES)) {
+      for (const template of shuffled(rand, KEYWORD_TEMPLATES)) {
+        if (keywords.length >= count) return { keywords };
+        const keyword = template(niche, facet, audience, pick(rand, QUALIFIERS));
+        if (taken.has(keyword)) continue;
+        taken.add(keyword);
+        keywords.push(keyword);
+      }
+    }
+    return { keywords };
+  },
 
+  generateSeoData({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const niche = nicheOf(prompt);
+    const lead = pick(rand, ['The Complete Guide to', 'A Practical Guide to', 'Everything to Know About', 'How to Master']);
+    const title = `${lead} ${titleWords(keyword)}`.slice(0, 70);
+    // Whole sentences only, as long as they fit the 160-character limit
+    let description = `Learn ${keyword} with clear steps and ${pick(rand, QUALIFIERS)} tips.`;
+    for (const extra of shuffled(rand, ['Avoid the common mistakes.', 'Start with confidence today.', 'Written by practitioners.', 'Updated for this year.'])) {
+      if (description.length + extra.length + 1 <= 160) description += ` ${extra}`;
+    }
+    const lsi = shuffled(rand, [
+      `${keyword} tips`, `${keyword} for ${pick(rand, AUDIENCES)}`, `${niche} basics`, `${niche} ${pick(rand, FACETS)}`,
+      `how to start ${niche}`, `${niche} checklist`, `${pick(rand, QUALIFIERS)} ${niche}`, `${niche} mistakes`, `${niche} plan`
+    ]).slice(0, between(rand, 6, 9));
+    return { title, description, lsi };
+  },
+
+  generateOutline({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const [first, ...rest] = SECTION_TEMPLATES;
+    const templates = [first, ...shuffled(rand, rest).slice(0, between(rand, 5, 7))];
+    const imageAt = new Set(shuffled(rand, templates.map((_, i) => i).slice(1)).slice(0, between(rand, 2, 3)));
+    return {
+      sections: templates.map((template, i) => {
+        const title = template(keyword);
+        const section = { title, points: shuffled(rand, POINTS).slice(0, between(rand, 2, 5)) };
+        if (imageAt.has(i)) {
+          section.suggestImage = true;
+          section.imagePrompt = `Editorial photo illustrating "${title}" for an article about ${keyword}, natural light, realistic`;
+          section.alt = `${title} — ${keyword}`;
+        }
+        return section;
+      })
+    };
+  },
+
+  generateFaq({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const questions = shuffled(rand, FAQ_QUESTIONS).slice(0, between(rand, 4, 6));
+    return {
+      faq: questions.map((question) => ({
+        question: question(keyword),
+        answer: capitalize([fakeSentence(rand, keyword), fakeSentence(rand, keyword), fakeSentence(rand, keyword)].join(' '))
+      }))
+    };
+  },
+
+  generateContentPart({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const partIndex = Number(match(prompt, /part (\d+) of/, '1'));
+    const totalParts = Number(match(prompt, /of (\d+)\)/, '1'));
+    // Outline titles survive even when the JSON in the prompt was truncated
+    const titles = [...prompt.matchAll(/"title":"((?:[^"\\]|\\.)*)"/g)].map((m) => m[1]);
+    const perPart = Math.ceil(titles.length / totalParts) || 1;
+    const mine = titles.slice((partIndex - 1) * perPart, partIndex * perPart);
+    const blocks = (mine.length ? mine : [`More on ${titleWords(keyword)}`]).map((title) => {
+      const sub = shuffled(rand, SUBHEADINGS).slice(0, between(rand, 1, 2));
+      const parts = [`## ${title}`, fakeParagraph(rand, keyword), fakeParagraph(rand, keyword)];
+      for (const subheading of sub) parts.push(`### ${subheading(title)}`, fakeParagraph(rand, keyword));
+      if (rand() < 0.5) parts.push(shuffled(rand, POINTS).slice(0, 3).map((p) => `- ${p}`).join('\n'));
+      return parts.join('\n\n');
+    });
+    if (partIndex === totalParts) blocks.push(`## Conclusion\n\n${fakeParagraph(rand, keyword)}`);
+    return blocks.join('\n\n');
+  },
+
+  generateSectionRewrite({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const heading = match(prompt, /Section heading: "([^"]+)"/, titleWords(keyword));
+    const parts = [fakeParagraph(rand, keyword), fakeParagraph(rand, keyword)];
+    if (rand() < 0.5) parts.push(`### ${pick(rand, POINTS)}`, fakeParagraph(rand, keyword));
+    // Models sometimes echo the heading; the refresh code has to cope with it
+    if (rand() < 0.3) parts.unshift(`## ${heading}`);
+    return parts.join('\n\n');
+  },
+
+  generateSection({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const title = match(prompt, /Write the section "([^"]+)"/, titleWords(keyword));
+    const parts = [fakeParagraph(rand, keyword), fakeParagraph(rand, keyword)];
+    for (const subheading of shuffled(rand, SUBHEADINGS).slice(0, between(rand, 1, 2))) parts.push(`### ${subheading(title)}`, fakeParagraph(rand, keyword));
+    if (rand() < 0.4) parts.push(shuffled(rand, POINTS).slice(0, 3).map((p) => `- ${p}`).join('\n'));
+    if (/This is the final section/.test(prompt)) parts.push(`In short, ${fakeParagraph(rand, keyword).replace(/^./, (c) => c.toLowerCase())}`);
+    return parts.join('\n\n');
+  },
+
+  generateImageMeta({ prompt, rand }) {
+    const keyword = keywordOf(prompt);
+    const subject = match(prompt, /appears in the section "([^"]+)"/, match(prompt, /titled "([^"]+)"/, titleWords(keyword)));
+    const view = pick(rand, ['Close-up', 'Wide shot', 'Overhead view', 'Everyday scene']);
+    return {
+      alt: `${view} of ${keyword} in practice, illustrating ${subject.toLowerCase()}`,
+      // Not every image needs a caption
+      caption: rand() < 0.6 ? `${capitalize(pick(rand, QUALIFIERS))} ${keyword}: ${subject.toLowerCase()}.` : ''
+    };
+  },
+
+  generateMetaDescription({ prompt, rand }) {
+    const title = match(prompt, /titled "([^"]+)"/, 'this guide');
+    const text = `${title}: ${pick(rand, QUALIFIERS)} steps, honest advice and the mistakes to skip, so you get results faster and with less guesswork.`;
+    return text.length >= 150 ? text.slice(0, 160) : `${text} Read the full guide.`.slice(0, 160);
+  }
+};
@@ -0,0 +1,52 @@
+import OpenAI from 'openai';
+import { ImageClient } from './imageClient.js';
+import { withRetry, onlyRateLimits } from './retry.js';
+import { toApiError } from './openaiClient.js';
+
+// Landscape sizes per model family; `size` in the provider config overrides them
+const DEFAULT_SIZES = { 'dall-e-3': '1792x1024', 'dall-e-2': '1024x1024' };
+
+// OpenAI Images (gpt-image-1, dall-e-3, ...). gpt-image models always answer with base64; DALL·E is
+// asked for base64 too, so no second download is needed.
+export class OpenAIImagesClient extends ImageClient {
+  constructor({ apiKey, baseUrl, model, size, quality, ...options }) {
+    if (!apiKey) throw new Error('OPENAI_API_KEY is required for the openai image provider');
+    super({ provider: 'openai', model: model || 'gpt-image-1', ...options });
+    this.size = size || DEFAULT_SIZES[this.model] || '1536x1024';
+    this.quality = quality;
+    // The SDK's own retries are disabled; `withRetry` applies the shared policy instead
+    this.client = new OpenAI({ apiKey, baseURL: baseUrl || undefined, maxRetries: 0, timeout: this.timeoutMs });
+  }
+
+  async _generate({ prompt, recordCost }) {
+    const dalle = this.model.startsWith('dall-e');
+    const res = await withRetry(
+      async () => {
+        try {
+          return await this.client.images.generate({
+            model: this.model,
+            prompt,
+            n: 1,
+            size: this.size,
+            ...(this.quality ? { quality: this.quality } : {}),
+            ...(dalle ? { response_format: 'b64_json' } : {})
+          });
+        } catch (err) {
+          throw toApiError(err, this.provider);
+        }
+      },
+      // A timed-out or failed generate may still be billed, so only a 429 is retried
+      { ...this.retry, retryIf: onlyRateLimits }
+    );
+    // Billed once generated, whether or not the URL below downloads
+    recordCost?.();
+    const image = res.data?.[0];
+    if (image?.b64_json) return { buffer: Buffer.from(image.b64_json, 'base64') };
+    if (image?.url) return { buffer: await this._fetch(image.url, {}, { as: 'buffer' }) };
+    throw new Error('OpenAI returned no image');
+  }
+
+  _cacheKey({ prompt }) {
+    return super._cacheKey({ prompt: `${this.size}|${this.quality || ''}|${prompt}` });
+  }
+}
@@ -0,0 +1,204 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+
+// Post-generation checks on the prose of a post: its sections, or its parts in the legacy layout.
+// Every check that fails costs points; a post scoring below `minScore` is regenerated with the
+// problems as feedback, then quarantined.
+
+export const QUALITY_DEFAULTS = {
+  minScore: 75,
+  // Sections of 300-400 words (legacy parts of 700-900) are asked for; well below that means they were cut short
+  minWords: 1200,
+  // Keyword phrase occurrences per 100 words
+  minDensity: 0.2,
+  maxDensity: 3,
+  // Estimated Jaccard similarity of 5-word shingles with any other post
+  maxSimilarity: 0.5,
+  // Generations per post, including the first
+  attempts: 2
+};
+
+const PENALTY = { words: 30, h1: 15, heading: 10, paragraph: 15, density: 10, nearDuplicate: 50 };
+const MAX_PENALTY = { h1: 30, heading: 30, paragraph: 30 };
+
+// Lines of markdown outside code fences
+function proseLines(markdown) {
+  let fenced = false;
+  return String(markdown || '')
+    .split('\n')
+    .filter((line) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        fenced = !fenced;
+        return false;
+      }
+      return !fenced;
+    });
+}
+
+const normalize = (s) => String(s).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+export function words(markdown) {
+  return proseLines(markdown)
+    .filter((line) => !/^\s*(!\[|<|\{\/\*)/.test(line))
+    .join(' ')
+    .replace(/\{\/\*[\s\S]*?\*\/\}/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+}
+
+export function headings(markdown, level) {
+  const prefix = '#'.repeat(level);
+  return proseLines(markdown)
+    .filter((line) => line.startsWith(`${prefix} `))
+    .map((line) => line.slice(level + 1).trim());
+}
+
+// Paragraphs long enough that a repeat is not a coincidence
+function paragraphs(markdown) {
+  return proseLines(markdown)
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter((p) => !/^(#|!\[|<|\{\/\*|[-*+] )/.test(p) && words(p).length >= 8);
+}
+
+function duplicates(list) {
+  const seen = new Set();
+  const dup = new Set();
+  for (const item of list.map(normalize)) (seen.has(item) ? dup : seen).add(item);
+  return [...dup];
+}
+
+export function keywordDensity(markdown, keyword) {
+  const text = ` ${words(markdown).map(normalize).join(' ')} `;
+  const total = text.trim() ? text.trim().split(' ').length : 0;
+  const phrase = normalize(keyword);
+  if (!total || !phrase) return 0;
+  const count = text.split(` ${phrase} `).length - 1;
+  return (count / total) * 100;
+}
+
+// Runs every check on the generated sections or parts (`parts`) and the composed body (`body`, for similarity)
+export function scoreArticle({ parts, body, keyword, similar = null }, options = {}) {
+  const o = { ...QUALITY_DEFAULTS, ...options };
+  const all = parts.join('\n\n');
+  const checks = [];
+  const add = (id, ok, penalty, message) => checks.push({ id, ok, penalty: ok ? 0 : penalty, message });
+
+  const wordCount = words(all).length;
+  add('words', wordCount >= o.minWords, PENALTY.words, `${wordCount} words (minimum ${o.minWords})`);
+
+  const leaked = parts.map((p, i) => (headings(p, 1).length ? i + 1 : 0)).filter(Boolean);
+  add('h1', leaked.length === 0, Math.min(MAX_PENALTY.h1, leaked.length * PENALTY.h1), leaked.length ? `H1 heading in part ${leaked.join(', ')}` : 'no H1 in the parts');
+
+  const dupHeadings = duplicates(parts.flatMap((p) => [...headings(p, 2), ...headings(p, 3)]));
+  add('headings', dupHeadings.length === 0, Math.min(MAX_PENALTY.heading, dupHeadings.length * PENALTY.heading), dupHeadings.length ? `repeated headings: ${dupHeadings.join('; ')}` : 'no repeated headings');
+
+  const dupParagraphs = duplicates(paragraphs(all));
+  add('paragraphs', dupParagraphs.length === 0, Math.min(MAX_PENALTY.paragraph, dupParagraphs.length * PENALTY.paragraph), dupParagraphs.length ? `${dupParagraphs.length} repeated paragraph(s)` : 'no repeated paragraphs');
+
+  const density = keywordDensity(all, keyword);
+  add('density', density >= o.minDensity && density <= o.maxDensity, PENALTY.density, `keyword density ${density.toFixed(2)}% (${o.minDensity}-${o.maxDensity}%)`);
+
+  if (similar) {
+    add('similarity', similar.similarity < o.maxSimilarity, PENALTY.nearDuplicate, `${Math.round(similar.similarity * 100)}% similar to /${similar.id}/ (maximum ${Math.round(o.maxSimilarity * 100)}%)`);
+  }
+
+  const score = Math.max(0, 100 - checks.reduce((sum, c) => sum + c.penalty, 0));
+  return { score, passed: score >= o.minScore, wordCount, density: Number(density.toFixed(2)), checks, problems: checks.filter((c) => !c.ok).map((c) => c.message) };
+}
+
+// --- Near-duplicate detection: MinHash signatures of word shingles ---
+
+const MAX_UINT32 = 0xffffffff;
+
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer: a cheap, well-mixed 32-bit hash family indexed by `seed`
+function mix(x, seed) {
+  let h = (x ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+export class MinHashIndex {
+  constructor({ numHashes = 128, shingleSize = 5 } = {}) {
+    this.shingleSize = shingleSize;
+    this.seeds = Array.from({ length: numHashes }, (_, i) => fnv1a(`minhash-${i}`));
+    this.signatures = new Map();
+  }
+
+  signature(markdown) {
+    const tokens = words(markdown).map(normalize);
+    const sig = new Uint32Array(this.seeds.length).fill(MAX_UINT32);
+    const n = Math.max(1, tokens.length - this.shingleSize + 1);
+    for (let i = 0; i < n; i++) {
+      const shingle = fnv1a(tokens.slice(i, i + this.shingleSize).join(' '));
+      for (let k = 0; k < sig.length; k++) {
+        const h = mix(shingle, this.seeds[k]);
+        if (h < sig[k]) sig[k] = h;
+      }
+    }
+    return sig;
+  }
+
+  static similarity(a, b) {
+    let same = 0;
+    for (let k = 0; k < a.length; k++) if (a[k] === b[k]) same++;
+    return same / a.length;
+  }
+
+  add(id, markdown) {
+    this.signatures.set(id, this.signature(markdown));
+  }
+
+  // The most similar indexed document other than `exclude`, or null when the index is empty
+  mostSimilar(markdown, { exclude } = {}) {
+    const sig = this.signature(markdown);
+    let best = null;
+    for (const [id, other] of this.signatures) {
+      if (id === exclude) continue;
+      const similarity = MinHashIndex.similarity(sig, other);
+      if (!best || similarity > best.similarity) best = { id, similarity };
+    }
+    return best;
+  }
+}
+
+// Scores posts of one run against each other and every post already in content/
+export class QualityGate {
+  constructor(options = {}) {
+    this.options = { ...QUALITY_DEFAULTS, ...options };
+    this.index = new MinHashIndex();
+  }
+
+  static async fromContent(contentDir, options = {}) {
+    const gate = new QualityGate(options);
+    const files = await fg(['**/*.mdx'], { cwd: contentDir });
+    for (const file of files) {
+      const { data, content } = matter(await fsp.readFile(path.join(contentDir, file), 'utf8'));
+      if (data?.slug) gate.index.add(String(data.slug), content);
+    }
+    return gate;
+  }
+
+  check({ parts, body, keyword, slug }) {
+    const similar = this.index.mostSimilar(body, { exclude: slug });
+    return scoreArticle({ parts, body, keyword, similar }, this.options);
+  }
+
+  // Later posts of the run are compared against accepted ones too
+  accept(slug, body) {
+    this.index.add(slug, body);
+  }
+}
@@ -0,0 +1,12 @@
+import crypto from 'node:crypto';
+
+// Deterministic PRNG (mulberry32) seeded from a hash of `parts`: same parts, same sequence
+export function seededRandom(...parts) {
+  let a = crypto.createHash('sha256').update(parts.join('\u0000')).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,123 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { slugifyString } from './slugify.js';
+import { stripLeadingHeading } from './mdx.js';
+import { stripInlineLinks } from './internalLinker.js';
+
+// Refreshing published posts: pick stale posts, rewrite some of their H2 sections and leave
+// everything the rest of the site depends on (slug, images, link blocks, hero) untouched.
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Blocks inside a section that are kept verbatim: link blocks, images and JSX/HTML lines
+const PROTECTED_RE = /\{\/\* ([A-Z-]+) START \*\/\}[\s\S]*?\{\/\* \1 END \*\/\}|^!\[[^\]]*\]\([^)]*\)[ \t]*$|^<.*>[ \t]*$/gm;
+
+// Last time the post's text changed: `updated` if it was refreshed before, else `date`
+export function postDate(data) {
+  const d = new Date(data?.updated || data?.date || 0);
+  return Number.isNaN(d.getTime()) ? new Date(0) : d;
+}
+
+// Posts matching every given filter, oldest first. `slugs` and `clusters` match by slug.
+export async function selectPosts({ contentDir, olderThanDays, clusters = [], slugs = [], limit = Infinity, now = new Date() }) {
+  const wantedClusters = new Set(clusters.map((c) => slugifyString(c)));
+  const wantedSlugs = new Set(slugs);
+  const files = await fg(['**/*.mdx'], { cwd: contentDir });
+  const posts = [];
+  for (const file of files.sort()) {
+    const raw = await fsp.readFile(path.join(contentDir, file), 'utf8');
+    const { data, content } = matter(raw);
+    if (!data?.slug) continue;
+    if (wantedSlugs.size && !wantedSlugs.has(String(data.slug))) continue;
+    if (wantedClusters.size && !wantedClusters.has(slugifyString(String(data.cluster || '')))) continue;
+    if (Number.isFinite(olderThanDays) && now - postDate(data) < olderThanDays * DAY_MS) continue;
+    posts.push({ file, raw, data, content });
+  }
+  return posts.sort((a, b) => postDate(a.data) - postDate(b.data) || a.file.localeCompare(b.file)).slice(0, limit);
+}
+
+// Body text before the first H2 (hero, intro) and one entry per H2 section
+export function splitSections(content) {
+  const [lead, ...chunks] = content.split(/^(?=## )/m);
+  return {
+    lead,
+    sections: chunks.map((chunk) => {
+      const newline = chunk.indexOf('\n');
+      return { heading: (newline === -1 ? chunk : chunk.slice(0, newline)).replace(/^## /, '').trim(), body: newline === -1 ? '' : chunk.slice(newline + 1) };
+    })
+  };
+}
+
+export function joinSections({ lead, sections }) {
+  return lead + sections.map((s) => `## ${s.heading}\n${s.body}`).join('');
+}
+
+// Splits a section body into its prose and the protected blocks around it. Blocks before the
+// prose stay in front of the rewritten text; all others follow it, in their original order.
+export function extractProtected(body) {
+  const leading = [];
+  const trailing = [];
+  let text = '';
+  let last = 0;
+  for (const m of body.matchAll(PROTECTED_RE)) {
+    text += body.slice(last, m.index);
+    (text.trim() ? trailing : leading).push(m[0]);
+    last = m.index + m[0].length;
+  }
+  text += body.slice(last);
+  return { text: text.replace(/\n{3,}/g, '\n\n').trim(), leading, trailing };
+}
+
+// Sections to rewrite: those named in `headings`, else the `max` thinnest ones with prose.
+// List-only sections (the outline summary at the top of generated posts) are skipped unless named.
+export function pickSections(sections, { headings = [], max = 3 } = {}) {
+  const named = new Set(headings.map((h) => h.trim().toLowerCase()));
+  if (named.size) {
+    return sections.map((s, index) => (named.has(s.heading.toLowerCase()) && extractProtected(s.body).text ? index : -1)).filter((i) => i !== -1);
+  }
+  const candidates = sections
+    .map((s, index) => {
+      const prose = extractProtected(s.body).text.split('\n').filter((line) => !/^\s*([-*+]|\d+\.)\s/.test(line)).join(' ');
+      return { index, words: prose.split(/\s+/).filter(Boolean).length };
+    })
+    .filter((c) => c.words > 0);
+  return candidates
+    .sort((a, b) => a.words - b.words || a.index - b.index)
+    .slice(0, max)
+    .map((c) => c.index)
+    .sort((a, b) => a - b);
+}
+
+// Rewrites the picked sections of one post; returns the new file text and the headings changed
+export async function refreshPost({ llm, post, niche, mode = 'improve', headings = [], maxSections = 3, today = new Date().toISOString().slice(0, 10) }) {
+  const { data } = post;
+  const { lead, sections } = splitSections(post.content);
+  const picked = pickSections(sections, { headings, max: maxSections });
+  const keyword = String(data.keywords?.[0] || data.title || data.slug);
+  const outline = sections.map((s) => s.heading);
+  const changed = [];
+  for (const index of picked) {
+    const section = sections[index];
+    // In-text links are added back by the linker once the post is written
+    const { text, leading, trailing } = extractProtected(stripInlineLinks(section.body));
+    const rewritten = await llm.generateSectionRewrite({
+      niche: niche || String(data.cluster || keyword),
+      keyword,
+      title: String(data.title || keyword),
+      heading: section.heading,
+      current: text,
+      outline,
+      mode,
+      slug: String(data.slug)
+    });
+    const clean = stripLeadingHeading(rewritten, section.heading);
+    if (!clean || clean === text) continue;
+    section.body = `\n${[...leading, clean, ...trailing].join('\n\n')}\n\n`;
+    changed.push(section.heading);
+  }
+  if (changed.length === 0) return { text: post.raw, changed };
+  const updatedData = { ...data, updated: today };
+  return { text: matter.stringify(joinSections({ lead, sections }), updatedData), changed };
+}
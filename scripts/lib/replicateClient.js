@@ -1,61 +1,75 @@
-import fs from 'node:fs';
-import fsp from 'node:fs/promises';
-import path from 'node:path';
-import sharp from 'sharp';
+import { ImageClient } from './imageClient.js';
+import { ApiError, TimeoutError } from './errors.js';
+import { onlyRateLimits } from './retry.js';
 
-export class ReplicateClient {
-  constructor({ apiToken, model }) {
+// Replicate predictions: start one, poll until it finishes, download its first output
+export class ReplicateClient extends ImageClient {
+  constructor({ apiToken, model, baseUrl = 'https://api.replicate.com/v1', pollIntervalMs = 2000, maxPollMs = 300000, ...options }) {
     if (!apiToken) throw new Error('REPLICATE_API_TOKEN is required');
+    super({ provider: 'replicate', model: model || 'black-forest-labs/flux-dev', ...options });
     this.apiToken = apiToken;
-    this.model = model || 'black-forest-labs/flux-dev';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxPollMs = maxPollMs;
+    this._versionId = null;
   }
 
-  async generateAndSaveWebp({ prompt, outputPath }) {
-    const imageUrl = await this._runPrediction({ prompt });
-    const buf = await fetchBuffer(imageUrl);
-    await sharp(buf).webp({ quality: 82 }).toFile(outputPath);
-    return outputPath;
+  async _generate({ prompt, recordCost }) {
+    const { url, seconds, seed } = await this._runPrediction({ prompt, recordCost });
+    return { buffer: await this._fetch(url, {}, { as: 'buffer' }), seconds, seed };
   }
 
-  async _runPrediction({ prompt }) {
-    const versionId = await this._resolveVersionId(this.model);
-    const response = await fetch('https://api.replicate.com/v1/predictions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${this.apiToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        version: versionId,
-        input: { prompt }
-      })
+  // `recordCost` runs as soon as an accepted prediction ends, however it ends: Replicate bills it
+  // even if it times out, is canceled or its output is never downloaded
+  async _runPrediction({ prompt, recordCost = () => {} }) {
+    if (!this._versionId) this._versionId = this._resolveVersionId(this.model);
+    const versionId = await this._versionId.catch((e) => {
+      this._versionId = null;
+      throw e;
     });
-    if (!response.ok) throw new Error(`Replicate start failed: ${response.status} ${await response.text()}`);
-    let data = await response.json();
+    // Each accepted POST is a paid prediction, so only a 429 is retried here
+    let data = await this._request(
+      '/predictions',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          version: versionId,
+          input: { prompt }
+        })
+      },
+      { retryIf: onlyRateLimits }
+    );
     const id = data.id;
+    const predictTime = () => Number(data.metrics?.predict_time) || 0;
 
-    // Poll
+    // Poll, but never longer than maxPollMs
+    const deadline = Date.now() + this.maxPollMs;
     let status = data.status;
-    let output;
-    for (;;) {
-      if (status === 'succeeded') {
-        output = data.output;
-        break;
+    try {
+      for (;;) {
+        if (status === 'succeeded') break;
+        if (status === 'failed' || status === 'canceled') {
+          throw new ApiError(`Replicate failed: ${status}${data.error ? ` (${data.error})` : ''}`, { provider: 'replicate' });
+        }
+        if (Date.now() + this.pollIntervalMs > deadline) {
+          await this._request(`/predictions/${id}/cancel`, { method: 'POST' }).catch(() => {});
+          // Not retryable: the caller decides whether to start a new prediction
+          throw new TimeoutError(`Replicate prediction ${id} did not finish within ${this.maxPollMs}ms`, { provider: 'replicate', retryable: false });
+        }
+        await new Promise((r) => setTimeout(r, this.pollIntervalMs));
+        data = await this._request(`/predictions/${id}`);
+        status = data.status;
       }
-      if (status === 'failed' || status === 'canceled') {
-        throw new Error(`Replicate failed: ${status}`);
-      }
-      await new Promise((r) => setTimeout(r, 2000));
-      const res = await fetch(`https://api.replicate.com/v1/predictions/${id}`, {
-        headers: { 'Authorization': `Token ${this.apiToken}` }
-      });
-      data = await res.json();
-      status = data.status;
+    } finally {
+      recordCost({ seconds: predictTime() });
     }
 
     const first = Array.isArray(data.output) ? data.output[0] : data.output;
     if (!first || typeof first !== 'string') throw new Error('Replicate returned no image URL');
-    return first;
+    // Most image models print the random seed they drew ("Using seed: 1234") in the logs
+    const seed = String(data.logs || '').match(/\bseed\b\D{0,3}(\d+)/i);
+    return { url: first, seconds: predictTime(), seed: seed ? Number(seed[1]) : null };
   }
 
   async _resolveVersionId(model) {
@@ -64,20 +78,14 @@ export class ReplicateClient {
     // Otherwise, resolve latest version for owner/name
     const [owner, name] = String(model || '').split('/');
     if (!owner || !name) throw new Error('Invalid REPLICATE_MODEL; expected owner/name or version id');
-    const url = `https://api.replicate.com/v1/models/${owner}/${name}`;
-    const res = await fetch(url, { headers: { 'Authorization': `Token ${this.apiToken}` } });
-    if (!res.ok) throw new Error(`Replicate model lookup failed: ${res.status} ${await res.text()}`);
-    const json = await res.json();
+    const json = await this._request(`/models/${owner}/${name}`);
     const versionId = json?.latest_version?.id || json?.versions?.[0]?.id;
     if (!versionId) throw new Error('Could not resolve Replicate model version');
     return versionId;
   }
-}
 
-async function fetchBuffer(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Download failed: ${res.status}`);
-  return Buffer.from(await res.arrayBuffer());
+  // JSON API call, authenticated
+  async _request(urlPath, init = {}, options = {}) {
+    return this._fetch(`${this.baseUrl}${urlPath}`, { ...init, headers: { Authorization: `Token ${this.apiToken}`, ...(init.headers || {}) } }, options);
+  }
 }
-
-
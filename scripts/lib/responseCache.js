@@ -0,0 +1,118 @@
+import crypto from 'node:crypto';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { ensureDir } from './fileUtils.js';
+
+// Content-addressed on-disk cache for LLM completions and generated images.
+// Entries are keyed by a hash of everything that affects the response (provider,
+// model, prompt, params), expire after `ttlMs`, and `prune()` keeps the directory
+// under `maxBytes` by dropping the oldest entries first.
+export class ResponseCache {
+  constructor({ dir, ttlMs = 7 * 24 * 3600 * 1000, maxBytes = 500 * 1024 * 1024 } = {}) {
+    if (!dir) throw new Error('ResponseCache needs a dir');
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  static key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  _path(key, ext) {
+    return path.join(this.dir, key.slice(0, 2), `${key}${ext}`);
+  }
+
+  // Resolves to the stored JSON value, or null when missing or expired
+  async getJson(key) {
+    const file = this._path(key, '.json');
+    if (!(await this._fresh(file))) return this._miss();
+    try {
+      const value = JSON.parse(await fsp.readFile(file, 'utf8'));
+      this.stats.hits++;
+      return value;
+    } catch {
+      return this._miss();
+    }
+  }
+
+  async setJson(key, value) {
+    await this._write(this._path(key, '.json'), JSON.stringify(value));
+  }
+
+  // Drops one entry, e.g. a response that turned out to be unusable
+  async delete(key, ext = '.json') {
+    await fsp.unlink(this._path(key, ext)).catch(() => {});
+  }
+
+  // Copies a cached file to `outputPath`; resolves to true on a hit
+  async copyFileTo(key, ext, outputPath) {
+    const file = this._path(key, ext);
+    try {
+      if (await this._fresh(file)) {
+        await fsp.copyFile(file, outputPath);
+        this.stats.hits++;
+        return true;
+      }
+    } catch {}
+    this._miss();
+    return false;
+  }
+
+  async storeFile(key, ext, sourcePath) {
+    await this._write(this._path(key, ext), await fsp.readFile(sourcePath));
+  }
+
+  // Drops expired entries, then the oldest ones until the cache fits in maxBytes
+  async prune() {
+    const entries = [];
+    let shards = [];
+    try {
+      shards = await fsp.readdir(this.dir);
+    } catch {
+      return { removed: 0, bytes: 0 };
+    }
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      const names = await fsp.readdir(shardDir).catch(() => []);
+      for (const name of names) {
+        const file = path.join(shardDir, name);
+        const stat = await fsp.stat(file).catch(() => null);
+        if (stat?.isFile()) entries.push({ file, size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let bytes = entries.reduce((n, e) => n + e.size, 0);
+    let removed = 0;
+    const now = Date.now();
+    for (const entry of entries) {
+      const expired = now - entry.mtimeMs > this.ttlMs;
+      if (!expired && bytes <= this.maxBytes) continue;
+      await fsp.unlink(entry.file).catch(() => {});
+      bytes -= entry.size;
+      removed++;
+    }
+    return { removed, bytes };
+  }
+
+  async _fresh(file) {
+    const stat = await fsp.stat(file).catch(() => null);
+    return !!stat && Date.now() - stat.mtimeMs <= this.ttlMs;
+  }
+
+  // Counts a miss; always null so getters can `return this._miss()`
+  _miss() {
+    this.stats.misses++;
+    return null;
+  }
+
+  // Write to a temp file and rename, so a concurrent reader never sees half an entry
+  async _write(file, data) {
+    await ensureDir(path.dirname(file));
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+    this.stats.writes++;
+  }
+}
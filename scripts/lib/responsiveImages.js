@@ -0,0 +1,191 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import fg from 'fast-glob';
+import { withBase } from './basePath.js';
+import { writeFileSafe } from './fileUtils.js';
+
+// Responsive copies of generated images. Every WebP in public/images/<slug>/ is resized to a set
+// of widths as AVIF and WebP, and public/images/<slug>/images.json records its dimensions, the
+// copies and a tiny blurred placeholder (LQIP). Pages and post bodies render <picture> from it.
+
+export const IMAGE_MANIFEST_FILE = 'images.json';
+export const RESPONSIVE_DEFAULTS = { widths: [480, 768, 1200], avifQuality: 50, webpQuality: 80 };
+
+const FORMATS = ['avif', 'webp'];
+const LQIP_WIDTH = 16;
+// `cover-480w.avif`: a copy, never a source
+const VARIANT_RE = /-\d+w\.(avif|webp)$/;
+
+// "480, 768,1200" -> [480, 768, 1200]; the defaults when nothing valid is given
+export function parseWidths(value) {
+  const widths = String(value || '')
+    .split(',')
+    .map((s) => parseInt(s, 10))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return widths.length ? [...new Set(widths)].sort((a, b) => a - b) : RESPONSIVE_DEFAULTS.widths;
+}
+
+export const variantFile = (file, width, format) => `${file.replace(/\.[^.]+$/, '')}-${width}w.${format}`;
+
+// Widths to render for a source `sourceWidth` wide. Images are never upscaled; a source narrower
+// than the largest width also gets a copy at its own width, so the largest copy is never missing.
+export function variantWidths(sourceWidth, widths = RESPONSIVE_DEFAULTS.widths) {
+  const list = widths.filter((w) => w < sourceWidth);
+  if (sourceWidth <= Math.max(...widths)) list.push(sourceWidth);
+  return list;
+}
+
+// A copy is reused while it is newer than its source
+function isFresh(file, source) {
+  try {
+    return fs.statSync(file).mtimeMs >= fs.statSync(source).mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+async function imageEntry({ dir, file, widths, force }) {
+  const source = path.join(dir, file);
+  const { width, height } = await sharp(source).metadata();
+  const list = variantWidths(width, widths);
+  const variants = {};
+  const keep = new Set();
+  for (const format of FORMATS) {
+    variants[format] = [];
+    for (const w of list) {
+      const name = variantFile(file, w, format);
+      const output = path.join(dir, name);
+      if (force || !isFresh(output, source)) {
+        const resized = sharp(source).resize({ width: w });
+        await (format === 'avif' ? resized.avif({ quality: RESPONSIVE_DEFAULTS.avifQuality }) : resized.webp({ quality: RESPONSIVE_DEFAULTS.webpQuality })).toFile(output);
+      }
+      variants[format].push({ width: w, file: name });
+      keep.add(name);
+    }
+  }
+  // Copies at widths no longer in use
+  const stem = file.replace(/\.[^.]+$/, '');
+  for (const old of await fg([`${fg.escapePath(stem)}-*w.{avif,webp}`], { cwd: dir })) {
+    if (!keep.has(old)) await fsp.rm(path.join(dir, old), { force: true });
+  }
+  const lqip = await sharp(source).resize({ width: LQIP_WIDTH }).blur(1).webp({ quality: 40 }).toBuffer();
+  return { width, height, lqip: `data:image/webp;base64,${lqip.toString('base64')}`, variants };
+}
+
+// Copies and manifest for one post's image directory; returns the manifest, or null when the
+// directory does not exist (e.g. a run with --no-images)
+export async function buildResponsiveImages({ dir, widths = RESPONSIVE_DEFAULTS.widths, force = false }) {
+  if (!fs.existsSync(dir)) return null;
+  const files = (await fg(['*.webp'], { cwd: dir })).filter((f) => !VARIANT_RE.test(f)).sort();
+  const manifest = {};
+  for (const file of files) manifest[file] = await imageEntry({ dir, file, widths, force });
+  await writeFileSafe(path.join(dir, IMAGE_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Picture data of a root-relative URL like /images/<slug>/cover.webp from its post's manifest, or
+// null for other URLs and images without one. srcset URLs get `base`.
+export function responsiveImage(src, { publicDir = path.resolve('public'), base = '/' } = {}) {
+  const m = String(src || '').match(/^\/images\/([^/]+)\/([^/?#]+)$/);
+  if (!m) return null;
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(path.join(publicDir, 'images', m[1], IMAGE_MANIFEST_FILE), 'utf8'))[m[2]];
+  } catch {
+    return null;
+  }
+  if (!entry) return null;
+  const sources = FORMATS.filter((format) => entry.variants?.[format]?.length).map((format) => ({
+    type: `image/${format}`,
+    srcset: entry.variants[format].map((v) => `${withBase(`/images/${m[1]}/${v.file}`, base)} ${v.width}w`).join(', ')
+  }));
+  return { width: entry.width, height: entry.height, lqip: entry.lqip, sources };
+}
+
+// Inline style that shows the placeholder until the image has loaded
+export const placeholderStyle = (lqip) => (lqip ? `background:url(${lqip}) center/cover no-repeat;` : '');
+
+// Rehype plugin for MDX: images with a manifest entry, in markdown and in inline JSX/HTML (the
+// hero), become <picture> with AVIF and WebP sources, width and height, and the placeholder. The
+// first image of a post loads eagerly at high priority, the rest lazily. Runs before rehypeBasePath,
+// which prefixes the URLs it adds.
+export function rehypeResponsiveImages({ publicDir, sizes = '(max-width: 960px) 100vw, 928px' } = {}) {
+  return (tree) => {
+    let first = true;
+    const sizesFor = (style) => {
+      const fixed = String(style || '').match(/(?:^|;)\s*width:\s*(\d+)px/);
+      return fixed ? `${fixed[1]}px` : sizes;
+    };
+    const visit = (node) => {
+      const children = node.children || [];
+      for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        if (child.type === 'element' && child.tagName === 'img') {
+          const image = responsiveImage(child.properties?.src, { publicDir });
+          const loading = first ? 'eager' : 'lazy';
+          first = false;
+          if (image) children[i] = hastPicture(child, image, { loading, sizes: sizesFor(child.properties.style) });
+        } else if ((child.type === 'mdxJsxFlowElement' || child.type === 'mdxJsxTextElement') && child.name === 'img') {
+          const attr = (name) => child.attributes.find((a) => a.type === 'mdxJsxAttribute' && a.name === name)?.value;
+          const image = typeof attr('src') === 'string' ? responsiveImage(attr('src'), { publicDir }) : null;
+          const loading = first ? 'eager' : 'lazy';
+          first = false;
+          if (image) children[i] = jsxPicture(child, image, { loading, sizes: sizesFor(attr('style')) });
+        } else visit(child);
+      }
+    };
+    visit(tree);
+  };
+}
+
+function hastPicture(img, image, { loading, sizes }) {
+  const style = String(img.properties.style || 'max-width:100%;height:auto;');
+  return {
+    type: 'element',
+    tagName: 'picture',
+    properties: {},
+    children: [
+      ...image.sources.map((s) => ({ type: 'element', tagName: 'source', properties: { type: s.type, srcSet: s.srcset, sizes }, children: [] })),
+      {
+        ...img,
+        properties: {
+          ...img.properties,
+          width: image.width,
+          height: image.height,
+          loading,
+          decoding: 'async',
+          ...(loading === 'eager' ? { fetchPriority: 'high' } : {}),
+          style: `${placeholderStyle(image.lqip)}${style}`
+        }
+      }
+    ]
+  };
+}
+
+function jsxPicture(img, image, { loading, sizes }) {
+  const attribute = (name, value) => ({ type: 'mdxJsxAttribute', name, value: String(value) });
+  const own = img.attributes.filter((a) => !(a.type === 'mdxJsxAttribute' && ['width', 'height', 'loading', 'decoding', 'fetchpriority', 'style'].includes(a.name)));
+  const style = img.attributes.find((a) => a.type === 'mdxJsxAttribute' && a.name === 'style')?.value;
+  return {
+    type: img.type,
+    name: 'picture',
+    attributes: [],
+    children: [
+      ...image.sources.map((s) => ({ type: img.type, name: 'source', attributes: [attribute('type', s.type), attribute('srcset', s.srcset), attribute('sizes', sizes)], children: [] })),
+      {
+        ...img,
+        attributes: [
+          ...own,
+          attribute('width', image.width),
+          attribute('height', image.height),
+          attribute('loading', loading),
+          attribute('decoding', 'async'),
+          ...(loading === 'eager' ? [attribute('fetchpriority', 'high')] : []),
+          attribute('style', `${placeholderStyle(image.lqip)}${typeof style === 'string' ? style : ''}`)
+        ]
+      }
+    ]
+  };
+}
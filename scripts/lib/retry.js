@@ -0,0 +1,78 @@
+import { sleep } from './fileUtils.js';
+import { ApiError, QuotaError, RateLimitError, TimeoutError, isRetryable } from './errors.js';
+
+export const DEFAULT_RETRY = {
+  retries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Upper bound on how long a server-sent Retry-After is honored
+  maxRetryAfterMs: 120000,
+  jitter: 0.5
+};
+
+// `retryIf` narrows which retryable errors get another attempt, e.g. `onlyRateLimits` for calls that
+// must not run twice
+export async function withRetry(fn, options = {}) {
+  const opts = { ...DEFAULT_RETRY, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!isRetryable(err) || (opts.retryIf && !opts.retryIf(err)) || attempt >= opts.retries) throw err;
+      const delay = retryDelay(attempt, err, opts);
+      if (opts.onRetry) opts.onRetry(err, { attempt: attempt + 1, delay });
+      await sleep(delay);
+    }
+  }
+}
+
+// For requests that start paid work (a prediction, an image): after a timeout or a 5xx the provider
+// may already have accepted it, and a retry would pay twice. A 429 means it was turned away.
+export const onlyRateLimits = (err) => err instanceof RateLimitError;
+
+// Exponential backoff with jitter, unless the server told us how long to wait
+export function retryDelay(attempt, err, opts = DEFAULT_RETRY) {
+  if (Number.isFinite(err?.retryAfterMs) && err.retryAfterMs >= 0) {
+    return Math.min(err.retryAfterMs, opts.maxRetryAfterMs);
+  }
+  const exp = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt);
+  return Math.round(exp * (1 - opts.jitter * Math.random()));
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(String(value));
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+export async function fetchWithTimeout(url, init = {}, { timeoutMs = 60000, provider } = {}) {
+  try {
+    return await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+      throw new TimeoutError(`${provider || 'request'} timed out after ${timeoutMs}ms`, { provider, cause: err });
+    }
+    // Connection resets, DNS hiccups and the like are worth another attempt
+    throw new ApiError(`${provider || 'request'} network error: ${err.message}`, { provider, retryable: true, cause: err });
+  }
+}
+
+// Turn a non-2xx response into the matching typed error
+export async function responseError(res, provider) {
+  let body = '';
+  try {
+    body = await res.text();
+  } catch {}
+  const message = `${provider} request failed: ${res.status} ${body.slice(0, 500)}`.trim();
+  const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+  if (res.status === 402 || ((res.status === 429 || res.status === 400) && /insufficient_quota|billing|credit balance/i.test(body))) {
+    return new QuotaError(message, { status: res.status, provider });
+  }
+  if (res.status === 429) return new RateLimitError(message, { status: res.status, provider, retryAfterMs });
+  if (res.status === 408) return new TimeoutError(message, { status: res.status, provider, retryAfterMs });
+  const retryable = res.status === 409 || res.status >= 500;
+  return new ApiError(message, { status: res.status, provider, retryable, retryAfterMs });
+}
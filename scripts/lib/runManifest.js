@@ -0,0 +1,205 @@
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ensureDir, writeFileSafe, readJsonIfExists } from './fileUtils.js';
+
+// A running process saves its manifest at least this often, so a run whose manifest is older than
+// RUN_STALE_MS (e.g. after a reboot, when its pid may belong to another process) is not active
+const HEARTBEAT_MS = 30 * 1000;
+export const RUN_STALE_MS = 5 * 60 * 1000;
+
+// Persisted record of a generation run: the plan, per-keyword status, output paths
+// and image results. Lets `create-site.js --resume <runId>` pick up where a run died.
+export class RunManifest {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+    this._writing = Promise.resolve();
+    this._heartbeat = null;
+  }
+
+  static async create({ runsDir, niche, siteSlug, options = {} }) {
+    await ensureDir(runsDir);
+    const now = new Date();
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const runId = `${stamp}-${siteSlug || 'site'}`;
+    const manifest = new RunManifest(path.join(runsDir, `${runId}.json`), {
+      runId,
+      niche,
+      status: 'running',
+      pid: process.pid,
+      host: os.hostname(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      options,
+      steps: {},
+      brand: null,
+      staticPages: null,
+      plan: null,
+      tasks: []
+    });
+    manifest._beat();
+    await manifest.save();
+    return manifest;
+  }
+
+  static async load({ runsDir, runId }) {
+    const filePath = path.join(runsDir, `${runId}.json`);
+    const data = await readJsonIfExists(filePath);
+    if (!data) throw new Error(`Run manifest not found: ${filePath}`);
+    return new RunManifest(filePath, data);
+  }
+
+  static async list(runsDir) {
+    let names = [];
+    try {
+      names = await fsp.readdir(runsDir);
+    } catch {
+      return [];
+    }
+    const runs = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const data = await readJsonIfExists(path.join(runsDir, name));
+      if (!data?.runId) continue;
+      runs.push(summarize(data));
+    }
+    return runs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  get tasks() {
+    return this.data.tasks;
+  }
+
+  isStepDone(name) {
+    return this.data.steps[name] === 'done';
+  }
+
+  async markStep(name, status = 'done', extra = {}) {
+    this.data.steps[name] = status;
+    Object.assign(this.data, extra);
+    await this.save();
+  }
+
+  async setTasks(tasks) {
+    this.data.tasks = tasks.map((t) => ({
+      id: t.id,
+      cluster: t.cluster,
+      keyword: t.keyword,
+      slug: t.slug,
+      status: 'pending',
+      mdxFilePath: null,
+      imagePrompts: [],
+      images: {},
+      error: null
+    }));
+    await this.save();
+  }
+
+  getTask(id) {
+    return this.data.tasks.find((t) => t.id === id) || null;
+  }
+
+  async updateTask(id, patch) {
+    const task = this.getTask(id);
+    if (!task) return null;
+    Object.assign(task, patch, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return task;
+  }
+
+  async setImageStatus(id, file, status) {
+    const task = this.getTask(id);
+    if (!task) return;
+    task.images = { ...(task.images || {}), [file]: status };
+    await this.save();
+  }
+
+  // 'running' (a resume) claims the run for this process; any other status releases it
+  async finish(status) {
+    this.data.status = status;
+    this.data.pid = status === 'running' ? process.pid : null;
+    this.data.host = status === 'running' ? os.hostname() : null;
+    this._beat();
+    await this.save();
+  }
+
+  // Keeps `updatedAt` fresh while this process runs the run, even during long calls
+  _beat() {
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+    if (this.data.status !== 'running') return;
+    this._heartbeat = setInterval(() => this.save().catch(() => {}), HEARTBEAT_MS);
+    this._heartbeat.unref();
+  }
+
+  summary() {
+    return summarize(this.data);
+  }
+
+  // Writes are chained so concurrent updates never interleave on disk. A failed write rejects
+  // only its own caller; the chain goes on, so later saves still run.
+  save() {
+    const write = this._writing.then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      await writeFileSafe(this.filePath, JSON.stringify(this.data, null, 2));
+    });
+    this._writing = write.catch(() => {});
+    return write;
+  }
+}
+
+// A task is finished when its MDX exists, every expected image succeeded and the images were
+// described (`imageMeta: 'pending'` after a stop). Images skipped by a --no-images run only count
+// while images are still off, so a run resumed with images makes them.
+export function isTaskComplete(task, { doImages = true } = {}) {
+  if (task.status !== 'done' || task.imageMeta === 'pending') return false;
+  const expected = ['cover.webp', ...(task.imagePrompts || []).map((_, i) => `img${i + 1}.webp`)];
+  return expected.every((file) => task.images?.[file] === 'done' || (!doImages && task.images?.[file] === 'skipped'));
+}
+
+// A run still being written by a live process. One that died without finishing stays 'running'
+// on disk, so its heartbeat and, on this host, the process it names are checked too.
+export function isRunActive(data, { now = Date.now() } = {}) {
+  if (data?.status !== 'running' || !data.pid) return false;
+  if (!(now - Date.parse(data.updatedAt) <= RUN_STALE_MS)) return false;
+  // A process on another machine sharing .runs/ cannot be checked; its heartbeat has to do
+  if (data.host && data.host !== os.hostname()) return true;
+  try {
+    process.kill(data.pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: the process exists but belongs to someone else
+    return e.code === 'EPERM';
+  }
+}
+
+function summarize(data) {
+  const counts = { done: 0, failed: 0, quarantined: 0, pending: 0 };
+  for (const t of data.tasks || []) {
+    if (t.status === 'done') counts.done++;
+    else if (t.status === 'failed') counts.failed++;
+    else if (t.status === 'quarantined') counts.quarantined++;
+    else counts.pending++;
+  }
+  const imagesFailed = (data.tasks || []).reduce(
+    (n, t) => n + Object.values(t.images || {}).filter((s) => s === 'failed').length,
+    0
+  );
+  return {
+    runId: data.runId,
+    niche: data.niche,
+    status: data.status,
+    active: isRunActive(data),
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+    clusters: Array.isArray(data.plan) ? data.plan.length : 0,
+    total: (data.tasks || []).length,
+    ...counts,
+    imagesFailed,
+    costUsd: data.costUsd || 0
+  };
+}
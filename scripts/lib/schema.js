@@ -0,0 +1,120 @@
+// Minimal JSON schema helpers for LLM responses. `validate` returns a repaired copy
+// of the value (trimmed strings, truncated arrays, invalid array items dropped)
+// plus a list of errors that could not be repaired.
+
+export const t = {
+  string: (opts = {}) => ({ type: 'string', ...opts }),
+  boolean: (opts = {}) => ({ type: 'boolean', ...opts }),
+  array: (items, opts = {}) => ({ type: 'array', items, ...opts }),
+  object: (properties, opts = {}) => ({ type: 'object', properties, ...opts })
+};
+
+export function validate(schema, value, at = '$') {
+  const errors = [];
+  // A bare array where an object with a single array field was asked for
+  if (schema.type === 'object' && Array.isArray(value)) {
+    const arrayKeys = Object.keys(schema.properties).filter((k) => schema.properties[k].type === 'array');
+    if (arrayKeys.length === 1) value = { [arrayKeys[0]]: value };
+  }
+  const out = check(schema, value, at, errors);
+  return { value: out, errors };
+}
+
+function check(schema, value, at, errors) {
+  if (value === undefined || value === null) {
+    if (schema.optional) return schema.default;
+    errors.push(`${at}: is required`);
+    return value;
+  }
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') {
+        errors.push(`${at}: expected a string`);
+        return value;
+      }
+      const str = value.trim();
+      if (!str && schema.optional) return schema.default;
+      if (str.length < (schema.min ?? 1)) errors.push(`${at}: must not be empty`);
+      return schema.max ? str.slice(0, schema.max) : str;
+    }
+    case 'boolean': {
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (typeof value !== 'boolean') errors.push(`${at}: expected a boolean`);
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${at}: expected an array`);
+        return value;
+      }
+      // Drop items that can't be repaired as long as enough valid ones remain
+      const items = [];
+      const itemErrors = [];
+      value.forEach((item, i) => {
+        const errs = [];
+        const v = check(schema.items, item, `${at}[${i}]`, errs);
+        if (errs.length) itemErrors.push(...errs);
+        else items.push(v);
+      });
+      const min = schema.min ?? 0;
+      if (items.length < min) {
+        errors.push(...itemErrors);
+        errors.push(`${at}: expected at least ${min} valid item(s), got ${items.length}`);
+      }
+      return schema.max ? items.slice(0, schema.max) : items;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${at}: expected an object`);
+        return value;
+      }
+      const out = { ...value };
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        out[key] = check(prop, value[key], `${at}.${key}`, errors);
+        if (out[key] === undefined) delete out[key];
+      }
+      return out;
+    }
+    default:
+      return value;
+  }
+}
+
+// Pull the first JSON object/array out of a model response (code fences, prose
+// before/after, trailing commas).
+export function extractJson(text) {
+  const src = String(text || '').replace(/```(?:json)?/gi, '');
+  const starts = [src.indexOf('{'), src.indexOf('[')].filter((i) => i >= 0);
+  if (starts.length === 0) throw new SyntaxError('No JSON object or array found');
+  const start = Math.min(...starts);
+  const end = matchingBracket(src, start);
+  const body = src.slice(start, end === -1 ? undefined : end + 1);
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    const relaxed = body.replace(/,\s*([}\]])/g, '$1');
+    if (relaxed === body) throw e;
+    return JSON.parse(relaxed);
+  }
+}
+
+function matchingBracket(src, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') depth++;
+    else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,64 @@
+import { t } from './schema.js';
+
+// Response schemas for every structured LLM call
+
+export const brandSchema = t.object({
+  name: t.string({ max: 80 }),
+  tagline: t.string({ max: 160 }),
+  tone: t.string({ max: 80 }),
+  valueProps: t.array(t.string(), { min: 1, max: 4 })
+});
+
+export const heroSchema = t.object({
+  title: t.string({ max: 120 }),
+  subtitle: t.string({ max: 240 }),
+  ctaText: t.string({ max: 40 })
+});
+
+export const sitePlanSchema = t.object({
+  clusters: t.array(
+    t.object({
+      cluster: t.string(),
+      keywords: t.array(t.string(), { min: 1 })
+    }),
+    { min: 1 }
+  )
+});
+
+export const clusterKeywordsSchema = t.object({
+  keywords: t.array(t.string(), { min: 1 })
+});
+
+export const seoSchema = t.object({
+  title: t.string(),
+  description: t.string(),
+  lsi: t.array(t.string(), { max: 12 })
+});
+
+export const outlineSchema = t.object({
+  sections: t.array(
+    t.object({
+      title: t.string(),
+      points: t.array(t.string(), { min: 1 }),
+      suggestImage: t.boolean({ optional: true }),
+      imagePrompt: t.string({ optional: true }),
+      alt: t.string({ optional: true })
+    }),
+    { min: 3 }
+  )
+});
+
+export const faqSchema = t.object({
+  faq: t.array(
+    t.object({
+      question: t.string({ max: 200 }),
+      answer: t.string({ max: 1200 })
+    }),
+    { min: 4, max: 6 }
+  )
+});
+
+export const imageMetaSchema = t.object({
+  alt: t.string({ max: 250 }),
+  caption: t.string({ max: 300, optional: true, default: '' })
+});
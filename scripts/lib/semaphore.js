@@ -0,0 +1,18 @@
+export class Semaphore {
+  constructor(max) {
+    this.max = Math.max(1, max || 1);
+    this.count = 0;
+    this.queue = [];
+  }
+  async run(fn) {
+    if (this.count >= this.max) await new Promise((r) => this.queue.push(r));
+    this.count++;
+    try {
+      return await fn();
+    } finally {
+      this.count--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+}
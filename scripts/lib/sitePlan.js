@@ -0,0 +1,72 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { writeFileSafe, readJsonIfExists } from './fileUtils.js';
+import { slugifyString } from './slugify.js';
+import { RunManifest } from './runManifest.js';
+
+export const PLAN_FILE = '.plan.json';
+
+// The site's keyword plan, kept next to the content so later runs can extend it instead of
+// asking for a new one: content/.plan.json = { niche, updatedAt, clusters: [{ cluster, keywords }] }
+
+export async function loadSitePlan(contentDir) {
+  const data = await readJsonIfExists(path.join(contentDir, PLAN_FILE));
+  return Array.isArray(data?.clusters) ? data : null;
+}
+
+// Merged into the stored plan, so clusters and keywords of earlier runs are never dropped
+export async function saveSitePlan(contentDir, { niche, clusters }) {
+  const existing = await loadSitePlan(contentDir);
+  const plan = {
+    niche: niche || existing?.niche || null,
+    updatedAt: new Date().toISOString(),
+    clusters: mergeClusters(existing?.clusters || [], clusters)
+  };
+  await writeFileSafe(path.join(contentDir, PLAN_FILE), JSON.stringify(plan, null, 2));
+  return plan;
+}
+
+// Union by cluster name and keyword slug, keeping the first spelling and order
+export function mergeClusters(base, extra) {
+  const out = base.map((c) => ({ cluster: c.cluster, keywords: [...(c.keywords || [])] }));
+  for (const c of extra || []) {
+    let target = out.find((x) => slugifyString(x.cluster) === slugifyString(c.cluster));
+    if (!target) {
+      target = { cluster: c.cluster, keywords: [] };
+      out.push(target);
+    }
+    const seen = new Set(target.keywords.map(slugifyString));
+    for (const keyword of c.keywords || []) {
+      if (seen.has(slugifyString(keyword))) continue;
+      seen.add(slugifyString(keyword));
+      target.keywords.push(keyword);
+    }
+  }
+  return out;
+}
+
+// Target keyword, cluster and slug of every post on disk
+export async function scanPublished(contentDir) {
+  const files = await fg(['**/*.mdx'], { cwd: contentDir });
+  const posts = [];
+  for (const file of files.sort()) {
+    const { data } = matter(await fsp.readFile(path.join(contentDir, file), 'utf8'));
+    if (!data?.slug) continue;
+    posts.push({ file, slug: String(data.slug), keyword: String(data.keywords?.[0] || data.title || ''), cluster: String(data.cluster || 'Uncategorized') });
+  }
+  return posts;
+}
+
+// For sites generated before .plan.json existed: the newest run's plan plus what is published
+export async function recoverSitePlan({ contentDir, runsDir }) {
+  const published = await scanPublished(contentDir);
+  const [latest] = await RunManifest.list(runsDir);
+  const manifest = latest ? await RunManifest.load({ runsDir, runId: latest.runId }) : null;
+  const fromContent = published.map((p) => ({ cluster: p.cluster, keywords: [p.keyword] }));
+  return {
+    niche: manifest?.data.niche || null,
+    clusters: mergeClusters(Array.isArray(manifest?.data.plan) ? manifest.data.plan : [], fromContent)
+  };
+}
@@ -0,0 +1,164 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { writeFileSafe, readJsonIfExists, ensureDir } from './fileUtils.js';
+import { slugifyString } from './slugify.js';
+
+export const REGISTRY_FILE = '.slugs.json';
+
+// Canonical slug per post across all runs. `[slug].astro` routes by slug alone and images
+// live in /images/<slug>/, so two posts must never share one. Stored in content/.slugs.json:
+// { slugs: { [slug]: { id, keyword, cluster, file } }, redirects: { [oldSlug]: newSlug }, history: [...] }
+export class SlugRegistry {
+  constructor(filePath, contentDir, data = {}) {
+    this.filePath = filePath;
+    this.contentDir = contentDir;
+    this.data = { slugs: {}, redirects: {}, history: [], ...data };
+    this.collisions = [];
+  }
+
+  static async load({ contentDir }) {
+    const filePath = path.join(contentDir, REGISTRY_FILE);
+    const registry = new SlugRegistry(filePath, contentDir, (await readJsonIfExists(filePath)) || {});
+    await registry.scan();
+    return registry;
+  }
+
+  // Registers MDX files the registry doesn't know yet (e.g. from runs before it existed)
+  // and records slugs used by more than one file in `collisions`
+  async scan() {
+    const files = await fg(['**/*.mdx'], { cwd: this.contentDir });
+    const bySlug = new Map();
+    for (const file of files.sort()) {
+      const { data } = matter(await fsp.readFile(path.join(this.contentDir, file), 'utf8'));
+      if (!data?.slug) continue;
+      const slug = String(data.slug);
+      const list = bySlug.get(slug) || [];
+      list.push({ file, date: String(data.date || ''), keyword: data.keywords?.[0], cluster: data.cluster });
+      bySlug.set(slug, list);
+    }
+    this.collisions = [];
+    for (const [slug, list] of bySlug) {
+      if (list.length > 1) {
+        this.collisions.push({ slug, files: list.map((f) => f.file) });
+        continue;
+      }
+      const [post] = list;
+      const entry = this.data.slugs[slug];
+      if (entry?.file === post.file) continue;
+      this.data.slugs[slug] = { id: entry?.id || post.file.replace(/\.mdx$/, ''), keyword: post.keyword, cluster: post.cluster, file: post.file };
+    }
+    this._found = bySlug;
+    return this.collisions;
+  }
+
+  isTaken(slug) {
+    // A slug that redirects elsewhere stays reserved so the redirect keeps working
+    return !!this.data.slugs[slug] || !!this.data.redirects[slug];
+  }
+
+  // The post's slug: its earlier claim if it has one, else the keyword's slug made unique
+  claim({ id, keyword, cluster }) {
+    for (const [slug, entry] of Object.entries(this.data.slugs)) {
+      if (entry.id === id) return slug;
+    }
+    const clusterSlug = slugifyString(cluster || 'misc');
+    const slug = this.uniqueSlug(slugifyString(keyword) || 'post', clusterSlug);
+    this.data.slugs[slug] = { id, keyword, cluster, file: `${clusterSlug}/${slug}.mdx` };
+    return slug;
+  }
+
+  uniqueSlug(base, clusterSlug) {
+    if (!this.isTaken(base)) return base;
+    const withCluster = clusterSlug && !base.endsWith(`-${clusterSlug}`) ? `${base}-${clusterSlug}` : null;
+    if (withCluster && !this.isTaken(withCluster)) return withCluster;
+    for (let n = 2; ; n++) {
+      if (!this.isTaken(`${base}-${n}`)) return `${base}-${n}`;
+    }
+  }
+
+  // Every file sharing a slug except one gets a new slug: the registered owner keeps it,
+  // otherwise the oldest post does. The moved post's frontmatter, image paths, image folder
+  // and file name are updated. Returns [{ file, from, to }].
+  async resolveCollisions({ imagesDir }) {
+    const moved = [];
+    for (const { slug } of this.collisions) {
+      const posts = this._found.get(slug);
+      const owner =
+        posts.find((p) => p.file === this.data.slugs[slug]?.file) ||
+        [...posts].sort((a, b) => a.date.localeCompare(b.date) || a.file.localeCompare(b.file))[0];
+      this.data.slugs[slug] = { ...(this.data.slugs[slug] || { id: owner.file.replace(/\.mdx$/, '') }), keyword: owner.keyword, cluster: owner.cluster, file: owner.file };
+      for (const post of posts.filter((p) => p !== owner)) {
+        const clusterSlug = path.dirname(post.file) === '.' ? '' : slugifyString(path.dirname(post.file));
+        const to = this.uniqueSlug(slug, clusterSlug);
+        const file = await this._moveFile(post.file, slug, to, imagesDir);
+        this.data.slugs[to] = { id: post.file.replace(/\.mdx$/, ''), keyword: post.keyword, cluster: post.cluster, file };
+        // No redirect: /<slug>/ still serves the owner
+        this.data.history.push({ from: slug, to, reason: `collision with ${owner.file}`, at: new Date().toISOString() });
+        moved.push({ file: post.file, from: slug, to });
+      }
+    }
+    this.collisions = [];
+    return moved;
+  }
+
+  // Gives a published post a new slug: its file name, frontmatter, image paths and image folder
+  // move with it, and /from/ redirects to /to/. A post can move back to a slug it redirects from.
+  async renamePost(from, to, { imagesDir, reason = 'renamed' } = {}) {
+    const entry = this.data.slugs[from];
+    if (!entry?.file || !fs.existsSync(path.join(this.contentDir, entry.file))) throw new Error(`No post has the slug "${from}"`);
+    const slug = slugifyString(to);
+    if (!slug || slug === from) throw new Error(`"${to}" is not a new slug for /${from}/`);
+    if (this.data.slugs[slug] || (this.data.redirects[slug] && this.data.redirects[slug] !== from)) throw new Error(`The slug "${slug}" is taken`);
+    const file = await this._moveFile(entry.file, from, slug, imagesDir, { move: true });
+    delete this.data.slugs[from];
+    this.data.slugs[slug] = { ...entry, file };
+    this.rename(from, slug, reason);
+    return { file, from, to: slug };
+  }
+
+  // Records a slug change of a published post: /from/ redirects to /to/
+  rename(from, to, reason = '') {
+    for (const [old, target] of Object.entries(this.data.redirects)) {
+      if (target === from) this.data.redirects[old] = to;
+    }
+    this.data.redirects[from] = to;
+    // A slug in use again no longer redirects
+    delete this.data.redirects[to];
+    this.data.history.push({ from, to, reason, at: new Date().toISOString() });
+  }
+
+  // Redirects that don't shadow a live post
+  activeRedirects() {
+    return Object.fromEntries(Object.entries(this.data.redirects).filter(([from]) => !this.data.slugs[from]));
+  }
+
+  async save() {
+    await writeFileSafe(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  // `move` takes the image folder along; otherwise (a collision, where both posts wrote into the
+  // same folder) the moved post starts from a copy of it
+  async _moveFile(file, from, to, imagesDir, { move = false } = {}) {
+    const src = path.join(this.contentDir, file);
+    const destFile = path.join(path.dirname(file), `${to}.mdx`);
+    const { data, content } = matter(await fsp.readFile(src, 'utf8'));
+    const swap = (s) => String(s).split(`/images/${from}/`).join(`/images/${to}/`);
+    data.slug = to;
+    if (data.image) data.image = swap(data.image);
+    if (data.ogImage) data.ogImage = swap(data.ogImage);
+    await writeFileSafe(path.join(this.contentDir, destFile), matter.stringify(swap(content), data));
+    await fsp.unlink(src);
+    if (imagesDir && fs.existsSync(path.join(imagesDir, from))) {
+      if (move) {
+        await fsp.rename(path.join(imagesDir, from), path.join(imagesDir, to));
+      } else {
+        await ensureDir(path.join(imagesDir, to));
+        await fsp.cp(path.join(imagesDir, from), path.join(imagesDir, to), { recursive: true });
+      }
+    }
+    return destFile;
+  }
+}
@@ -0,0 +1,99 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { ImageClient } from './imageClient.js';
+import { readJsonIfExists } from './fileUtils.js';
+import { seededRandom } from './random.js';
+
+// Picks images from a local folder of licensed photos instead of generating them. Each image is
+// tagged by `library.json` in the folder when it lists it:
+//   { "images": [{ "file": "cats/sleeping-tabby.jpg", "tags": ["cat", "sleep"], "credit": "...", "license": "..." }] }
+// and otherwise by the words of its path (`cats/sleeping-tabby.jpg` -> cats, sleeping, tabby).
+// The image whose tags best match the prompt, keyword and cluster wins; images already used in
+// the same post are skipped and ones used less often on the site are preferred.
+
+export const STOCK_LIBRARY_FILE = 'library.json';
+const IMAGE_GLOB = '**/*.{jpg,jpeg,png,webp,avif,tif,tiff}';
+const STOP_WORDS = new Set(['a', 'an', 'and', 'or', 'of', 'the', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'from', 'your', 'how', 'what', 'why', 'best', 'guide', 'tips', 'image', 'photo', 'realistic', 'editorial', 'illustration', 'illustrative', 'style', 'detailed', 'high', 'detail', 'clean', 'composition', 'natural', 'lighting', 'contextual', 'consistent', 'coherent', 'article', 'tone']);
+
+// Lowercase word stems, with a trailing plural "s" dropped so "cats" matches "cat"
+export function tagWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length > 1 && !STOP_WORDS.has(w) && !/^\d+$/.test(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+export async function loadStockLibrary(dir) {
+  const root = path.resolve(dir);
+  const listed = (await readJsonIfExists(path.join(root, STOCK_LIBRARY_FILE)))?.images || [];
+  const byFile = new Map(listed.map((entry) => [path.normalize(entry.file), entry]));
+  const files = (await fg([IMAGE_GLOB], { cwd: root, caseSensitiveMatch: false })).sort();
+  return files.map((file) => {
+    const entry = byFile.get(path.normalize(file));
+    const tags = entry?.tags?.length ? entry.tags.flatMap(tagWords) : tagWords(file.replace(/\.[^.]+$/, ''));
+    return { file, path: path.join(root, file), tags: [...new Set(tags)], credit: entry?.credit || '', license: entry?.license || '' };
+  });
+}
+
+// Share of the image's tags found in the request words; prompt words count once, keyword and
+// cluster words (the post's subject) twice
+export function scoreStockImage(image, { prompt, tags = [] }) {
+  const promptWords = new Set(tagWords(prompt));
+  const subjectWords = new Set(tags.flatMap(tagWords));
+  let score = 0;
+  for (const tag of image.tags) {
+    if (subjectWords.has(tag)) score += 2;
+    else if (promptWords.has(tag)) score += 1;
+  }
+  return image.tags.length ? score / Math.sqrt(image.tags.length) : 0;
+}
+
+export class StockLibraryClient extends ImageClient {
+  constructor({ dir, minScore = 0.5, reusePenalty = 0.5, ...options }) {
+    if (!dir) throw new Error('stock provider needs a `dir` with licensed images (or STOCK_IMAGES_DIR)');
+    super({ provider: 'stock', model: 'stock', paid: false, ...options });
+    this.dir = dir;
+    this.minScore = minScore;
+    this.reusePenalty = reusePenalty;
+    this._library = null;
+    this.usedBySlug = new Map();
+    this.useCount = new Map();
+  }
+
+  async library() {
+    if (!this._library) this._library = loadStockLibrary(this.dir);
+    return this._library;
+  }
+
+  // Picking is synchronous after the library loads, so parallel posts never take the same image twice
+  async pick({ prompt, slug, tags }) {
+    const library = await this.library();
+    if (library.length === 0) throw new Error(`No images in stock library ${this.dir}`);
+    const used = this.usedBySlug.get(slug) || new Set();
+    const rand = seededRandom(slug || '', prompt);
+    // Each earlier use on the site costs `reusePenalty`, so similar matches take turns
+    const ranked = library
+      .filter((image) => !used.has(image.file))
+      .map((image) => ({ image, match: scoreStockImage(image, { prompt, tags }), tiebreak: rand() }))
+      .filter((c) => c.match >= this.minScore)
+      .map((c) => ({ ...c, score: c.match - this.reusePenalty * (this.useCount.get(c.image.file) || 0) }))
+      .sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak);
+    if (ranked.length === 0) throw new Error(`No stock image matches "${prompt.slice(0, 80)}"`);
+    const { image } = ranked[0];
+    this.usedBySlug.set(slug, used.add(image.file));
+    this.useCount.set(image.file, (this.useCount.get(image.file) || 0) + 1);
+    return image;
+  }
+
+  async _generate({ prompt, slug, tags }) {
+    const image = await this.pick({ prompt, slug, tags });
+    return { buffer: await fsp.readFile(image.path), file: image.file, license: image.license || null, credit: image.credit || null };
+  }
+
+  // The pick depends on what was used before, so it is never cached
+  _cacheKey() {
+    return null;
+  }
+}
@@ -0,0 +1,166 @@
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { writeFileSafe, readJsonIfExists } from './fileUtils.js';
+import { BudgetExceededError } from './errors.js';
+
+// USD. LLM prices are per 1M tokens; image prices per prediction and/or per second of run time.
+// Override or extend with a JSON file of the same shape (--prices / PRICES_FILE).
+export const DEFAULT_PRICES = {
+  llm: {
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+    mock: { input: 0, output: 0 }
+  },
+  image: {
+    'black-forest-labs/flux-dev': { perImage: 0.025 },
+    'black-forest-labs/flux-schnell': { perImage: 0.003 },
+    'gpt-image-1': { perImage: 0.063 },
+    'dall-e-3': { perImage: 0.08 }
+  }
+};
+
+export async function loadPrices(filePath) {
+  if (!filePath) return DEFAULT_PRICES;
+  const custom = await readJsonIfExists(path.resolve(filePath));
+  if (!custom) throw new Error(`Price table not found or invalid: ${filePath}`);
+  return {
+    llm: { ...DEFAULT_PRICES.llm, ...(custom.llm || {}) },
+    image: { ...DEFAULT_PRICES.image, ...(custom.image || {}) }
+  };
+}
+
+// Records every LLM call and image prediction, tagged by method and post slug
+export class UsageTracker {
+  constructor({ prices = DEFAULT_PRICES, budgetUsd = null, records = [], logPath = null } = {}) {
+    this.prices = prices;
+    this.budgetUsd = Number.isFinite(budgetUsd) && budgetUsd > 0 ? budgetUsd : null;
+    this.records = records;
+    this.unpriced = new Set();
+    // Optional JSON-lines log each record is appended to as it happens, so a crash keeps the spend
+    this.logPath = logPath;
+    this._logging = Promise.resolve();
+  }
+
+  // Continue a resumed run, so its earlier spend counts against the budget: from its log, or from
+  // its last report for runs started without one
+  static async fromReport(jsonPath, { logPath = null, ...options } = {}) {
+    let records = logPath ? await readLog(logPath) : null;
+    if (!records) {
+      const previous = await readJsonIfExists(jsonPath);
+      records = Array.isArray(previous?.records) ? previous.records : [];
+      if (logPath && records.length > 0) await writeFileSafe(logPath, records.map((r) => `${JSON.stringify(r)}\n`).join(''));
+    }
+    return new UsageTracker({ ...options, records, logPath });
+  }
+
+  recordLlm({ provider, model, method, slug, promptTokens = 0, completionTokens = 0 }) {
+    const price = this.prices.llm[model];
+    if (!price) this.unpriced.add(model);
+    const cost = price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : 0;
+    this._record({ kind: 'llm', provider, model, method, slug: slug || '', promptTokens, completionTokens, seconds: 0, cost });
+  }
+
+  recordImage({ provider, model, method, slug, seconds = 0 }) {
+    const price = this.prices.image[model];
+    if (!price) this.unpriced.add(model);
+    const cost = price ? (price.perImage || 0) + seconds * (price.perSecond || 0) : 0;
+    this._record({ kind: 'image', provider, model, method, slug: slug || '', promptTokens: 0, completionTokens: 0, seconds, cost });
+  }
+
+  _record(record) {
+    this.records.push(record);
+    if (!this.logPath) return;
+    const line = `${JSON.stringify(record)}\n`;
+    // Appends run one after another; a failed one is reported and the next still runs
+    this._logging = this._logging
+      .then(() => fsp.appendFile(this.logPath, line))
+      .catch((e) => console.warn(`Usage log not written: ${e.message}`));
+  }
+
+  // Resolves once every record so far is in the log
+  flush() {
+    return this._logging;
+  }
+
+  get totalCostUsd() {
+    return this.records.reduce((sum, r) => sum + r.cost, 0);
+  }
+
+  isOverBudget() {
+    return this.budgetUsd !== null && this.totalCostUsd >= this.budgetUsd;
+  }
+
+  // Called before every paid request
+  checkBudget() {
+    if (this.isOverBudget()) {
+      throw new BudgetExceededError(`Budget of $${this.budgetUsd.toFixed(2)} reached ($${this.totalCostUsd.toFixed(4)} spent)`);
+    }
+  }
+
+  summary() {
+    const group = (keyFn) => {
+      const out = {};
+      for (const r of this.records) {
+        const key = keyFn(r);
+        const g = (out[key] ||= { calls: 0, promptTokens: 0, completionTokens: 0, seconds: 0, cost: 0 });
+        g.calls++;
+        g.promptTokens += r.promptTokens;
+        g.completionTokens += r.completionTokens;
+        g.seconds += r.seconds;
+        g.cost += r.cost;
+      }
+      return out;
+    };
+    const totals = group(() => 'all').all || { calls: 0, promptTokens: 0, completionTokens: 0, seconds: 0, cost: 0 };
+    return {
+      totals,
+      budgetUsd: this.budgetUsd,
+      unpricedModels: [...this.unpriced],
+      byMethod: group((r) => r.method),
+      byModel: group((r) => r.model),
+      byPost: group((r) => r.slug || '(site)')
+    };
+  }
+
+  async writeReport(dir, name) {
+    await this.flush();
+    const jsonPath = path.join(dir, `${name}.json`);
+    const csvPath = path.join(dir, `${name}.csv`);
+    await writeFileSafe(jsonPath, JSON.stringify({ ...this.summary(), records: this.records }, null, 2));
+    const header = ['kind', 'provider', 'model', 'method', 'slug', 'promptTokens', 'completionTokens', 'seconds', 'cost'];
+    const rows = this.records.map((r) => header.map((k) => csvCell(k === 'cost' ? r.cost.toFixed(6) : r[k])).join(','));
+    await writeFileSafe(csvPath, [header.join(','), ...rows].join('\n') + '\n');
+    return { jsonPath, csvPath };
+  }
+}
+
+// Null when there is no log yet. A line cut short by a crash is skipped, and ended so the next
+// record starts a line of its own.
+async function readLog(logPath) {
+  let text;
+  try {
+    text = await fsp.readFile(logPath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (text && !text.endsWith('\n')) await fsp.appendFile(logPath, '\n');
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {}
+  }
+  return records;
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { parseArgs } from './lib/cli.js';
+import { writeFileSafe } from './lib/fileUtils.js';
+import { loadPosts, loadRedirects, buildLinkGraph, checkThresholds, LINK_THRESHOLDS } from './lib/linkGraph.js';
+import { findBrokenLinks } from './lib/linkChecker.js';
+import { normalizeBasePath } from './lib/basePath.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+const contentDir = path.join(root, 'content');
+const reportsDir = path.join(root, 'reports');
+const distDir = path.join(root, 'dist');
+
+// A threshold from its flag, else env, else the default; "none" turns it off
+function threshold(args, flag, envName, fallback) {
+  const value = args[flag] ?? process.env[envName];
+  if (value === undefined || value === 'true') return fallback;
+  if (String(value).toLowerCase() === 'none') return Infinity;
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${flag} expects a number or "none", got "${value}"`);
+  return n;
+}
+
+// Link graph of the posts in content/ (and, with --dist, dead links in the built site), written
+// to reports/links-<stamp>.json and .html. Exits 1 when a threshold is breached.
+async function main() {
+  const args = parseArgs(process.argv);
+  const thresholds = {
+    maxBroken: threshold(args, 'max-broken', 'LINKS_MAX_BROKEN', LINK_THRESHOLDS.maxBroken),
+    maxOrphans: threshold(args, 'max-orphans', 'LINKS_MAX_ORPHANS', LINK_THRESHOLDS.maxOrphans),
+    maxDisconnected: threshold(args, 'max-disconnected', 'LINKS_MAX_DISCONNECTED', LINK_THRESHOLDS.maxDisconnected)
+  };
+  const checkDist = String(args['dist'] || '').toLowerCase() === 'true';
+
+  const posts = await loadPosts(contentDir);
+  if (posts.length === 0) {
+    console.log('No posts in content/.');
+    return;
+  }
+  // Top-level pages besides posts, e.g. about, contact
+  const pages = (await fg(['*.astro', '*.js', '*/'], { cwd: path.join(root, 'src', 'pages'), onlyFiles: false }))
+    .map((name) => name.replace(/\/$/, '').replace(/\.(astro|js)$/, ''))
+    .filter((name) => !name.startsWith('[') && name !== 'index');
+  const graph = buildLinkGraph(posts, { redirects: await loadRedirects(contentDir), pages });
+
+  if (checkDist) {
+    if (!fs.existsSync(distDir)) throw new Error('--dist needs a built site in dist/. Run npm run build first.');
+    graph.builtBroken = await findBrokenLinks({ distDir, base: normalizeBasePath(process.env.BASE_PATH), site: process.env.SITE_URL || 'http://localhost:4321' });
+    graph.totals.builtBroken = graph.builtBroken.length;
+  }
+  const breaches = checkThresholds(graph, thresholds);
+  if (graph.builtBroken?.length > thresholds.maxBroken) breaches.push(`${graph.builtBroken.length} broken link(s) in dist/ (maximum ${thresholds.maxBroken})`);
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const report = { runAt: new Date().toISOString(), thresholds: jsonThresholds(thresholds), breaches, ...graph };
+  const base = path.join(reportsDir, `links-${stamp}`);
+  await writeFileSafe(`${base}.json`, JSON.stringify(report, null, 2));
+  await writeFileSafe(`${base}.html`, renderHtml(report));
+
+  const { totals } = graph;
+  console.log(`${totals.posts} posts, ${totals.links} links, ${totals.broken} broken, ${totals.redirected} via redirects, ${totals.orphans} orphans`);
+  for (const b of graph.broken.slice(0, 20)) console.log(`  broken: ${b.file}:${b.line} ${b.url} (${b.reason})`);
+  for (const b of (graph.builtBroken || []).slice(0, 20)) console.log(`  broken in dist/: ${b.page} ${b.url} (${b.reason})`);
+  for (const c of graph.clusters.filter((x) => !x.connected)) console.log(`  ${c.cluster}: ${c.components} unlinked groups of posts`);
+  console.log(`Report: ${path.relative(root, `${base}.html`)}`);
+  if (breaches.length) {
+    console.error(`Link check failed: ${breaches.join('; ')}`);
+    process.exitCode = 1;
+  }
+}
+
+// JSON has no Infinity
+const jsonThresholds = (t) => Object.fromEntries(Object.entries(t).map(([k, v]) => [k, Number.isFinite(v) ? v : null]));
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="muted">None.</p>';
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c ?? '')}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderHtml(report) {
+  const { totals, breaches } = report;
+  const sections = [
+    `<h1>Internal links</h1>`,
+    `<p class="muted">${escapeHtml(report.runAt)}</p>`,
+    breaches.length ? `<p class="fail">Failed: ${escapeHtml(breaches.join('; '))}</p>` : '<p class="ok">All thresholds met.</p>',
+    `<p>${totals.posts} posts, ${totals.links} links, ${totals.broken} broken, ${totals.redirected} via redirects, ${totals.orphans} orphans.</p>`,
+    `<h2>Broken links</h2>`,
+    table(['Post', 'Line', 'Link', 'Block', 'Problem'], report.broken.map((b) => [b.file, b.line, b.url, b.via, b.reason]))
+  ];
+  if (report.builtBroken) sections.push(`<h2>Broken links in dist/</h2>`, table(['Page', 'Link', 'Problem'], report.builtBroken.map((b) => [b.page, b.url, b.reason])));
+  sections.push(
+    `<h2>Links through redirects</h2>`,
+    table(['Post', 'Line', 'Link', 'Now'], report.redirected.map((r) => [r.file, r.line, r.url, `/${r.to}/`])),
+    `<h2>Orphans</h2>`,
+    `<p class="muted">Posts no other post links to. Category pages and the homepage still list them.</p>`,
+    table(['Post', 'Cluster'], report.posts.filter((p) => p.inbound === 0).map((p) => [p.file, p.cluster])),
+    `<h2>Clusters</h2>`,
+    table(
+      ['Cluster', 'Posts', 'Links inside', 'Links out', 'Links in', 'Groups', 'Largest group'],
+      report.clusters.map((c) => [c.cluster, c.posts, c.internalLinks, c.linksOut, c.linksIn, c.components, c.largestComponent])
+    ),
+    `<h2>Posts</h2>`,
+    table(['Post', 'Cluster', 'Inbound', 'From own cluster', 'Outbound', 'Broken'], report.posts.map((p) => [p.file, p.cluster, p.inbound, p.inboundSameCluster, p.outbound, p.broken]))
+  );
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Internal links ${escapeHtml(report.runAt)}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:2rem;color:#111}
+table{border-collapse:collapse;margin:.5rem 0 1.5rem}
+th,td{border:1px solid #ddd;padding:.3rem .6rem;text-align:left;font-size:14px}
+th{background:#f4f4f5}
+.muted{color:#666}.fail{color:#b91c1c;font-weight:600}.ok{color:#15803d;font-weight:600}
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { readJsonIfExists } from './lib/fileUtils.js';
+import { writePostCard } from './lib/brandAssets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+
+// Redraws the share card of every post in content/ from public/brand.json, e.g. after a brand
+// edit or a cover replacement, or for posts written before cards existed
+async function main() {
+  const brand = await readJsonIfExists(path.join(root, 'public', 'brand.json'));
+  if (!brand?.name) throw new Error('public/brand.json with a "name" is needed. Run create-site first.');
+  const contentDir = path.join(root, 'content');
+  const imagesDir = path.join(root, 'public', 'images');
+  const files = (await fg(['**/*.mdx'], { cwd: contentDir })).sort();
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const url = await writePostCard({ mdxFilePath: path.join(contentDir, file), imagesDir, brand });
+      console.log(`${file}: ${url}`);
+    } catch (e) {
+      failed++;
+      console.warn(`${file}: ${e.message}`);
+    }
+  }
+  console.log(`Share cards for ${files.length - failed} of ${files.length} post(s).`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { fileURLToPath } from 'node:url';
+import { parseArgs, getEnvNumber } from './lib/cli.js';
+import { loadLlmConfig, createLlmFromConfig } from './lib/llmProviders.js';
+import { UsageTracker, loadPrices } from './lib/usageTracker.js';
+import { ResponseCache } from './lib/responseCache.js';
+import { Semaphore } from './lib/semaphore.js';
+import { QuotaError, BudgetExceededError } from './lib/errors.js';
+import { writeFileSafe } from './lib/fileUtils.js';
+import { loadSitePlan } from './lib/sitePlan.js';
+import { selectPosts, refreshPost, postDate } from './lib/refresh.js';
+import { unifiedDiff, diffStats } from './lib/diff.js';
+import { applyInternalLinks, INLINE_LINK_DEFAULTS } from './lib/internalLinker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+const contentDir = path.join(root, 'content');
+const reportsDir = path.join(root, 'reports');
+
+const USAGE = 'Usage: node scripts/refresh.js [--older-than DAYS] [--cluster "<Cluster>[,<Cluster>]"] [--slugs a,b] [--limit N] [--sections "<Heading>[,<Heading>]"] [--max-sections N] [--mode improve|regenerate] [--niche "<Niche>"] [--dry-run] [--mock] [--llm-config file] [--budget USD] [--prices file.json] [--no-cache] [--concurrency N]';
+
+const list = (value) => (value && value !== 'true' ? String(value).split(',').map((s) => s.trim()).filter(Boolean) : []);
+
+// Rewrites sections of stale posts in place and writes a diff report for review before deploying
+async function main() {
+  const args = parseArgs(process.argv);
+  const olderThanDays = args['older-than'] ? parseFloat(args['older-than']) : NaN;
+  const clusters = list(args['cluster']);
+  const slugs = list(args['slugs']);
+  if (!Number.isFinite(olderThanDays) && clusters.length === 0 && slugs.length === 0) {
+    console.error('Pick posts with at least one of --older-than, --cluster or --slugs.');
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const mode = args['mode'] || 'improve';
+  if (!['improve', 'regenerate'].includes(mode)) {
+    console.error(`Unknown --mode "${mode}" (expected improve or regenerate)`);
+    process.exit(1);
+  }
+  const limit = parseInt(args['limit'] || '10', 10);
+  const headings = list(args['sections']);
+  const maxSections = parseInt(args['max-sections'] || '3', 10);
+  const dryRun = String(args['dry-run'] || '').toLowerCase() === 'true';
+  const concurrency = parseInt(args['concurrency'] || process.env.CONCURRENT_REQUESTS || '3', 10);
+  const llmConfigPath = args['llm-config'] || process.env.LLM_CONFIG;
+  const hasLlm = !!(llmConfigPath || process.env.LLM_PROVIDER || process.env.LLM_BASE_URL || process.env.OPENAI_API_KEY || process.env.GPT_KEY);
+  const mock = String(args['mock'] || '').toLowerCase() === 'true' || !hasLlm;
+  const useCache = String(args['no-cache'] || '').toLowerCase() !== 'true';
+
+  const posts = await selectPosts({ contentDir, olderThanDays, clusters, slugs, limit });
+  if (posts.length === 0) {
+    console.log('No posts match.');
+    return;
+  }
+  // An explicit --niche wins over the one stored with the site plan
+  const niche = (args['niche'] && args['niche'] !== 'true' ? String(args['niche']) : '') || (await loadSitePlan(contentDir))?.niche;
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const reportName = `refresh-${stamp}`;
+  console.log(`Refreshing ${posts.length} post(s) (${mode}${dryRun ? ', dry run' : ''}${mock ? ', mock' : ''})`);
+
+  const usage = new UsageTracker({ prices: await loadPrices(args['prices'] || process.env.PRICES_FILE), budgetUsd: parseFloat(args['budget'] || process.env.RUN_BUDGET_USD || '') });
+  const cache = useCache && !mock
+    ? new ResponseCache({
+        dir: process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : path.join(root, '.cache', 'responses'),
+        ttlMs: getEnvNumber('CACHE_TTL_HOURS', 24 * 7) * 3600 * 1000,
+        maxBytes: getEnvNumber('CACHE_MAX_MB', 500) * 1024 * 1024
+      })
+    : null;
+  const llmConfig = mock ? { providers: { mock: { provider: 'mock' } } } : await loadLlmConfig({ configPath: llmConfigPath });
+  const llm = createLlmFromConfig(llmConfig, {
+    concurrency,
+    timeoutMs: getEnvNumber('LLM_TIMEOUT_MS', getEnvNumber('OPENAI_TIMEOUT_MS', 120000)),
+    retry: { retries: getEnvNumber('API_MAX_RETRIES', 4) },
+    usage,
+    cache
+  });
+
+  // Posts run side by side; a quota or budget stop keeps what was already refreshed
+  const gate = new Semaphore(concurrency);
+  const results = [];
+  let stopped = null;
+  await Promise.all(
+    posts.map((post) =>
+      gate.run(async () => {
+        if (stopped) return;
+        try {
+          const { text, changed } = await refreshPost({ llm, post, niche, mode, headings, maxSections });
+          if (changed.length && !dryRun) await writeFileSafe(path.join(contentDir, post.file), text);
+          // Diffed once the linker has run too, below
+          results.push({ file: post.file, slug: String(post.data.slug), lastChanged: postDate(post.data).toISOString().slice(0, 10), sections: changed, raw: post.raw, text });
+          console.log(`${post.file}: ${changed.length ? `rewrote ${changed.length} section(s)` : 'no changes'}`);
+        } catch (e) {
+          if (e instanceof QuotaError || e instanceof BudgetExceededError) {
+            stopped ||= e.message;
+            return;
+          }
+          console.warn(`${post.file}: refresh failed: ${e.message}`);
+          results.push({ file: post.file, slug: String(post.data.slug), error: e.message, sections: [] });
+        }
+      })
+    )
+  );
+  if (!dryRun && results.some((r) => r.sections?.length)) {
+    // Rewritten sections lost their in-text links; the linker finds mentions in the new text
+    const linked = await applyInternalLinks({
+      contentDir,
+      inline: {
+        maxPerPost: getEnvNumber('INLINE_LINKS_MAX', INLINE_LINK_DEFAULTS.maxPerPost),
+        crossClusterMinScore: parseFloat(process.env.INLINE_LINKS_CROSS_CLUSTER_MIN || '') || INLINE_LINK_DEFAULTS.crossClusterMinScore
+      }
+    });
+    // The report shows the files as they will be deployed: refreshed posts with their new links, and
+    // every other post whose links changed
+    for (const { path: filePath, before, after } of linked) {
+      const file = path.relative(contentDir, filePath).split(path.sep).join('/');
+      const result = results.find((r) => r.file === file);
+      if (result) result.text = after;
+      else results.push({ file, slug: String(matter(after).data.slug), sections: [], links: true, raw: before, text: after });
+    }
+  }
+  results.sort((a, b) => a.file.localeCompare(b.file));
+  for (const result of results) {
+    const { raw, text } = result;
+    delete result.raw;
+    delete result.text;
+    if (text === undefined) continue;
+    Object.assign(result, diffStats(raw, text));
+    result.diff = unifiedDiff(raw, text, { from: `a/content/${result.file}`, to: `b/content/${result.file}` });
+  }
+
+  const report = { runAt: new Date().toISOString(), mode, dryRun, filters: { olderThanDays: Number.isFinite(olderThanDays) ? olderThanDays : null, clusters, slugs, limit }, stopped, posts: results };
+  await writeFileSafe(path.join(reportsDir, `${reportName}.json`), JSON.stringify(report, null, 2));
+  await writeFileSafe(path.join(reportsDir, `${reportName}.md`), renderReport(report));
+  await usage.writeReport(reportsDir, `cost-${reportName}`);
+  if (cache) await cache.prune();
+
+  const refreshed = results.filter((r) => r.sections.length).length;
+  console.log(`${dryRun ? 'Would refresh' : 'Refreshed'} ${refreshed} post(s) for $${usage.totalCostUsd.toFixed(4)}. Review: ${path.relative(root, path.join(reportsDir, `${reportName}.md`))}`);
+  if (stopped) {
+    console.error(`Refresh stopped. ${stopped}`);
+    process.exitCode = 1;
+  }
+}
+
+function renderReport({ runAt, mode, dryRun, stopped, posts }) {
+  const lines = [`# Content refresh ${runAt}`, '', `Mode: ${mode}${dryRun ? ' (dry run, nothing written)' : ''}`];
+  if (stopped) lines.push('', `Stopped early: ${stopped}`);
+  lines.push('', '| Post | Last changed | Sections | Lines |', '| --- | --- | --- | --- |');
+  for (const p of posts) {
+    const sections = p.error ? `failed: ${p.error}` : p.sections.join('; ') || (p.links ? 'links only' : 'no changes');
+    lines.push(`| ${p.file} | ${p.lastChanged || ''} | ${sections.replace(/\|/g, '\\|')} | ${p.error ? '' : `+${p.added} -${p.removed}`} |`);
+  }
+  for (const p of posts.filter((x) => x.diff)) {
+    // Posts can contain code fences themselves
+    const fence = '`'.repeat(Math.max(3, ...(p.diff.match(/`+/g) || []).map((m) => m.length + 1)));
+    lines.push('', `## ${p.file}`, '', `${fence}diff`, p.diff.trimEnd(), fence);
+  }
+  return lines.join('\n') + '\n';
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
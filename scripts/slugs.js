@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SlugRegistry } from './lib/slugRegistry.js';
+import { parseArgs } from './lib/cli.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+
+const USAGE = 'Usage: node scripts/slugs.js [--fix] [--rename <old-slug> <new-slug>]';
+
+// Lists slug collisions in content/ (and resolves them with --fix) plus the redirect map.
+// --rename moves a published post to a new slug and redirects the old one.
+async function main() {
+  const args = parseArgs(process.argv);
+  const fix = args['fix'] === 'true';
+  const contentDir = path.join(root, 'content');
+  const imagesDir = path.join(root, 'public', 'images');
+  const registry = await SlugRegistry.load({ contentDir });
+
+  if (args['rename'] !== undefined) {
+    const [from, to] = [args['rename'], args._[0]];
+    if (!from || from === 'true' || !to) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    const moved = await registry.renamePost(from, to, { imagesDir });
+    await registry.save();
+    console.log(`${moved.file}: /${moved.from}/ -> /${moved.to}/ (the old URL redirects)`);
+    return;
+  }
+
+  if (registry.collisions.length === 0) {
+    console.log('No slug collisions.');
+  } else if (!fix) {
+    for (const { slug, files } of registry.collisions) console.log(`/${slug}/ is used by: ${files.join(', ')}`);
+    console.log(`${registry.collisions.length} collision(s). Run with --fix to give each post its own slug.`);
+    process.exitCode = 1;
+  } else {
+    for (const { file, from, to } of await registry.resolveCollisions({ imagesDir })) {
+      console.log(`${file}: /${from}/ -> /${to}/`);
+    }
+  }
+
+  const redirects = Object.entries(registry.activeRedirects());
+  if (redirects.length > 0) {
+    console.log(`Redirects (${redirects.length}):`);
+    for (const [from, to] of redirects) console.log(`  /${from}/ -> /${to}/`);
+  }
+  if (fix) await registry.save();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -16,7 +16,7 @@ const niches = [
 async function main() {
   for (const niche of niches) {
     console.log(`\n=== Generating niche: ${niche} ===`);
-    await runNode(['scripts/create-site.js', niche, '--max-posts', '5', '--batch', '5', '--concurrency', '2', '--no-images', '--no-deploy', '--clean', 'true']);
+    await runNode(['scripts/create-site.js', niche, '--max-posts', '5', '--batch', '5', '--concurrency', '2', '--no-images', '--no-deploy', '--clean', 'true', '--mock']);
     await runNpm(['run', 'build']);
   }
   console.log('\nSmoke test complete.');
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { stripGeneratedLinks } from './lib/internalLinker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const root = path.resolve(__dirname, '..');
+
+// Removes every generated link block and in-text link from the posts in content/. The next
+// create-site run adds them back; until then posts link only where their text always did.
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const contentDir = path.join(root, 'content');
+  const files = (await fg(['**/*.mdx'], { cwd: contentDir })).sort();
+  let changed = 0;
+  for (const file of files) {
+    const raw = await fsp.readFile(path.join(contentDir, file), 'utf8');
+    const stripped = stripGeneratedLinks(raw);
+    if (stripped === raw) continue;
+    changed++;
+    console.log(`${file}: ${raw.length - stripped.length} characters of links removed`);
+    if (!dryRun) await fsp.writeFile(path.join(contentDir, file), stripped, 'utf8');
+  }
+  console.log(`${dryRun ? 'Would strip' : 'Stripped'} generated links from ${changed} of ${files.length} post(s).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,10 +4,15 @@ import express from 'express';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { spawn } from 'node:child_process';
+import { RunManifest, isRunActive } from './lib/runManifest.js';
+import { normalizeBasePath } from './lib/basePath.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const root = path.resolve(__dirname, '..');
+const runsDir = path.join(root, '.runs');
+// The preview is built for, and served at, this path prefix
+const previewBase = normalizeBasePath(process.env.BASE_PATH || '/site/');
 
 const app = express();
 app.use(express.urlencoded({ extended: true }));
@@ -40,6 +45,10 @@ app.get('/', (req, res) => {
         .link { margin-top: 16px; }
         a { color: #22d3ee; text-decoration: none; }
         a:hover { text-decoration: underline; }
+        table { width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 14px; }
+        th, td { text-align: left; padding: 8px 6px; border-bottom: 1px solid #1f2937; }
+        th { color: #9ca3af; font-weight: 600; }
+        td button { padding: 6px 10px; font-size: 13px; }
       </style>
     </head>
     <body>
@@ -49,7 +58,7 @@ app.get('/', (req, res) => {
           <p>Generate a small demo site to preview. Uses your configured API keys. Images can be toggled.</p>
           <form id="f">
             <label>Keyword / Niche</label>
-            <input type="text" name="kw" placeholder="e.g. Organic Gardening" required />
+            <input type="text" name="kw" placeholder="e.g. Organic Gardening (optional when adding to the existing site)" />
             <div class="row">
               <div>
                 <label>Posts (max)</label>
@@ -77,6 +86,10 @@ app.get('/', (req, res) => {
                 <label>Clean existing content</label>
                 <input type="checkbox" name="clean" />
               </div>
+              <div>
+                <label>Add to existing site</label>
+                <input type="checkbox" name="extend" />
+              </div>
             </div>
             <div style="margin-top: 16px; display: flex; gap: 12px; align-items: center;">
               <button type="submit">Generate</button>
@@ -85,64 +98,146 @@ app.get('/', (req, res) => {
           </form>
           <div class="link" id="link"></div>
         </div>
+        <div class="card" style="margin-top: 24px;">
+          <h1>Run history</h1>
+          <table>
+            <thead><tr><th>Run</th><th>Niche</th><th>Status</th><th>Posts</th><th>Failed</th><th>Cost</th><th></th></tr></thead>
+            <tbody id="runs"></tbody>
+          </table>
+        </div>
       </div>
       <script>
         const f = document.getElementById('f');
         const status = document.getElementById('status');
         const link = document.getElementById('link');
+        const runs = document.getElementById('runs');
+        async function generate(body) {
+          status.textContent = body.resume ? 'Resuming ' + body.resume + '...' : 'Starting...';
+          link.innerHTML = '';
+          const res = body.resume
+            ? await fetch('/api/runs/' + encodeURIComponent(body.resume) + '/resume', { method: 'POST' })
+            : await fetch('/api/generate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          const json = await res.json();
+          loadRuns();
+          if (!res.ok) { status.textContent = 'Error: ' + (json.error || res.status); return; }
+          status.textContent = json.message || 'Done';
+          link.innerHTML = '<a href="' + json.site + '" target="_blank">Open preview site</a>';
+        }
+        async function loadRuns() {
+          const res = await fetch('/api/runs');
+          const list = res.ok ? await res.json() : [];
+          runs.innerHTML = '';
+          for (const r of list) {
+            const tr = document.createElement('tr');
+            const cells = [r.runId, r.niche, r.status, r.done + ' / ' + r.total, r.failed + (r.quarantined ? ' (+' + r.quarantined + ' quarantined)' : '') + (r.imagesFailed ? ' (+' + r.imagesFailed + ' images)' : ''), '$' + Number(r.costUsd || 0).toFixed(2)];
+            for (const c of cells) {
+              const td = document.createElement('td');
+              td.textContent = c;
+              tr.appendChild(td);
+            }
+            const td = document.createElement('td');
+            // A run still in progress has a writer already; only runs that ended short can resume
+            if (r.status !== 'completed' && !r.active) {
+              const btn = document.createElement('button');
+              btn.textContent = 'Resume';
+              btn.addEventListener('click', () => generate({ resume: r.runId }));
+              td.appendChild(btn);
+            }
+            tr.appendChild(td);
+            runs.appendChild(tr);
+          }
+        }
         f.addEventListener('submit', async (e) => {
           e.preventDefault();
-          status.textContent = 'Starting...';
-          link.innerHTML = '';
           const data = Object.fromEntries(new FormData(f).entries());
-          const body = {
+          await generate({
             kw: data.kw,
             max: Number(data.max || 10),
             batch: Number(data.batch || 10),
             cc: Number(data.cc || 2),
             images: !!data.images,
             mock: !!data.mock,
-            clean: !!data.clean
-          };
-          const res = await fetch('/api/generate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-          const json = await res.json();
-          if (!res.ok) { status.textContent = 'Error: ' + (json.error || res.status); return; }
-          status.textContent = json.message || 'Done';
-          link.innerHTML = '<a href="/site/" target="_blank">Open preview site</a> (open links from homepage)';
+            clean: !!data.clean,
+            extend: !!data.extend
+          });
         });
+        loadRuns();
       </script>
     </body>
   </html>`);
 });
 
 app.post('/api/generate', async (req, res) => {
-  try {
-    const { kw, max = 10, batch = 10, cc = 2, images = true, mock = false, clean = false } = req.body || {};
-    if (!kw) return res.status(400).json({ error: 'kw is required' });
+  const { kw, max = 10, batch = 10, cc = 2, images = true, mock = false, clean = false, extend = false } = req.body || {};
+  if (!kw && !extend) return res.status(400).json({ error: 'kw is required' });
 
-    // Run the generator as a child process
-    const args = [path.join(root, 'scripts', 'create-site.js'), String(kw), '--max-posts', String(max), '--batch', String(batch), '--concurrency', String(cc)];
-    if (!images) args.push('--no-images');
-    args.push('--no-deploy');
-    if (mock) args.push('--mock', 'true');
-    if (clean) args.push('--clean', 'true');
+  const args = [];
+  if (kw) args.push(String(kw));
+  args.push('--max-posts', String(max), '--batch', String(batch), '--concurrency', String(cc));
+  if (!images) args.push('--no-images');
+  if (mock) args.push('--mock', 'true');
+  if (extend) args.push('--extend', 'true');
+  else if (clean) args.push('--clean', 'true');
 
-    await runNode(args);
+  const message = extend ? `Added up to ${max} post(s) to the existing site.` : `Generated ${max} post(s) for "${kw}".`;
+  await generateAndBuild(res, args, message);
+});
+
+// Runs this server is resuming. Their child process only claims the manifest once it starts, so
+// until then this is what keeps a second request from starting another writer.
+const busyRuns = new Set();
 
-    // Build the site
-    await runNpm(['run', 'build']);
+app.get('/api/runs', async (req, res) => {
+  const runs = await RunManifest.list(runsDir);
+  res.json(runs.map((run) => (busyRuns.has(run.runId) ? { ...run, active: true } : run)));
+});
 
-    res.json({ ok: true, message: `Generated ${max} post(s) for "${kw}".`, site: '/site/' });
+app.get('/api/runs/:runId', async (req, res) => {
+  try {
+    const manifest = await RunManifest.load({ runsDir, runId: path.basename(req.params.runId) });
+    res.json(manifest.data);
+  } catch (e) {
+    res.status(404).json({ error: e.message });
+  }
+});
+
+app.post('/api/runs/:runId/resume', async (req, res) => {
+  const runId = path.basename(req.params.runId);
+  // Claimed before the first await, so two quick requests cannot both get past the checks
+  if (busyRuns.has(runId)) return res.status(409).json({ error: `Run ${runId} is already being resumed.` });
+  busyRuns.add(runId);
+  let manifest;
+  try {
+    manifest = await RunManifest.load({ runsDir, runId });
+  } catch (e) {
+    busyRuns.delete(runId);
+    return res.status(404).json({ error: e.message });
+  }
+  if (isRunActive(manifest.data)) {
+    busyRuns.delete(runId);
+    return res.status(409).json({ error: `Run ${runId} is still running.` });
+  }
+  await generateAndBuild(res, ['--resume', runId], `Resumed run ${runId}.`, { runId });
+});
+
+// Runs the generator as a child process, then builds the site for the preview. `runId` is released
+// from busyRuns once it is done.
+async function generateAndBuild(res, args, message, { runId } = {}) {
+  try {
+    await runNode([path.join(root, 'scripts', 'create-site.js'), ...args, '--no-deploy']);
+    await runNpm(['run', 'build'], { BASE_PATH: previewBase });
+    res.json({ ok: true, message, site: previewBase });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: e.message || 'generation failed' });
+  } finally {
+    if (runId) busyRuns.delete(runId);
   }
-});
+}
 
-// Serve built site at /site and ensure absolute /images/* works
+// Serve the built site at its base path
 const distDir = path.join(root, 'dist');
-app.use('/site', express.static(distDir));
-app.use('/images', express.static(path.join(distDir, 'images')));
+app.use(previewBase, express.static(distDir));
 
 const PORT = process.env.UI_PORT || 5175;
 app.listen(PORT, () => {
@@ -156,11 +251,11 @@ function runNode(args) {
   });
 }
 
-function runNpm(args) {
+function runNpm(args, env = {}) {
   return new Promise((resolve, reject) => {
     const isWin = process.platform === 'win32';
     const cmd = isWin ? 'npm.cmd' : 'npm';
-    const child = spawn(cmd, args, { cwd: root, stdio: 'inherit', shell: isWin });
+    const child = spawn(cmd, args, { cwd: root, stdio: 'inherit', shell: isWin, env: { ...process.env, ...env } });
     child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`npm ${args.join(' ')} failed (${code})`))));
   });
 }
@@ -0,0 +1,8 @@
+import { withBase } from '../../scripts/lib/basePath.js';
+
+// Built with the site so the sitemap URL always follows SITE_URL and the base path
+export function GET(context) {
+  const sitemap = new URL(withBase('/sitemap-index.xml', import.meta.env.BASE_URL), context.site).href;
+  const body = ['User-agent: *', 'Allow: /', '', `Sitemap: ${sitemap}`, ''].join('\n');
+  return new Response(body, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+}
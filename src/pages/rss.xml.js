@@ -1,4 +1,5 @@
 import rss from '@astrojs/rss';
+import { withBase } from '../../scripts/lib/basePath.js';
 
 export async function GET(context) {
   const modules = import.meta.glob('../../content/**/*.mdx');
@@ -9,14 +10,14 @@ export async function GET(context) {
       title: m.frontmatter?.title || m.frontmatter?.slug,
       pubDate: new Date(m.frontmatter?.date || Date.now()),
       description: m.frontmatter?.description || '',
-      link: `/${m.frontmatter?.slug}/`
+      link: withBase(`/${m.frontmatter?.slug}/`, import.meta.env.BASE_URL)
     }))
     .filter((i) => !!i.link);
 
   return rss({
     title: 'Site RSS',
     description: 'Generated RSS feed',
-    site: new URL(context.site).origin,
+    site: new URL(withBase('/', import.meta.env.BASE_URL), context.site).href,
     items
   });
 }
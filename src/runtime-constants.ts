@@ -1,3 +1,16 @@
+import { withBase as prefixBase } from '../scripts/lib/basePath.js';
+
 export const SITE_URL = import.meta.env.SITE_URL || 'http://localhost:4321';
 
+// Astro `base` (env BASE_PATH); every root-relative URL a page emits goes through withBase
+export const BASE_PATH = import.meta.env.BASE_URL;
+export const withBase = (url: string) => prefixBase(url, BASE_PATH);
+
+// public/brand.json is written by create-site (npm run brand redraws its assets); a bare checkout has none
+export const BRAND: { name?: string; tagline?: string; palette?: { primary?: string; accent?: string; background?: string } } =
+  (Object.values(import.meta.glob('../public/brand.json', { eager: true, import: 'default' }))[0] as any) || {};
 
+// Size of the wordmark public/logo.svg, read from its root <svg>; absent until brand assets exist
+const logoSource = Object.values(import.meta.glob('../public/logo.svg', { eager: true, query: '?raw', import: 'default' }))[0] as string | undefined;
+const logoSize = logoSource?.match(/<svg\b[^>]*?\bwidth="(\d+)"[^>]*?\bheight="(\d+)"/);
+export const LOGO: { width: number; height: number } | null = logoSize ? { width: Number(logoSize[1]), height: Number(logoSize[2]) } : null;
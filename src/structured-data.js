@@ -0,0 +1,58 @@
+import { withBase } from '../scripts/lib/basePath.js';
+
+// schema.org JSON-LD for post pages, built from the post's frontmatter. `site` is the absolute
+// site URL (Astro.site) and `base` the base path; every URL in the output is absolute.
+
+const absolute = (pathOrUrl, { site, base }) => new URL(withBase(pathOrUrl, base), site).href;
+
+export const categoryPath = (cluster) => `/category/${encodeURIComponent(cluster)}/`;
+
+export function articleJsonLd(frontmatter, { site, base = '/', publisher } = {}) {
+  const at = { site, base };
+  const url = absolute(`/${frontmatter.slug}/`, at);
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    url,
+    headline: frontmatter.title,
+    description: frontmatter.description || undefined,
+    image: frontmatter.image ? [absolute(frontmatter.image, at)] : undefined,
+    datePublished: frontmatter.date || undefined,
+    dateModified: frontmatter.updated || frontmatter.date || undefined,
+    articleSection: frontmatter.cluster || undefined,
+    keywords: Array.isArray(frontmatter.keywords) && frontmatter.keywords.length ? frontmatter.keywords.join(', ') : undefined
+  };
+  if (publisher) {
+    data.author = { '@type': 'Organization', name: publisher, url: absolute('/', at) };
+    data.publisher = { '@type': 'Organization', name: publisher, url: absolute('/', at) };
+  }
+  return data;
+}
+
+// Home > cluster > post; the cluster level is left out for posts without one
+export function breadcrumbJsonLd(frontmatter, { site, base = '/' } = {}) {
+  const trail = [{ name: 'Home', path: '/' }];
+  if (frontmatter.cluster) trail.push({ name: frontmatter.cluster, path: categoryPath(frontmatter.cluster) });
+  trail.push({ name: frontmatter.title, path: `/${frontmatter.slug}/` });
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: trail.map((item, idx) => ({ '@type': 'ListItem', position: idx + 1, name: item.name, item: absolute(item.path, { site, base }) }))
+  };
+}
+
+// Null without questions: an empty FAQPage is invalid
+export function faqJsonLd(faq) {
+  const items = (Array.isArray(faq) ? faq : []).filter((q) => q?.question && q?.answer);
+  if (items.length === 0) return null;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: items.map((q) => ({ '@type': 'Question', name: q.question, acceptedAnswer: { '@type': 'Answer', text: q.answer } }))
+  };
+}
+
+export function postJsonLd(frontmatter, options = {}) {
+  return [articleJsonLd(frontmatter, options), breadcrumbJsonLd(frontmatter, options), faqJsonLd(frontmatter.faq)].filter(Boolean);
+}
@@ -0,0 +1,81 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { normalizeBasePath, withBase, stripBase, rehypeBasePath } from '../scripts/lib/basePath.js';
+import { findBrokenLinks } from '../scripts/lib/linkChecker.js';
+import { writeFileSafe } from '../scripts/lib/fileUtils.js';
+
+describe('base path', () => {
+  test('normalizes to leading and trailing slashes', () => {
+    assert.equal(normalizeBasePath(''), '/');
+    assert.equal(normalizeBasePath(undefined), '/');
+    assert.equal(normalizeBasePath('/'), '/');
+    assert.equal(normalizeBasePath('site'), '/site/');
+    assert.equal(normalizeBasePath('/blog/en//'), '/blog/en/');
+  });
+
+  test('prefixes root-relative URLs only', () => {
+    assert.equal(withBase('/cat-food/', '/site/'), '/site/cat-food/');
+    assert.equal(withBase('/', 'site'), '/site/');
+    assert.equal(withBase('/images/a/cover.webp', '/'), '/images/a/cover.webp');
+    for (const url of ['https://example.com/x/', '//cdn.example.com/x.js', '#faq', 'mailto:a@b.c', 'relative/path']) {
+      assert.equal(withBase(url, '/site/'), url);
+    }
+  });
+
+  test('strips the base path, or returns null outside it', () => {
+    assert.equal(stripBase('/site/about/', '/site/'), '/about/');
+    assert.equal(stripBase('/site', '/site/'), '/');
+    assert.equal(stripBase('/about/', '/site/'), null);
+    assert.equal(stripBase('/about/', '/'), '/about/');
+  });
+
+  test('rehype plugin rewrites markdown and JSX URLs in post bodies', () => {
+    const tree = {
+      type: 'root',
+      children: [
+        { type: 'element', tagName: 'a', properties: { href: '/cat-food/' }, children: [{ type: 'element', tagName: 'img', properties: { src: '/images/a/img1.webp' }, children: [] }] },
+        { type: 'element', tagName: 'a', properties: { href: '#contents' }, children: [] },
+        { type: 'element', tagName: 'source', properties: { srcSet: '/images/a/img1-480.webp 480w, /images/a/img1-960.webp 960w' }, children: [] },
+        { type: 'mdxJsxFlowElement', name: 'img', attributes: [{ type: 'mdxJsxAttribute', name: 'src', value: '/images/a/cover.webp' }, { type: 'mdxJsxAttribute', name: 'alt', value: '/not-a-url' }], children: [] }
+      ]
+    };
+    rehypeBasePath({ base: '/site/' })(tree);
+    const [link, anchor, source, jsx] = tree.children;
+    assert.equal(link.properties.href, '/site/cat-food/');
+    assert.equal(link.children[0].properties.src, '/site/images/a/img1.webp');
+    assert.equal(anchor.properties.href, '#contents');
+    assert.equal(source.properties.srcSet, '/site/images/a/img1-480.webp 480w, /site/images/a/img1-960.webp 960w');
+    assert.equal(jsx.attributes[0].value, '/site/images/a/cover.webp');
+    assert.equal(jsx.attributes[1].value, '/not-a-url');
+  });
+});
+
+describe('findBrokenLinks', () => {
+  let dir;
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-links-'));
+    const files = {
+      'index.html': '<a href="/site/cat-food/">ok</a> <a href="/site/gone/">dead</a> <a href="https://other.example/x/">external</a> <a href="#top">anchor</a>',
+      'cat-food/index.html': '<img src="/site/images/cat-food/cover.webp" srcset="/site/images/cat-food/a.webp 480w, /site/images/cat-food/missing.webp 960w"> <a href="../">up</a> <a href="/cat-food/">no base</a> <a href="http://localhost:4321/site/cat-food/?x=1#faq">self</a> <a href="/site/category/Cat%20Food/">category</a>',
+      'category/Cat Food/index.html': '<a href="/site/rss.xml">rss</a>',
+      'images/cat-food/cover.webp': '',
+      'images/cat-food/a.webp': '',
+      'rss.xml': ''
+    };
+    for (const [file, text] of Object.entries(files)) await writeFileSafe(path.join(dir, file), text);
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  test('reports internal URLs with no file behind them', async () => {
+    const broken = await findBrokenLinks({ distDir: dir, base: '/site/', site: 'http://localhost:4321' });
+    assert.deepEqual(broken.map((b) => `${b.page} ${b.url}`), [
+      'cat-food/index.html /site/images/cat-food/missing.webp',
+      'cat-food/index.html /cat-food/',
+      'index.html /site/gone/'
+    ]);
+    assert.match(broken[1].reason, /outside the base path/);
+  });
+});
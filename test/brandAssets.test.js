@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import matter from 'gray-matter';
+import { brandPalette, monogram, buildIco, generateBrandAssets, BRAND_FILES, postCardSvg, renderPostCard, writePostCard, POST_CARD_FILE } from '../scripts/lib/brandAssets.js';
+
+const brand = { name: 'Green Thumb Hub', tagline: 'Practical plant care for small apartments and busy people' };
+
+describe('brand palette and monogram', () => {
+  test('the palette is a set of hex colors that depends only on the name', () => {
+    const palette = brandPalette(brand);
+    for (const color of Object.values(palette)) assert.match(color, /^#[0-9a-f]{6}$/);
+    assert.deepEqual(brandPalette({ ...brand, tagline: 'other' }), palette);
+    assert.notDeepEqual(brandPalette({ name: 'Cats Hub' }), palette);
+  });
+
+  test('monogram takes up to two initials', () => {
+    assert.equal(monogram('Green Thumb Hub'), 'GT');
+    assert.equal(monogram('gardenly'), 'G');
+    assert.equal(monogram('Élan & Co'), 'ÉC');
+  });
+});
+
+test('buildIco indexes each PNG with its size and offset', () => {
+  const images = [{ size: 16, data: Buffer.from('a') }, { size: 256, data: Buffer.from('bcd') }];
+  const ico = buildIco(images);
+  assert.deepEqual([ico.readUInt16LE(2), ico.readUInt16LE(4)], [1, 2]);
+  assert.deepEqual([ico[6], ico[22]], [16, 0]);
+  assert.equal(ico.readUInt32LE(6 + 12), 38);
+  assert.equal(ico.readUInt32LE(22 + 12), 39);
+  assert.equal(ico.subarray(39).toString(), 'bcd');
+});
+
+test('generateBrandAssets writes the logo, icons, manifest and social card', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-brand-'));
+  const palette = await generateBrandAssets({ brand: { ...brand, palette: { accent: '#ff0000' } }, publicDir: dir });
+  assert.equal(palette.accent, '#ff0000', 'a palette on the brand wins');
+  const size = async (name) => {
+    const { width, height } = await sharp(path.join(dir, BRAND_FILES[name])).metadata();
+    return [width, height];
+  };
+  assert.deepEqual(await size('appleTouchIcon'), [180, 180]);
+  assert.deepEqual(await size('icon192'), [192, 192]);
+  assert.deepEqual(await size('maskableIcon'), [512, 512]);
+  assert.deepEqual(await size('socialCard'), [1200, 630]);
+  assert.match(await fsp.readFile(path.join(dir, BRAND_FILES.logoSvg), 'utf8'), />Green Thumb Hub<\/text>/);
+  const ico = await fsp.readFile(path.join(dir, BRAND_FILES.faviconIco));
+  assert.equal(ico.readUInt16LE(4), 3);
+  const manifest = JSON.parse(await fsp.readFile(path.join(dir, BRAND_FILES.manifest), 'utf8'));
+  assert.equal(manifest.name, 'Green Thumb Hub');
+  assert.equal(manifest.theme_color, palette.primary);
+  for (const icon of manifest.icons) await fsp.access(path.join(dir, icon.src));
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+describe('post share cards', () => {
+  test('the card keeps long titles to three lines and escapes them', () => {
+    const svg = postCardSvg({ title: 'Soil & Water: a very long guide to repotting every houseplant you own without losing one', cluster: 'Care', brand, palette: brandPalette(brand) });
+    const texts = [...svg.matchAll(/<text ([^>]*)>([^<]*)<\/text>/g)];
+    const titleLines = texts.filter(([, attrs]) => /x="72"/.test(attrs)).map((m) => m[2]);
+    assert.equal(titleLines.length, 3);
+    assert.ok(titleLines[0].startsWith('Soil &amp; Water'));
+    assert.ok(titleLines[2].endsWith('…'));
+    assert.ok(texts.some((m) => m[2] === 'CARE'));
+    assert.ok(texts.some((m) => m[2] === 'Green Thumb Hub'));
+  });
+
+  test('renderPostCard draws a 1200x630 JPEG with or without a cover', async () => {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-card-'));
+    const coverPath = path.join(dir, 'cover.webp');
+    await sharp({ create: { width: 800, height: 800, channels: 3, background: '#00ff00' } }).webp().toFile(coverPath);
+    for (const cover of [coverPath, path.join(dir, 'missing.webp')]) {
+      const outputPath = path.join(dir, 'out', 'og.jpg');
+      await renderPostCard({ coverPath: cover, outputPath, title: 'Repotting', cluster: 'Care', brand });
+      const { width, height, format } = await sharp(outputPath).metadata();
+      assert.deepEqual([width, height, format], [1200, 630, 'jpeg']);
+    }
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writePostCard renders next to the post images and adds ogImage to older posts', async () => {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-card-'));
+    const mdxFilePath = path.join(dir, 'repotting.mdx');
+    await fsp.writeFile(mdxFilePath, '---\ntitle: Repotting\nslug: repotting\ncluster: Care\n---\n\nBody.\n');
+    const url = await writePostCard({ mdxFilePath, imagesDir: path.join(dir, 'images'), brand });
+    assert.equal(url, `/images/repotting/${POST_CARD_FILE}`);
+    await fsp.access(path.join(dir, 'images', 'repotting', POST_CARD_FILE));
+    const { data, content } = matter(await fsp.readFile(mdxFilePath, 'utf8'));
+    assert.equal(data.ogImage, url);
+    assert.equal(content.trim(), 'Body.');
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+});
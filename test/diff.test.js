@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff, diffStats } from '../scripts/lib/diff.js';
+
+const lines = (n) => Array.from({ length: n }, (_, i) => `line ${i + 1}`);
+
+test('identical text has no diff', () => {
+  assert.equal(unifiedDiff('a\nb', 'a\nb'), '');
+});
+
+test('a changed line gets a hunk with three lines of context', () => {
+  const a = lines(10);
+  const b = [...a];
+  b[4] = 'changed';
+  assert.equal(
+    unifiedDiff(a.join('\n'), b.join('\n'), { from: 'old', to: 'new' }),
+    ['--- old', '+++ new', '@@ -2,7 +2,7 @@', ' line 2', ' line 3', ' line 4', '-line 5', '+changed', ' line 6', ' line 7', ' line 8', ''].join('\n')
+  );
+});
+
+test('changes far apart get separate hunks; insertions shift the new side', () => {
+  const a = lines(20);
+  const b = ['new first', ...a.slice(0, 18), 'line 19 edited', 'line 20'];
+  const out = unifiedDiff(a.join('\n'), b.join('\n'));
+  const hunks = out.split('\n').filter((l) => l.startsWith('@@'));
+  assert.deepEqual(hunks, ['@@ -1,3 +1,4 @@', '@@ -16,5 +17,5 @@']);
+});
+
+test('diffStats counts added and removed lines', () => {
+  assert.deepEqual(diffStats('a\nb\nc', 'a\nc\nd\ne'), { added: 2, removed: 1 });
+});
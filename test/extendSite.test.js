@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { slugifyString } from '../scripts/lib/slugify.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+// A site made by one run, then extended by a second run with new keywords for one cluster
+const NICHE = 'Urban Beekeeping';
+const env = { MOCK_SEED: '42', MOCK_FAILURES: '' };
+let dir;
+let original;
+let extended;
+let posts;
+let firstPosts;
+let plan;
+
+const read = (file) => fsp.readFile(path.join(dir, file), 'utf8');
+
+async function readPosts() {
+  const files = await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') });
+  return Promise.all(files.sort().map(async (file) => ({ file, ...matter(await read(path.join('content', file))) })));
+}
+
+before(async () => {
+  dir = await createSandbox();
+  await runNode(['scripts/create-site.js', NICHE, '--mock', '--no-deploy', '--no-images', '--max-posts', '3'], { cwd: dir, env });
+  firstPosts = await readPosts();
+  const { clusters } = JSON.parse(await read('content/.plan.json'));
+  original = { brand: await read('public/brand.json'), about: await read('src/pages/about.astro'), index: await read('src/pages/index.astro'), clusters };
+  await runNode(['scripts/create-site.js', '--mock', '--no-deploy', '--no-images', '--extend', '--new-keywords', '2', '--cluster', clusters[0].cluster, '--max-posts', '2'], { cwd: dir, env });
+  posts = await readPosts();
+  plan = JSON.parse(await read('content/.plan.json'));
+  extended = { brand: await read('public/brand.json'), about: await read('src/pages/about.astro'), index: await read('src/pages/index.astro') };
+}, { timeout: 600000 });
+
+after(() => removeSandbox(dir));
+
+test('the first run stores its plan with the niche', () => {
+  assert.equal(plan.niche, NICHE);
+  assert.ok(original.clusters.length > 0);
+});
+
+test('extending keeps the brand, static pages and homepage hero', () => {
+  assert.equal(extended.brand, original.brand);
+  assert.equal(extended.about, original.about);
+  assert.equal(extended.index, original.index);
+});
+
+test('the new keywords are added to the cluster and written first', () => {
+  const [first] = original.clusters;
+  const known = new Set(first.keywords.map(slugifyString));
+  const stored = plan.clusters.find((c) => c.cluster === first.cluster);
+  const added = stored.keywords.filter((k) => !known.has(slugifyString(k)));
+  assert.equal(added.length, 2);
+  const fresh = posts.filter((p) => !firstPosts.some((f) => f.file === p.file));
+  assert.deepEqual(fresh.map((p) => p.data.keywords[0]).sort(), [...added].sort());
+});
+
+test('no keyword is written twice', () => {
+  assert.equal(posts.length, 5);
+  const keywords = posts.map((p) => slugifyString(p.data.keywords[0]));
+  assert.equal(new Set(keywords).size, keywords.length);
+});
+
+test('posts from the first run link to the new posts', () => {
+  const fresh = posts.filter((p) => !firstPosts.some((f) => f.file === p.file));
+  const old = posts.filter((p) => firstPosts.some((f) => f.file === p.file));
+  for (const p of fresh) {
+    assert.ok(old.some((o) => o.content.includes(`](/${p.data.slug}/)`)), `an older post links to ${p.data.slug}`);
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { emptyDir, writeFileSafe } from '../scripts/lib/fileUtils.js';
+
+async function tempDir() {
+  return fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-fs-'));
+}
+
+test('emptyDir removes files and nested directories but keeps the directory itself', async () => {
+  const dir = await tempDir();
+  await writeFileSafe(path.join(dir, 'a.mdx'), 'a');
+  await writeFileSafe(path.join(dir, 'cluster', 'deep', 'b.mdx'), 'b');
+  await emptyDir(dir);
+  assert.deepEqual(await fsp.readdir(dir), []);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('emptyDir keeps top-level entries listed in preserve', async () => {
+  const dir = await tempDir();
+  await writeFileSafe(path.join(dir, '.gitkeep'), '');
+  await writeFileSafe(path.join(dir, 'keep', 'x.txt'), 'x');
+  await writeFileSafe(path.join(dir, 'drop', 'keep', 'y.txt'), 'y');
+  await emptyDir(dir, { preserve: ['.gitkeep', 'keep'] });
+  assert.deepEqual((await fsp.readdir(dir)).sort(), ['.gitkeep', 'keep']);
+  assert.equal(await fsp.readFile(path.join(dir, 'keep', 'x.txt'), 'utf8'), 'x');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('emptyDir on a missing directory does nothing', async () => {
+  const dir = path.join(os.tmpdir(), `autoblogger-missing-${process.pid}`);
+  await emptyDir(dir);
+  await assert.rejects(fsp.stat(dir));
+});
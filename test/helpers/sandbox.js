@@ -0,0 +1,42 @@
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+export const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Copies the project (without generated content) into a temp dir, so integration tests can run
+// create-site and astro build without touching the working tree. node_modules is symlinked.
+export async function createSandbox() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-test-'));
+  for (const entry of ['package.json', 'astro.config.mjs', 'src', 'scripts', 'public']) {
+    await fsp.cp(path.join(repoRoot, entry), path.join(dir, entry), {
+      recursive: true,
+      filter: (src) => !src.startsWith(path.join(repoRoot, 'public', 'images') + path.sep)
+    });
+  }
+  await fsp.mkdir(path.join(dir, 'content'), { recursive: true });
+  await fsp.symlink(path.join(repoRoot, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  return dir;
+}
+
+export async function removeSandbox(dir) {
+  if (dir) await fsp.rm(dir, { recursive: true, force: true });
+}
+
+// Runs a node script in `cwd`; rejects with its output when it exits non-zero
+export function runNode(args, { cwd, env = {}, timeoutMs = 300000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', (d) => (output += d));
+    child.stderr.on('data', (d) => (output += d));
+    const timer = setTimeout(() => child.kill('SIGTERM'), timeoutMs);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(output);
+      else reject(new Error(`node ${args.join(' ')} exited with ${code}\n${output.slice(-4000)}`));
+    });
+  });
+}
@@ -0,0 +1,161 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { QuotaError } from '../scripts/lib/errors.js';
+import { findPostImages, setImageAlts, cleanImageText, describeImages, rehypeImageCaptions, IMAGE_META_FILE } from '../scripts/lib/imageMeta.js';
+
+const BODY = [
+  '<section>',
+  '  <img src="/images/repotting/cover.webp" alt="Repotting Guide" style="width:160px;"/>',
+  '</section>',
+  '',
+  '## Choosing a Pot',
+  '',
+  'Pick a pot **one size up** with a [drainage hole](/drainage/).',
+  '',
+  '![Choosing a Pot](/images/repotting/img1.webp)',
+  '',
+  'Terracotta dries faster than plastic.',
+  '',
+  '## Aftercare',
+  '',
+  '![Aftercare](/images/repotting/img2.webp)'
+].join('\n');
+
+describe('post images', () => {
+  test('finds the hero and markdown images with their section and surrounding text', () => {
+    const images = findPostImages(BODY, 'repotting');
+    assert.deepEqual(images.map((i) => [i.file, i.alt, i.heading]), [
+      ['cover.webp', 'Repotting Guide', ''],
+      ['img1.webp', 'Choosing a Pot', 'Choosing a Pot'],
+      ['img2.webp', 'Aftercare', 'Aftercare']
+    ]);
+    assert.equal(images[1].context, 'Pick a pot one size up with a drainage hole. Terracotta dries faster than plastic.');
+    assert.deepEqual(findPostImages(BODY, 'other'), []);
+  });
+
+  test('alt text is cleaned and replaced in markdown and in the hero', () => {
+    assert.equal(cleanImageText(' A "bright" pot\n{on} a [sill] <b> '), "A 'bright' pot on a sill b");
+    const out = setImageAlts(BODY, 'repotting', { 'cover.webp': 'Hands lifting a fern from its pot', 'img1.webp': 'Terracotta pots in $& three sizes' });
+    assert.ok(out.includes('<img src="/images/repotting/cover.webp" alt="Hands lifting a fern from its pot" style="width:160px;"/>'));
+    assert.ok(out.includes('![Terracotta pots in $& three sizes](/images/repotting/img1.webp)'));
+    assert.ok(out.includes('![Aftercare](/images/repotting/img2.webp)'));
+  });
+});
+
+describe('image metadata step', () => {
+  let dir;
+  let mdxFilePath;
+  let imagesDir;
+  const calls = [];
+  const llm = {
+    generateImageMeta: async (request) => {
+      calls.push(request);
+      return { alt: `Alt for ${request.heading || 'cover'}`, caption: request.role === 'cover' ? '' : `About ${request.heading}` };
+    }
+  };
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-imgmeta-'));
+    mdxFilePath = path.join(dir, 'repotting.mdx');
+    imagesDir = path.join(dir, 'images');
+    await fsp.mkdir(path.join(imagesDir, 'repotting'), { recursive: true });
+    await fsp.writeFile(mdxFilePath, `---\ntitle: Repotting Guide\nslug: repotting\ndescription: When and how to repot.\nkeywords:\n  - repotting plants\n---\n${BODY}\n`);
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  test('describes each image, records its source and writes the alt text into the MDX', async () => {
+    const meta = await describeImages({
+      llm,
+      mdxFilePath,
+      imagesDir,
+      niche: 'Indoor Plants',
+      prompts: { 'cover.webp': 'Repotting cover', 'img1.webp': 'Pots on a bench', 'img2.webp': 'A watered fern' },
+      sources: {
+        'cover.webp': { provider: 'replicate', model: 'acme/flux', seed: 7, license: 'FLUX.1 [dev] license', credit: null },
+        'img1.webp': { provider: 'stock', model: 'stock', seed: null, license: 'CC BY 4.0', credit: 'Jane Doe', file: 'pots/terracotta.jpg' },
+        'img2.webp': { provider: null, model: null, seed: null, license: null, credit: null, placeholder: true }
+      }
+    });
+    assert.deepEqual(calls.map((c) => [c.role, c.keyword, c.heading]), [['cover', 'repotting plants', ''], ['inline', 'repotting plants', 'Choosing a Pot']]);
+    assert.equal(calls[0].context, 'When and how to repot.');
+    assert.match(calls[1].source, /stock photo filed as "pots\/terracotta.jpg", picked for: "Pots on a bench"/);
+    assert.deepEqual(meta.images['img1.webp'], {
+      role: 'inline',
+      prompt: 'Pots on a bench',
+      provider: 'stock',
+      model: 'stock',
+      seed: null,
+      license: 'CC BY 4.0',
+      credit: 'Jane Doe',
+      file: 'pots/terracotta.jpg',
+      alt: 'Alt for Choosing a Pot',
+      caption: 'About Choosing a Pot'
+    });
+    assert.equal(meta.images['cover.webp'].seed, 7);
+    assert.deepEqual([meta.images['img2.webp'].alt, meta.images['img2.webp'].caption], ['', ''], 'placeholders are decorative');
+    assert.deepEqual(JSON.parse(await fsp.readFile(path.join(imagesDir, 'repotting', IMAGE_META_FILE), 'utf8')), meta);
+    const mdx = await fsp.readFile(mdxFilePath, 'utf8');
+    assert.ok(mdx.includes('alt="Alt for cover"'));
+    assert.ok(mdx.includes('![Alt for Choosing a Pot](/images/repotting/img1.webp)'));
+    assert.ok(mdx.includes('![](/images/repotting/img2.webp)'));
+  });
+
+  test('described images are kept on a rerun; new images and --force describe again', async () => {
+    calls.length = 0;
+    await describeImages({ llm, mdxFilePath, imagesDir, niche: 'Indoor Plants' });
+    assert.equal(calls.length, 0);
+    const meta = await describeImages({ llm, mdxFilePath, imagesDir, niche: 'Indoor Plants', sources: { 'img2.webp': { provider: 'mock', model: 'gradient', seed: '1', license: null, credit: null } } });
+    assert.deepEqual(calls.map((c) => c.heading), ['Aftercare']);
+    assert.equal(meta.images['img2.webp'].alt, 'Alt for Aftercare');
+    assert.equal(meta.images['img2.webp'].prompt, 'A watered fern', 'the recorded prompt is kept');
+    assert.equal(meta.images['img2.webp'].placeholder, undefined);
+    assert.equal(meta.images['img1.webp'].credit, 'Jane Doe');
+    calls.length = 0;
+    await describeImages({ llm, mdxFilePath, imagesDir, niche: 'Indoor Plants', force: true });
+    assert.equal(calls.length, 3);
+  });
+
+  test('a failed call stops the step, but every source is written and the rest is described on the next run', async () => {
+    await fsp.rm(path.join(imagesDir, 'repotting', IMAGE_META_FILE));
+    calls.length = 0;
+    const quota = {
+      generateImageMeta: async (request) => {
+        calls.push(request);
+        if (calls.length === 2) throw new QuotaError('quota exhausted');
+        return { alt: 'Alt for cover', caption: '' };
+      }
+    };
+    const sources = { 'img1.webp': { provider: 'stock', model: 'stock', seed: null, license: 'CC BY 4.0', credit: 'Jane Doe', file: 'pots/terracotta.jpg' } };
+    await assert.rejects(describeImages({ llm: quota, mdxFilePath, imagesDir, niche: 'Indoor Plants', sources }), QuotaError);
+    assert.equal(calls.length, 2, 'no calls after the failure');
+    const { images } = JSON.parse(await fsp.readFile(path.join(imagesDir, 'repotting', IMAGE_META_FILE), 'utf8'));
+    assert.deepEqual(Object.keys(images), ['cover.webp', 'img1.webp', 'img2.webp']);
+    assert.equal(images['cover.webp'].alt, 'Alt for cover');
+    assert.equal(images['img1.webp'].credit, 'Jane Doe');
+    assert.equal(images['img1.webp'].alt, undefined);
+
+    calls.length = 0;
+    const meta = await describeImages({ llm, mdxFilePath, imagesDir, niche: 'Indoor Plants' });
+    assert.deepEqual(calls.map((c) => c.heading), ['Choosing a Pot', 'Aftercare']);
+    assert.equal(meta.images['img1.webp'].credit, 'Jane Doe');
+    assert.equal(meta.images['img1.webp'].alt, 'Alt for Choosing a Pot');
+  });
+
+  test('the rehype plugin wraps captioned and credited images in <figure>', () => {
+    const img = (file) => ({ type: 'element', tagName: 'img', properties: { src: `/images/repotting/${file}`, alt: 'x' }, children: [] });
+    const para = (...children) => ({ type: 'element', tagName: 'p', properties: {}, children });
+    const hero = { type: 'mdxJsxFlowElement', name: 'img', attributes: [{ type: 'mdxJsxAttribute', name: 'src', value: '/images/repotting/cover.webp' }], children: [] };
+    const inText = para({ type: 'text', value: 'See ' }, img('img2.webp'));
+    const tree = { type: 'root', children: [{ type: 'mdxJsxFlowElement', name: 'section', attributes: [], children: [hero] }, para(img('img1.webp'), { type: 'text', value: '\n' }), inText] };
+    rehypeImageCaptions({ publicDir: dir })(tree);
+
+    assert.equal(tree.children[0].children[0], hero, 'the cover has no credit, so it stays as it is');
+    const figure = tree.children[1];
+    assert.equal(figure.tagName, 'figure');
+    assert.deepEqual(figure.children.map((c) => c.tagName), ['img', 'figcaption']);
+    assert.equal(figure.children[1].children[0].value, 'About Choosing a Pot Photo: Jane Doe (CC BY 4.0)');
+    assert.equal(tree.children[2], inText, 'images inside text stay inline');
+  });
+});
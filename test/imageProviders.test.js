@@ -0,0 +1,193 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { loadImageConfig, createImagesFromConfig, RoutedImageClient, describeImageSourcing } from '../scripts/lib/imageProviders.js';
+import { StockLibraryClient, loadStockLibrary, tagWords } from '../scripts/lib/stockLibrary.js';
+import { SdWebUiClient, ComfyUiClient } from '../scripts/lib/localImageClients.js';
+import { OpenAIImagesClient } from '../scripts/lib/openaiImagesClient.js';
+import { ReplicateClient } from '../scripts/lib/replicateClient.js';
+import { QuotaError } from '../scripts/lib/errors.js';
+
+const png = (color) => sharp({ create: { width: 64, height: 40, channels: 3, background: color } }).png().toBuffer();
+
+let dir;
+before(async () => {
+  dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-imgprov-'));
+});
+after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+describe('image provider config', () => {
+  test('env config keeps Replicate as the default and adds role and fallback providers', async () => {
+    assert.deepEqual(await loadImageConfig({ env: { REPLICATE_MODEL: 'black-forest-labs/flux-schnell' } }), {
+      default: 'main',
+      providers: { main: { provider: 'replicate', model: 'black-forest-labs/flux-schnell', baseUrl: undefined, apiKey: undefined, timeoutMs: undefined, maxPollMs: undefined } },
+      routes: {}
+    });
+    const config = await loadImageConfig({
+      env: { IMAGE_PROVIDER: 'openai', IMAGE_INLINE_PROVIDER: 'sd-webui', IMAGE_INLINE_BASE_URL: 'http://127.0.0.1:7860', IMAGE_FALLBACK_PROVIDER: 'stock', STOCK_IMAGES_DIR: '/srv/stock' }
+    });
+    assert.equal(config.providers.main.provider, 'openai');
+    assert.deepEqual(config.routes, { inline: 'inline' });
+    assert.equal(config.providers.inline.baseUrl, 'http://127.0.0.1:7860');
+    assert.equal(config.fallback, 'fallback');
+    assert.equal(config.providers.fallback.dir, '/srv/stock');
+  });
+
+  test('invalid configs are rejected with the reason', () => {
+    assert.throws(() => createImagesFromConfig({ providers: {} }), /no providers/);
+    assert.throws(() => createImagesFromConfig({ providers: { a: { provider: 'dall-e' } } }), /Unknown image provider "dall-e"/);
+    assert.throws(() => createImagesFromConfig({ providers: { a: { provider: 'mock' } }, routes: { hero: 'a' } }), /unknown role "hero"/);
+    assert.throws(() => createImagesFromConfig({ providers: { a: { provider: 'mock' } }, routes: { cover: 'b' } }), /undefined provider "b"/);
+    assert.throws(() => createImagesFromConfig({ providers: { a: { provider: 'mock' } }, fallback: 'b' }), /fallback "b"/);
+    assert.ok(createImagesFromConfig({ providers: { a: { provider: 'mock' } } }).generateAndSaveWebp);
+  });
+
+  test('routes by role and falls back on failure, but not on an exhausted quota', async () => {
+    const calls = [];
+    const client = (name, error) => ({
+      generateAndSaveWebp: async ({ role }) => {
+        calls.push(`${name}:${role}`);
+        if (error) throw error;
+        return name;
+      }
+    });
+    const routed = new RoutedImageClient({ clients: { main: client('main'), local: client('local', new Error('down')), stock: client('stock') }, defaultName: 'main', routes: { inline: 'local' }, fallbackName: 'stock' });
+    assert.equal(await routed.generateAndSaveWebp({ role: 'cover', slug: 'a' }), 'main');
+    assert.equal(await routed.generateAndSaveWebp({ role: 'inline', slug: 'a' }), 'stock');
+    assert.deepEqual(calls, ['main:cover', 'local:inline', 'stock:inline']);
+    const broke = new RoutedImageClient({ clients: { main: client('main', new QuotaError('out')), stock: client('stock') }, defaultName: 'main', fallbackName: 'stock' });
+    await assert.rejects(broke.generateAndSaveWebp({ role: 'cover', slug: 'a' }), QuotaError);
+  });
+
+  test('the About page is told where the images come from', async () => {
+    const config = JSON.parse(await fsp.readFile(new URL('../image.config.example.json', import.meta.url), 'utf8'));
+    assert.equal(
+      describeImageSourcing(config),
+      'We use AI images generated with black-forest-labs/flux-dev (Replicate) for cover images and AI images generated with Stable Diffusion for in-article images. When an image cannot be made that way, we use licensed stock photos from our own library. For every image we keep the prompt, model, seed and license, and write alt text that describes what it shows.'
+    );
+    assert.match(describeImageSourcing({ providers: { main: { provider: 'openai', model: 'gpt-image-1' } } }), /^We use AI images generated with gpt-image-1 \(OpenAI\) for all images\./);
+  });
+});
+
+describe('stock library provider', () => {
+  let stockDir;
+  before(async () => {
+    stockDir = path.join(dir, 'stock');
+    await fsp.mkdir(path.join(stockDir, 'plants'), { recursive: true });
+    for (const [file, color] of [['plants/monstera-leaf.jpg', '#2e7d32'], ['plants/watering-indoor-plants.jpg', '#1565c0'], ['plants/repotting-soil.png', '#6d4c41'], ['IMG_0042.jpg', '#9e9e9e']]) {
+      await sharp(await png(color)).toFile(path.join(stockDir, file));
+    }
+    await fsp.writeFile(path.join(stockDir, 'library.json'), JSON.stringify({ images: [{ file: 'IMG_0042.jpg', tags: ['cat', 'sleeping'], license: 'CC0' }] }));
+  });
+
+  test('tags come from library.json, else from the file path', async () => {
+    assert.deepEqual(tagWords('Watering Indoor Plants, realistic photo'), ['watering', 'indoor', 'plant']);
+    const library = await loadStockLibrary(stockDir);
+    const byFile = Object.fromEntries(library.map((i) => [i.file, i]));
+    assert.deepEqual(byFile['IMG_0042.jpg'].tags, ['cat', 'sleeping']);
+    assert.equal(byFile['IMG_0042.jpg'].license, 'CC0');
+    assert.deepEqual(byFile['plants/monstera-leaf.jpg'].tags, ['plant', 'monstera', 'leaf']);
+  });
+
+  test('picks the best match, never twice in a post, and fails when nothing matches', async () => {
+    const stock = new StockLibraryClient({ dir: stockDir });
+    const first = await stock.pick({ prompt: 'How often to water — Indoor Plants', slug: 'watering', tags: ['watering schedule', 'Indoor Plants'] });
+    assert.equal(first.file, 'plants/watering-indoor-plants.jpg');
+    const second = await stock.pick({ prompt: 'Watering indoor plants in winter', slug: 'watering', tags: ['watering schedule', 'Indoor Plants'] });
+    assert.notEqual(second.file, first.file);
+    await assert.rejects(stock.pick({ prompt: 'Quantum computing', slug: 'q', tags: ['qubits'] }), /No stock image matches/);
+    const outputPath = path.join(dir, 'stock-out.webp');
+    const source = await stock.generateAndSaveWebp({ prompt: 'A sleeping cat', outputPath, slug: 'cats', tags: ['cat'] });
+    assert.equal((await sharp(outputPath).metadata()).format, 'webp');
+    assert.deepEqual(source, { provider: 'stock', model: 'stock', seed: null, license: 'CC0', credit: null, file: 'IMG_0042.jpg' });
+  });
+});
+
+describe('HTTP image providers', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  let image;
+  before(async () => {
+    image = await png('#ff0000');
+    server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null, auth: req.headers.authorization });
+      const json = (value) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(value));
+      };
+      if (req.url === '/sdapi/v1/txt2img') return json({ images: [image.toString('base64')], info: JSON.stringify({ seed: 1234 }) });
+      if (req.url === '/prompt') return json({ prompt_id: 'p1' });
+      if (req.url === '/history/p1') return json({ p1: { outputs: { 9: { images: [{ filename: 'autoblogger_0001.png', subfolder: '', type: 'output' }] } } } });
+      if (req.url.startsWith('/view?')) return res.end(image);
+      if (req.url === '/v1/images/generations') return json({ data: [{ b64_json: image.toString('base64') }] });
+      if (req.url === '/models/acme/flux') return json({ latest_version: { id: 'v1' } });
+      if (req.url === '/predictions') return json({ id: 'r1', status: 'succeeded', output: [`${baseUrl}/out.png`], logs: 'Using seed: 98765\nRunning...', metrics: { predict_time: 2 } });
+      if (req.url === '/out.png') return res.end(image);
+      res.statusCode = 404;
+      res.end('not found');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const sources = {};
+  const saved = async (client, name) => {
+    const outputPath = path.join(dir, `${name}.webp`);
+    sources[name] = await client.generateAndSaveWebp({ prompt: 'A monstera by a window', outputPath, slug: 'monstera' });
+    return sharp(outputPath).metadata();
+  };
+
+  test('sd-webui posts txt2img and saves the first image', async () => {
+    const meta = await saved(new SdWebUiClient({ baseUrl, model: 'sdxl.safetensors', width: 1024, height: 768 }), 'sd');
+    assert.deepEqual([meta.format, meta.width], ['webp', 64]);
+    const { body } = requests.find((r) => r.url === '/sdapi/v1/txt2img');
+    assert.equal(body.prompt, 'A monstera by a window');
+    assert.deepEqual([body.width, body.height], [1024, 768]);
+    assert.equal(body.override_settings.sd_model_checkpoint, 'sdxl.safetensors');
+    assert.deepEqual(sources.sd, { provider: 'sd-webui', model: 'sdxl.safetensors', seed: 1234, license: null, credit: null });
+  });
+
+  test('comfyui queues the graph with the prompt, polls history and downloads the output', async () => {
+    const meta = await saved(new ComfyUiClient({ baseUrl, model: 'sdxl.safetensors', pollIntervalMs: 5, license: 'CreativeML Open RAIL++-M' }), 'comfy');
+    assert.equal(meta.format, 'webp');
+    const { body } = requests.find((r) => r.url === '/prompt');
+    assert.deepEqual([sources.comfy.seed, sources.comfy.license], [body.prompt[3].inputs.seed, 'CreativeML Open RAIL++-M']);
+    assert.equal(body.prompt[6].inputs.text, 'A monstera by a window');
+    assert.equal(body.prompt[4].inputs.ckpt_name, 'sdxl.safetensors');
+    assert.ok(requests.some((r) => r.url.startsWith('/view?filename=autoblogger_0001.png')));
+  });
+
+  test('comfyui puts the prompt into a workflow file', async () => {
+    const workflow = path.join(dir, 'workflow.json');
+    await fsp.writeFile(workflow, JSON.stringify({ 1: { class_type: 'CLIPTextEncode', inputs: { text: 'photo of %prompt%, 35mm' } } }));
+    await saved(new ComfyUiClient({ baseUrl, workflow, pollIntervalMs: 5 }), 'comfy-workflow');
+    const { body } = requests.filter((r) => r.url === '/prompt').at(-1);
+    assert.equal(body.prompt[1].inputs.text, 'photo of A monstera by a window, 35mm');
+  });
+
+  test('openai decodes the base64 image it asked for', async () => {
+    const meta = await saved(new OpenAIImagesClient({ apiKey: 'sk-test', baseUrl: `${baseUrl}/v1`, model: 'dall-e-3' }), 'openai');
+    assert.equal(meta.format, 'webp');
+    const { body, auth } = requests.find((r) => r.url === '/v1/images/generations');
+    assert.deepEqual([body.model, body.size, body.response_format], ['dall-e-3', '1792x1024', 'b64_json']);
+    assert.equal(auth, 'Bearer sk-test');
+  });
+
+  test('replicate resolves the model version, runs a prediction and records its cost', async () => {
+    const records = [];
+    const usage = { checkBudget() {}, recordImage: (r) => records.push(r) };
+    const meta = await saved(new ReplicateClient({ apiToken: 'r8-test', baseUrl, model: 'acme/flux', usage }), 'replicate');
+    assert.equal(meta.format, 'webp');
+    assert.equal(requests.find((r) => r.url === '/predictions').body.version, 'v1');
+    assert.deepEqual(records.map((r) => [r.provider, r.model, r.seconds]), [['replicate', 'acme/flux', 2]]);
+    assert.equal(sources.replicate.seed, 98765);
+  });
+});
@@ -0,0 +1,263 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { applyInternalLinks, insertBlocks, stripAutolinks, insertInlineLinks, stripInlineLinks, stripGeneratedLinks, replaceBlock, markedBlock } from '../scripts/lib/internalLinker.js';
+import { stringifyFrontmatter } from '../scripts/lib/mdx.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+const body = ['Intro text.', '## First', 'One.', '## Second', 'Two.', '## Third', 'Three.'].join('\n\n');
+
+describe('insertBlocks', () => {
+  const early = '\n\n{/* AUTOLINK-EARLY START */}\n\n### You might also like\n\n- [X](/x/)\n\n{/* AUTOLINK-EARLY END */}\n';
+  const nav = '\n\n{/* AUTOLINK-NAV START */}\n\n---\n\n[Y →](/y/)\n\n{/* AUTOLINK-NAV END */}\n';
+  const end = markedBlock('END', '### More in Tests\n\n- [Z](/z/)');
+
+  test('puts the early block right after the second H2 heading line', () => {
+    const out = insertBlocks(body, early, '', '');
+    assert.ok(out.indexOf('## Second') < out.indexOf('AUTOLINK-EARLY START'));
+    assert.ok(out.indexOf('AUTOLINK-EARLY END') < out.indexOf('Two.'));
+  });
+
+  test('appends the nav block at the very end', () => {
+    const out = insertBlocks(body, '', '', nav);
+    assert.ok(out.trimEnd().endsWith('{/* AUTOLINK-NAV END */}'));
+  });
+
+  test('skips the early block when there are fewer than two H2s', () => {
+    const out = insertBlocks('Only text.\n\n## One\n\nBody.', early, '', '');
+    assert.ok(!out.includes('AUTOLINK-EARLY'));
+  });
+
+  test('stripAutolinks removes inserted blocks and restores the text', () => {
+    assert.equal(stripAutolinks(insertBlocks(body, early, '', nav)), body);
+  });
+
+  test('does not insert blocks that are already present', () => {
+    const once = insertBlocks(body, early, end, nav);
+    const twice = insertBlocks(once, early, end, nav);
+    assert.equal(twice, once);
+    assert.equal(insertBlocks(twice, early, end, nav), once);
+    for (const name of ['EARLY', 'END', 'NAV']) assert.equal(once.split(`AUTOLINK-${name} START`).length, 2, name);
+  });
+
+  test('adds the end block next to the early block, before the nav', () => {
+    const out = insertBlocks(body, early, end, nav);
+    assert.equal((out.match(/AUTOLINK-EARLY START/g) || []).length, 1);
+    assert.ok(out.indexOf('Three.') < out.indexOf('AUTOLINK-END START'));
+    assert.ok(out.indexOf('AUTOLINK-END END') < out.indexOf('AUTOLINK-NAV START'));
+    assert.equal(stripAutolinks(out), body);
+  });
+
+  test('replaces blocks in place and removes those no longer wanted', () => {
+    const once = insertBlocks(body, early, end, nav);
+    const moved = once.replace(end, '').replace('One.', `One.${end}`);
+    const newEnd = markedBlock('END', '### More in Tests\n\n- [W](/w/)');
+    const out = insertBlocks(moved, '', newEnd, nav);
+    assert.ok(!out.includes('AUTOLINK-EARLY'));
+    assert.ok(out.indexOf('One.') < out.indexOf('[W](/w/)') && out.indexOf('[W](/w/)') < out.indexOf('## Second'));
+    assert.ok(!out.includes('[Z](/z/)'));
+  });
+
+  test('replaceBlock keeps only the first copy of a block', () => {
+    const twice = `${body}${early}${early}`;
+    assert.equal(replaceBlock(twice, 'EARLY', early), `${body}${early}`);
+  });
+
+  test('stripGeneratedLinks removes marked blocks, old unmarked "Related in" blocks and in-text links', () => {
+    const related = '\n\n---\n\n### Related in Tests\n\n- [A](/a/)\n- [B](/b/)\n';
+    const linked = body.replace('Two.', 'Two [cats](/cats/){/* AUTOLINK-INLINE */} and [dogs](/dogs/).');
+    const out = stripGeneratedLinks(`${insertBlocks(linked, early, end, '')}${related}${markedBlock('RELATED', '---\n\n### Related in Tests\n\n- [A](/a/)')}${nav}`);
+    assert.equal(out, body.replace('Two.', 'Two cats and [dogs](/dogs/).'));
+  });
+});
+
+describe('insertInlineLinks', () => {
+  const mark = '{/* AUTOLINK-INLINE */}';
+  const wet = { slug: 'wet-vs-dry-cat-food', phrases: ['wet cat food', 'dry kibble'] };
+  const raw = { slug: 'raw-cat-food', phrases: ['raw feeding'] };
+
+  test('links the first mention in paragraph text and keeps its wording', () => {
+    const text = ['## Wet Cat Food', '', 'Most cats like Wet Cat Food. Wet cat food is pricier.', '', 'Raw feeding is another option.'].join('\n');
+    const out = insertInlineLinks(text, [wet, raw]);
+    assert.equal(out, ['## Wet Cat Food', '', `Most cats like [Wet Cat Food](/wet-vs-dry-cat-food/)${mark}. Wet cat food is pricier.`, '', `[Raw feeding](/raw-cat-food/)${mark} is another option.`].join('\n'));
+    assert.equal(stripInlineLinks(out), text);
+  });
+
+  test('never links inside headings, code, HTML, existing links or the post\'s own keyword', () => {
+    const text = [
+      '### Wet cat food',
+      '```',
+      'wet cat food',
+      '```',
+      '<nav aria-label="Contents">',
+      '- wet cat food',
+      '</nav>',
+      'See `wet cat food`, [wet cat food guide](https://example.com/) and <b title="wet cat food">x</b>.',
+      'Our best wet cat food picks.'
+    ].join('\n');
+    assert.equal(insertInlineLinks(text, [wet], { ownPhrases: ['best wet cat food'] }), text);
+  });
+
+  test('skips targets the text already links to and respects the cap, one link per paragraph', () => {
+    const text = 'Wet cat food or [dry](/wet-vs-dry-cat-food/).\n\nRaw feeding and dry kibble.\n\nMore raw feeding.';
+    assert.equal(insertInlineLinks(text, [wet, raw]).split(mark).length - 1, 1);
+    const both = 'Raw feeding here.\n\nDry kibble there.';
+    assert.equal(insertInlineLinks(both, [raw, wet], { maxLinks: 1 }).split(mark).length - 1, 1);
+  });
+
+  test('prefers the anchor text used least for the target so far', () => {
+    const anchorUse = new Map();
+    const text = 'Wet cat food and dry kibble.';
+    const first = insertInlineLinks(text, [wet], { anchorUse });
+    const second = insertInlineLinks(text, [wet], { anchorUse });
+    assert.match(first, /\[Wet cat food\]/);
+    assert.match(second, /\[dry kibble\]/);
+  });
+});
+
+describe('applyInternalLinks', () => {
+  async function writePost(dir, { slug, title, cluster, keywords }) {
+    const file = path.join(dir, 'cluster', `${slug}.mdx`);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, `${stringifyFrontmatter({ title, slug, cluster, keywords })}\n${body}\n`);
+    return file;
+  }
+
+  async function setup() {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-links-'));
+    const posts = [
+      { slug: 'cat-food-basics', title: 'Cat Food Basics', cluster: 'Cat Food', keywords: ['cat food', 'basics'] },
+      { slug: 'wet-vs-dry-cat-food', title: 'Wet vs Dry Cat Food', cluster: 'Cat Food', keywords: ['cat food', 'wet food'] },
+      { slug: 'cat-food-for-kittens', title: 'Cat Food for Kittens', cluster: 'Cat Food', keywords: ['cat food', 'kittens'] },
+      { slug: 'raw-cat-food', title: 'Raw Cat Food', cluster: 'Cat Food', keywords: ['raw food'] },
+      { slug: 'cat-litter', title: 'Cat Litter', cluster: 'Litter', keywords: ['litter'] }
+    ];
+    const files = {};
+    for (const p of posts) files[p.slug] = await writePost(dir, p);
+    return { dir, posts, files };
+  }
+
+  const linksIn = (text) => [...text.matchAll(/\]\(\/([^/)]+)\/\)/g)].map((m) => m[1]);
+
+  test('links each post only to other existing posts of its cluster', async () => {
+    const { dir, posts, files } = await setup();
+    await applyInternalLinks({ contentDir: dir });
+    const catFood = posts.filter((p) => p.cluster === 'Cat Food').map((p) => p.slug);
+    for (const slug of catFood) {
+      const { content, data } = matter(await fsp.readFile(files[slug], 'utf8'));
+      assert.equal(data.slug, slug, 'frontmatter is preserved');
+      const links = linksIn(content);
+      assert.ok(links.length > 0, `${slug} has links`);
+      assert.ok(!links.includes(slug), `${slug} does not link to itself`);
+      for (const target of links) assert.ok(catFood.includes(target), `${slug} -> ${target} stays in the cluster`);
+      assert.match(content, /### You might also like/);
+      assert.match(content, /\{\/\* AUTOLINK-END START \*\/\}\n\n### More in Cat Food/);
+    }
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('leaves a post that is alone in its cluster untouched', async () => {
+    const { dir, files } = await setup();
+    const before = await fsp.readFile(files['cat-litter'], 'utf8');
+    await applyInternalLinks({ contentDir: dir });
+    assert.equal(await fsp.readFile(files['cat-litter'], 'utf8'), before);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('links prev/next by slug order', async () => {
+    const { dir, files } = await setup();
+    await applyInternalLinks({ contentDir: dir });
+    const content = await fsp.readFile(files['cat-food-for-kittens'], 'utf8');
+    const nav = content.slice(content.indexOf('AUTOLINK-NAV START'));
+    assert.deepEqual(linksIn(nav), ['cat-food-basics', 'raw-cat-food']);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('is idempotent', async () => {
+    const { dir, files } = await setup();
+    await applyInternalLinks({ contentDir: dir });
+    const first = await Promise.all(Object.values(files).map((f) => fsp.readFile(f, 'utf8')));
+    await applyInternalLinks({ contentDir: dir });
+    const second = await Promise.all(Object.values(files).map((f) => fsp.readFile(f, 'utf8')));
+    assert.deepEqual(second, first);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('replaces the HTML-comment blocks of posts linked by older versions', async () => {
+    const { dir, files } = await setup();
+    // As the first linker wrote them: a "You might also like" block after the 2nd H2 and the nav at the end
+    const legacyEarly = '\n\n<!-- AUTOLINK-EARLY START -->\n\n### You might also like\n\n- [Cat Food Basics](/cat-food-basics/)\n\n<!-- AUTOLINK-EARLY END -->\n';
+    const legacyNav = '\n\n<!-- AUTOLINK-NAV START -->\n\n---\n\n[← Cat Food for Kittens](/cat-food-for-kittens/)\n\n<!-- AUTOLINK-NAV END -->\n';
+    const original = await fsp.readFile(files['raw-cat-food'], 'utf8');
+    const second = original.indexOf('\n', original.indexOf('\n## ', original.indexOf('\n## ') + 1) + 1);
+    const legacy = original.slice(0, second) + legacyEarly + original.slice(second) + legacyNav;
+    await fsp.writeFile(files['raw-cat-food'], legacy);
+    assert.equal(stripGeneratedLinks(legacy), original);
+
+    await applyInternalLinks({ contentDir: dir });
+    const content = await fsp.readFile(files['raw-cat-food'], 'utf8');
+    assert.ok(!content.includes('<!--'), 'old markers are gone');
+    for (const block of ['EARLY', 'END', 'NAV']) assert.equal((content.match(new RegExp(`AUTOLINK-${block} START`, 'g')) || []).length, 1, block);
+    assert.equal((content.match(/### You might also like/g) || []).length, 1);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('recomputes blocks of existing posts when posts are added', async () => {
+    const { dir, files } = await setup();
+    await applyInternalLinks({ contentDir: dir });
+    await writePost(dir, { slug: 'senior-cat-food', title: 'Senior Cat Food', cluster: 'Cat Food', keywords: ['cat food', 'seniors'] });
+    await applyInternalLinks({ contentDir: dir });
+    const content = await fsp.readFile(files['raw-cat-food'], 'utf8');
+    const nav = content.slice(content.indexOf('AUTOLINK-NAV START'));
+    assert.deepEqual(linksIn(nav), ['cat-food-for-kittens', 'senior-cat-food']);
+    assert.equal((content.match(/AUTOLINK-NAV START/g) || []).length, 1);
+    assert.equal((content.match(/AUTOLINK-EARLY START/g) || []).length, 1);
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  test('links mentions of other posts in the text, across clusters only when relevant enough', async () => {
+    const { dir, files } = await setup();
+    const file = files['cat-food-basics'];
+    const original = await fsp.readFile(file, 'utf8');
+    await fsp.writeFile(file, original.replace('One.', 'Some cats prefer wet food.').replace('Two.', 'Others do well on raw food.').replace('Three.', 'All of them need litter boxes.'));
+    await writePost(dir, { slug: 'litter-box-setup', title: 'Litter Box Setup', cluster: 'Litter', keywords: ['litter box setup', 'litter boxes'] });
+    await applyInternalLinks({ contentDir: dir });
+    const once = await fsp.readFile(file, 'utf8');
+    assert.match(once, /\[wet food\]\(\/wet-vs-dry-cat-food\/\)\{\/\* AUTOLINK-INLINE \*\/\}/);
+    assert.match(once, /\[raw food\]\(\/raw-cat-food\/\)/);
+    assert.ok(!once.includes('](/litter-box-setup/)'), 'an unrelated cluster is not linked');
+
+    await applyInternalLinks({ contentDir: dir, inline: { crossClusterMinScore: 0 } });
+    const twice = await fsp.readFile(file, 'utf8');
+    assert.match(twice, /\[litter boxes\]\(\/litter-box-setup\/\)/);
+    assert.equal((twice.match(/AUTOLINK-INLINE/g) || []).length, 3, 'links are recomputed, not stacked');
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+});
+
+describe('strip-links command', () => {
+  let dir;
+  let file;
+  let original;
+  before(async () => {
+    dir = await createSandbox();
+    file = path.join(dir, 'content', 'cluster', 'post.mdx');
+    original = `${stringifyFrontmatter({ title: 'Post', slug: 'post', cluster: 'Cluster' })}\n${body}\n`;
+    const linked = insertBlocks(original.replace('Two.', 'Two [cats](/cats/){/* AUTOLINK-INLINE */}.'), markedBlock('EARLY', '### You might also like\n\n- [X](/x/)'), '', '');
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, `${linked}\n\n---\n\n### Related in Cluster\n\n- [Y](/y/)\n`);
+  });
+  after(() => removeSandbox(dir));
+
+  test('--dry-run leaves posts alone, otherwise every generated link is removed', async () => {
+    const linked = await fsp.readFile(file, 'utf8');
+    const output = await runNode(['scripts/strip-links.js', '--dry-run'], { cwd: dir });
+    assert.match(output, /Would strip generated links from 1 of 1 post/);
+    assert.equal(await fsp.readFile(file, 'utf8'), linked);
+    await runNode(['scripts/strip-links.js'], { cwd: dir });
+    assert.equal(await fsp.readFile(file, 'utf8'), original.replace('Two.', 'Two cats.'));
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { extractLinks, classifyUrl, buildLinkGraph, checkThresholds } from '../scripts/lib/linkGraph.js';
+import { stringifyFrontmatter } from '../scripts/lib/mdx.js';
+import { writeFileSafe } from '../scripts/lib/fileUtils.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+const related = (...slugs) => `{/* AUTOLINK-EARLY START */}\n\n### You might also like\n\n${slugs.map((s) => `- [${s}](/${s}/)`).join('\n')}\n\n{/* AUTOLINK-EARLY END */}`;
+const nav = (slug) => `{/* AUTOLINK-NAV START */}\n\n---\n\n[Next →](/${slug}/)\n\n{/* AUTOLINK-NAV END */}`;
+
+describe('extractLinks', () => {
+  test('finds markdown and JSX links and tells blocks from body text', () => {
+    const body = [
+      'See [a guide](/a/#faq) and <a href="/b/">this</a>.',
+      '![Cover](/images/x/cover.webp)',
+      '```md\n[not a link](/c/)\n```',
+      related('d'),
+      nav('e'),
+      '[external](https://example.com/f/)'
+    ].join('\n\n');
+    assert.deepEqual(extractLinks(body).map((l) => [l.url, l.via, l.line]), [
+      ['/a/#faq', 'body', 1],
+      ['/b/', 'body', 1],
+      ['/d/', 'related', 13],
+      ['/e/', 'nav', 21]
+    ]);
+  });
+
+  test('classifies targets', () => {
+    const pages = ['about', 'contact'];
+    assert.deepEqual(classifyUrl('/cat-food/#faq', { pages }), { kind: 'post', target: 'cat-food' });
+    assert.deepEqual(classifyUrl('/category/Cat%20Food/', { pages }), { kind: 'category', target: 'Cat Food' });
+    assert.equal(classifyUrl('/about/', { pages }).kind, 'page');
+    assert.equal(classifyUrl('/', { pages }).kind, 'page');
+    assert.equal(classifyUrl('/rss.xml', { pages }).kind, 'asset');
+    assert.equal(classifyUrl('/a/b/', { pages }).kind, 'unknown');
+  });
+});
+
+describe('buildLinkGraph', () => {
+  const post = (slug, cluster, body) => ({ file: `${cluster.toLowerCase()}/${slug}.mdx`, slug, title: slug, cluster, content: body });
+  const posts = [
+    post('a', 'Alpha', `${related('b', 'old-c')}\n\nSee [x](/gone/) and [cat](/category/Beta/).`),
+    post('b', 'Alpha', related('a')),
+    post('c', 'Alpha', 'No links, [self](/c/) only.'),
+    post('d', 'Beta', `[about](/about/) ${nav('a')}`),
+    post('e', 'Beta', '[missing category](/category/Gamma/)')
+  ];
+  const graph = buildLinkGraph(posts, { redirects: { 'old-c': 'c' }, pages: ['about'] });
+
+  test('counts inbound and outbound links per post, following redirects', () => {
+    const by = Object.fromEntries(graph.posts.map((p) => [p.slug, p]));
+    assert.deepEqual([by.a.inbound, by.a.inboundSameCluster, by.a.outbound], [2, 1, 2]);
+    assert.deepEqual([by.c.inbound, by.c.outbound], [1, 0]);
+    assert.deepEqual(graph.redirected.map((r) => [r.from, r.url, r.to]), [['a', '/old-c/', 'c']]);
+  });
+
+  test('lists broken links and orphans', () => {
+    assert.deepEqual(graph.broken.map((b) => [b.from, b.url]), [['a', '/gone/'], ['e', '/category/Gamma/']]);
+    assert.deepEqual(graph.orphans, ['d', 'e']);
+    assert.deepEqual(graph.totals, { posts: 5, links: 4, broken: 2, redirected: 1, orphans: 2 });
+  });
+
+  test('reports cluster connectivity', () => {
+    const [alpha, beta] = graph.clusters;
+    assert.deepEqual([alpha.cluster, alpha.components, alpha.connected, alpha.internalLinks, alpha.linksIn], ['Alpha', 1, true, 3, 1]);
+    assert.deepEqual([beta.components, beta.largestComponent, beta.connected, beta.linksOut], [2, 1, false, 1]);
+  });
+
+  test('thresholds', () => {
+    assert.deepEqual(checkThresholds(graph, { maxBroken: 2 }), []);
+    assert.equal(checkThresholds(graph).length, 1);
+    assert.match(checkThresholds(graph, { maxBroken: Infinity, maxOrphans: 1, maxDisconnected: 0 }).join('; '), /2 orphan post\(s\).*1 cluster\(s\) split/);
+  });
+});
+
+describe('links command', () => {
+  let dir;
+  before(async () => {
+    dir = await createSandbox();
+    const posts = [
+      { slug: 'one', cluster: 'Alpha', body: '## One\n\nRead [two](/two/).' },
+      { slug: 'two', cluster: 'Alpha', body: '## Two\n\nRead [one](/one/) and [gone](/gone/).' }
+    ];
+    for (const { slug, cluster, body } of posts) {
+      await writeFileSafe(path.join(dir, 'content', 'alpha', `${slug}.mdx`), `${stringifyFrontmatter({ title: slug, slug, cluster })}\n${body}\n`);
+    }
+  });
+  after(() => removeSandbox(dir));
+
+  test('writes JSON and HTML reports and fails on a broken link', async () => {
+    await assert.rejects(runNode(['scripts/links.js'], { cwd: dir }), /1 broken link\(s\) \(maximum 0\)/);
+    await runNode(['scripts/links.js', '--max-broken', '1'], { cwd: dir });
+    const [json] = await fg(['reports/links-*.json'], { cwd: dir });
+    const report = JSON.parse(await fsp.readFile(path.join(dir, json), 'utf8'));
+    assert.deepEqual(report.broken.map((b) => [b.file, b.line, b.url]), [['alpha/two.mdx', 8, '/gone/']]);
+    const [html] = await fg(['reports/links-*.html'], { cwd: dir });
+    assert.match(await fsp.readFile(path.join(dir, html), 'utf8'), /<td>\/gone\/<\/td>/);
+  });
+});
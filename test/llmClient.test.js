@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LlmClient } from '../scripts/lib/llmClient.js';
+import { JsonParseError, SchemaError } from '../scripts/lib/errors.js';
+
+// Answers with the scripted replies in turn and records every request
+class ScriptedClient extends LlmClient {
+  constructor(replies, options = {}) {
+    super({ provider: 'scripted', model: 'scripted', ...options });
+    this.replies = [...replies];
+    this.requests = [];
+  }
+
+  async _request(request) {
+    this.requests.push(request);
+    return { text: this.replies.shift(), usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+}
+
+const section = (title) => ({ title, points: [`About ${title}`] });
+const OUTLINE = { sections: [section('Soil'), section('Light'), section('Water')] };
+
+test('a malformed outline is asked again with its errors, and the corrected one is returned', async () => {
+  const llm = new ScriptedClient([JSON.stringify({ sections: [section('Soil'), { title: 'Light' }] }), JSON.stringify(OUTLINE)]);
+  const outline = await llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting', slug: 'repotting' });
+  assert.deepEqual(outline, OUTLINE);
+  assert.equal(llm.requests.length, 2);
+  assert.ok(llm.requests.every((r) => r.json && r.method === 'generateOutline'));
+  const reask = llm.requests[1].prompt;
+  assert.ok(reask.startsWith(llm.requests[0].prompt.replace(/\nReturn ONLY valid JSON\.$/, '')), 'the original prompt is kept');
+  assert.match(reask, /Your previous answer was rejected:\n\{"sections"/);
+  assert.match(reask, /- \$\.sections\[1\]\.points: is required/);
+  assert.match(reask, /- \$\.sections: expected at least 3 valid item\(s\), got 1/);
+});
+
+test('unparseable answers are asked again as invalid JSON', async () => {
+  const llm = new ScriptedClient(['Sure! {"sections": [unfinished', JSON.stringify(OUTLINE)]);
+  assert.deepEqual(await llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting' }), OUTLINE);
+  assert.match(llm.requests[1].prompt, /- response is not valid JSON \(/);
+});
+
+test('attempts stop at jsonAttempts and the last failure is thrown', async () => {
+  const llm = new ScriptedClient(['not json', '{"sections": []}', JSON.stringify(OUTLINE)], { jsonAttempts: 2 });
+  await assert.rejects(llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting' }), (err) => {
+    assert.ok(err instanceof SchemaError && err instanceof JsonParseError);
+    assert.deepEqual(err.errors, ['$.sections: expected at least 3 valid item(s), got 0']);
+    assert.equal(err.text, '{"sections": []}');
+    return true;
+  });
+  assert.equal(llm.requests.length, 2);
+
+  const garbled = new ScriptedClient(['not json', 'still not json', 'nope']);
+  await assert.rejects(garbled.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting' }), (err) => err instanceof JsonParseError && !(err instanceof SchemaError) && err.text === 'nope');
+  assert.equal(garbled.requests.length, 3);
+});
+
+test('methods with defaults fall back on them once the attempts run out', async () => {
+  const llm = new ScriptedClient(['no', 'no', 'no']);
+  const brand = await llm.generateBrand('Indoor Plants');
+  assert.equal(brand.name, 'Indoor Plants Hub');
+  assert.equal(llm.requests.length, 3);
+});
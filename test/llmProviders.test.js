@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAIClient } from '../scripts/lib/openaiClient.js';
+import { AnthropicClient } from '../scripts/lib/anthropicClient.js';
+import { createLlmFromConfig, loadLlmConfig, RoutedLlmClient } from '../scripts/lib/llmProviders.js';
+import { QuotaError } from '../scripts/lib/errors.js';
+
+const OUTLINE = { sections: ['Soil', 'Light', 'Water'].map((title) => ({ title, points: [`About ${title}`] })) };
+
+// One local server for both APIs: /v1/chat/completions answers like OpenAI, /v1/messages like Anthropic
+let server;
+let baseUrl;
+let requests = [];
+let openaiReply = null;
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/v1/chat/completions') {
+        if (openaiReply) {
+          res.statusCode = openaiReply.status;
+          return res.end(JSON.stringify(openaiReply.body));
+        }
+        const content = body.response_format ? JSON.stringify(OUTLINE) : 'Chat answer';
+        return res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }], usage: { prompt_tokens: 11, completion_tokens: 7 } }));
+      }
+      if (req.url === '/v1/messages') {
+        const prefilled = body.messages.at(-1).role === 'assistant';
+        // Continues after the prefilled "{", split over two blocks like a real answer can be
+        const text = prefilled ? JSON.stringify(OUTLINE).slice(1) : 'Messages answer';
+        return res.end(JSON.stringify({ content: [{ type: 'text', text: text.slice(0, 10) }, { type: 'tool_use', id: 't' }, { type: 'text', text: text.slice(10) }], usage: { input_tokens: 5, output_tokens: 3 } }));
+      }
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const recorder = () => {
+  const records = [];
+  return { records, checkBudget() {}, recordLlm: (r) => records.push(r) };
+};
+
+test('OpenAIClient talks to an OpenAI-compatible server at baseUrl without an API key', async () => {
+  requests = [];
+  const usage = recorder();
+  const llm = new OpenAIClient({ baseUrl: `${baseUrl}/v1`, model: 'llama3', usage });
+  assert.equal(llm.provider, 'openai-compatible');
+  assert.deepEqual(await llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting', slug: 'repotting' }), OUTLINE);
+  const [{ headers, body }] = requests;
+  assert.equal(headers.authorization, 'Bearer not-needed');
+  assert.equal(body.model, 'llama3');
+  assert.deepEqual(body.response_format, { type: 'json_object' });
+  assert.equal(body.messages[0].role, 'user');
+  assert.equal(body.max_tokens, 4096);
+  assert.deepEqual(usage.records, [{ provider: 'openai-compatible', model: 'llama3', method: 'generateOutline', slug: 'repotting', promptTokens: 11, completionTokens: 7 }]);
+
+  openaiReply = { status: 429, body: { error: { message: 'You exceeded your current quota', type: 'insufficient_quota', code: 'insufficient_quota' } } };
+  try {
+    await assert.rejects(llm.generateSection({ niche: 'Indoor Plants', keyword: 'repotting', outline: OUTLINE, sectionIndex: 0 }), QuotaError);
+  } finally {
+    openaiReply = null;
+  }
+});
+
+test('AnthropicClient prefills JSON answers with "{" and joins the text blocks', async () => {
+  requests = [];
+  const usage = recorder();
+  const llm = new AnthropicClient({ apiKey: 'sk-test', baseUrl: `${baseUrl}/`, model: 'claude-test', usage });
+  assert.deepEqual(await llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting', slug: 'repotting' }), OUTLINE);
+  assert.equal(await llm.generateSection({ niche: 'Indoor Plants', keyword: 'repotting', outline: OUTLINE, sectionIndex: 1 }), 'Messages answer');
+
+  const [json, text] = requests;
+  assert.equal(json.headers['x-api-key'], 'sk-test');
+  assert.equal(json.headers['anthropic-version'], '2023-06-01');
+  assert.equal(json.body.model, 'claude-test');
+  assert.deepEqual(json.body.messages.map((m) => m.role), ['user', 'assistant']);
+  assert.equal(json.body.messages[1].content, '{');
+  assert.equal(json.body.response_format, undefined);
+  assert.deepEqual(text.body.messages.map((m) => m.role), ['user']);
+  assert.deepEqual(usage.records.map((r) => [r.method, r.promptTokens, r.completionTokens]), [['generateOutline', 5, 3], ['generateSection', 5, 3]]);
+});
+
+test('LLM_DRAFT_* routes the drafting methods to a second provider', async () => {
+  requests = [];
+  const config = await loadLlmConfig({
+    env: { LLM_BASE_URL: `${baseUrl}/v1`, LLM_MODEL: 'llama3', LLM_DRAFT_PROVIDER: 'anthropic', LLM_DRAFT_BASE_URL: baseUrl, LLM_DRAFT_MODEL: 'claude-test', LLM_DRAFT_API_KEY: 'sk-draft' }
+  });
+  assert.deepEqual(config.routes, { generateContentPart: 'draft', generateSection: 'draft' });
+  const usage = recorder();
+  const llm = createLlmFromConfig(config, { usage });
+  assert.ok(llm instanceof RoutedLlmClient);
+
+  await llm.generateOutline({ niche: 'Indoor Plants', keyword: 'repotting' });
+  assert.equal(await llm.generateSection({ niche: 'Indoor Plants', keyword: 'repotting', outline: OUTLINE, sectionIndex: 0 }), 'Messages answer');
+  assert.equal(await llm.generateMetaDescription({ title: 'Repotting', niche: 'Indoor Plants', keyword: 'repotting' }), 'Chat answer');
+  assert.deepEqual(requests.map((r) => r.url), ['/v1/chat/completions', '/v1/messages', '/v1/chat/completions']);
+  assert.equal(requests[1].headers['x-api-key'], 'sk-draft');
+  assert.deepEqual(usage.records.map((r) => `${r.method}:${r.provider}/${r.model}`), ['generateOutline:openai-compatible/llama3', 'generateSection:anthropic/claude-test', 'generateMetaDescription:openai-compatible/llama3']);
+});
+
+test('a single provider is used as it is; bad routes are rejected', async () => {
+  assert.ok(createLlmFromConfig(await loadLlmConfig({ env: { LLM_BASE_URL: `${baseUrl}/v1`, LLM_MODEL: 'llama3' } })) instanceof OpenAIClient);
+  const providers = { main: { provider: 'mock' }, draft: { provider: 'mock' } };
+  assert.throws(() => createLlmFromConfig({ providers, routes: { generateEssay: 'draft' } }), /unknown method "generateEssay"/);
+  assert.throws(() => createLlmFromConfig({ providers, routes: { generateSection: 'cheap' } }), /undefined provider "cheap"/);
+  assert.throws(() => createLlmFromConfig({ default: 'cheap', providers }), /default "cheap" is not a defined provider/);
+});
+
+test('an openai-compatible provider without a model is rejected before any request', async () => {
+  await assert.rejects(loadLlmConfig({ env: { LLM_BASE_URL: `${baseUrl}/v1` } }), /LLM_MODEL is required for openai-compatible/);
+  await assert.rejects(loadLlmConfig({ env: { LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: `${baseUrl}/v1` } }), /LLM_MODEL is required/);
+  await assert.rejects(
+    loadLlmConfig({ env: { LLM_MODEL: 'gpt-4.1-nano', LLM_DRAFT_BASE_URL: `${baseUrl}/v1` } }),
+    /LLM_DRAFT_MODEL is required for openai-compatible/
+  );
+  assert.throws(() => createLlmFromConfig({ providers: { main: { provider: 'openai-compatible', baseUrl: `${baseUrl}/v1` } } }), /needs a model/);
+});
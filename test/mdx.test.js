@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import matter from 'gray-matter';
+import { titleCase, stringifyFrontmatter, planImages, composeMdxBody, composeSectionBody, headingSlug, buildToc, stripLeadingHeading } from '../scripts/lib/mdx.js';
+
+describe('titleCase', () => {
+  test('capitalizes words and keeps connectives lower case', () => {
+    assert.equal(titleCase('best running shoes for flat feet'), 'Best Running Shoes for Flat Feet');
+    assert.equal(titleCase('the art of war and peace'), 'The Art of War and Peace');
+  });
+
+  test('capitalizes a connective when it is the first word', () => {
+    assert.equal(titleCase('a guide to composting'), 'A Guide to Composting');
+  });
+
+  test('does not lower-case single letters that are not connectives', () => {
+    assert.equal(titleCase('why i quit sugar'), 'Why I Quit Sugar');
+  });
+
+  test('keeps the rest of each word and collapses whitespace', () => {
+    assert.equal(titleCase('  iPhone   vs  AMD gpus '), 'IPhone Vs AMD Gpus');
+  });
+});
+
+describe('stringifyFrontmatter', () => {
+  test('round-trips through gray-matter, including quotes, colons and arrays', () => {
+    const data = {
+      title: 'Cats: "The" Guide',
+      slug: 'cats-the-guide',
+      date: '2024-05-01',
+      keywords: ['cat food', 'kitten\'s first week', 'a: b'],
+      image: '/images/cats-the-guide/cover.webp'
+    };
+    const yaml = stringifyFrontmatter(data);
+    assert.match(yaml, /^---\n[\s\S]*\n---$/);
+    const parsed = matter(`${yaml}\nbody`);
+    assert.deepEqual(parsed.data, data);
+    assert.equal(parsed.content.trim(), 'body');
+  });
+});
+
+describe('composeMdxBody', () => {
+  const outline = {
+    sections: [
+      { title: 'Intro', points: ['one', 'two'] },
+      { title: 'Setup', points: ['three'], suggestImage: true, imagePrompt: 'A tidy desk', alt: 'Desk setup' },
+      { title: 'Tips', points: ['four'] },
+      { title: 'Wrap Up', points: ['five'], suggestImage: true }
+    ]
+  };
+  const parts = ['Part one text.', 'Part two text.', 'Part three text.'];
+
+  test('plans section images first, then one image between consecutive parts', () => {
+    const images = planImages({ outline, keyword: 'desk setup', totalParts: 3 });
+    assert.deepEqual(images.map((i) => i.afterSection ?? `part ${i.afterPart}`), [1, 3, 'part 0', 'part 1']);
+    assert.equal(images[0].prompt, 'A tidy desk');
+    assert.equal(images[0].alt, 'Desk setup');
+    assert.equal(images[1].alt, 'Wrap Up');
+  });
+
+  test('places headings, points, parts and numbered images in order', () => {
+    const { mdxBody, imagePrompts } = composeMdxBody({ outline, parts, keyword: 'desk setup', slug: 'desk' });
+    assert.equal(imagePrompts.length, 4);
+    assert.equal(imagePrompts[0], 'A tidy desk');
+
+    const order = [
+      '## Intro', '- one', '## Setup', '![Desk setup](/images/desk/img1.webp)', '## Tips',
+      '## Wrap Up', '/images/desk/img2.webp', 'Part one text.', '/images/desk/img3.webp',
+      'Part two text.', '/images/desk/img4.webp', 'Part three text.'
+    ];
+    let last = -1;
+    for (const needle of order) {
+      const idx = mdxBody.indexOf(needle, last + 1);
+      assert.ok(idx > last, `expected "${needle}" after position ${last}`);
+      last = idx;
+    }
+    assert.ok(!mdxBody.includes('img5.webp'));
+    assert.ok(!/^# /m.test(mdxBody), 'body must not contain an H1');
+  });
+
+  test('without an outline only the parts and inter-part images are emitted', () => {
+    const { mdxBody, imagePrompts } = composeMdxBody({ outline: null, parts: ['A', 'B'], keyword: 'kw', slug: 's' });
+    assert.equal(imagePrompts.length, 1);
+    assert.match(imagePrompts[0], /kw/);
+    assert.ok(!mdxBody.includes('## '));
+    assert.ok(mdxBody.indexOf('A') < mdxBody.indexOf('/images/s/img1.webp'));
+    assert.ok(mdxBody.indexOf('/images/s/img1.webp') < mdxBody.lastIndexOf('B'));
+  });
+});
+
+describe('composeSectionBody', () => {
+  const outline = {
+    sections: [
+      { title: 'Intro' },
+      { title: 'Setup', suggestImage: true, imagePrompt: 'A tidy desk', alt: 'Desk setup' },
+      { title: 'Wrap Up', suggestImage: true }
+    ]
+  };
+  const sections = ['Intro text.', 'Setup text.\n\n### Cables\n\nCable text.', 'Wrap up text.'];
+
+  test('puts each section under its own heading with its image after the prose', () => {
+    const { mdxBody, imagePrompts } = composeSectionBody({ outline, sections, keyword: 'desk setup', slug: 'desk' });
+    assert.deepEqual(imagePrompts.length, 2);
+    const order = [
+      '<nav aria-label="Contents">', '[Setup](#setup)', '</nav>', '## Intro', 'Intro text.', '## Setup', 'Cable text.',
+      '![Desk setup](/images/desk/img1.webp)', '## Wrap Up', 'Wrap up text.', '/images/desk/img2.webp'
+    ];
+    let last = -1;
+    for (const needle of order) {
+      const idx = mdxBody.indexOf(needle, last + 1);
+      assert.ok(idx > last, `expected "${needle}" after position ${last}`);
+      last = idx;
+    }
+    assert.equal(mdxBody.match(/^## /gm).length, 3);
+  });
+});
+
+describe('table of contents', () => {
+  test('heading ids match Astro\'s', () => {
+    assert.equal(headingSlug('Why It\'s Worth It: A Step-by-Step Guide (2024)'), 'why-its-worth-it-a-step-by-step-guide-2024');
+    assert.equal(headingSlug('Use **bold** and [links](/x/)'), 'use-bold-and-links');
+    const seen = new Map();
+    assert.deepEqual(['Tips', 'Tips', 'Tips'].map((t) => headingSlug(t, seen)), ['tips', 'tips-1', 'tips-2']);
+  });
+
+  test('lists H2s only; H3s and code fences are accounted for', () => {
+    const body = '## Tips\n\n### Tips\n\n```\n## Not a heading\n```\n\n## Tips\n\n## Next Steps';
+    assert.equal(buildToc(body), '<nav aria-label="Contents">\n\n**Contents**\n\n- [Tips](#tips)\n- [Tips](#tips-2)\n- [Next Steps](#next-steps)\n\n</nav>');
+    assert.equal(buildToc('No headings here.'), '');
+  });
+});
+
+describe('stripLeadingHeading', () => {
+  test('drops a repeated heading or H1 and demotes stray H2s', () => {
+    assert.equal(stripLeadingHeading('# Title\n\n## Setup\n\nText.\n\n## Extra\n\nMore.', 'setup'), 'Text.\n\n### Extra\n\nMore.');
+    assert.equal(stripLeadingHeading('Text.', 'Setup'), 'Text.');
+  });
+});
@@ -0,0 +1,270 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import sharp from 'sharp';
+import { slugifyString } from '../scripts/lib/slugify.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+// End to end on the mock clients: create-site writes MDX and images, astro builds HTML
+const MAX_POSTS = 8;
+let dir;
+let posts;
+
+before(async () => {
+  dir = await createSandbox();
+  await runNode(['scripts/create-site.js', 'Home Workouts', '--mock', '--no-deploy', '--max-posts', String(MAX_POSTS), '--batch', '4'], {
+    cwd: dir,
+    env: { MOCK_SEED: '42', MOCK_FAILURES: '' }
+  });
+  await runNode([path.join('node_modules', 'astro', 'astro.js'), 'build'], { cwd: dir, timeoutMs: 600000 });
+  const files = await fg(['**/*.mdx'], { cwd: path.join(dir, 'content'), absolute: true });
+  posts = await Promise.all(
+    files.map(async (file) => {
+      const { data, content } = matter(await fsp.readFile(file, 'utf8'));
+      return { file, data, content };
+    })
+  );
+}, { timeout: 900000 });
+
+after(() => removeSandbox(dir));
+
+const builtPage = (slug) => path.join(dir, 'dist', slug, 'index.html');
+
+test('writes one MDX file per planned post', () => {
+  assert.equal(posts.length, MAX_POSTS);
+});
+
+test('frontmatter has the fields the site relies on', () => {
+  for (const { file, data } of posts) {
+    assert.equal(path.basename(file, '.mdx'), data.slug);
+    for (const key of ['title', 'slug', 'date', 'description', 'image', 'cluster']) {
+      assert.ok(typeof data[key] === 'string' && data[key].length > 0, `${data.slug}: ${key}`);
+    }
+    assert.match(data.date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.ok(data.description.length <= 160, `${data.slug}: description length`);
+    assert.ok(Array.isArray(data.keywords) && data.keywords.length >= 2, `${data.slug}: keywords`);
+    assert.equal(data.image, `/images/${data.slug}/cover.webp`);
+    assert.equal(data.ogImage, `/images/${data.slug}/og.jpg`);
+    assert.equal(path.basename(path.dirname(file)), slugifyString(data.cluster));
+  }
+});
+
+test('bodies have H2/H3 structure and no markdown H1', () => {
+  for (const { data, content } of posts) {
+    assert.ok((content.match(/^## /gm) || []).length >= 3, `${data.slug}: H2s`);
+    assert.match(content, /^### /m, `${data.slug}: H3s`);
+    assert.ok(!/^# /m.test(content), `${data.slug}: no H1`);
+  }
+});
+
+test('each section heading appears once and the table of contents links to it', async () => {
+  for (const { data, content } of posts) {
+    const h2s = content.match(/^## .+$/gm);
+    assert.equal(new Set(h2s).size, h2s.length, `${data.slug}: repeated H2`);
+    assert.ok(content.indexOf('<nav aria-label="Contents">') < content.indexOf('\n## '), `${data.slug}: contents first`);
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    const nav = html.match(/<nav aria-label="Contents">([\s\S]*?)<\/nav>/)[1];
+    const targets = [...nav.matchAll(/href="#([^"]+)"/g)].map((m) => m[1]);
+    assert.equal(targets.length, h2s.length, `${data.slug}: one entry per H2`);
+    for (const id of targets) assert.ok(html.includes(`id="${id}"`), `${data.slug}: #${id} has no heading`);
+  }
+});
+
+test('every referenced image exists and is a WebP', async () => {
+  for (const { data, content } of posts) {
+    const refs = new Set([data.image, ...[...content.matchAll(/\]\((\/images\/[^)]+)\)/g)].map((m) => m[1])]);
+    assert.ok(refs.size > 1, `${data.slug}: has inline images`);
+    for (const ref of refs) {
+      const file = path.join(dir, 'public', ref);
+      assert.ok(fs.existsSync(file), `${data.slug}: ${ref} exists`);
+      assert.equal((await sharp(file).metadata()).format, 'webp');
+    }
+  }
+});
+
+test('no two posts share a slug, and each gets its own built page', () => {
+  const slugs = posts.map((p) => p.data.slug);
+  assert.equal(new Set(slugs).size, slugs.length);
+  for (const slug of slugs) assert.ok(fs.existsSync(builtPage(slug)), `dist/${slug}/index.html`);
+});
+
+test('built pages render the post title, headings and images', async () => {
+  for (const { data, content } of posts) {
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    assert.ok(html.includes(`<title>${data.title}`) || html.includes(data.title.replace(/&/g, '&amp;')), `${data.slug}: title`);
+    const firstH2 = content.match(/^## (.+)$/m)[1];
+    assert.match(html, new RegExp(`<h2[^>]*>${firstH2.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}</h2>`));
+    assert.ok(html.includes(`/images/${data.slug}/img1.webp`), `${data.slug}: inline image`);
+  }
+});
+
+test('post images have AVIF and WebP copies and render as <picture> with dimensions and a placeholder', async () => {
+  for (const { data } of posts) {
+    const manifest = JSON.parse(await fsp.readFile(path.join(dir, 'public', 'images', data.slug, 'images.json'), 'utf8'));
+    assert.ok(manifest['cover.webp'] && manifest['img1.webp'], `${data.slug}: manifest`);
+    for (const entry of Object.values(manifest)) {
+      for (const format of ['avif', 'webp']) assert.ok(entry.variants[format].length > 0, `${data.slug}: ${format} copies`);
+    }
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    const pictures = html.match(/<picture>[\s\S]*?<\/picture>/g) || [];
+    assert.ok(pictures.length >= 2, `${data.slug}: hero and inline pictures`);
+    for (const picture of pictures) {
+      assert.match(picture, /<source type="image\/avif" srcset="[^"]+ \d+w"/);
+      assert.match(picture, /<img [^>]*width="\d+" height="\d+"/);
+      assert.match(picture, /style="background:url\(data:image\/webp;base64,/);
+    }
+    assert.match(pictures[0], /loading="eager"/, `${data.slug}: the hero loads first`);
+  }
+});
+
+test('images have LLM alt text, a sidecar with their prompt and provider, and captions as <figure>', async () => {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let captions = 0;
+  for (const { data, content } of posts) {
+    const meta = JSON.parse(await fsp.readFile(path.join(dir, 'public', 'images', data.slug, 'meta.json'), 'utf8'));
+    const headings = [...content.matchAll(/^## (.+)$/gm)].map((m) => m[1]);
+    const inline = [...content.matchAll(new RegExp(`!\\[([^\\]]*)\\]\\(/images/${escape(data.slug)}/([^)]+)\\)`, 'g'))];
+    assert.ok(inline.length > 0, `${data.slug}: inline images`);
+    for (const [, alt, file] of inline) {
+      const entry = meta.images[file];
+      assert.equal(entry.alt, alt, `${data.slug}/${file}: alt text in the MDX`);
+      assert.ok(alt && !headings.includes(alt), `${data.slug}/${file}: alt text is not the section title`);
+      assert.deepEqual([entry.role, entry.provider, typeof entry.prompt], ['inline', 'mock', 'string']);
+    }
+    const cover = meta.images['cover.webp'];
+    assert.ok(content.includes(`alt="${cover.alt}"`) && cover.alt !== data.title, `${data.slug}: hero alt text`);
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    for (const entry of Object.values(meta.images)) {
+      if (!entry.caption || entry.role === 'cover') continue;
+      captions++;
+      assert.match(html, new RegExp(`<figure[^>]*><picture>[\\s\\S]*?</picture><figcaption[^>]*>${escape(entry.caption)}</figcaption></figure>`), `${data.slug}: caption`);
+    }
+  }
+  assert.ok(captions > 0, 'some images have captions');
+});
+
+test('built pages carry an FAQ and BlogPosting, BreadcrumbList and FAQPage JSON-LD', async () => {
+  for (const { data } of posts) {
+    assert.ok(data.faq.length >= 4 && data.faq.length <= 6, `${data.slug}: FAQ size`);
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    const blocks = [...html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)].map((m) => JSON.parse(m[1]));
+    assert.deepEqual(blocks.map((b) => b['@type']), ['BlogPosting', 'BreadcrumbList', 'FAQPage']);
+    assert.equal(blocks[0].headline, data.title);
+    assert.equal(blocks[2].mainEntity.length, data.faq.length);
+    assert.ok(html.includes('<h2 id="faq">'), `${data.slug}: FAQ section`);
+  }
+});
+
+test('post pages have a canonical URL and Open Graph and Twitter tags for their share card', async () => {
+  const meta = (html, attr, name) => html.match(new RegExp(`<meta ${attr}="${name}" content="([^"]*)"`))?.[1];
+  for (const { data } of posts) {
+    const html = await fsp.readFile(builtPage(data.slug), 'utf8');
+    const canonical = html.match(/<link rel="canonical" href="([^"]+)"/)[1];
+    assert.match(canonical, new RegExp(`^https?://[^/]+/${data.slug}/$`));
+    assert.equal(meta(html, 'property', 'og:url'), canonical);
+    assert.equal(meta(html, 'property', 'og:type'), 'article');
+    assert.equal(meta(html, 'property', 'og:image'), new URL(data.ogImage, canonical).href);
+    assert.equal(meta(html, 'name', 'twitter:image'), new URL(data.ogImage, canonical).href);
+    const card = await sharp(path.join(dir, 'public', data.ogImage)).metadata();
+    assert.deepEqual([card.width, card.height, card.format], [1200, 630, 'jpeg']);
+    assert.equal(meta(html, 'property', 'article:published_time'), data.date);
+    assert.equal(meta(html, 'name', 'twitter:card'), 'summary_large_image');
+    assert.ok(!html.includes('name="robots"'), `${data.slug}: indexable`);
+  }
+  const robots = await fsp.readFile(path.join(dir, 'dist', 'robots.txt'), 'utf8');
+  assert.match(robots, /^Sitemap: https?:\/\/[^/]+\/sitemap-index\.xml$/m);
+  assert.ok(!robots.includes('your-site-on-vercel.app'));
+});
+
+test('pages use the generated brand logo, favicons and web manifest', async () => {
+  const brand = JSON.parse(await fsp.readFile(path.join(dir, 'public', 'brand.json'), 'utf8'));
+  assert.match(brand.palette.accent, /^#[0-9a-f]{6}$/);
+  const html = await fsp.readFile(path.join(dir, 'dist', 'index.html'), 'utf8');
+  for (const file of ['favicon.ico', 'favicon.svg', 'apple-touch-icon.png', 'site.webmanifest']) {
+    assert.ok(html.includes(`href="/${file}"`), file);
+    assert.ok(fs.existsSync(path.join(dir, 'dist', file)), `dist/${file}`);
+  }
+  assert.ok(html.includes(`<meta name="theme-color" content="${brand.palette.primary}">`));
+  assert.match(html, /<meta property="og:image" content="https?:\/\/[^/]+\/og-default\.png">/);
+  const header = html.match(/<header[\s\S]*?<\/header>/)[0];
+  const logo = header.match(/<img src="\/logo\.svg"[^>]*>/);
+  assert.ok(logo, 'header shows logo.svg');
+  assert.ok(logo[0].includes(`alt="${brand.name.replace(/&/g, '&amp;')}"`), 'logo alt is the brand name');
+  const [, width, height] = (await fsp.readFile(path.join(dir, 'public', 'logo.svg'), 'utf8')).match(/width="(\d+)" height="(\d+)"/);
+  assert.ok(logo[0].includes(`width="${Math.round((width * 32) / height)}"`) && logo[0].includes('height="32"'), logo[0]);
+});
+
+test('internal links in posts point to built pages', () => {
+  let count = 0;
+  for (const { data, content } of posts) {
+    for (const [, target] of content.matchAll(/\]\(\/([a-z0-9-]+)\/\)/g)) {
+      count++;
+      assert.notEqual(target, data.slug, `${data.slug} links to itself`);
+      assert.ok(fs.existsSync(builtPage(target)), `${data.slug} -> /${target}/ is not a built page`);
+    }
+  }
+  assert.ok(count > 0, 'posts are interlinked');
+});
+
+test('each generated link block appears once, with its own markers', () => {
+  const count = (text, needle) => text.split(needle).length - 1;
+  for (const { data, content } of posts) {
+    for (const name of ['EARLY', 'END', 'NAV']) assert.equal(count(content, `{/* AUTOLINK-${name} START */}`), 1, `${data.slug}: ${name}`);
+    assert.equal(count(content, '### Related in '), count(content, '{/* AUTOLINK-RELATED START */}'), `${data.slug}: unmarked related block`);
+    assert.ok(count(content, '### Related in ') <= 1, `${data.slug}: repeated related block`);
+  }
+});
+
+test('the link-graph report finds no broken links in a generated site', async () => {
+  await runNode(['scripts/links.js'], { cwd: dir });
+  const [reportFile] = await fg(['reports/links-*.json'], { cwd: dir, absolute: true });
+  const report = JSON.parse(await fsp.readFile(reportFile, 'utf8'));
+  assert.equal(report.totals.posts, MAX_POSTS);
+  assert.ok(report.totals.links > 0, 'posts are interlinked');
+  assert.deepEqual(report.broken, []);
+});
+
+test('run manifest records every post as done with its images', async () => {
+  const [manifestFile] = await fg(['.runs/*.json'], { cwd: dir, absolute: true, dot: true });
+  const manifest = JSON.parse(await fsp.readFile(manifestFile, 'utf8'));
+  assert.equal(manifest.status, 'completed');
+  assert.equal(manifest.tasks.length, MAX_POSTS);
+  assert.equal(new Set(manifest.tasks.map((t) => t.id)).size, MAX_POSTS);
+  for (const task of manifest.tasks) {
+    assert.equal(task.status, 'done');
+    assert.ok(task.quality.score >= 75, `${task.slug}: quality ${task.quality.score}`);
+    assert.ok(Object.values(task.images).every((s) => s === 'done'), `${task.slug}: images`);
+  }
+});
+
+// The tests below rebuild dist/, so they come last
+test('with a base path every internal link and image URL is prefixed', async () => {
+  await runNode([path.join('node_modules', 'astro', 'astro.js'), 'build'], { cwd: dir, env: { BASE_PATH: '/site/' }, timeoutMs: 600000 });
+  const pages = await fg(['**/*.html'], { cwd: path.join(dir, 'dist') });
+  for (const page of pages) {
+    const html = await fsp.readFile(path.join(dir, 'dist', page), 'utf8');
+    for (const [, url] of html.matchAll(/\s(?:href|src)="(\/[^/"][^"]*|\/)"/g)) {
+      assert.ok(url.startsWith('/site/'), `${page}: ${url}`);
+    }
+  }
+  const robots = await fsp.readFile(path.join(dir, 'dist', 'robots.txt'), 'utf8');
+  assert.match(robots, /\/site\/sitemap-index\.xml$/m);
+});
+
+test('the build fails on a dead internal link', async () => {
+  const { file } = posts[0];
+  const original = await fsp.readFile(file, 'utf8');
+  await fsp.writeFile(file, `${original}\nSee [this post](/no-such-post/).\n`);
+  try {
+    await assert.rejects(
+      runNode([path.join('node_modules', 'astro', 'astro.js'), 'build'], { cwd: dir, timeoutMs: 600000 }),
+      /no-such-post\/ \(no such page or file\)/
+    );
+  } finally {
+    await fsp.writeFile(file, original);
+  }
+});
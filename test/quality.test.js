@@ -0,0 +1,129 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { seededRandom } from '../scripts/lib/random.js';
+import { scoreArticle, keywordDensity, words, MinHashIndex, QualityGate } from '../scripts/lib/quality.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+const VOCAB = 'river stone garden lamp quiet morning window paper bridge orange silver market winter cloud forest candle ladder harbor pepper violin meadow tunnel copper basket planet thunder pillow marble canyon feather lantern saddle jacket mirror island cotton engine shadow valley cabin rocket velvet'.split(' ');
+
+// Unrelated words seeded by `seed`, with `keyword` once per sentence of ~16 words
+function prose(seed, sentences, keyword) {
+  const rand = seededRandom(seed);
+  return Array.from({ length: sentences }, (_, i) => {
+    const w = Array.from({ length: 15 }, () => VOCAB[Math.floor(rand() * VOCAB.length)]);
+    if (keyword && i % 4 === 0) w.splice(7, 0, keyword);
+    return `${w.join(' ')}.`;
+  }).join(' ');
+}
+const part = (title, seed) => `## ${title}\n\n${prose(`${seed}a`, 12, 'trail running shoes')}\n\n### ${title} in practice\n\n${prose(`${seed}b`, 12, 'trail running shoes')}`;
+const goodParts = [part('Alpha', 1), part('Beta', 2), part('Gamma', 3)];
+const options = { minWords: 300 };
+const failed = (report) => report.checks.filter((c) => !c.ok).map((c) => c.id);
+
+describe('scoreArticle', () => {
+  test('clean parts score 100', () => {
+    const report = scoreArticle({ parts: goodParts, body: goodParts.join('\n\n'), keyword: 'trail running shoes' }, options);
+    assert.deepEqual(failed(report), []);
+    assert.equal(report.score, 100);
+    assert.equal(report.passed, true);
+  });
+
+  test('short, H1, repeated headings and paragraphs each cost points', () => {
+    const repeated = `## Alpha\n\n${prose('r', 3, 'trail running shoes')}`;
+    const parts = [`# Title\n\n${repeated}`, repeated, '## Delta\n\nShort.'];
+    const report = scoreArticle({ parts, body: parts.join('\n\n'), keyword: 'trail running shoes' }, options);
+    assert.deepEqual(failed(report), ['words', 'h1', 'headings', 'paragraphs']);
+    assert.equal(report.score, 100 - 30 - 15 - 10 - 15);
+    assert.equal(report.passed, false);
+    assert.match(report.problems.join('\n'), /repeated headings: alpha/);
+  });
+
+  test('headings inside code fences are ignored', () => {
+    const parts = [...goodParts.slice(0, 2), `${goodParts[2]}\n\n\`\`\`bash\n# comment\n## Alpha\n\`\`\``];
+    assert.deepEqual(failed(scoreArticle({ parts, body: parts.join('\n\n'), keyword: 'trail running shoes' }, options)), []);
+  });
+
+  test('keyword density outside the range fails', () => {
+    assert.ok(Math.abs(keywordDensity('shoes and more shoes here', 'shoes') - 40) < 1e-9);
+    const stuffed = scoreArticle({ parts: goodParts, body: '', keyword: 'trail' }, { ...options, maxDensity: 1 });
+    assert.deepEqual(failed(stuffed), ['density']);
+    const missing = scoreArticle({ parts: goodParts, body: '', keyword: 'kayak paddles' }, options);
+    assert.deepEqual(failed(missing), ['density']);
+  });
+
+  test('a near-duplicate of another post fails hard', () => {
+    const report = scoreArticle({ parts: goodParts, body: '', keyword: 'trail running shoes', similar: { id: 'other', similarity: 0.8 } }, options);
+    assert.deepEqual(failed(report), ['similarity']);
+    assert.equal(report.passed, false);
+  });
+
+  test('word counts skip images, JSX and link targets', () => {
+    assert.deepEqual(words('![Alt text](/a.webp)\n<Figure />\nSee [the guide](/guide/) now.'), ['See', 'the', 'guide', 'now']);
+  });
+});
+
+describe('MinHashIndex', () => {
+  const a = prose('a', 30);
+  const b = prose('b', 30);
+
+  test('estimates high similarity for near copies and low for unrelated text', () => {
+    const index = new MinHashIndex();
+    index.add('a', a);
+    index.add('b', b);
+    const copy = index.mostSimilar(a.replace(/^\w+ \w+/, 'changed words'), { exclude: 'none' });
+    assert.equal(copy.id, 'a');
+    assert.ok(copy.similarity > 0.8, String(copy.similarity));
+    assert.ok(MinHashIndex.similarity(index.signature(a), index.signature(b)) < 0.2);
+  });
+
+  test('a gate compares later posts with accepted ones but not with themselves', () => {
+    const gate = new QualityGate(options);
+    const body = goodParts.join('\n\n');
+    assert.equal(gate.check({ parts: goodParts, body, keyword: 'trail running shoes', slug: 'first' }).passed, true);
+    gate.accept('first', body);
+    assert.equal(gate.check({ parts: goodParts, body, keyword: 'trail running shoes', slug: 'first' }).passed, true);
+    const second = gate.check({ parts: goodParts, body, keyword: 'trail running shoes', slug: 'second' });
+    assert.deepEqual(failed(second), ['similarity']);
+  });
+});
+
+describe('create-site quality gate', () => {
+  let dir;
+  let manifest;
+  before(async () => {
+    dir = await createSandbox();
+    // No mock post reaches this many words, so every post is regenerated once, then quarantined
+    await runNode(['scripts/create-site.js', 'Home Workouts', '--mock', '--no-deploy', '--no-images', '--max-posts', '2'], {
+      cwd: dir,
+      env: { MOCK_SEED: '42', MOCK_FAILURES: '', QUALITY_MIN_WORDS: '100000' }
+    });
+    const [file] = await fg(['.runs/*.json'], { cwd: dir, absolute: true, dot: true });
+    manifest = JSON.parse(await fsp.readFile(file, 'utf8'));
+  }, { timeout: 300000 });
+  after(() => removeSandbox(dir));
+
+  test('posts below the threshold are quarantined, not published', async () => {
+    assert.deepEqual(await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') }), []);
+    for (const task of manifest.tasks) {
+      assert.equal(task.status, 'quarantined');
+      assert.ok(fs.existsSync(path.join(dir, task.quarantinePath)));
+      const report = JSON.parse(await fsp.readFile(path.join(dir, task.quarantinePath.replace(/\.mdx$/, '.quality.json')), 'utf8'));
+      assert.equal(report.passed, false);
+      assert.match(report.problems[0], /minimum 100000/);
+    }
+    assert.equal(manifest.status, 'incomplete');
+  });
+
+  test('each post was regenerated once before quarantine', async () => {
+    const [costFile] = await fg(['reports/cost-*.json'], { cwd: dir, absolute: true });
+    const { byMethod } = JSON.parse(await fsp.readFile(costFile, 'utf8'));
+    // One call per outline section, i.e. per H2 of the quarantined post
+    let sections = 0;
+    for (const task of manifest.tasks) sections += (await fsp.readFile(path.join(dir, task.quarantinePath), 'utf8')).match(/^## /gm).length;
+    assert.equal(byMethod.generateSection.calls, 2 * sections);
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { splitSections, joinSections, extractProtected, pickSections, refreshPost, selectPosts } from '../scripts/lib/refresh.js';
+import { MockOpenAIClient } from '../scripts/lib/mockClients.js';
+import { stringifyFrontmatter } from '../scripts/lib/mdx.js';
+import { writeFileSafe } from '../scripts/lib/fileUtils.js';
+import { unifiedDiff } from '../scripts/lib/diff.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+const early = '{/* AUTOLINK-EARLY START */}\n\n### You might also like\n\n- [X](/x/)\n\n{/* AUTOLINK-EARLY END */}';
+const nav = '{/* AUTOLINK-NAV START */}\n\n---\n\n[Y →](/y/)\n\n{/* AUTOLINK-NAV END */}';
+const body = [
+  '<section>hero</section>',
+  '## Overview',
+  '- Point one\n- Point two',
+  '## Getting Started',
+  early,
+  'Short start.',
+  '![Start](/images/post/img1.webp)',
+  '## Details',
+  'A much longer paragraph with many more words in it than the others have.',
+  '## Conclusion',
+  'Wrap up in a few words.',
+  nav
+].join('\n\n') + '\n';
+
+describe('sections', () => {
+  test('split and join round-trip the body', () => {
+    const split = splitSections(body);
+    assert.deepEqual(split.sections.map((s) => s.heading), ['Overview', 'Getting Started', 'Details', 'Conclusion']);
+    assert.ok(split.lead.includes('<section>hero</section>'));
+    assert.equal(joinSections(split), body);
+  });
+
+  test('link blocks and images are kept out of the prose', () => {
+    const { text, leading, trailing } = extractProtected(splitSections(body).sections[1].body);
+    assert.equal(text, 'Short start.');
+    assert.deepEqual(leading, [early]);
+    assert.deepEqual(trailing, ['![Start](/images/post/img1.webp)']);
+  });
+
+  test('picks the thinnest prose sections, skipping list-only ones', () => {
+    const { sections } = splitSections(body);
+    assert.deepEqual(pickSections(sections, { max: 2 }), [1, 3]);
+    assert.deepEqual(pickSections(sections, { headings: ['details', 'Missing'] }), [2]);
+  });
+});
+
+describe('refreshPost', () => {
+  const data = { title: 'Test Post', slug: 'post', date: '2020-01-01', keywords: ['test keyword'], image: '/images/post/cover.webp', cluster: 'Tests' };
+  const raw = `${stringifyFrontmatter(data)}\n${body}`;
+
+  test('rewrites picked sections and keeps slug, images, link blocks and headings', async () => {
+    const post = { raw, ...matter(raw) };
+    const { text, changed } = await refreshPost({ llm: new MockOpenAIClient({ seed: 3, failures: [] }), post, niche: 'Testing', maxSections: 2, today: '2024-05-01' });
+    assert.deepEqual(changed, ['Getting Started', 'Conclusion']);
+    const out = matter(text);
+    assert.equal(out.data.slug, 'post');
+    assert.equal(out.data.updated, '2024-05-01');
+    assert.equal(out.data.date, '2020-01-01');
+    for (const kept of [early, nav, '![Start](/images/post/img1.webp)', '<section>hero</section>', 'A much longer paragraph']) assert.ok(out.content.includes(kept), kept);
+    assert.ok(!out.content.includes('Short start.'));
+    assert.deepEqual(splitSections(out.content).sections.map((s) => s.heading), ['Overview', 'Getting Started', 'Details', 'Conclusion']);
+    assert.ok(out.content.indexOf(early) < out.content.indexOf('![Start]'));
+  });
+
+  test('leaves the file alone when nothing matches', async () => {
+    const post = { raw, ...matter(raw) };
+    const { text, changed } = await refreshPost({ llm: new MockOpenAIClient({ failures: [] }), post, headings: ['Nope'] });
+    assert.deepEqual(changed, []);
+    assert.equal(text, raw);
+  });
+});
+
+describe('selectPosts', () => {
+  let dir;
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-refresh-'));
+    const posts = [
+      { file: 'a/old.mdx', slug: 'old', date: '2020-01-01', cluster: 'Alpha' },
+      { file: 'a/refreshed.mdx', slug: 'refreshed', date: '2019-01-01', updated: '2024-04-01', cluster: 'Alpha' },
+      { file: 'b/new.mdx', slug: 'new', date: '2024-04-20', cluster: 'Beta Tips' }
+    ];
+    for (const { file, ...fm } of posts) await writeFileSafe(path.join(dir, file), `${stringifyFrontmatter(fm)}\n## H\n\nText.\n`);
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  const slugsOf = (posts) => posts.map((p) => p.data.slug);
+  const now = new Date('2024-05-01');
+
+  test('by age, counting from the last update, oldest first', async () => {
+    assert.deepEqual(slugsOf(await selectPosts({ contentDir: dir, olderThanDays: 20, now })), ['old', 'refreshed']);
+    assert.deepEqual(slugsOf(await selectPosts({ contentDir: dir, olderThanDays: 365, now })), ['old']);
+  });
+
+  test('by cluster and slug list, combined with limit', async () => {
+    assert.deepEqual(slugsOf(await selectPosts({ contentDir: dir, clusters: ['beta tips'], now })), ['new']);
+    assert.deepEqual(slugsOf(await selectPosts({ contentDir: dir, slugs: ['new', 'old'], now })), ['old', 'new']);
+    assert.deepEqual(slugsOf(await selectPosts({ contentDir: dir, clusters: ['Alpha'], limit: 1, now })), ['old']);
+  });
+});
+
+describe('refresh command', () => {
+  let dir;
+  let original;
+  before(async () => {
+    dir = await createSandbox();
+    await runNode(['scripts/create-site.js', 'Indoor Plants', '--mock', '--no-deploy', '--no-images', '--max-posts', '2'], { cwd: dir, env: { MOCK_SEED: '42', MOCK_FAILURES: '' } });
+    original = await snapshot(dir);
+  }, { timeout: 300000 });
+  after(() => removeSandbox(dir));
+
+  test('--dry-run only writes the report', async () => {
+    const [slug] = Object.keys(original);
+    await runNode(['scripts/refresh.js', '--slugs', slug, '--mock', '--dry-run'], { cwd: dir });
+    assert.deepEqual(await snapshot(dir), original);
+    const [report] = await fg(['reports/refresh-*.json'], { cwd: dir });
+    const { posts, dryRun } = JSON.parse(await fsp.readFile(path.join(dir, report), 'utf8'));
+    assert.equal(dryRun, true);
+    assert.equal(posts.length, 1);
+    assert.ok(posts[0].diff.includes('+updated:'));
+  });
+
+  test('refreshes every selected post and adds a markdown diff report', async () => {
+    await runNode(['scripts/refresh.js', '--older-than', '0', '--mock'], { cwd: dir });
+    const after = await snapshot(dir);
+    for (const [slug, text] of Object.entries(after)) {
+      assert.notEqual(text, original[slug]);
+      assert.match(matter(text).data.updated, /^\d{4}-\d{2}-\d{2}$/);
+    }
+    // The report diffs the files as they end up, after the linker has run
+    const json = (await fg(['reports/refresh-*.json'], { cwd: dir })).sort();
+    const { posts } = JSON.parse(await fsp.readFile(path.join(dir, json[json.length - 1]), 'utf8'));
+    assert.equal(posts.length, Object.keys(after).length);
+    for (const post of posts) {
+      assert.equal(post.diff, unifiedDiff(original[post.slug], after[post.slug], { from: `a/content/${post.file}`, to: `b/content/${post.file}` }), post.file);
+    }
+    const md = await fg(['reports/refresh-*.md'], { cwd: dir });
+    assert.ok(md.length >= 1);
+    assert.ok(fs.readFileSync(path.join(dir, md[md.length - 1]), 'utf8').includes('```diff'));
+  });
+
+  test('posts whose links the linker changed are in the report too', async () => {
+    const [refreshed, other] = Object.keys(await snapshot(dir));
+    const [otherFile] = (await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') })).filter((f) => path.basename(f, '.mdx') === other);
+    const otherPath = path.join(dir, 'content', otherFile);
+    // A post whose nav block was removed by hand gets it back from the linker
+    const stripped = (await fsp.readFile(otherPath, 'utf8')).replace(/\{\/\* AUTOLINK-NAV START \*\/\}[\s\S]*?\{\/\* AUTOLINK-NAV END \*\/\}\n*/, '');
+    await fsp.writeFile(otherPath, stripped);
+    await runNode(['scripts/refresh.js', '--slugs', refreshed, '--mock'], { cwd: dir });
+    const json = (await fg(['reports/refresh-*.json'], { cwd: dir })).sort();
+    const { posts } = JSON.parse(await fsp.readFile(path.join(dir, json[json.length - 1]), 'utf8'));
+    const linked = posts.find((p) => p.slug === other);
+    assert.deepEqual(linked.sections, []);
+    assert.equal(linked.links, true);
+    assert.equal(linked.diff, unifiedDiff(stripped, await fsp.readFile(otherPath, 'utf8'), { from: `a/content/${otherFile}`, to: `b/content/${otherFile}` }));
+    assert.match(linked.diff, /^\+\{\/\* AUTOLINK-NAV START \*\/\}$/m);
+  });
+});
+
+async function snapshot(dir) {
+  const files = await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') });
+  const out = {};
+  for (const file of files.sort()) {
+    const text = await fsp.readFile(path.join(dir, 'content', file), 'utf8');
+    out[matter(text).data.slug] = text;
+  }
+  return out;
+}
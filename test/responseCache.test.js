@@ -0,0 +1,212 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import fg from 'fast-glob';
+import { ResponseCache } from '../scripts/lib/responseCache.js';
+import { LlmClient } from '../scripts/lib/llmClient.js';
+import { ImageClient } from '../scripts/lib/imageClient.js';
+import { planImages } from '../scripts/lib/mdx.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+const HOUR = 3600 * 1000;
+
+// Moves an entry's mtime into the past, which is how the cache tells its age
+const age = async (file, ms) => {
+  const then = new Date(Date.now() - ms);
+  await fsp.utimes(file, then, then);
+};
+
+describe('ResponseCache', () => {
+  let dir;
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-cache-'));
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  test('keys depend on every part of the request', () => {
+    const key = ResponseCache.key({ provider: 'openai', model: 'm', prompt: 'p', maxTokens: 10 });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(ResponseCache.key({ provider: 'openai', model: 'm', prompt: 'p', maxTokens: 10 }), key);
+    assert.notEqual(ResponseCache.key({ provider: 'openai', model: 'm', prompt: 'p', maxTokens: 11 }), key);
+  });
+
+  test('entries older than the TTL are misses and are pruned', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'ttl'), ttlMs: HOUR });
+    const fresh = ResponseCache.key('fresh');
+    const stale = ResponseCache.key('stale');
+    await cache.setJson(fresh, { text: 'new' });
+    await cache.setJson(stale, { text: 'old' });
+    await age(cache._path(stale, '.json'), 2 * HOUR);
+    assert.deepEqual(await cache.getJson(fresh), { text: 'new' });
+    assert.equal(await cache.getJson(stale), null);
+    assert.equal(await cache.getJson(ResponseCache.key('never stored')), null);
+    assert.deepEqual(cache.stats, { hits: 1, misses: 2, writes: 2 });
+
+    assert.equal((await cache.prune()).removed, 1);
+    assert.deepEqual(await fg(['**/*'], { cwd: cache.dir }), [path.relative(cache.dir, cache._path(fresh, '.json'))]);
+  });
+
+  test('prune drops the oldest entries until the cache fits in maxBytes', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'size'), maxBytes: 250 });
+    const keys = ['a', 'b', 'c'].map((k) => ResponseCache.key(k));
+    for (const [i, key] of keys.entries()) {
+      await cache.setJson(key, { text: 'x'.repeat(100) });
+      await age(cache._path(key, '.json'), (3 - i) * 60000);
+    }
+    const { removed, bytes } = await cache.prune();
+    assert.equal(removed, 1);
+    assert.ok(bytes <= 250);
+    assert.equal(await cache.getJson(keys[0]), null, 'the oldest entry is gone');
+    assert.ok(await cache.getJson(keys[1]));
+    assert.ok(await cache.getJson(keys[2]));
+    assert.deepEqual(await new ResponseCache({ dir: path.join(dir, 'missing') }).prune(), { removed: 0, bytes: 0 });
+  });
+
+  test('files are stored and copied back out', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'files') });
+    const source = path.join(dir, 'source.webp');
+    const copy = path.join(dir, 'copy.webp');
+    await fsp.writeFile(source, 'image bytes');
+    const key = ResponseCache.key('image');
+    assert.equal(await cache.copyFileTo(key, '.webp', copy), false);
+    await cache.storeFile(key, '.webp', source);
+    assert.equal(await cache.copyFileTo(key, '.webp', copy), true);
+    assert.equal(await fsp.readFile(copy, 'utf8'), 'image bytes');
+  });
+
+  test('clients replay identical requests from the cache, unbilled', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'replay') });
+    const records = [];
+    const usage = { checkBudget() {}, recordLlm: (r) => records.push(r), recordImage: (r) => records.push(r) };
+
+    let calls = 0;
+    const llm = new (class extends LlmClient {
+      async _request({ prompt }) {
+        calls++;
+        return { text: `Answer ${calls} to ${prompt}`, usage: { promptTokens: 1, completionTokens: 1 } };
+      }
+    })({ provider: 'stub', model: 'stub', usage, cache });
+    const first = await llm.generateMetaDescription({ title: 'Repotting', niche: 'Indoor Plants', keyword: 'repotting' });
+    assert.equal(await llm.generateMetaDescription({ title: 'Repotting', niche: 'Indoor Plants', keyword: 'repotting' }), first);
+    assert.equal(calls, 1);
+    await llm.generateMetaDescription({ title: 'Watering', niche: 'Indoor Plants', keyword: 'watering' });
+    assert.equal(calls, 2);
+
+    let generated = 0;
+    const images = new (class extends ImageClient {
+      async _generate() {
+        generated++;
+        return { buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><rect width="4" height="4" fill="#396"/></svg>'), seed: 7 };
+      }
+    })({ provider: 'stub', model: 'stub', usage, cache });
+    const a = await images.generateAndSaveWebp({ prompt: 'A fern', outputPath: path.join(dir, 'a.webp') });
+    const b = await images.generateAndSaveWebp({ prompt: 'A fern', outputPath: path.join(dir, 'b.webp') });
+    assert.equal(generated, 1);
+    assert.deepEqual(b, a, 'the recorded source is replayed too');
+    assert.deepEqual(await fsp.readFile(path.join(dir, 'b.webp')), await fsp.readFile(path.join(dir, 'a.webp')));
+
+    assert.deepEqual(records.map((r) => r.method), ['generateMetaDescription', 'generateMetaDescription', 'generateAndSaveWebp']);
+  });
+
+  test('only JSON that validates is cached, so a rerun asks again after a bad answer', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'invalid-json') });
+    const outline = JSON.stringify({ sections: ['Soil', 'Light', 'Water'].map((title) => ({ title, points: [`About ${title}`] })) });
+    const replies = ['Sure! {"sections": [unfinished', 'not json', outline];
+    const prompts = [];
+    const client = () =>
+      new (class extends LlmClient {
+        async _request({ prompt }) {
+          prompts.push(prompt);
+          return { text: replies.shift(), usage: { promptTokens: 1, completionTokens: 1 } };
+        }
+      })({ provider: 'stub', model: 'stub', cache, jsonAttempts: 1 });
+    const request = { niche: 'Indoor Plants', keyword: 'repotting', slug: 'repotting' };
+    await assert.rejects(client().generateOutline(request), /invalid JSON/);
+    await assert.rejects(client().generateOutline(request), /invalid JSON/);
+    assert.equal(prompts.length, 2, 'the rerun made a fresh request');
+    assert.equal(prompts[1], prompts[0]);
+    assert.equal((await client().generateOutline(request)).sections.length, 3);
+    assert.equal((await client().generateOutline(request)).sections.length, 3);
+    assert.equal(prompts.length, 3, 'the valid answer is replayed');
+  });
+
+  test('drafts of a post the quality gate rejected are forgotten', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'drafts') });
+    let calls = 0;
+    const llm = new (class extends LlmClient {
+      async _request() {
+        calls++;
+        return { text: `Draft ${calls}`, usage: { promptTokens: 1, completionTokens: 1 } };
+      }
+    })({ provider: 'stub', model: 'stub', cache });
+    const outline = { sections: [{ title: 'Soil', points: ['About soil'] }] };
+    const draft = (slug) => llm.generateSection({ niche: 'Indoor Plants', keyword: slug, outline, sectionIndex: 0, slug });
+    await draft('repotting');
+    await draft('watering');
+    await llm.forgetDrafts('repotting');
+    assert.equal(await draft('repotting'), 'Draft 3');
+    assert.equal(await draft('watering'), 'Draft 2', 'other posts keep theirs');
+  });
+
+  test('posts sharing a section title do not share its fallback image', async () => {
+    const cache = new ResponseCache({ dir: path.join(dir, 'shared-title') });
+    const prompts = [];
+    const images = new (class extends ImageClient {
+      async _generate({ prompt }) {
+        prompts.push(prompt);
+        return { buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><rect width="4" height="4" fill="#396"/></svg>') };
+      }
+    })({ provider: 'stub', model: 'stub', cache });
+    const outline = { sections: [{ title: 'Introduction', suggestImage: true }, { title: 'Conclusion' }] };
+    for (const keyword of ['repotting', 'watering']) {
+      // Section layout, then the legacy layout's image between parts
+      const planned = [...planImages({ outline, keyword, totalParts: 1 }), ...planImages({ outline, keyword, totalParts: 2 }).filter((img) => 'afterPart' in img)];
+      for (const [i, img] of planned.entries()) {
+        await images.generateAndSaveWebp({ prompt: img.prompt, outputPath: path.join(dir, `${keyword}-${i}.webp`), slug: keyword });
+      }
+    }
+    assert.equal(prompts.length, 4, 'every image was generated, none replayed from the other post');
+    assert.equal(new Set(prompts).size, 4);
+  });
+});
+
+describe('response cache in create-site', () => {
+  // The mock provider named in an LLM config is cached like a real one
+  const runs = [];
+  let cacheDir;
+  before(async () => {
+    cacheDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-cache-run-'));
+    for (const extra of [[], [], ['--no-cache']]) {
+      const dir = await createSandbox();
+      await fsp.writeFile(path.join(dir, 'llm.json'), JSON.stringify({ providers: { main: { provider: 'mock' } } }));
+      const output = await runNode(['scripts/create-site.js', 'Home Brewing', '--llm-config', 'llm.json', '--no-images', '--no-deploy', '--max-posts', '1', ...extra], {
+        cwd: dir,
+        env: { MOCK_SEED: '42', MOCK_FAILURES: '', CACHE_DIR: cacheDir }
+      });
+      const [report] = await fg(['reports/cost-*.json'], { cwd: dir });
+      const [mdx] = await fg(['content/**/*.mdx'], { cwd: dir });
+      runs.push({ output, records: JSON.parse(await fsp.readFile(path.join(dir, report), 'utf8')).records, mdx: await fsp.readFile(path.join(dir, mdx), 'utf8'), entries: (await fg(['**/*'], { cwd: cacheDir })).length });
+      await removeSandbox(dir);
+    }
+  }, { timeout: 600000 });
+  after(() => fsp.rm(cacheDir, { recursive: true, force: true }));
+
+  test('a rerun of the same site replays every call from the cache', () => {
+    const [first, second] = runs;
+    assert.match(first.output, /Response cache: 0 hit\(s\), [1-9]\d* miss\(es\)/);
+    assert.match(second.output, /Response cache: [1-9]\d* hit\(s\), 0 miss\(es\)/);
+    assert.ok(first.records.length > 0);
+    assert.deepEqual(second.records, [], 'cached calls are not billed');
+    assert.equal(second.mdx, first.mdx);
+    assert.equal(second.entries, first.entries);
+  });
+
+  test('--no-cache calls the provider again and leaves the cache alone', () => {
+    const [first, , uncached] = runs;
+    assert.doesNotMatch(uncached.output, /Response cache:/);
+    assert.equal(uncached.records.length, first.records.length);
+    assert.equal(uncached.entries, first.entries);
+  });
+});
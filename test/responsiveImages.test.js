@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { parseWidths, variantWidths, buildResponsiveImages, responsiveImage, rehypeResponsiveImages, IMAGE_MANIFEST_FILE } from '../scripts/lib/responsiveImages.js';
+
+describe('responsive widths', () => {
+  test('parseWidths sorts and dedupes, and falls back to the defaults', () => {
+    assert.deepEqual(parseWidths('1200, 480,480,x'), [480, 1200]);
+    assert.deepEqual(parseWidths(''), [480, 768, 1200]);
+  });
+
+  test('images are never upscaled, and narrow ones get a copy at their own width', () => {
+    assert.deepEqual(variantWidths(1600, [480, 768, 1200]), [480, 768, 1200]);
+    assert.deepEqual(variantWidths(1024, [480, 768, 1200]), [480, 768, 1024]);
+    assert.deepEqual(variantWidths(320, [480, 768, 1200]), [320]);
+  });
+});
+
+describe('responsive image manifest', () => {
+  let publicDir;
+  let dir;
+  before(async () => {
+    publicDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-images-'));
+    dir = path.join(publicDir, 'images', 'repotting');
+    await fsp.mkdir(dir, { recursive: true });
+    await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#336699' } }).webp().toFile(path.join(dir, 'cover.webp'));
+    await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#996633' } }).webp().toFile(path.join(dir, 'img1-2000w.webp'));
+  });
+  after(() => fsp.rm(publicDir, { recursive: true, force: true }));
+
+  test('writes AVIF and WebP copies, dimensions and a placeholder per image', async () => {
+    const manifest = await buildResponsiveImages({ dir, widths: [480, 768] });
+    assert.deepEqual(Object.keys(manifest), ['cover.webp'], 'copies are not sources');
+    const cover = manifest['cover.webp'];
+    assert.deepEqual([cover.width, cover.height], [1000, 500]);
+    assert.match(cover.lqip, /^data:image\/webp;base64,/);
+    assert.deepEqual(cover.variants.avif.map((v) => v.file), ['cover-480w.avif', 'cover-768w.avif']);
+    const { width, height, format } = await sharp(path.join(dir, 'cover-480w.avif')).metadata();
+    assert.deepEqual([width, height, format], [480, 240, 'heif']);
+    assert.deepEqual(JSON.parse(await fsp.readFile(path.join(dir, IMAGE_MANIFEST_FILE), 'utf8')), manifest);
+  });
+
+  test('a rerun with other widths removes the copies no longer used', async () => {
+    await buildResponsiveImages({ dir, widths: [480, 768] });
+    await buildResponsiveImages({ dir, widths: [600] });
+    assert.ok(!fs.existsSync(path.join(dir, 'cover-768w.webp')));
+    assert.ok(fs.existsSync(path.join(dir, 'cover-600w.webp')));
+  });
+
+  test('responsiveImage reads the manifest of a generated image URL', async () => {
+    await buildResponsiveImages({ dir, widths: [480, 768] });
+    const image = responsiveImage('/images/repotting/cover.webp', { publicDir, base: '/site/' });
+    assert.deepEqual([image.width, image.height], [1000, 500]);
+    assert.deepEqual(image.sources.map((s) => s.type), ['image/avif', 'image/webp']);
+    assert.equal(image.sources[1].srcset, '/site/images/repotting/cover-480w.webp 480w, /site/images/repotting/cover-768w.webp 768w');
+    assert.equal(responsiveImage('/images/repotting/missing.webp', { publicDir }), null);
+    assert.equal(responsiveImage('https://example.com/a.webp', { publicDir }), null);
+  });
+
+  test('the rehype plugin turns markdown and JSX images into <picture>', async () => {
+    await buildResponsiveImages({ dir, widths: [480, 768] });
+    const jsxImg = {
+      type: 'mdxJsxFlowElement',
+      name: 'img',
+      attributes: [
+        { type: 'mdxJsxAttribute', name: 'src', value: '/images/repotting/cover.webp' },
+        { type: 'mdxJsxAttribute', name: 'style', value: 'width:160px; height:160px;' }
+      ],
+      children: []
+    };
+    const mdImg = { type: 'element', tagName: 'img', properties: { src: '/images/repotting/cover.webp', alt: 'Pot' }, children: [] };
+    const other = { type: 'element', tagName: 'img', properties: { src: '/logo.png' }, children: [] };
+    const tree = { type: 'root', children: [{ type: 'mdxJsxFlowElement', name: 'section', attributes: [], children: [jsxImg] }, { type: 'element', tagName: 'p', properties: {}, children: [mdImg, other] }] };
+    rehypeResponsiveImages({ publicDir })(tree);
+
+    const hero = tree.children[0].children[0];
+    assert.equal(hero.name, 'picture');
+    const attrs = Object.fromEntries(hero.children[2].attributes.map((a) => [a.name, a.value]));
+    assert.deepEqual([attrs.width, attrs.height, attrs.loading, attrs.fetchpriority], ['1000', '500', 'eager', 'high']);
+    assert.match(attrs.style, /^background:url\(data:image\/webp;base64,[^)]+\) center\/cover no-repeat;width:160px/);
+    assert.equal(hero.children[0].attributes.find((a) => a.name === 'sizes').value, '160px');
+
+    const [picture, untouched] = tree.children[1].children;
+    assert.equal(picture.tagName, 'picture');
+    assert.deepEqual(picture.children.map((c) => c.tagName), ['source', 'source', 'img']);
+    assert.equal(picture.children[0].properties.type, 'image/avif');
+    assert.equal(picture.children[2].properties.loading, 'lazy');
+    assert.equal(picture.children[2].properties.alt, 'Pot');
+    assert.equal(untouched, other);
+  });
+});
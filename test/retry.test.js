@@ -0,0 +1,179 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { withRetry, fetchWithTimeout, responseError } from '../scripts/lib/retry.js';
+import { ReplicateClient } from '../scripts/lib/replicateClient.js';
+import { UsageTracker } from '../scripts/lib/usageTracker.js';
+import { QuotaError, RateLimitError, TimeoutError, ApiError } from '../scripts/lib/errors.js';
+
+// A local server whose answers each test scripts; every request is recorded
+let server;
+let baseUrl;
+let handler;
+const hits = [];
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      hits.push({ method: req.method, url: req.url, body });
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+const reply = (res, status, body = {}, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+// Answers in turn; the last one repeats
+const answers = (...list) => {
+  hits.length = 0;
+  let i = 0;
+  handler = (req, res) => list[Math.min(i++, list.length - 1)](req, res);
+};
+
+const getJson = (options, { timeoutMs = 2000 } = {}) => {
+  const delays = [];
+  const result = withRetry(
+    async () => {
+      const res = await fetchWithTimeout(`${baseUrl}/v1/thing`, {}, { timeoutMs, provider: 'stub' });
+      if (!res.ok) throw await responseError(res, 'stub');
+      return res.json();
+    },
+    { ...options, onRetry: (err, { delay }) => delays.push([err.name, delay]) }
+  );
+  return { result, delays };
+};
+
+describe('shared retry policy', () => {
+  test('a 429 waits for Retry-After, capped at maxRetryAfterMs', async () => {
+    answers((req, res) => reply(res, 429, { error: 'slow down' }, { 'Retry-After': '2' }), (req, res) => reply(res, 200, { ok: true }));
+    const { result, delays } = getJson({ retries: 2, baseDelayMs: 60000, maxRetryAfterMs: 20 });
+    assert.deepEqual(await result, { ok: true });
+    assert.deepEqual(delays, [['RateLimitError', 20]]);
+    assert.equal(hits.length, 2);
+  });
+
+  test('5xx answers back off exponentially until the call succeeds', async () => {
+    answers((req, res) => reply(res, 503), (req, res) => reply(res, 502), (req, res) => reply(res, 200, { ok: true }));
+    const { result, delays } = getJson({ retries: 3, baseDelayMs: 10, jitter: 0 });
+    assert.deepEqual(await result, { ok: true });
+    assert.deepEqual(delays, [['ApiError', 10], ['ApiError', 20]]);
+  });
+
+  test('each attempt has its own timeout; the last one is thrown as a TimeoutError', async () => {
+    answers((req, res) => setTimeout(() => reply(res, 200, { ok: true }), 300));
+    const { result, delays } = getJson({ retries: 1, baseDelayMs: 1, jitter: 0 }, { timeoutMs: 50 });
+    await assert.rejects(result, (err) => err instanceof TimeoutError && /timed out after 50ms/.test(err.message));
+    assert.deepEqual(delays, [['TimeoutError', 1]]);
+    assert.equal(hits.length, 2);
+  });
+
+  test('402 and insufficient_quota stop at once with a QuotaError', async () => {
+    answers((req, res) => reply(res, 402, { error: 'payment required' }));
+    await assert.rejects(getJson({ retries: 3, baseDelayMs: 1 }).result, QuotaError);
+    assert.equal(hits.length, 1);
+    answers((req, res) => reply(res, 429, { error: { code: 'insufficient_quota' } }));
+    await assert.rejects(getJson({ retries: 3, baseDelayMs: 1 }).result, (err) => err instanceof QuotaError && !(err instanceof RateLimitError));
+    assert.equal(hits.length, 1);
+  });
+
+  test('other 4xx answers are not retried', async () => {
+    answers((req, res) => reply(res, 400, { error: 'bad request' }));
+    await assert.rejects(getJson({ retries: 3, baseDelayMs: 1 }).result, (err) => err instanceof ApiError && err.status === 400);
+    assert.equal(hits.length, 1);
+  });
+});
+
+describe('Replicate predictions', () => {
+  const VERSION = 'aaaa-bbbb-cccc-dddd-eeee';
+  let dir;
+  let png;
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-replicate-'));
+    png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toBuffer();
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  const client = (options = {}) =>
+    new ReplicateClient({ apiToken: 'test', model: VERSION, baseUrl: `${baseUrl}/v1`, pollIntervalMs: 10, retry: { retries: 2, baseDelayMs: 1, jitter: 0 }, ...options });
+  const prediction = (status, extra = {}) => (req, res) => reply(res, 200, { id: 'p1', status, ...extra });
+
+  test('starts a prediction, polls it and saves its output with the seed from the logs', async () => {
+    answers(
+      prediction('starting'),
+      prediction('processing'),
+      prediction('succeeded', { output: [`${baseUrl}/out.png`], logs: 'Using seed: 1234', metrics: { predict_time: 1.5 } }),
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+      }
+    );
+    const outputPath = path.join(dir, 'cover.webp');
+    const source = await client().generateAndSaveWebp({ prompt: 'A pot', outputPath, slug: 'pots' });
+    assert.equal(source.seed, 1234);
+    assert.deepEqual(hits.map((h) => `${h.method} ${h.url}`), ['POST /v1/predictions', 'GET /v1/predictions/p1', 'GET /v1/predictions/p1', 'GET /out.png']);
+    assert.deepEqual(JSON.parse(hits[0].body), { version: VERSION, input: { prompt: 'A pot' } });
+    assert.equal((await sharp(outputPath).metadata()).format, 'webp');
+  });
+
+  test('a prediction still running at the deadline is canceled, and the run is not retried', async () => {
+    answers((req, res) => (req.url.endsWith('/cancel') ? reply(res, 200, {}) : prediction('processing')(req, res)));
+    await assert.rejects(
+      client({ maxPollMs: 50 }).generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'slow.webp'), slug: 'pots' }),
+      (err) => err instanceof TimeoutError && err.retryable === false && /did not finish within 50ms/.test(err.message)
+    );
+    assert.equal(hits.filter((h) => h.url === '/v1/predictions').length, 1);
+    assert.deepEqual(hits.at(-1), { method: 'POST', url: '/v1/predictions/p1/cancel', body: '' });
+  });
+
+  test('an accepted prediction is paid for even if it times out or its output never downloads', async () => {
+    const prices = { llm: {}, image: { [VERSION]: { perImage: 0.02, perSecond: 0.001 } } };
+    const usage = new UsageTracker({ prices });
+    answers((req, res) =>
+      req.url.endsWith('/cancel') ? reply(res, 200, {}) : prediction('processing', { metrics: { predict_time: 4 } })(req, res)
+    );
+    await assert.rejects(client({ maxPollMs: 50, usage }).generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'late.webp'), slug: 'pots' }), TimeoutError);
+    assert.deepEqual(usage.records.map((r) => [r.kind, r.slug, r.seconds]), [['image', 'pots', 4]]);
+    assert.ok(Math.abs(usage.totalCostUsd - 0.024) < 1e-9);
+
+    answers(
+      prediction('succeeded', { output: `${baseUrl}/gone.png`, metrics: { predict_time: 2 } }),
+      (req, res) => reply(res, 404, { error: 'expired' })
+    );
+    await assert.rejects(client({ usage }).generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'gone.webp'), slug: 'pans' }), (err) => err.status === 404);
+    assert.deepEqual(usage.records.map((r) => [r.slug, r.seconds]), [['pots', 4], ['pans', 2]]);
+  });
+
+  test('starting a prediction is retried after a 429 only, so one is never paid for twice', async () => {
+    answers((req, res) => reply(res, 500, { error: 'boom' }));
+    await assert.rejects(client().generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'a.webp'), slug: 'pots' }), (err) => err.status === 500);
+    assert.equal(hits.length, 1);
+
+    answers((req, res) => setTimeout(() => reply(res, 200, { id: 'p1', status: 'starting' }), 300));
+    await assert.rejects(client({ timeoutMs: 50 }).generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'b.webp'), slug: 'pots' }), TimeoutError);
+    assert.equal(hits.length, 1);
+
+    answers(
+      (req, res) => reply(res, 429, { error: 'throttled' }, { 'Retry-After': '0' }),
+      prediction('succeeded', { output: `${baseUrl}/out.png` }),
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+      }
+    );
+    await client().generateAndSaveWebp({ prompt: 'A pot', outputPath: path.join(dir, 'c.webp'), slug: 'pots' });
+    assert.deepEqual(hits.map((h) => `${h.method} ${h.url}`), ['POST /v1/predictions', 'POST /v1/predictions', 'GET /out.png']);
+  });
+});
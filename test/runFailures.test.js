@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { titleCase } from '../scripts/lib/mdx.js';
+import { IMAGE_META_FILE } from '../scripts/lib/imageMeta.js';
+import { loadSitePlan } from '../scripts/lib/sitePlan.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+// create-site runs on the mock clients where posts, images or the run itself go wrong
+
+const readRun = async (dir) => {
+  const [file] = await fg(['.runs/*.json'], { cwd: dir, dot: true });
+  return JSON.parse(await fsp.readFile(path.join(dir, file), 'utf8'));
+};
+
+const createSite = (dir, args, env) => runNode(['scripts/create-site.js', ...args], { cwd: dir, env: { MOCK_SEED: '42', MOCK_FAILURES: '', ...env } });
+const readPosts = async (dir) =>
+  Promise.all((await fg(['content/**/*.mdx'], { cwd: dir })).map(async (file) => matter(await fsp.readFile(path.join(dir, file), 'utf8')).data));
+
+test('an empty or unparseable site plan falls back to the 10-cluster mock plan', { timeout: 600000 }, async () => {
+  for (const failure of ['generateSitePlan:empty', 'generateSitePlan:bad-json']) {
+    const dir = await createSandbox();
+    try {
+      const output = await createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--no-images', '--max-posts', '1'], { MOCK_FAILURES: failure });
+      assert.match(output, /Falling back to mock plan with 10 clusters/, failure);
+      const run = await readRun(dir);
+      assert.equal(run.plan.length, 10, failure);
+      assert.equal((await loadSitePlan(path.join(dir, 'content'))).clusters.length, 10, failure);
+      assert.equal(run.status, 'completed', failure);
+      assert.equal((await readPosts(dir)).length, 1, failure);
+    } finally {
+      await removeSandbox(dir);
+    }
+  }
+});
+
+test('bad JSON for the brand, SEO data and FAQ falls back to defaults, and the post is still published', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--no-images', '--max-posts', '1'], { MOCK_FAILURES: 'generateBrand:bad-json,generateSeoData:bad-json,generateFaq:schema' });
+    assert.equal(JSON.parse(await fsp.readFile(path.join(dir, 'public', 'brand.json'), 'utf8')).name, 'Home Brewing Hub');
+    const run = await readRun(dir);
+    assert.equal(run.status, 'completed');
+    const [post] = await readPosts(dir);
+    assert.equal(post.title, titleCase(run.tasks[0].keyword), 'the keyword stands in for the SEO title');
+    assert.deepEqual(post.keywords, [run.tasks[0].keyword, 'Home Brewing']);
+    assert.equal(post.faq, undefined);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('posts whose outline is bad JSON or times out fail, and a resume writes them', { timeout: 600000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    const args = ['Home Brewing', '--mock', '--no-deploy', '--no-images', '--max-posts', '2'];
+    const output = await createSite(dir, args, { MOCK_FAILURES: 'generateOutline:bad-json@0.5,generateOutline:timeout', API_MAX_RETRIES: '1' });
+    assert.match(output, /mock generateOutline timed out\); retry 1/);
+    let run = await readRun(dir);
+    assert.equal(run.status, 'incomplete');
+    assert.deepEqual(run.tasks.map((t) => t.status), ['failed', 'failed']);
+    assert.ok(run.tasks.every((t) => /timed out|invalid JSON|validation/.test(t.error)), run.tasks.map((t) => t.error).join('; '));
+    assert.deepEqual(await readPosts(dir), []);
+
+    await createSite(dir, ['--resume', run.runId, '--no-deploy']);
+    run = await readRun(dir);
+    assert.equal(run.status, 'completed');
+    assert.equal((await readPosts(dir)).length, 2);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('a run that still looks alive is only resumed with --force', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--no-images', '--max-posts', '1'], { MOCK_FAILURES: 'generateOutline:bad-json' });
+    let run = await readRun(dir);
+    // As a crashed run whose pid now belongs to a live process (this one) would look
+    const file = path.join(dir, '.runs', `${run.runId}.json`);
+    await fsp.writeFile(file, JSON.stringify({ ...run, status: 'running', pid: process.pid, host: os.hostname(), updatedAt: new Date().toISOString() }));
+    await assert.rejects(createSite(dir, ['--resume', run.runId, '--no-deploy']), /is still running .*resume with --force/);
+    await createSite(dir, ['--resume', run.runId, '--force', '--no-deploy']);
+    run = await readRun(dir);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.pid, null);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('sections that time out are retried, and images that time out get a placeholder until a resume', { timeout: 600000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    const output = await createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--max-posts', '1'], { MOCK_FAILURES: 'generateSection:timeout@0.3,image:timeout', API_MAX_RETRIES: '8' });
+    assert.match(output, /mock generateSection timed out\); retry \d/);
+    assert.match(output, /Cover image failed for /);
+    let run = await readRun(dir);
+    const [task] = run.tasks;
+    assert.equal(task.status, 'done');
+    assert.equal(run.status, 'incomplete');
+    assert.ok(Object.values(task.images).every((status) => status === 'failed'));
+    const meta = JSON.parse(await fsp.readFile(path.join(dir, 'public', 'images', task.slug, IMAGE_META_FILE), 'utf8'));
+    assert.equal(meta.images['cover.webp'].placeholder, true);
+
+    await createSite(dir, ['--resume', run.runId, '--no-deploy']);
+    run = await readRun(dir);
+    assert.equal(run.status, 'completed');
+    assert.ok(Object.values(run.tasks[0].images).every((status) => status === 'done'));
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('QUALITY_ATTEMPTS below 1 still writes each post once', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--no-images', '--max-posts', '1'], { QUALITY_ATTEMPTS: '0' });
+    assert.equal((await readRun(dir)).status, 'completed');
+    assert.equal((await readPosts(dir)).length, 1);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('quarantined posts get no inline images', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await runNode(['scripts/create-site.js', 'Home Brewing', '--mock', '--no-deploy', '--max-posts', '2', '--min-score', '101'], {
+      cwd: dir,
+      env: { MOCK_SEED: '42', MOCK_FAILURES: '', QUALITY_ATTEMPTS: '1' }
+    });
+    const run = await readRun(dir);
+    assert.deepEqual(run.tasks.map((t) => t.status), ['quarantined', 'quarantined']);
+    for (const task of run.tasks) {
+      assert.ok(task.imagePrompts.length > 0, `${task.slug}: the draft has inline images`);
+      assert.deepEqual(Object.keys(task.images), ['cover.webp'], `${task.slug}: only the cover was made`);
+      assert.deepEqual(await fg(['img*'], { cwd: path.join(dir, 'public', 'images', task.slug) }), []);
+    }
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('an exhausted image quota stops the run instead of saving placeholders', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await assert.rejects(
+      runNode(['scripts/create-site.js', 'Home Brewing', '--mock', '--no-deploy', '--max-posts', '2'], {
+        cwd: dir,
+        env: { MOCK_SEED: '42', MOCK_FAILURES: 'image:quota' }
+      }),
+      /Run stopped\. API quota exhausted/
+    );
+    const run = await readRun(dir);
+    assert.equal(run.status, 'stopped');
+    for (const task of run.tasks) assert.ok(!Object.values(task.images || {}).includes('failed'), `${task.slug}: no image was given up on`);
+    assert.deepEqual(await fg(['public/images/*/*.webp'], { cwd: dir }), []);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('an exhausted quota while describing images stops the run, and a resume describes them', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await assert.rejects(createSite(dir, ['Home Brewing', '--mock', '--no-deploy', '--max-posts', '1'], { MOCK_FAILURES: 'generateImageMeta:quota' }), /Run stopped\. API quota exhausted/);
+    let run = await readRun(dir);
+    const [task] = run.tasks;
+    assert.equal(run.status, 'stopped');
+    assert.equal(task.imageMeta, 'pending');
+    assert.ok(Object.values(task.images).every((status) => status === 'done'));
+    const imageDir = path.join(dir, 'public', 'images', task.slug);
+    assert.ok(fs.existsSync(path.join(imageDir, 'images.json')), 'the free image steps still ran');
+    assert.ok(Object.values(JSON.parse(await fsp.readFile(path.join(imageDir, IMAGE_META_FILE), 'utf8')).images).every((entry) => entry.alt === undefined));
+
+    await createSite(dir, ['--resume', run.runId, '--no-deploy']);
+    run = await readRun(dir);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.tasks[0].imageMeta, 'done');
+    assert.ok(Object.values(JSON.parse(await fsp.readFile(path.join(imageDir, IMAGE_META_FILE), 'utf8')).images).every((entry) => entry.alt));
+  } finally {
+    await removeSandbox(dir);
+  }
+});
+
+test('a budget reached before the posts stops the run with a report, and a resume counts the logged spend', { timeout: 300000 }, async () => {
+  const dir = await createSandbox();
+  try {
+    await fsp.writeFile(path.join(dir, 'prices.json'), JSON.stringify({ llm: { mock: { input: 1000, output: 1000 } } }));
+    const args = ['--mock', '--no-deploy', '--max-posts', '1', '--budget', '0.01', '--prices', 'prices.json'];
+    const env = { MOCK_SEED: '42', MOCK_FAILURES: '' };
+    const output = await runNode(['scripts/create-site.js', 'Home Brewing', ...args], { cwd: dir, env });
+    assert.match(output, /Run stopped\. Budget of \$0\.01 reached/);
+    const run = await readRun(dir);
+    assert.equal(run.status, 'stopped');
+    assert.equal(run.steps.brand, 'done');
+    assert.equal(run.steps.staticPages, undefined);
+    const reportPath = path.join(dir, 'reports', `cost-${run.runId}.json`);
+    const report = JSON.parse(await fsp.readFile(reportPath, 'utf8'));
+    assert.deepEqual(report.records.map((r) => r.method), ['generateBrand']);
+    assert.ok(report.totals.cost > 0.01);
+
+    // Without the report, as after a crash, the usage log still carries the spend
+    await fsp.rm(reportPath);
+    const resumed = await runNode(['scripts/create-site.js', '--resume', run.runId, '--no-deploy'], { cwd: dir, env });
+    assert.match(resumed, /Run stopped\. Budget of \$0\.01 reached/);
+    assert.deepEqual(JSON.parse(await fsp.readFile(reportPath, 'utf8')).records.map((r) => r.method), ['generateBrand']);
+  } finally {
+    await removeSandbox(dir);
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { RunManifest, isTaskComplete, isRunActive, RUN_STALE_MS } from '../scripts/lib/runManifest.js';
+
+test('a failed write rejects its own save only; later saves still reach the disk', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-runs-'));
+  const manifest = await RunManifest.create({ runsDir: dir, niche: 'Pottery', siteSlug: 'pottery' });
+  const filePath = manifest.filePath;
+  // A path below a regular file cannot be written
+  manifest.filePath = path.join(filePath, 'nested.json');
+  await assert.rejects(manifest.finish('stopped'));
+  manifest.filePath = filePath;
+  await manifest.finish('done');
+  assert.equal(JSON.parse(await fsp.readFile(filePath, 'utf8')).status, 'done');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('skipped images count as complete only while images are off', () => {
+  const task = { status: 'done', imagePrompts: ['a'], images: { 'cover.webp': 'skipped', 'img1.webp': 'skipped' } };
+  assert.equal(isTaskComplete(task, { doImages: false }), true);
+  assert.equal(isTaskComplete(task, { doImages: true }), false);
+  assert.equal(isTaskComplete({ ...task, images: { 'cover.webp': 'done', 'img1.webp': 'done' } }), true);
+  assert.equal(isTaskComplete({ ...task, images: { 'cover.webp': 'done', 'img1.webp': 'failed' } }), false);
+});
+
+test('a post whose images were not described after a stop is not complete', () => {
+  const task = { status: 'done', imagePrompts: [], images: { 'cover.webp': 'done' } };
+  assert.equal(isTaskComplete({ ...task, imageMeta: 'pending' }), false);
+  assert.equal(isTaskComplete({ ...task, imageMeta: 'done' }), true);
+});
+
+test('a run is active only while it is running in a live process', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-runs-'));
+  const manifest = await RunManifest.create({ runsDir: dir, niche: 'Pottery', siteSlug: 'pottery' });
+  assert.equal(manifest.data.pid, process.pid);
+  assert.equal(isRunActive(manifest.data), true);
+  assert.equal((await RunManifest.list(dir))[0].active, true);
+
+  // A process that has exited left its run 'running' on disk, e.g. after a crash
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  manifest.data.pid = pid;
+  assert.equal(isRunActive(manifest.data), false);
+
+  await manifest.finish('stopped');
+  assert.equal(manifest.data.pid, null);
+  assert.equal((await RunManifest.list(dir))[0].active, false);
+  await manifest.finish('running');
+  assert.equal(isRunActive(manifest.data), true, 'a resume claims the run');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('a run that stopped saving is dead even if its pid is alive, e.g. reused after a reboot', () => {
+  const updatedAt = new Date().toISOString();
+  const run = { status: 'running', pid: process.pid, host: os.hostname(), updatedAt };
+  assert.equal(isRunActive(run), true);
+  assert.equal(isRunActive(run, { now: Date.parse(updatedAt) + RUN_STALE_MS + 1 }), false);
+  // Another machine's pid cannot be checked, so its heartbeat decides
+  const remote = { ...run, pid: 999999999, host: `${os.hostname()}-elsewhere` };
+  assert.equal(isRunActive(remote), true);
+  assert.equal(isRunActive(remote, { now: Date.parse(updatedAt) + RUN_STALE_MS + 1 }), false);
+});
@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { t, validate, extractJson } from '../scripts/lib/schema.js';
+import { outlineSchema, faqSchema, imageMetaSchema } from '../scripts/lib/schemas.js';
+
+describe('validate', () => {
+  test('repairs what it can: trims, coerces, truncates and fills optional defaults', () => {
+    const schema = t.object({ name: t.string({ max: 5 }), count: t.string(), tags: t.array(t.string(), { max: 2 }), ok: t.boolean(), note: t.string({ optional: true, default: '' }) });
+    const { value, errors } = validate(schema, { name: '  Potting Mix ', count: 3, tags: ['a', 'b', 'c'], ok: 'true', extra: 1 });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'Potti', count: '3', tags: ['a', 'b'], ok: true, note: '', extra: 1 });
+  });
+
+  test('drops invalid array items while enough valid ones remain', () => {
+    const sections = [
+      { title: 'Soil', points: ['Drainage'] },
+      { title: '', points: ['No heading'] },
+      { title: 'Light', points: ['East window'] },
+      { title: 'Water', points: ['Weekly'], suggestImage: 'false' }
+    ];
+    const { value, errors } = validate(outlineSchema, { sections });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.sections.map((s) => s.title), ['Soil', 'Light', 'Water']);
+    assert.equal(value.sections[2].suggestImage, false);
+  });
+
+  test('reports item errors with their path once too few items are valid', () => {
+    const { errors } = validate(outlineSchema, { sections: [{ title: 'Soil', points: [] }, { title: 'Light', points: ['East window'] }, { points: ['x'] }] });
+    assert.deepEqual(errors, [
+      '$.sections[0].points: expected at least 1 valid item(s), got 0',
+      '$.sections[2].title: is required',
+      '$.sections: expected at least 3 valid item(s), got 1'
+    ]);
+  });
+
+  test('wrong types and missing fields are errors', () => {
+    assert.deepEqual(validate(imageMetaSchema, { alt: ['x'] }).errors, ['$.alt: expected a string']);
+    assert.deepEqual(validate(imageMetaSchema, 'alt text').errors, ['$: expected an object']);
+    assert.deepEqual(validate(faqSchema, {}).errors, ['$.faq: is required']);
+  });
+
+  test('a bare array stands in for an object with a single array field', () => {
+    const faq = Array.from({ length: 4 }, (_, i) => ({ question: `Q${i}?`, answer: `A${i}.` }));
+    const { value, errors } = validate(faqSchema, faq);
+    assert.deepEqual(errors, []);
+    assert.equal(value.faq.length, 4);
+  });
+});
+
+describe('extractJson', () => {
+  test('finds the JSON in code fences and prose', () => {
+    assert.deepEqual(extractJson('Sure!\n```json\n{"a": [1, 2]}\n```\nAnything else?'), { a: [1, 2] });
+    assert.deepEqual(extractJson('Here: [{"a": "x"}] and {"b": 1}'), [{ a: 'x' }]);
+  });
+
+  test('brackets and escaped quotes inside strings do not end the value', () => {
+    assert.deepEqual(extractJson('{"title": "Use [brackets] and {braces} \\"well\\""} trailing }'), { title: 'Use [brackets] and {braces} "well"' });
+  });
+
+  test('trailing commas are forgiven', () => {
+    assert.deepEqual(extractJson('{"a": [1, 2,], "b": {"c": true,},}'), { a: [1, 2], b: { c: true } });
+  });
+
+  test('text without JSON, or with JSON cut short, throws a SyntaxError', () => {
+    assert.throws(() => extractJson('I cannot help with that.'), /No JSON object or array found/);
+    assert.throws(() => extractJson('{"sections": [unfinished'), SyntaxError);
+    assert.throws(() => extractJson(null), SyntaxError);
+  });
+});
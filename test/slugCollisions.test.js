@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import matter from 'gray-matter';
+import { MockOpenAIClient } from '../scripts/lib/mockClients.js';
+import { slugifyString } from '../scripts/lib/slugify.js';
+import { stringifyFrontmatter } from '../scripts/lib/mdx.js';
+import { writeFileSafe } from '../scripts/lib/fileUtils.js';
+import { createSandbox, removeSandbox, runNode } from './helpers/sandbox.js';
+
+// Posts left by an earlier run share slugs with each other and with the new plan
+const NICHE = 'Home Workouts';
+let dir;
+let firstKeyword;
+let posts;
+let renamedFrom;
+
+before(async () => {
+  dir = await createSandbox();
+  // Same seed and prompt as create-site, so this is the plan it will get
+  const plan = await new MockOpenAIClient({ seed: '42', failures: [] }).generateSitePlan(NICHE, { clustersTarget: 450, subtopicsPerCluster: [8, 12] });
+  firstKeyword = plan[0].keywords[0];
+  const legacy = [
+    { file: 'legacy/first.mdx', slug: slugifyString(firstKeyword), title: 'Legacy first', date: '2023-01-01', cluster: 'Legacy' },
+    { file: 'legacy/old-post.mdx', slug: 'old-post', title: 'Old post A', date: '2023-01-01', cluster: 'Legacy' },
+    { file: 'archive/old-post.mdx', slug: 'old-post', title: 'Old post B', date: '2023-02-01', cluster: 'Archive' }
+  ];
+  for (const { file, ...data } of legacy) {
+    await writeFileSafe(path.join(dir, 'content', file), `${stringifyFrontmatter(data)}\n## Heading\n\nText.\n`);
+  }
+  await runNode(['scripts/create-site.js', NICHE, '--mock', '--no-deploy', '--no-images', '--max-posts', '3'], {
+    cwd: dir,
+    env: { MOCK_SEED: '42', MOCK_FAILURES: '' }
+  });
+  // A published post moved to a new slug by hand; its old URL must keep working
+  const [renamed] = (await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') })).filter((file) => !file.startsWith('legacy/') && !file.startsWith('archive/')).sort().slice(-1);
+  renamedFrom = path.basename(renamed, '.mdx');
+  await runNode(['scripts/slugs.js', '--rename', renamedFrom, `${renamedFrom}-guide`], { cwd: dir });
+  // --no-images leaves the image URLs dead, which the link check would fail the build on
+  await runNode([path.join('node_modules', 'astro', 'astro.js'), 'build'], { cwd: dir, env: { CHECK_LINKS: 'false' }, timeoutMs: 600000 });
+  const files = await fg(['**/*.mdx'], { cwd: path.join(dir, 'content') });
+  posts = await Promise.all(files.map(async (file) => ({ file, data: matter(await fsp.readFile(path.join(dir, 'content', file), 'utf8')).data })));
+}, { timeout: 900000 });
+
+after(() => removeSandbox(dir));
+
+test('every post ends up with its own slug and built page', () => {
+  assert.equal(posts.length, 6);
+  const slugs = posts.map((p) => p.data.slug);
+  assert.equal(new Set(slugs).size, slugs.length);
+  for (const slug of slugs) assert.ok(fs.existsSync(path.join(dir, 'dist', slug, 'index.html')), `dist/${slug}/index.html`);
+});
+
+test('a post from an earlier run keeps its slug; the new post gets a cluster suffix', () => {
+  const base = slugifyString(firstKeyword);
+  const legacy = posts.find((p) => p.file === 'legacy/first.mdx');
+  assert.equal(legacy.data.slug, base);
+  const fresh = posts.find((p) => p.data.keywords?.[0] === firstKeyword);
+  assert.ok(fresh.data.slug.startsWith(`${base}-`), fresh.data.slug);
+  assert.equal(path.basename(fresh.file, '.mdx'), fresh.data.slug);
+  assert.equal(fresh.data.image, `/images/${fresh.data.slug}/cover.webp`);
+});
+
+test('colliding posts of earlier runs are split, the oldest keeping the slug', async () => {
+  assert.equal(posts.find((p) => p.file === 'legacy/old-post.mdx').data.slug, 'old-post');
+  assert.equal(posts.find((p) => p.file === 'archive/old-post-archive.mdx').data.slug, 'old-post-archive');
+  const registry = JSON.parse(await fsp.readFile(path.join(dir, 'content', '.slugs.json'), 'utf8'));
+  assert.equal(registry.slugs['old-post'].file, 'legacy/old-post.mdx');
+  assert.equal(registry.slugs['old-post-archive'].file, 'archive/old-post-archive.mdx');
+  assert.deepEqual(registry.redirects, { [renamedFrom]: `${renamedFrom}-guide` }, 'only the renamed post redirects');
+});
+
+test('a renamed post is built at its new slug and its old URL redirects there', async () => {
+  const post = posts.find((p) => p.data.slug === `${renamedFrom}-guide`);
+  assert.equal(path.basename(post.file), `${renamedFrom}-guide.mdx`);
+  assert.equal(post.data.image, `/images/${renamedFrom}-guide/cover.webp`);
+  assert.ok(fs.existsSync(path.join(dir, 'dist', `${renamedFrom}-guide`, 'index.html')));
+  const redirect = await fsp.readFile(path.join(dir, 'dist', renamedFrom, 'index.html'), 'utf8');
+  assert.match(redirect, new RegExp(`http-equiv="refresh" content="0;url=[^"]*/${renamedFrom}-guide/"`));
+});
+
+// Rebuilds dist/, so it comes last
+test('with a base path the old URL redirects to the new one under the base, prefixed once', async () => {
+  await runNode([path.join('node_modules', 'astro', 'astro.js'), 'build'], { cwd: dir, env: { BASE_PATH: '/site/', CHECK_LINKS: 'false' }, timeoutMs: 600000 });
+  const redirect = await fsp.readFile(path.join(dir, 'dist', renamedFrom, 'index.html'), 'utf8');
+  const [, target] = redirect.match(/http-equiv="refresh" content="0;url=([^"]*)"/);
+  assert.equal(new URL(target, 'http://localhost:4321').pathname, `/site/${renamedFrom}-guide/`);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { SlugRegistry, REGISTRY_FILE } from '../scripts/lib/slugRegistry.js';
+import { stringifyFrontmatter } from '../scripts/lib/mdx.js';
+import { writeFileSafe } from '../scripts/lib/fileUtils.js';
+
+async function setup(posts = []) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-slugs-'));
+  const contentDir = path.join(dir, 'content');
+  const imagesDir = path.join(dir, 'images');
+  for (const { file, images = [], ...data } of posts) {
+    const body = `## Heading\n\n![x](/images/${data.slug}/img1.webp)\n`;
+    await writeFileSafe(path.join(contentDir, file), `${stringifyFrontmatter({ ...data, image: `/images/${data.slug}/cover.webp` })}\n${body}`);
+    for (const img of images) await writeFileSafe(path.join(imagesDir, data.slug, img), img);
+  }
+  await fsp.mkdir(contentDir, { recursive: true });
+  return { dir, contentDir, imagesDir };
+}
+
+test('claims unique slugs for colliding keywords in different clusters', async () => {
+  const { dir, contentDir } = await setup();
+  const registry = await SlugRegistry.load({ contentDir });
+  const a = registry.claim({ id: 'food/cat-food', keyword: 'Cat Food', cluster: 'Food' });
+  const b = registry.claim({ id: 'budget/cat-food', keyword: 'cat food!', cluster: 'Budget' });
+  const c = registry.claim({ id: 'misc/cat-food', keyword: 'CAT FOOD', cluster: 'Budget' });
+  assert.equal(a, 'cat-food');
+  assert.equal(b, 'cat-food-budget');
+  assert.equal(c, 'cat-food-2');
+  assert.equal(registry.claim({ id: 'budget/cat-food', keyword: 'cat food!', cluster: 'Budget' }), b, 'same post, same slug');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('slugs of posts from earlier runs are taken, and claims survive a reload', async () => {
+  const { dir, contentDir } = await setup([{ file: 'old/cat-food.mdx', slug: 'cat-food', title: 'Cat Food', cluster: 'Old', keywords: ['cat food'] }]);
+  const registry = await SlugRegistry.load({ contentDir });
+  assert.equal(registry.claim({ id: 'new/cat-food', keyword: 'Cat Food', cluster: 'New' }), 'cat-food-new');
+  assert.equal(registry.claim({ id: 'new/dog-food', keyword: 'Dog Food', cluster: 'New' }), 'dog-food');
+  await registry.save();
+  assert.ok(fs.existsSync(path.join(contentDir, REGISTRY_FILE)));
+
+  const reloaded = await SlugRegistry.load({ contentDir });
+  assert.equal(reloaded.claim({ id: 'new/dog-food', keyword: 'Dog Food', cluster: 'New' }), 'dog-food');
+  assert.equal(reloaded.claim({ id: 'other/dog-food', keyword: 'Dog Food', cluster: 'Other' }), 'dog-food-other');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('finds existing collisions and moves all but the oldest post to a new slug', async () => {
+  const { dir, contentDir, imagesDir } = await setup([
+    { file: 'food/cat-food.mdx', slug: 'cat-food', title: 'Cat Food', date: '2024-01-01', cluster: 'Food', keywords: ['cat food'], images: ['cover.webp', 'img1.webp'] },
+    { file: 'budget/cat-food.mdx', slug: 'cat-food', title: 'Cheap Cat Food', date: '2024-03-01', cluster: 'Budget', keywords: ['cat food'] }
+  ]);
+  const registry = await SlugRegistry.load({ contentDir });
+  assert.deepEqual(registry.collisions, [{ slug: 'cat-food', files: ['budget/cat-food.mdx', 'food/cat-food.mdx'] }]);
+
+  const moved = await registry.resolveCollisions({ imagesDir });
+  assert.deepEqual(moved, [{ file: 'budget/cat-food.mdx', from: 'cat-food', to: 'cat-food-budget' }]);
+  assert.ok(fs.existsSync(path.join(contentDir, 'food', 'cat-food.mdx')));
+  assert.ok(!fs.existsSync(path.join(contentDir, 'budget', 'cat-food.mdx')));
+
+  const { data, content } = matter(await fsp.readFile(path.join(contentDir, 'budget', 'cat-food-budget.mdx'), 'utf8'));
+  assert.equal(data.slug, 'cat-food-budget');
+  assert.equal(data.image, '/images/cat-food-budget/cover.webp');
+  assert.match(content, /\/images\/cat-food-budget\/img1\.webp/);
+  assert.ok(fs.existsSync(path.join(imagesDir, 'cat-food-budget', 'img1.webp')), 'images are copied');
+  assert.ok(fs.existsSync(path.join(imagesDir, 'cat-food', 'img1.webp')), 'owner keeps its images');
+
+  // The old URL still belongs to the owner, so it must not redirect
+  assert.deepEqual(registry.activeRedirects(), {});
+  assert.equal(registry.data.history.length, 1);
+
+  await registry.save();
+  const reloaded = await SlugRegistry.load({ contentDir });
+  assert.deepEqual(reloaded.collisions, []);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('rename keeps a redirect map, collapses chains and reserves old slugs', async () => {
+  const { dir, contentDir } = await setup();
+  const registry = await SlugRegistry.load({ contentDir });
+  registry.claim({ id: 'a/x', keyword: 'x', cluster: 'a' });
+  registry.rename('old-one', 'old-two');
+  registry.rename('old-two', 'x');
+  assert.deepEqual(registry.activeRedirects(), { 'old-one': 'x', 'old-two': 'x' });
+  assert.equal(registry.claim({ id: 'b/old-one', keyword: 'old one', cluster: 'b' }), 'old-one-b');
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test('renamePost moves a published post to a new slug and redirects the old one', async () => {
+  const { dir, contentDir, imagesDir } = await setup([
+    { file: 'food/cat-food.mdx', slug: 'cat-food', title: 'Cat Food', cluster: 'Food', keywords: ['cat food'], ogImage: '/images/cat-food/card.png', images: ['cover.webp', 'img1.webp'] },
+    { file: 'food/dog-food.mdx', slug: 'dog-food', title: 'Dog Food', cluster: 'Food', keywords: ['dog food'] }
+  ]);
+  const registry = await SlugRegistry.load({ contentDir });
+  await assert.rejects(registry.renamePost('cat-food', 'dog-food', { imagesDir }), /"dog-food" is taken/);
+  await assert.rejects(registry.renamePost('bird-food', 'seeds', { imagesDir }), /No post has the slug "bird-food"/);
+
+  assert.deepEqual(await registry.renamePost('cat-food', 'Best Cat Food', { imagesDir }), { file: 'food/best-cat-food.mdx', from: 'cat-food', to: 'best-cat-food' });
+  const { data, content } = matter(await fsp.readFile(path.join(contentDir, 'food', 'best-cat-food.mdx'), 'utf8'));
+  assert.deepEqual([data.slug, data.image, data.ogImage], ['best-cat-food', '/images/best-cat-food/cover.webp', '/images/best-cat-food/card.png']);
+  assert.match(content, /\/images\/best-cat-food\/img1\.webp/);
+  assert.ok(!fs.existsSync(path.join(contentDir, 'food', 'cat-food.mdx')));
+  assert.ok(fs.existsSync(path.join(imagesDir, 'best-cat-food', 'img1.webp')));
+  assert.ok(!fs.existsSync(path.join(imagesDir, 'cat-food')), 'the image folder moves');
+  assert.deepEqual(registry.activeRedirects(), { 'cat-food': 'best-cat-food' });
+  assert.equal(registry.claim({ id: 'new/cat-food', keyword: 'cat food', cluster: 'New' }), 'cat-food-new', 'the old slug stays reserved');
+
+  // Moving back makes the old slug live again and points the newer one at it
+  await registry.renamePost('best-cat-food', 'cat-food', { imagesDir });
+  assert.deepEqual(registry.activeRedirects(), { 'best-cat-food': 'cat-food' });
+  await fsp.rm(dir, { recursive: true, force: true });
+});
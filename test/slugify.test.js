@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { slugifyString } from '../scripts/lib/slugify.js';
+
+test('lower-cases and joins words with single dashes', () => {
+  assert.equal(slugifyString('Best  Running -- Shoes'), 'best-running-shoes');
+});
+
+test('strips punctuation and leading or trailing dashes', () => {
+  assert.equal(slugifyString('  "What\'s new?" (2024 edition)! '), 'whats-new-2024-edition');
+  assert.equal(slugifyString('--hello--'), 'hello');
+});
+
+test('transliterates accented characters', () => {
+  assert.equal(slugifyString('Crème brûlée für Anfänger'), 'creme-brulee-fur-anfanger');
+});
+
+test('returns an empty string for empty or missing input', () => {
+  assert.equal(slugifyString(''), '');
+  assert.equal(slugifyString(undefined), '');
+  assert.equal(slugifyString('?!'), '');
+});
+
+test('keywords differing only in case or punctuation collide', () => {
+  assert.equal(slugifyString('Cat Food!'), slugifyString('cat food'));
+});
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { articleJsonLd, breadcrumbJsonLd, faqJsonLd, postJsonLd } from '../src/structured-data.js';
+
+const site = new URL('https://example.com/');
+const frontmatter = {
+  title: 'Cat Food Guide',
+  slug: 'cat-food-guide',
+  date: '2024-05-01',
+  updated: '2024-06-01',
+  description: 'All about cat food.',
+  image: '/images/cat-food-guide/cover.webp',
+  cluster: 'Cat Food',
+  keywords: ['cat food', 'cats'],
+  faq: [
+    { question: 'Is dry food enough?', answer: 'Mostly, with water nearby.' },
+    { question: 'How often to feed?', answer: 'Twice a day.' }
+  ]
+};
+
+describe('structured data', () => {
+  test('BlogPosting uses absolute URLs and the last update as dateModified', () => {
+    const data = articleJsonLd(frontmatter, { site, publisher: 'Cats Hub' });
+    assert.equal(data['@type'], 'BlogPosting');
+    assert.equal(data.url, 'https://example.com/cat-food-guide/');
+    assert.deepEqual(data.image, ['https://example.com/images/cat-food-guide/cover.webp']);
+    assert.equal(data.datePublished, '2024-05-01');
+    assert.equal(data.dateModified, '2024-06-01');
+    assert.equal(data.publisher.name, 'Cats Hub');
+    assert.equal(articleJsonLd({ ...frontmatter, updated: undefined }, { site }).dateModified, '2024-05-01');
+    assert.equal(articleJsonLd(frontmatter, { site }).publisher, undefined);
+  });
+
+  test('breadcrumbs go home, category, post', () => {
+    const { itemListElement } = breadcrumbJsonLd(frontmatter, { site });
+    assert.deepEqual(itemListElement.map((i) => [i.position, i.name, i.item]), [
+      [1, 'Home', 'https://example.com/'],
+      [2, 'Cat Food', 'https://example.com/category/Cat%20Food/'],
+      [3, 'Cat Food Guide', 'https://example.com/cat-food-guide/']
+    ]);
+    assert.equal(breadcrumbJsonLd({ ...frontmatter, cluster: undefined }, { site }).itemListElement.length, 2);
+  });
+
+  test('URLs include the base path', () => {
+    assert.equal(articleJsonLd(frontmatter, { site, base: '/site/' }).url, 'https://example.com/site/cat-food-guide/');
+    assert.equal(breadcrumbJsonLd(frontmatter, { site, base: '/site/' }).itemListElement[0].item, 'https://example.com/site/');
+  });
+
+  test('FAQPage has one Question per pair and is left out without questions', () => {
+    const faq = faqJsonLd(frontmatter.faq);
+    assert.deepEqual(faq.mainEntity[1], { '@type': 'Question', name: 'How often to feed?', acceptedAnswer: { '@type': 'Answer', text: 'Twice a day.' } });
+    assert.equal(faqJsonLd([]), null);
+    assert.equal(faqJsonLd([{ question: 'No answer?' }]), null);
+    assert.deepEqual(postJsonLd({ ...frontmatter, faq: undefined }, { site }).map((d) => d['@type']), ['BlogPosting', 'BreadcrumbList']);
+    assert.deepEqual(postJsonLd(frontmatter, { site }).map((d) => d['@type']), ['BlogPosting', 'BreadcrumbList', 'FAQPage']);
+  });
+});
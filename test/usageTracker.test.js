@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { UsageTracker, loadPrices, DEFAULT_PRICES } from '../scripts/lib/usageTracker.js';
+import { BudgetExceededError } from '../scripts/lib/errors.js';
+
+const PRICES = { llm: { cheap: { input: 1, output: 2 } }, image: { flux: { perImage: 0.02, perSecond: 0.001 } } };
+
+test('prices calls and images; unknown models count as $0 and are listed', () => {
+  const usage = new UsageTracker({ prices: PRICES });
+  usage.recordLlm({ provider: 'openai', model: 'cheap', method: 'generateOutline', slug: 'repotting', promptTokens: 1000, completionTokens: 500 });
+  usage.recordImage({ provider: 'replicate', model: 'flux', method: 'generateAndSaveWebp', slug: 'repotting', seconds: 10 });
+  usage.recordLlm({ provider: 'openai', model: 'mystery', method: 'generateBrand', promptTokens: 1e6 });
+  assert.ok(Math.abs(usage.totalCostUsd - (0.002 + 0.03)) < 1e-12);
+  assert.deepEqual([...usage.unpriced], ['mystery']);
+  const summary = usage.summary();
+  assert.equal(summary.totals.calls, 3);
+  assert.deepEqual(Object.keys(summary.byPost), ['repotting', '(site)']);
+  assert.equal(summary.byMethod.generateOutline.promptTokens, 1000);
+});
+
+test('the budget is checked before each call and stops once it is reached', () => {
+  const usage = new UsageTracker({ prices: PRICES, budgetUsd: 0.05 });
+  usage.checkBudget();
+  usage.recordImage({ provider: 'replicate', model: 'flux', method: 'generateAndSaveWebp' });
+  usage.recordImage({ provider: 'replicate', model: 'flux', method: 'generateAndSaveWebp' });
+  usage.checkBudget();
+  usage.recordImage({ provider: 'replicate', model: 'flux', method: 'generateAndSaveWebp' });
+  assert.throws(() => usage.checkBudget(), (err) => err instanceof BudgetExceededError && /Budget of \$0\.05 reached \(\$0\.0600 spent\)/.test(err.message));
+  for (const budgetUsd of [null, 0, NaN]) assert.equal(new UsageTracker({ budgetUsd }).budgetUsd, null);
+});
+
+test('records reach the log as they happen and a resumed tracker continues from it', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-usage-'));
+  try {
+    const jsonPath = path.join(dir, 'cost-run.json');
+    const logPath = path.join(dir, 'run.usage.jsonl');
+    const first = await UsageTracker.fromReport(jsonPath, { prices: PRICES, logPath });
+    first.recordLlm({ provider: 'openai', model: 'cheap', method: 'generateBrand', promptTokens: 100, completionTokens: 50 });
+    first.recordImage({ provider: 'replicate', model: 'flux', method: 'generateAndSaveWebp', slug: 'repotting' });
+    await first.flush();
+    // No report was written, as when the run crashes; a line cut short is skipped
+    await fsp.appendFile(logPath, '{"kind":"llm","cost":');
+
+    const resumed = await UsageTracker.fromReport(jsonPath, { prices: PRICES, budgetUsd: 0.02, logPath });
+    assert.deepEqual(resumed.records.map((r) => r.method), ['generateBrand', 'generateAndSaveWebp']);
+    assert.throws(() => resumed.checkBudget(), BudgetExceededError);
+    resumed.recordLlm({ provider: 'openai', model: 'cheap', method: 'generateStaticPages' });
+    await resumed.flush();
+    assert.deepEqual((await UsageTracker.fromReport(jsonPath, { logPath })).records.map((r) => r.method), ['generateBrand', 'generateAndSaveWebp', 'generateStaticPages']);
+
+    const { csvPath } = await resumed.writeReport(dir, 'cost-run');
+    assert.equal(JSON.parse(await fsp.readFile(jsonPath, 'utf8')).records.length, 3);
+    assert.equal((await fsp.readFile(csvPath, 'utf8')).split('\n')[1], 'llm,openai,cheap,generateBrand,,100,50,0,0.000200');
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('runs started before the log continue from their last report, which seeds the log', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-usage-'));
+  try {
+    const old = new UsageTracker({ prices: PRICES });
+    old.recordLlm({ provider: 'openai', model: 'cheap', method: 'generateBrand', promptTokens: 100 });
+    await old.writeReport(dir, 'cost-run');
+    const logPath = path.join(dir, 'run.usage.jsonl');
+    const usage = await UsageTracker.fromReport(path.join(dir, 'cost-run.json'), { prices: PRICES, logPath });
+    usage.recordLlm({ provider: 'openai', model: 'cheap', method: 'generateSitePlan', promptTokens: 100 });
+    await usage.flush();
+    const logged = (await fsp.readFile(logPath, 'utf8')).trim().split('\n').map((line) => JSON.parse(line).method);
+    assert.deepEqual(logged, ['generateBrand', 'generateSitePlan']);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a price file extends the defaults', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'autoblogger-usage-'));
+  try {
+    const file = path.join(dir, 'prices.json');
+    await fsp.writeFile(file, JSON.stringify({ llm: { 'llama3.1:8b': { input: 0, output: 0 } } }));
+    const prices = await loadPrices(file);
+    assert.deepEqual(prices.llm['llama3.1:8b'], { input: 0, output: 0 });
+    assert.deepEqual(prices.image, DEFAULT_PRICES.image);
+    await assert.rejects(loadPrices(path.join(dir, 'missing.json')), /Price table not found/);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});